@@ -9,8 +9,7 @@
  * or by a queue job (to periodically optimize campaigns).
  */
 
-// Example of requiring a hypothetical library for each platform.
-// In a real project, you'd replace or extend these with actual APIs or SDKs.
+// Platform integrations; they use the company's connected account (models/integration.model.js)
 const GoogleAdsAPI = require("../integrations/googleAdsAPI");
 const MetaAdsAPI = require("../integrations/metaAdsAPI");
 // ... other platform integrations
@@ -64,6 +63,7 @@ async function handleGoogleAds(campaignPlan) {
 
   // 1. Retrieve or create a campaign in Google Ads
   const googleAdsCampaign = {
+    companyId: campaignPlan.companyId,
     name: campaignPlan.name,
     budget: campaignPlan.budget.dailyCap,
     startDate: campaignPlan.startDate,
@@ -86,6 +86,7 @@ async function handleMetaAds(campaignPlan) {
 
   // 1. Prepare the ad set data
   const metaAdsCampaign = {
+    companyId: campaignPlan.companyId,
     name: campaignPlan.name,
     dailyBudget: campaignPlan.budget.dailyCap,
     objective: campaignPlan.objective,
@@ -12,7 +12,7 @@
  * making them available for reporting/analytics dashboards.
  */
 
-// Example imports for platform integrations or SDKs
+// Platform integrations; they use the company's connected account (models/integration.model.js)
 const GoogleAdsAPI = require("../integrations/googleAdsAPI");
 const MetaAdsAPI = require("../integrations/metaAdsAPI");
 // Potentially others: LinkedInAdsAPI, TwitterAdsAPI, etc.
@@ -100,8 +100,8 @@ async function collectCampaignMetrics(campaign) {
 async function fetchGoogleAdsMetrics(campaign) {
   logger.info(`[AnalyticsAgent] Fetching Google Ads metrics for: ${campaign.name}`);
 
-  // Hypothetical usage of a GoogleAdsAPI integration
   const result = await GoogleAdsAPI.getCampaignMetrics({
+    companyId: campaign.companyId,
     campaignName: campaign.name,
     campaignId: campaign._id, // or whatever ID mapping you use
     dateRange: { start: campaign.startDate, end: campaign.endDate }
@@ -125,6 +125,7 @@ async function fetchMetaAdsMetrics(campaign) {
   logger.info(`[AnalyticsAgent] Fetching Facebook/Meta metrics for: ${campaign.name}`);
 
   const result = await MetaAdsAPI.getCampaignMetrics({
+    companyId: campaign.companyId,
     campaignName: campaign.name,
     campaignId: campaign._id, // or whatever mapping you use
     dateRange: { start: campaign.startDate, end: campaign.endDate }
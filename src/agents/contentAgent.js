@@ -14,29 +14,48 @@
  * to the database or posted on social platforms.
  */
 
-// -------------------- Load Environment Variables -------------------- //
-
-// Ensure you have a .env file at the project root with a line like:
-// OPENAI_API_KEY=your-super-secret-key
-//
-// Do NOT commit your .env file to version control!
-
-require("dotenv").config();
-
 // -------------------- Imports & Configuration -------------------- //
 
-// Example: Using the OpenAI Node.js library
-// If you want to actually run this script, install it via:
-//   npm install openai
-//
-// Your .env file should define OPENAI_API_KEY with your real key.
-const { Configuration, OpenAIApi } = require("openai");
-
-// Retrieve API key from environment
-const openAiKey = process.env.OPENAI_API_KEY;
-if (!openAiKey) {
-  throw new Error("Missing environment variable OPENAI_API_KEY!");
-}
+// All model calls go through the shared LLM client layer (src/llm), which picks
+// the provider (OpenAI, an OpenAI-compatible local server, or the offline mock)
+// and model. Callers may pass a company's client as options.llm; otherwise the
+// default client from config is used.
+const { getLLMClient } = require("../llm");
+// Prompts are rendered from templates (src/utils/promptTemplates.js). Callers may
+// pass a company's version as options.promptTemplate; otherwise the built-in one is used.
+const { getDefaultTemplate, renderTemplate, templateRef } = require("../utils/promptTemplates");
+// Each channel's limits and conventions (src/config/platformSpecs.js) go into the prompt,
+// and the output is checked against them before it is returned.
+const { getPlatformSpec, describePlatformRules } = require("../config/platformSpecs");
+const { validatePost, validateAdCopy, createViolationError } = require("../utils/platformValidator");
+
+// Completion budget when the platform has no spec
+const DEFAULT_MAX_TOKENS = 200;
+
+// A/B test variants differ along one axis; each variant takes the next angle.
+// On the "length" axis the angle also sets the prompt's length.
+const VARIANT_AXES = {
+  hook: [
+    { angle: "bold claim", instruction: "Open with a bold claim." },
+    { angle: "question", instruction: "Open with a question to the reader." },
+    { angle: "surprising fact", instruction: "Open with a surprising fact or number." },
+    { angle: "customer story", instruction: "Open with a one-line customer story." },
+    { angle: "pain point", instruction: "Open with the problem the reader has." }
+  ],
+  cta: [
+    { angle: "buy now", instruction: "End with a direct call to buy now." },
+    { angle: "learn more", instruction: "End with a soft invitation to learn more." },
+    { angle: "limited offer", instruction: "End with a time-limited offer." },
+    { angle: "social proof", instruction: "End with social proof and a call to try it." },
+    { angle: "reply", instruction: "End with a question that invites replies." }
+  ],
+  length: [
+    { angle: "very short", instruction: "Keep it to one sentence." },
+    { angle: "medium", instruction: "Use two or three sentences." },
+    { angle: "long", instruction: "Write a full short paragraph." }
+  ]
+};
+const VARIANT_LABELS = ["A", "B", "C", "D", "E"];
 
 // A logger reference (could be a real logger like Winston, Pino, etc.)
 let logger = console;
@@ -52,66 +71,173 @@ function init(config) {
   logger.info("[ContentAgent] Initialized with provided configuration.");
 }
 
-// -------------------- Setup OpenAI Client -------------------- //
-
-const configuration = new Configuration({
-  apiKey: openAiKey,
-});
-const openai = new OpenAIApi(configuration);
-
 // -------------------- Primary Methods -------------------- //
 
 /**
  * Generate a piece of social media content (text-only) for a given product or topic.
- * @param {Object} options - { productName, tone, length, targetAudience, additionalContext }
+ * The post follows the platform's spec: output that breaks it is repaired where
+ * possible (e.g. shortened), otherwise rejected.
+ * @param {Object} options - { productName, tone, length, targetAudience, platform, additionalContext,
+ *   llm, promptTemplate } promptTemplate is a resolved "social-post" template
  * @returns {Promise<String>} - AI-generated text snippet
+ * @throws {Error} error.code === "PLATFORM_VIOLATION" if the post can't be made to fit
  */
 async function createSocialPost(options) {
   if (!options || !options.productName) {
     throw new Error("createSocialPost() requires at least a 'productName'.");
   }
 
-  const tone = options.tone || "friendly";
-  const length = options.length || "short";
-  const targetAudience = options.targetAudience || "general audience";
-  const additionalContext = options.additionalContext || "";
-
   logger.info(`[ContentAgent] Generating social post for: ${options.productName}`);
 
-  // Construct a prompt for GPT
-  const prompt = `
-You are a marketing copywriter. Write a ${length} social media post about "${options.productName}"
-targeting a ${targetAudience} with a ${tone} tone.
-Include a clear call to action.
-Additional context: ${additionalContext}
-  `;
+  // Construct a prompt for the LLM
+  const prompt = buildSocialPostPrompt(options);
+  const spec = getPlatformSpec(options.platform);
 
   try {
-    // Call OpenAI GPT for text generation
-    const response = await openai.createCompletion({
-      model: "text-davinci-003",
+    // Call the LLM for text generation
+    const llm = options.llm || getLLMClient();
+    const { text: generatedText } = await llm.complete({
       prompt,
-      max_tokens: 100,
+      maxTokens: spec ? spec.maxTokens : DEFAULT_MAX_TOKENS,
       temperature: 0.7,
     });
-
-    // Extract the generated text
-    const generatedText = response.data.choices[0].text.trim();
     logger.debug("[ContentAgent] Generated text:", generatedText);
 
-    return generatedText;
+    const { text, valid, violations, fixes } = validatePost(options.platform, generatedText.trim(), { fix: true });
+    if (fixes.length > 0) {
+      logger.info(`[ContentAgent] Adjusted the ${options.platform} post: ${fixes.join(" ")}`);
+    }
+    if (!valid) {
+      throw createViolationError(options.platform, violations);
+    }
+    return text;
   } catch (error) {
     logger.error("[ContentAgent] Error generating social post:", error);
     throw error;
   }
 }
 
+/**
+ * Build the prompt createSocialPost() sends to the LLM (exposed so callers can store it).
+ * Unset options fall back to the template's variable defaults.
+ * @param {Object} options - { productName, tone, length, targetAudience, platform, additionalContext, promptTemplate }
+ * @returns {String} the prompt
+ */
+function buildSocialPostPrompt(options) {
+  const template = options.promptTemplate || getDefaultTemplate("social-post");
+  const { productName, tone, length, targetAudience, platform, additionalContext } = options;
+  const platformRules = describePlatformRules(getPlatformSpec(platform));
+
+  return renderTemplate(template, { productName, tone, length, targetAudience, platform, platformRules, additionalContext });
+}
+
+/**
+ * Generate Google Ads responsive search ad copy (headlines and descriptions).
+ * Items that break the ad limits are repaired where possible, otherwise rejected.
+ * @param {Object} options - { productName, tone, targetAudience, additionalContext, llm, promptTemplate }
+ *   promptTemplate is a resolved "ad-copy" template
+ * @returns {Promise<Object>} { headlines: [String], descriptions: [String] }
+ * @throws {Error} error.code === "PLATFORM_VIOLATION" if the copy can't be made to fit
+ */
+async function createAdCopy(options) {
+  if (!options || !options.productName) {
+    throw new Error("createAdCopy() requires at least a 'productName'.");
+  }
+
+  logger.info(`[ContentAgent] Generating ad copy for: ${options.productName}`);
+
+  const prompt = buildAdCopyPrompt(options);
+
+  try {
+    const llm = options.llm || getLLMClient();
+    const { text: generatedText } = await llm.complete({
+      prompt,
+      maxTokens: getPlatformSpec("GoogleAds").maxTokens,
+      temperature: 0.7,
+      json: true,
+    });
+    logger.debug("[ContentAgent] Generated ad copy:", generatedText);
+
+    const { adCopy, valid, violations, fixes } = validateAdCopy(parseAdCopy(generatedText), { fix: true });
+    if (fixes.length > 0) {
+      logger.info(`[ContentAgent] Adjusted the ad copy: ${fixes.join(" ")}`);
+    }
+    if (!valid) {
+      throw createViolationError("GoogleAds", violations);
+    }
+    return adCopy;
+  } catch (error) {
+    logger.error("[ContentAgent] Error generating ad copy:", error);
+    throw error;
+  }
+}
+
+/**
+ * Build the prompt createAdCopy() sends to the LLM (exposed so callers can store it).
+ * @param {Object} options - { productName, tone, targetAudience, additionalContext, promptTemplate }
+ * @returns {String} the prompt
+ */
+function buildAdCopyPrompt(options) {
+  const template = options.promptTemplate || getDefaultTemplate("ad-copy");
+  const { productName, tone, targetAudience, additionalContext } = options;
+  const platformRules = describePlatformRules(getPlatformSpec("GoogleAds"));
+
+  return renderTemplate(template, { productName, tone, targetAudience, platformRules, additionalContext });
+}
+
+/**
+ * Generate variants of one post (or GoogleAds ad) for an A/B test. The variants
+ * differ only along the given axis, e.g. each gets a different opening hook.
+ * A variant that repeats an earlier one is regenerated once.
+ * @param {Object} options - as for createSocialPost, or createAdCopy when the platform is "GoogleAds"
+ * @param {Object} variantOptions - { count, axis } axis is a key of VARIANT_AXES; count is 2 up to
+ *   the number of angles on that axis
+ * @returns {Promise<Array<Object>>} [{ label, axis, angle, text, adCopy, prompt }] label is "A", "B", ...;
+ *   ad variants have adCopy instead of text
+ */
+async function createVariants(options, { count = 2, axis } = {}) {
+  const angles = VARIANT_AXES[axis];
+  if (!angles) {
+    throw new Error(`createVariants() axis must be one of: ${Object.keys(VARIANT_AXES).join(", ")}.`);
+  }
+  if (!Number.isInteger(count) || count < 2 || count > angles.length) {
+    throw new Error(`createVariants() can make 2 to ${angles.length} "${axis}" variants.`);
+  }
+
+  logger.info(`[ContentAgent] Generating ${count} ${axis} variants for: ${options.productName}`);
+
+  const spec = getPlatformSpec(options.platform);
+  const isAd = Boolean(spec) && spec.format === "ad";
+  const variants = [];
+  for (const [index, { angle, instruction }] of angles.slice(0, count).entries()) {
+    const variantOptions = {
+      ...options,
+      ...(axis === "length" ? { length: angle } : {}),
+      additionalContext: [
+        options.additionalContext,
+        `This is variant ${VARIANT_LABELS[index]} of an A/B test. Vary only the ${axis}; keep everything else the same. ${instruction}`
+      ].filter(Boolean).join("\n")
+    };
+
+    let variant = await createVariant(variantOptions, isAd);
+    if (variants.some((earlier) => sameVariant(earlier, variant))) {
+      logger.info(`[ContentAgent] Variant ${VARIANT_LABELS[index]} repeated an earlier one; regenerating.`);
+      variantOptions.additionalContext += "\nYour first attempt repeated another variant word for word. Write it differently.";
+      variant = await createVariant(variantOptions, isAd);
+    }
+    variants.push({ label: VARIANT_LABELS[index], axis, angle, ...variant });
+  }
+  return variants;
+}
+
 /**
  * (Optional) Generate an AI image URL from a text prompt, using DALL·E or another image model.
  * @param {String} prompt - description of the image to generate
- * @returns {Promise<String>} - URL of the generated image
+ * @param {Object} [options] - { llm } the LLM client to use
+ * @returns {Promise<String>} - URL of the generated image; providers' URLs expire, so keep
+ *   the image with assetService.importAssetFromUrl()
  */
-async function createImage(prompt) {
+async function createImage(prompt, { llm = getLLMClient() } = {}) {
   if (!prompt) {
     throw new Error("createImage() requires a prompt string.");
   }
@@ -119,15 +245,11 @@ async function createImage(prompt) {
   logger.info(`[ContentAgent] Generating image for prompt: "${prompt}"`);
 
   try {
-    // Example with OpenAI's DALL·E API:
-    const response = await openai.createImage({
+    // e.g. DALL·E through the OpenAI provider
+    const { url: imageUrl } = await llm.generateImage({
       prompt,
-      n: 1,
       size: "512x512",
     });
-
-    // Extract the image URL from the response
-    const imageUrl = response.data.data[0].url;
     logger.debug("[ContentAgent] Generated image URL:", imageUrl);
 
     return imageUrl;
@@ -141,9 +263,11 @@ async function createImage(prompt) {
  * Main orchestration method for more complex content tasks.
  * E.g., generating multiple posts at once, or a blog post.
  * @param {Object} plan - a marketing plan object, or details about content requirements
- * @returns {Promise<Array<Object>>} - array of content items (text, images, etc.)
+ * @param {Object} [options] - { llm, promptTemplate } the LLM client and "social-post" template to use
+ * @returns {Promise<Array<Object>>} - array of content items (text, images, etc.);
+ *   text items carry the { name, version, source } of the template that produced them
  */
-async function generateContentForPlan(plan) {
+async function generateContentForPlan(plan, { llm = getLLMClient(), promptTemplate } = {}) {
   try {
     logger.info("[ContentAgent] Generating content for plan...");
 
@@ -157,18 +281,23 @@ async function generateContentForPlan(plan) {
           tone: task.tone,
           length: task.length,
           targetAudience: task.targetAudience,
+          platform: task.channel,
           additionalContext: task.additionalContext,
+          llm,
+          promptTemplate,
         });
         results.push({
           type: "text",
           content: textPost,
           channel: task.channel,
+          promptTemplate: templateRef(promptTemplate || getDefaultTemplate("social-post")),
         });
       } else if (task.type === "image") {
-        const imageUrl = await createImage(task.prompt);
+        const imageUrl = await createImage(task.prompt, { llm });
         results.push({
           type: "image",
           url: imageUrl,
+          prompt: task.prompt,
           channel: task.channel,
         });
       }
@@ -183,11 +312,52 @@ async function generateContentForPlan(plan) {
   }
 }
 
+// -------------------- Internal Helpers -------------------- //
+
+/**
+ * Extract the { headlines, descriptions } object from the AI output.
+ * Tolerates code fences or text around the object; anything unparseable
+ * yields empty lists, which the validator then rejects.
+ * @param {String} text
+ * @returns {Object} { headlines, descriptions }
+ */
+function parseAdCopy(text) {
+  const start = text.indexOf("{");
+  const end = text.lastIndexOf("}");
+  try {
+    const parsed = start !== -1 && end > start ? JSON.parse(text.slice(start, end + 1)) : {};
+    return { headlines: parsed.headlines, descriptions: parsed.descriptions };
+  } catch (error) {
+    return { headlines: [], descriptions: [] };
+  }
+}
+
+/**
+ * Generate one variant with its prompt.
+ * @returns {Promise<Object>} { text, prompt } for posts, { adCopy, prompt } for ads
+ */
+async function createVariant(options, isAd) {
+  if (isAd) {
+    return { adCopy: await createAdCopy(options), prompt: buildAdCopyPrompt(options) };
+  }
+  return { text: await createSocialPost(options), prompt: buildSocialPostPrompt(options) };
+}
+
+function sameVariant(a, b) {
+  const normalize = (variant) => JSON.stringify(variant.adCopy || variant.text).toLowerCase().replace(/\s+/g, " ");
+  return normalize(a) === normalize(b);
+}
+
 // -------------------- Exported API -------------------- //
 
 module.exports = {
   init,
   createSocialPost,
+  buildSocialPostPrompt,
+  createAdCopy,
+  buildAdCopyPrompt,
+  createVariants,
+  VARIANT_AXES,
   createImage,
   generateContentForPlan,
 };
@@ -195,7 +365,8 @@ module.exports = {
 // -------------------- Optional: Self-Test / Demo -------------------- //
 
 // If you run this file directly with `node contentAgent.js`,
-// we'll do a small demo of text and image generation (requires your .env).
+// we'll do a small demo of text and image generation with the configured
+// LLM provider (set LLM_PROVIDER=mock to run it offline).
 if (require.main === module) {
   (async () => {
     // Initialize with console logger
@@ -1,12 +1,24 @@
 // src/agents/index.js
 
-// Import the individual agents
-const newsAgent = require("./newsAgent");
+// Import the individual agents. The NewsAgent is required lazily (see the
+// newsAgent export below): it throws at load time without NEWS_API_KEY.
 const strategyAgent = require("./strategyAgent");
 const contentAgent = require("./contentAgent");
 const adManagementAgent = require("./adManagementAgent");
 const analyticsAgent = require("./analyticsAgent");
 
+const mongoose = require("mongoose");
+const AgentRun = require("../models/agentRun.model");
+const Campaign = require("../models/campaign.model");
+const planService = require("../services/plan.service");
+const contentService = require("../services/content.service");
+const promptTemplateService = require("../services/promptTemplate.service");
+const { getLLMClientForCompany } = require("../llm");
+const { CHANNELS, parseChannels } = require("../config/channels");
+const { describeBrandRules } = require("../utils/brandChecker");
+
+const logger = console;
+
 /**
  * Initialize or configure each agent here if needed.
  * For example, set up any shared config, pass in logger references,
@@ -22,31 +34,304 @@ function initAgents(config) {
   // or load agent-specific memory/embeddings if your system uses them.
 }
 
+// -------------------- Campaign Pipeline -------------------- //
+
+// Pipeline steps, in order. Each one is checkpointed on the AgentRun when it succeeds.
+const PIPELINE_STEPS = ["load-context", "generate-plan", "create-content", "hand-off-ads"];
+
+// Step name -> handler(run, outputs), where outputs holds the results of earlier steps
+const STEP_HANDLERS = {
+  "load-context": loadContext,
+  "generate-plan": generateCampaignPlan,
+  "create-content": createContentDrafts,
+  "hand-off-ads": handOffAds
+};
+
+/**
+ * Run the full agent pipeline for one campaign, in this process:
+ *  1. load-context:   load the Campaign, its Company's brand guidelines and its Audience
+ *  2. generate-plan:  have the Strategy Agent generate a marketing plan, saved as a new Plan version
+ *  3. create-content: have the Content Agent write the plan's content, saved as Content drafts
+ *  4. hand-off-ads:   pass the plan's ad tasks to the Ad Management Agent
+ *
+ * Progress is recorded on an AgentRun document. If a step fails the run is
+ * marked "failed" and can be continued later with resumeRun().
+ * @param {String} campaignId
+ * @param {Object} [options] - { userId } the user who triggered the run
+ * @returns {Promise<Object>} the AgentRun document (status "completed" or "failed")
+ */
+async function runAgents(campaignId, { userId } = {}) {
+  const run = await createRun(campaignId, { userId });
+  return executeRun(run);
+}
+
+/**
+ * Create a pipeline run for a campaign without starting it, so a worker can
+ * pick it up with startRun() (see queues/jobs/pipelineJob.js).
+ * @param {String} campaignId
+ * @param {Object} [options] - { userId, status } status defaults to "running"; "queued" for a worker
+ * @returns {Promise<Object>} the new AgentRun document
+ */
+async function createRun(campaignId, { userId, status } = {}) {
+  const campaign = mongoose.isValidObjectId(campaignId)
+    ? await Campaign.findById(campaignId).select("companyId").lean()
+    : null;
+  if (!campaign) {
+    throw new Error(`[runAgents] Campaign not found: ${campaignId}`);
+  }
+
+  return new AgentRun({
+    companyId: campaign.companyId,
+    campaignId,
+    status,
+    triggeredByUserId: userId,
+    steps: PIPELINE_STEPS.map((name) => ({ name }))
+  }).save();
+}
+
+/**
+ * Execute a queued run: a new one from createRun(), or a failed one queued to
+ * resume. Completed steps are skipped as in resumeRun().
+ * The run is claimed atomically (queued -> running), so a duplicated job
+ * can't execute it twice.
+ * @param {String} runId - AgentRun ID
+ * @returns {Promise<Object|null>} the AgentRun document (status "completed" or "failed"),
+ *   or null if the run isn't queued (not found, or already claimed)
+ */
+async function startRun(runId) {
+  const run = await claimRun(runId, "queued");
+  return run ? executeRun(run) : null;
+}
+
 /**
- * Orchestrate interactions between agents if needed.
- * For example, if the Strategy Agent triggers the Content Agent,
- * you can define a function here that coordinates those calls.
+ * Resume a failed pipeline run from its last successful step.
+ * Completed steps are skipped and their checkpointed output is reused.
+ * @param {String} runId - AgentRun ID
+ * @returns {Promise<Object|null>} the AgentRun document, or null if the run
+ *   isn't failed (not found, or already resumed)
  */
-async function runAgents() {
-  // Example: The Strategy Agent decides on a marketing plan
-  // then tells the Content Agent to generate new posts.
-  try {
-    const strategyPlan = await strategyAgent.generatePlan();
-    await contentAgent.createContentForPlan(strategyPlan);
-    // Ad Management Agent might launch or update campaigns
-    await adManagementAgent.updateCampaigns(strategyPlan);
-  } catch (err) {
-    console.error("Error in runAgents:", err);
+async function resumeRun(runId) {
+  const run = await claimRun(runId, "failed", { $inc: { resumeCount: 1 } });
+  return run ? executeRun(run) : null;
+}
+
+// -------------------- Pipeline Internals -------------------- //
+
+/**
+ * Moves a run from `fromStatus` to "running" in one update, so only one caller
+ * gets to execute it.
+ * @returns {Promise<Object|null>} the claimed AgentRun document, or null
+ */
+async function claimRun(runId, fromStatus, update = {}) {
+  if (!mongoose.isValidObjectId(runId)) {
+    return null;
   }
+  return AgentRun.findOneAndUpdate(
+    { _id: runId, status: fromStatus },
+    { ...update, $set: { status: "running", updatedAt: new Date() }, $unset: { error: 1, finishedAt: 1 } },
+    { new: true }
+  );
+}
+
+/**
+ * Executes the run's pending steps in order, saving the run after each one.
+ * The run must already be "running" (see createRun() and claimRun()).
+ */
+async function executeRun(run) {
+  const outputs = {};
+
+  for (const step of run.steps) {
+    if (step.status === "completed") {
+      outputs[step.name] = step.output;
+      continue;
+    }
+
+    step.status = "running";
+    step.error = undefined;
+    step.startedAt = new Date();
+    await run.save();
+
+    try {
+      step.output = await STEP_HANDLERS[step.name](run, outputs);
+      step.status = "completed";
+      step.finishedAt = new Date();
+      outputs[step.name] = step.output;
+      run.markModified("steps"); // output is a Mixed field
+      await run.save();
+    } catch (err) {
+      logger.error(`[runAgents] Step "${step.name}" failed for campaign ${run.campaignId}:`, err);
+
+      step.status = "failed";
+      step.error = err.message;
+      step.finishedAt = new Date();
+      run.status = "failed";
+      run.error = `${step.name}: ${err.message}`;
+      run.finishedAt = new Date();
+      await run.save();
+      return run;
+    }
+  }
+
+  run.status = "completed";
+  run.finishedAt = new Date();
+  await run.save();
+  return run;
+}
+
+/**
+ * Step 1: gathers the Strategy Agent's inputs from the campaign, company and audience.
+ */
+async function loadContext(run) {
+  const inputs = await planService.buildStrategyInputs(run.companyId, run.campaignId);
+  if (!inputs) {
+    throw new Error("Campaign no longer exists.");
+  }
+  return inputs;
+}
+
+/**
+ * Step 2: generates the marketing plan and saves it as the campaign's new active Plan version.
+ */
+async function generateCampaignPlan(run, outputs) {
+  const llm = await getLLMClientForCompany(run.companyId, {
+    userId: run.triggeredByUserId,
+    agent: "strategy",
+    feature: "pipeline"
+  });
+  const promptTemplate = await promptTemplateService.resolveTemplate(run.companyId, "strategy-plan");
+  const generated = await strategyAgent.generatePlan(outputs["load-context"], { llm, promptTemplate });
+  const plan = await planService.savePlanVersion(run.companyId, run.campaignId, generated, {
+    userId: run.triggeredByUserId,
+    agentRunId: run._id,
+    activate: true
+  });
+
+  return {
+    planId: plan._id,
+    version: plan.version,
+    strategySummary: plan.strategySummary,
+    tasks: plan.tasks.map((task) => task.toObject())
+  };
+}
+
+/**
+ * Step 3: writes one post per channel for each non-ad plan task and saves the
+ * results as Content drafts, with brand checks and first revisions (see
+ * contentService.createDrafts). Drafts are only saved once everything was
+ * generated, so a failed step leaves nothing behind to duplicate on resume.
+ */
+async function createContentDrafts(run, outputs) {
+  const context = outputs["load-context"];
+  const plan = outputs["generate-plan"];
+
+  const contentTasks = [];
+  (plan.tasks || []).filter((task) => !isAdTask(task)).forEach((task) => {
+    const channels = parseChannels(task.channel);
+    (channels.length > 0 ? channels : [undefined]).forEach((channel) => {
+      contentTasks.push({
+        type: "socialPost",
+        productName: context.companyName || context.campaignName,
+        tone: context.brandGuidelines.toneOfVoice,
+        targetAudience: context.targetAudience,
+        additionalContext: [
+          task.name,
+          task.description,
+          context.brandGuidelines.styleNotes,
+          ...describeBrandRules(context.brandGuidelines)
+        ]
+          .filter(Boolean)
+          .join("\n"),
+        channel,
+        planTaskId: task._id
+      });
+    });
+  });
+
+  const llm = await getLLMClientForCompany(run.companyId, {
+    userId: run.triggeredByUserId,
+    agent: "content",
+    feature: "pipeline"
+  });
+  const promptTemplate = await promptTemplateService.resolveTemplate(run.companyId, "social-post");
+  const generated = await contentAgent.generateContentForPlan({ tasks: contentTasks }, { llm, promptTemplate });
+
+  const drafts = await contentService.createDrafts(
+    run.companyId,
+    run.campaignId,
+    generated.map((item, index) => ({
+      type: item.type,
+      text: item.content,
+      mediaUrl: item.url,
+      platform: CHANNELS.includes(item.channel) ? item.channel : "Other",
+      meta: {
+        agentRunId: run._id,
+        planId: plan.planId,
+        planTaskId: contentTasks[index].planTaskId,
+        promptTemplate: item.promptTemplate
+      }
+    })),
+    { userId: run.triggeredByUserId }
+  );
+
+  // Link the drafts to the plan tasks they were written for
+  const idsByTask = new Map();
+  drafts.forEach((draft, index) => {
+    const taskId = String(contentTasks[index].planTaskId);
+    idsByTask.set(taskId, [...(idsByTask.get(taskId) || []), draft._id]);
+  });
+  for (const [taskId, contentIds] of idsByTask) {
+    await planService.linkTaskContent(plan.planId, taskId, contentIds);
+  }
+
+  return { contentIds: drafts.map((draft) => draft._id) };
+}
+
+/**
+ * Step 4: hands the plan's ad tasks to the Ad Management Agent.
+ */
+async function handOffAds(run, outputs) {
+  const context = outputs["load-context"];
+  const adTasks = (outputs["generate-plan"].tasks || []).filter(isAdTask);
+  if (adTasks.length === 0) {
+    return { skipped: true, reason: "The plan has no ad tasks." };
+  }
+
+  const channels = [...new Set(adTasks.flatMap((task) => parseChannels(task.channel)))];
+  await adManagementAgent.updateCampaigns({
+    name: context.campaignName,
+    objective: context.objective,
+    budget: context.budget,
+    startDate: context.timeline.start,
+    endDate: context.timeline.end,
+    channels,
+    tasks: adTasks
+  });
+
+  return { channels, taskCount: adTasks.length };
+}
+
+/**
+ * A plan task is an ad task if it says so, or if it targets an ads-only channel.
+ */
+function isAdTask(task) {
+  return task.type === "ad" || parseChannels(task.channel).includes("GoogleAds");
 }
 
 // Export the individual agents as well as any orchestrator functions
 module.exports = {
-  newsAgent,
   strategyAgent,
   contentAgent,
   adManagementAgent,
   analyticsAgent,
   initAgents,
-  runAgents
+  runAgents,
+  createRun,
+  startRun,
+  resumeRun
 };
+
+// Loaded on first use, so the pipeline works without a NEWS_API_KEY
+Object.defineProperty(module.exports, "newsAgent", {
+  enumerable: true,
+  get: () => require("./newsAgent")
+});
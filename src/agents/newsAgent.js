@@ -23,8 +23,9 @@ require("dotenv").config();
 // We use the `node-fetch` library (install via `npm install node-fetch`).
 const fetch = require("node-fetch");
 
-// If you plan to store news in a DB, you might have a service or model
-// For demonstration, we have a placeholder "storeNewsInDB" method below.
+// Fetched articles are persisted through the news service (upsert by company and URL)
+const newsService = require("../services/news.service");
+
 let logger = console;
 
 // Retrieve News API key from environment
@@ -111,35 +112,53 @@ function filterArticles(articles) {
 }
 
 /**
- * Store news articles in a database or your local model.
- * This is a placeholder function. Replace with real DB logic.
+ * Convert a NewsAPI.org article into the shape of our News model.
+ * @param {Object} article - raw article from NewsAPI
+ * @returns {Object} { title, summary, url, source, publishedAt }
+ */
+function normalizeArticle(article) {
+  return {
+    title: article.title,
+    summary: article.description || article.content || "",
+    url: article.url,
+    source: article.source?.name || "Unknown",
+    publishedAt: article.publishedAt ? new Date(article.publishedAt) : undefined
+  };
+}
+
+/**
+ * Store news articles in the News collection.
+ * Articles are upserted by company and URL, so fetching the same article
+ * again updates the company's copy instead of failing on the unique index.
  * @param {Array<Object>} articles - array of filtered articles to store.
+ * @param {Object} [options] - { companyId, topics } applied to newly inserted articles
+ * @returns {Promise<Object>} { inserted, updated }
  */
-async function storeNewsInDB(articles) {
-  // In a real project, you'd insert into your MongoDB or SQL DB, e.g.:
-  // await NewsModel.insertMany(articles);
-  //
-  // For demo, we'll just log them
-  logger.info("[NewsAgent] Storing articles in the database placeholder...");
-  articles.forEach((article, i) => {
-    logger.info(` Article #${i+1}: ${article.title} (${article.url})`);
-  });
-  // Return success or the newly stored docs
-  return articles;
+async function storeNewsInDB(articles, options = {}) {
+  logger.info(`[NewsAgent] Storing ${articles.length} articles in the database...`);
+  const result = await newsService.upsertArticles(articles.map(normalizeArticle), options);
+  logger.info(`[NewsAgent] Stored articles: ${result.inserted} new, ${result.updated} updated.`);
+  return result;
 }
 
 /**
  * High-level orchestration for fetching, filtering, and storing news.
  * @param {Array<String>} keywords - e.g. ["MyCompany", "MyProduct"]
+ * @param {Object} [options] - { companyId } to tie newly fetched articles to a company;
+ *   the keywords are recorded as the articles' topics.
+ * @returns {Promise<Object>} { fetched, inserted, updated }
  */
-async function updateNewsFeed(keywords) {
+async function updateNewsFeed(keywords, options = {}) {
   try {
     logger.info("[NewsAgent] updateNewsFeed started...");
     const rawArticles = await fetchNewsArticles(keywords);
     const filtered = filterArticles(rawArticles);
-    const stored = await storeNewsInDB(filtered);
-    logger.info(`[NewsAgent] updateNewsFeed complete. ${stored.length} articles stored.`);
-    return stored;
+    const stored = await storeNewsInDB(filtered, {
+      companyId: options.companyId,
+      topics: keywords
+    });
+    logger.info(`[NewsAgent] updateNewsFeed complete. ${stored.inserted} new articles stored.`);
+    return { fetched: filtered.length, ...stored };
   } catch (error) {
     logger.error("[NewsAgent] updateNewsFeed failed:", error);
     throw error;
@@ -159,20 +178,27 @@ module.exports = {
 // -------------------- Optional: Self-Test / Demo -------------------- //
 
 // If you run this file directly with `node newsAgent.js`,
-// we'll do a small demo of fetching and filtering articles.
+// we'll do a small demo of fetching, filtering and storing articles (requires MongoDB).
 if (require.main === module) {
   (async () => {
+    const mongoose = require("mongoose");
+    const { connectDB } = require("../config/database");
+
     // Initialize with console logger
     init({ logger: console });
 
     try {
+      await connectDB();
+
       console.log("\n=== Testing updateNewsFeed() ===");
       // Example: fetch news about "OpenAI" or "AI technology"
       const keywords = ["OpenAI", "AI technology"];
       const result = await updateNewsFeed(keywords);
-      console.log("Final stored articles:\n", result);
+      console.log("Store result:\n", result);
     } catch (error) {
       console.error("Error in self-test:", error);
+    } finally {
+      await mongoose.disconnect();
     }
   })();
 }
@@ -17,25 +17,22 @@ require("dotenv").config(); // If you want to use .env for any config
 
 // -------------------- Imports -------------------- //
 
-// Example: using the OpenAI Node.js library for LLM-based strategic recommendations.
-//   npm install openai
-const { Configuration, OpenAIApi } = require("openai");
+// All model calls go through the shared LLM client layer (src/llm). Callers may
+// pass a company's client as options.llm; otherwise the default client is used.
+const { getLLMClient } = require("../llm");
+const { CHANNELS, parseChannels } = require("../config/channels");
+// Prompts are rendered from templates (src/utils/promptTemplates.js). Callers may
+// pass a company's version as options.promptTemplate; otherwise the built-in one is used.
+const { getDefaultTemplate, renderTemplate, templateRef } = require("../utils/promptTemplates");
 
-// A logger reference (could be a real logger like Winston, Pino, etc.)
-let logger = console;
+// Task kinds a plan may contain
+const TASK_TYPES = ["socialPost", "image", "ad"];
 
-// Retrieve OpenAI key from environment if you plan to use it
-const openAiKey = process.env.OPENAI_API_KEY || null;
+// How many times the AI is asked for a valid plan before falling back to local logic
+const MAX_AI_ATTEMPTS = 3;
 
-// If available, create an OpenAI client
-let openai = null;
-if (openAiKey) {
-  const configuration = new Configuration({ apiKey: openAiKey });
-  openai = new OpenAIApi(configuration);
-  logger.info("[StrategyAgent] OpenAI integration enabled.");
-} else {
-  logger.warn("[StrategyAgent] No OPENAI_API_KEY found. Running in local logic mode.");
-}
+// A logger reference (could be a real logger like Winston, Pino, etc.)
+let logger = console;
 
 // -------------------- StrategyAgent Initialization -------------------- //
 
@@ -54,11 +51,20 @@ function init(config) {
 
 /**
  * Create a high-level marketing plan given campaign objectives, budget, timeline, etc.
- * Optionally uses AI to refine the strategy. 
+ * Optionally uses AI to refine the strategy.
+ *
+ * The AI is asked for strict JSON, which is validated against the plan schema
+ * (see validatePlan). Small problems are repaired locally; otherwise the AI is
+ * re-prompted with the list of problems, and after MAX_AI_ATTEMPTS the local
+ * fallback plan is used.
  * @param {Object} campaignInputs - { objective, budget, timeline, brandGuidelines, targetAudience, channels }
- * @returns {Promise<Object>} - a plan object with tasks
+ * @param {Object} [options] - { llm, promptTemplate } the LLM client and "strategy-plan" template to use
+ * @returns {Promise<Object>} - { strategySummary, tasks: [{ name, channel, type, suggestedBudget, description }],
+ *   conversation, promptTemplate } where channel is a canonical channel name and suggestedBudget a number;
+ *   budgets sum to at most budget.total. conversation holds the messages that led to the plan, for refinePlan(),
+ *   and promptTemplate the { name, version, source } of the template used (unset for the local fallback plan)
  */
-async function generatePlan(campaignInputs) {
+async function generatePlan(campaignInputs, { llm = getLLMClient(), promptTemplate } = {}) {
   // Basic validation
   if (!campaignInputs || !campaignInputs.objective || !campaignInputs.budget) {
     throw new Error("[StrategyAgent] Missing essential campaignInputs like 'objective' or 'budget'.");
@@ -66,148 +72,333 @@ async function generatePlan(campaignInputs) {
 
   logger.info("[StrategyAgent] Generating marketing plan...");
 
-  const {
-    objective,
-    budget,
-    timeline,
-    brandGuidelines,
-    targetAudience,
-    channels,
-  } = campaignInputs;
-
-  // If we have OpenAI configured, let’s do a quick prompt to get strategic suggestions
-  // Otherwise, we’ll default to a local fallback logic.
-  if (openai) {
-    // Build a prompt for AI
-    const prompt = buildAiPrompt({
-      objective,
-      budget,
-      timeline,
-      brandGuidelines,
-      targetAudience,
-      channels,
-    });
+  const template = promptTemplate || getDefaultTemplate("strategy-plan");
+  const conversation = [{ role: "user", content: buildAiPrompt(campaignInputs, template) }];
+  const plan = await requestPlan(conversation, campaignInputs, llm);
+  if (plan) {
+    return { ...plan, promptTemplate: templateRef(template) };
+  }
+
+  logger.warn("[StrategyAgent] No valid AI plan after retries. Using local fallback plan.");
+  return withConversation(fallbackLocalPlan(campaignInputs), conversation);
+}
 
+/**
+ * Revise an existing plan based on marketer feedback. The feedback is sent as a
+ * follow-up to the conversation that produced the plan, so the AI sees the
+ * original inputs and every earlier revision.
+ * @param {Object} campaignInputs - same shape as for generatePlan()
+ * @param {Object} previousPlan - { strategySummary, tasks, conversation } (conversation may be empty
+ *   for plans made before conversations were kept; it is then rebuilt from the inputs and the plan)
+ * @param {String} feedback - what the marketer wants changed
+ * @param {Object} [options] - { llm, promptTemplate } the LLM client and "strategy-refine" template to use
+ * @returns {Promise<Object>} - the revised plan, same shape as generatePlan()'s result
+ * @throws {Error} error.code === "STRATEGY_UNAVAILABLE" if the AI gives no valid plan
+ *   (there is no sensible local fallback for free-form feedback)
+ */
+async function refinePlan(campaignInputs, previousPlan, feedback, { llm = getLLMClient(), promptTemplate } = {}) {
+  if (!campaignInputs || !campaignInputs.objective || !campaignInputs.budget) {
+    throw new Error("[StrategyAgent] Missing essential campaignInputs like 'objective' or 'budget'.");
+  }
+  if (!previousPlan || !feedback) {
+    throw new Error("[StrategyAgent] refinePlan() requires the previous plan and feedback.");
+  }
+
+  logger.info("[StrategyAgent] Refining marketing plan with feedback...");
+
+  const history = previousPlan.conversation && previousPlan.conversation.length > 0
+    ? previousPlan.conversation.map(({ role, content }) => ({ role, content }))
+    : [
+      { role: "user", content: buildAiPrompt(campaignInputs, getDefaultTemplate("strategy-plan")) },
+      { role: "assistant", content: JSON.stringify(planBody(previousPlan)) },
+    ];
+  const template = promptTemplate || getDefaultTemplate("strategy-refine");
+  const conversation = [...history, { role: "user", content: renderTemplate(template, { feedback }) }];
+
+  const plan = await requestPlan(conversation, campaignInputs, llm);
+  if (!plan) {
+    const error = new Error("The AI could not produce a valid revised plan. Try again later.");
+    error.code = "STRATEGY_UNAVAILABLE";
+    throw error;
+  }
+  return { ...plan, promptTemplate: templateRef(template) };
+}
+
+/**
+ * Ask the AI for a plan, re-prompting with validation errors up to MAX_AI_ATTEMPTS times.
+ * The conversation is not modified; the returned plan carries it plus the accepted answer.
+ * @param {Array<Object>} conversation - messages so far, ending with a user request for a plan
+ * @returns {Promise<Object|null>} the validated plan with its conversation, or null
+ */
+async function requestPlan(conversation, campaignInputs, llm) {
+  // The request grows with each repair round: prompt, answer, list of problems, ...
+  const messages = [...conversation];
+
+  for (let attempt = 1; attempt <= MAX_AI_ATTEMPTS; attempt++) {
+    let text;
     try {
-      const response = await openai.createCompletion({
-        model: "text-davinci-003",
-        prompt,
-        max_tokens: 300,
-        temperature: 0.7,
+      const response = await llm.complete({
+        system: "You are a marketing strategist. You answer with JSON only.",
+        messages,
+        maxTokens: 800,
+        temperature: 0.4,
+        json: true,
       });
-      const textStrategy = response.data.choices[0].text.trim();
-      logger.debug("[StrategyAgent] AI Plan Output:", textStrategy);
-
-      // Convert the AI text into a structured plan (we’ll parse it or just attach it)
-      // Here, we do a simple “extract tasks” approach.
-      const plan = parsePlanFromText(textStrategy);
-      return plan;
+      text = response.text;
+      logger.debug("[StrategyAgent] AI Plan Output:", text);
     } catch (error) {
-      logger.error("[StrategyAgent] Error calling OpenAI:", error);
-      return fallbackLocalPlan(campaignInputs);
+      // An exhausted AI budget is the caller's to report, not a reason to fall back
+      if (error.code === "AI_QUOTA_EXCEEDED") {
+        throw error;
+      }
+      logger.error(`[StrategyAgent] Error calling LLM provider "${llm.provider}":`, error);
+      return null;
+    }
+
+    const { plan, errors } = validatePlan(parsePlanJson(text), campaignInputs);
+    if (plan) {
+      // Repair rounds are left out so later refinements see a clean history
+      return withConversation(plan, conversation);
     }
-  } else {
-    // Local fallback logic
-    logger.info("[StrategyAgent] OpenAI is not configured. Using local fallback plan.");
-    return fallbackLocalPlan(campaignInputs);
+
+    logger.warn(`[StrategyAgent] AI plan invalid (attempt ${attempt}/${MAX_AI_ATTEMPTS}): ${errors.join(" ")}`);
+    messages.push(
+      { role: "assistant", content: typeof text === "string" ? text : "" },
+      { role: "user", content: buildRepairPrompt(errors) }
+    );
   }
+
+  return null;
 }
 
 /**
- * Example prompt builder for the AI-based strategy generation.
- * @param {Object} data
+ * Validate (and where possible repair) a raw plan against the plan schema:
+ *   { strategySummary: string, tasks: [{ name, channel, type, suggestedBudget, description }] }
+ *
+ * Repairs: channel names are mapped to canonical names ("Google Ads" -> "GoogleAds"),
+ * budgets like "$400" become numbers, a missing type is inferred from the channel,
+ * and budgets are scaled down if they add up to more than budget.total.
+ * @param {Object|null} raw - parsed JSON from the AI
+ * @param {Object} campaignInputs - the inputs the plan was generated for
+ * @returns {Object} { plan } if valid, or { plan: null, errors: [String] }
  */
-function buildAiPrompt(data) {
-  const { objective, budget, timeline, brandGuidelines, targetAudience, channels } = data;
+function validatePlan(raw, campaignInputs) {
+  if (!raw || typeof raw !== "object") {
+    return { plan: null, errors: ["Output is not a JSON object."] };
+  }
+  if (!Array.isArray(raw.tasks) || raw.tasks.length === 0) {
+    return { plan: null, errors: ["\"tasks\" must be a non-empty array."] };
+  }
 
-  return `
-You are a marketing strategist. Given the following inputs, create a structured marketing plan:
+  const allowedChannels = campaignChannels(campaignInputs);
+  const errors = [];
 
-Objective: ${objective}
-Budget: $${budget.total} total, with a daily cap of $${budget.dailyCap || "N/A"}.
-Timeline: from ${timeline?.start || "TBD"} to ${timeline?.end || "TBD"}.
-Brand Guidelines: ${brandGuidelines?.toneOfVoice || "friendly tone"}, 
-Target Audience: ${targetAudience || "general consumers"},
-Channels: ${channels?.join(", ") || "unspecified"},
+  const tasks = raw.tasks.map((task, index) => {
+    const label = `tasks[${index}]`;
+    if (!task || typeof task.name !== "string" || !task.name.trim()) {
+      errors.push(`${label}.name must be a non-empty string.`);
+      return null;
+    }
 
-Output a clear marketing plan with recommended tasks, channel usage, 
-posting frequency, ad budgets, and any crucial remarks.
-Each task should have:
- - name
- - channel
- - suggested budget or due date if applicable
- - short description
-`;
-}
+    const [channel] = parseChannels(task.channel);
+    if (!channel || !allowedChannels.includes(channel)) {
+      errors.push(`${label}.channel "${task.channel}" must be one of: ${allowedChannels.join(", ")}.`);
+    }
 
-/**
- * Simple function to parse tasks from the AI output text.
- * Here, we do a naive approach. In production, you’d want a more robust parser or a JSON format.
- * @param {String} text
- * @returns {Object} structured plan
- */
-function parsePlanFromText(text) {
-  // We'll build a simplistic approach:
-  // 1) Look for lines that contain "Task:" or bullet points
-  // 2) Convert them into an array of tasks
-  // This is purely illustrative, adapt to your needs.
-
-  const lines = text.split("\n");
-  const tasks = [];
-
-  lines.forEach((line) => {
-    const trimmed = line.trim();
-    if (trimmed.toLowerCase().startsWith("task:") || trimmed.startsWith("- ")) {
-      tasks.push({
-        name: trimmed.replace(/task:|-/i, "").trim(),
-        channel: "Unknown", // For demonstration, we’ll fill defaults
-        suggestedBudget: "TBD",
-        description: trimmed, // store the raw line
-      });
+    const budget = parseBudget(task.suggestedBudget);
+    if (budget === null) {
+      errors.push(`${label}.suggestedBudget must be a non-negative number.`);
     }
+
+    const type = TASK_TYPES.includes(task.type) ? task.type : inferTaskType(channel);
+
+    return {
+      name: task.name.trim(),
+      channel,
+      type,
+      suggestedBudget: budget,
+      description: typeof task.description === "string" ? task.description : "",
+    };
   });
 
-  // Return a plan object
+  if (errors.length > 0) {
+    return { plan: null, errors };
+  }
+
   return {
-    strategySummary: text,
-    tasks,
+    plan: {
+      strategySummary: typeof raw.strategySummary === "string" ? raw.strategySummary : "",
+      tasks: capBudgets(tasks, campaignInputs.budget.total),
+    },
   };
 }
 
+/**
+ * Prompt builder for the AI-based strategy generation. Asks for strict JSON.
+ * @param {Object} data - campaign inputs
+ * @param {Object} template - a "strategy-plan" prompt template
+ */
+function buildAiPrompt(data, template) {
+  const { objective, budget, timeline, brandGuidelines, targetAudience } = data;
+
+  return renderTemplate(template, {
+    objective,
+    budgetTotal: budget.total,
+    dailyCap: budget.dailyCap,
+    startDate: timeline?.start,
+    endDate: timeline?.end,
+    toneOfVoice: brandGuidelines?.toneOfVoice,
+    targetAudience,
+    channels: campaignChannels(data),
+    taskTypes: TASK_TYPES,
+  });
+}
+
+/**
+ * Follow-up message asking the AI to fix its previous answer.
+ * @param {Array<String>} errors - problems found by validatePlan
+ */
+function buildRepairPrompt(errors) {
+  return `Your previous answer was rejected for these reasons:
+${errors.map((error) => ` - ${error}`).join("\n")}
+
+Return the corrected JSON object only.
+`;
+}
+
+/**
+ * Extract and parse the JSON object from the AI output.
+ * Tolerates code fences or text around the object.
+ * @param {String} text
+ * @returns {Object|null} parsed object, or null if there is no valid JSON (or no text at all)
+ */
+function parsePlanJson(text) {
+  if (typeof text !== "string") {
+    return null;
+  }
+  const start = text.indexOf("{");
+  const end = text.lastIndexOf("}");
+  if (start === -1 || end <= start) {
+    return null;
+  }
+  try {
+    return JSON.parse(text.slice(start, end + 1));
+  } catch (error) {
+    return null;
+  }
+}
+
 /**
  * Local fallback plan generator if AI isn’t configured or fails.
+ * One task per campaign channel, with the budget split evenly.
  * @param {Object} inputs 
  * @returns {Object} plan
  */
 function fallbackLocalPlan(inputs) {
   logger.info("[StrategyAgent] Using fallback local plan logic.");
-  // Example, for a brand awareness objective:
-  const sampleTasks = [
-    {
-      name: "Create 3 Social Posts per week",
-      channel: "Facebook & Instagram",
-      suggestedBudget: `$${inputs.budget.dailyCap || "N/A"} daily for ads`,
-      description: "Short, engaging copy focusing on brand story and visuals.",
-    },
-    {
-      name: "Launch Google Ads Campaign",
-      channel: "Google Ads",
-      suggestedBudget: `$${inputs.budget.total * 0.4} overall`,
-      description: "Focus on relevant keywords, brand searches, and competitor terms.",
-    },
-  ];
 
+  const channels = campaignChannels(inputs);
+  const share = Math.floor(((inputs.budget.total || 0) / channels.length) * 100) / 100;
+
+  const tasks = channels.map((channel) => {
+    if (inferTaskType(channel) === "ad") {
+      return {
+        name: `Launch ${channel} Campaign`,
+        channel,
+        type: "ad",
+        suggestedBudget: share,
+        description: "Focus on relevant keywords, brand searches, and competitor terms.",
+      };
+    }
+    return {
+      name: `Create 3 ${channel} Posts per week`,
+      channel,
+      type: "socialPost",
+      suggestedBudget: share,
+      description: "Short, engaging copy focusing on brand story and visuals, boosted with ads.",
+    };
+  });
+
+  return {
+    strategySummary: `Local fallback strategy for "${inputs.objective}" across ${channels.join(", ")}.`,
+    tasks,
+  };
+}
+
+// -------------------- Helpers -------------------- //
+
+/**
+ * The plan fields the AI produces (what it sees of a plan in the conversation).
+ */
+function planBody(plan) {
   return {
-    strategySummary: "Local fallback strategy for brand awareness with multi-channel approach.",
-    tasks: sampleTasks,
+    strategySummary: plan.strategySummary,
+    tasks: (plan.tasks || []).map(({ name, channel, type, suggestedBudget, description }) => ({
+      name,
+      channel,
+      type,
+      suggestedBudget,
+      description,
+    })),
   };
 }
 
+/**
+ * Attach the conversation that produced a plan, ending with the plan as the AI's answer.
+ */
+function withConversation(plan, conversation) {
+  return {
+    ...plan,
+    conversation: [...conversation, { role: "assistant", content: JSON.stringify(planBody(plan)) }],
+  };
+}
+
+/**
+ * The canonical channels a plan may use: the campaign's channels if set, else all.
+ */
+function campaignChannels(inputs) {
+  const channels = (inputs.channels || []).flatMap((channel) => parseChannels(channel));
+  return channels.length > 0 ? [...new Set(channels)] : CHANNELS;
+}
+
+/**
+ * Ads-only channels get "ad" tasks; the rest get social posts.
+ */
+function inferTaskType(channel) {
+  return channel === "GoogleAds" ? "ad" : "socialPost";
+}
+
+/**
+ * Turn a budget like 400, "400" or "$1,200.50" into a number.
+ * @returns {Number|null} the amount, or null if it isn't a non-negative number
+ */
+function parseBudget(value) {
+  const amount = typeof value === "number" ? value : parseFloat(String(value).replace(/[$,\s]/g, ""));
+  return Number.isFinite(amount) && amount >= 0 ? amount : null;
+}
+
+/**
+ * Scale task budgets down proportionally (to the cent) if they exceed the total.
+ */
+function capBudgets(tasks, total = 0) {
+  const sum = tasks.reduce((acc, task) => acc + task.suggestedBudget, 0);
+  if (sum <= total) {
+    return tasks;
+  }
+  const factor = total > 0 ? total / sum : 0;
+  return tasks.map((task) => ({
+    ...task,
+    suggestedBudget: Math.floor(task.suggestedBudget * factor * 100) / 100,
+  }));
+}
+
 // -------------------- Exported API -------------------- //
 
 module.exports = {
   init,
   generatePlan,
+  refinePlan,
+  validatePlan,
 };
 
 // -------------------- Optional: Self-Test / Demo -------------------- //
@@ -3,6 +3,8 @@
 require("dotenv").config();
 const express = require("express");
 const { connectDB } = require("./config/database");
+const path = require("path");
+const { runQueueWorkers, runScheduler, storageDriver, storageLocalDir } = require("./config");
 
 // (Optional) Swagger dependencies
 const swaggerUi = require("swagger-ui-express");
@@ -35,10 +37,31 @@ const yaml = require("yamljs");
     const routes = require("./routes");
     app.use("/", routes);
 
-    // 7. Define the port (from .env or a default)
+    // 7. Serve media library files kept by the local storage driver (see src/storage).
+    //    Deliberately public, like the S3 driver's public-read bucket: social platforms
+    //    fetch these URLs to post and <img> tags can't send a token. Files are only
+    //    reachable by their random keys (see asset.service.js); there are no listings.
+    if (storageDriver === "local") {
+      app.use("/media", express.static(path.resolve(storageLocalDir), { index: false, redirect: false }));
+    }
+
+    // 8. Process background agent jobs in this process if configured
+    //    (otherwise run them separately with `npm run worker`)
+    if (runQueueWorkers) {
+      const { startWorkers } = require("./queues/worker");
+      startWorkers();
+    }
+
+    // 9. Start the recurring schedule engine (news polling, metrics collection)
+    if (runScheduler) {
+      const { startScheduler } = require("./queues/scheduler");
+      startScheduler();
+    }
+
+    // 10. Define the port (from .env or a default)
     const port = process.env.PORT || 3000;
 
-    // 8. Start the server
+    // 11. Start the server
     app.listen(port, () => {
       console.log(`Server is running on port ${port}`);
     });
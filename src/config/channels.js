@@ -0,0 +1,30 @@
+// src/config/channels.js
+
+/**
+ * Canonical marketing channel names.
+ *
+ * These are the values stored in Campaign.channels and Content.platform,
+ * and the names the agents check for (e.g. campaign.channels.includes("GoogleAds")).
+ *
+ * Usage:
+ *   const { CHANNELS } = require("../config/channels");
+ */
+
+const CHANNELS = ["Facebook", "Instagram", "Twitter", "LinkedIn", "GoogleAds"];
+
+/**
+ * parseChannels
+ * Extracts the canonical channels mentioned in free-form text, e.g.
+ * "Facebook & Instagram" -> ["Facebook", "Instagram"], "Google Ads" -> ["GoogleAds"].
+ * @param {String} text
+ * @returns {Array<String>} canonical channel names, in CHANNELS order
+ */
+function parseChannels(text) {
+  const squashed = String(text || "").toLowerCase().replace(/[^a-z0-9]/g, "");
+  return CHANNELS.filter((channel) => squashed.includes(channel.toLowerCase()));
+}
+
+module.exports = {
+  CHANNELS,
+  parseChannels
+};
@@ -2,6 +2,8 @@
 
 require("dotenv").config(); // Load environment variables from .env
 const mongoose = require("mongoose");
+// Registers the models synced by syncChangedIndexes()
+require("../models/news.model");
 
 // If you have a custom logger, require it here (e.g., Winston or Pino).
 // For demonstration, we'll use console for logging.
@@ -25,6 +27,31 @@ async function connectDB() {
     logger.error("[database.js] MongoDB connection error:", error);
     process.exit(1); // Exit if connection fails, to avoid running in a broken state
   }
+
+  await syncChangedIndexes();
+}
+
+// Models whose indexes changed shape since they were first created. Their
+// indexes are synced on startup: syncIndexes() drops the ones the schema no
+// longer declares (e.g. News' old unique "url_1") and builds the new ones.
+const MODELS_WITH_CHANGED_INDEXES = ["News"];
+
+/**
+ * syncChangedIndexes
+ * Brings existing databases in line with MODELS_WITH_CHANGED_INDEXES. A failure
+ * is logged rather than stopping the app.
+ */
+async function syncChangedIndexes() {
+  for (const name of MODELS_WITH_CHANGED_INDEXES) {
+    try {
+      const dropped = await mongoose.model(name).syncIndexes();
+      if (dropped.length > 0) {
+        logger.info(`[database.js] Dropped outdated ${name} indexes: ${dropped.join(", ")}`);
+      }
+    } catch (error) {
+      logger.error(`[database.js] Failed to sync ${name} indexes:`, error);
+    }
+  }
 }
 
 module.exports = {
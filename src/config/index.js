@@ -25,18 +25,98 @@ const dbUri = process.env.DATABASE_URL || "mongodb://127.0.0.1:27017/auto_market
 // OpenAI API key for AI-based features (ContentAgent, StrategyAgent)
 const openAiKey = process.env.OPENAI_API_KEY || null;
 
+// Default LLM provider and models for the agents (see src/llm). Companies can override
+// provider and model through Company.llm. Providers: "openai", "openai-compatible", "mock".
+// Without an OpenAI key the default is the offline "mock" provider.
+const llmProvider = process.env.LLM_PROVIDER || (openAiKey ? "openai" : "mock");
+const llmModel = process.env.LLM_MODEL || "gpt-4o-mini";
+const llmImageModel = process.env.LLM_IMAGE_MODEL || "dall-e-2";
+
+// OpenAI-compatible endpoint for the "openai-compatible" provider (e.g. Ollama, llama.cpp server)
+const llmBaseUrl = process.env.LLM_BASE_URL || "http://127.0.0.1:11434/v1";
+const llmApiKey = process.env.LLM_API_KEY || null;
+
 // News API key for the NewsAgent (e.g., from NewsAPI.org)
 const newsApiKey = process.env.NEWS_API_KEY || null;
 
 // JWT secret key (for authentication tokens, if using JWT)
 const jwtSecret = process.env.JWT_SECRET || "mySecretKey";
 
+// Redis connection string for the Bull job queues
+const redisUrl = process.env.REDIS_URL || "redis://127.0.0.1:6379";
+
+// Queue backend: "bull" (Redis) or "memory" (in-process stand-in, no Redis needed)
+const queueDriver = process.env.QUEUE_DRIVER || "bull";
+
+// Whether this process should also run the queue workers.
+// The memory driver always runs them in-process, since jobs live in this process.
+const runQueueWorkers = process.env.QUEUE_RUN_WORKERS === "true" || queueDriver === "memory";
+
+// Whether this process runs the recurring schedule engine, and how often it checks for due schedules.
+// Safe on every instance: schedule runs are locked in MongoDB.
+const runScheduler = process.env.SCHEDULER_ENABLED !== "false";
+const schedulerIntervalMs = parseInt(process.env.SCHEDULER_INTERVAL_MS, 10) || 60000;
+
+// How often the publishing engine tries to post a scheduled content item before marking it failed.
+// It runs on the scheduler tick (see services/publishing.service.js).
+const publishMaxAttempts = parseInt(process.env.PUBLISH_MAX_ATTEMPTS, 10) || 3;
+
+// Media asset storage (see src/storage): "local" (files under STORAGE_LOCAL_DIR, served by
+// the app at /media) or "s3" (any S3-compatible service, e.g. a local MinIO).
+// STORAGE_PUBLIC_URL is the base URL stored files are reachable at; it defaults to /media
+// for local storage and to S3_ENDPOINT/S3_BUCKET (a public-read bucket) for S3.
+const storageDriver = process.env.STORAGE_DRIVER || "local";
+const storageLocalDir = process.env.STORAGE_LOCAL_DIR || "./uploads";
+const storagePublicUrl = process.env.STORAGE_PUBLIC_URL || null;
+const s3 = {
+  endpoint: process.env.S3_ENDPOINT || "http://127.0.0.1:9000",
+  region: process.env.S3_REGION || "us-east-1",
+  bucket: process.env.S3_BUCKET || "auto-marketing-assets",
+  accessKeyId: process.env.S3_ACCESS_KEY_ID || "minioadmin",
+  secretAccessKey: process.env.S3_SECRET_ACCESS_KEY || "minioadmin",
+  // MinIO and most S3 stand-ins need path-style URLs (endpoint/bucket/key)
+  forcePathStyle: process.env.S3_FORCE_PATH_STYLE !== "false"
+};
+
+// Social and ad platform APIs (see src/integrations). PLATFORM_API_MOCK_URL points all of them
+// at the bundled mock platform server (npm run mock-platforms), e.g. http://127.0.0.1:4010,
+// so publishing can run offline. Each can also be overridden on its own.
+const platformApiMockUrl = process.env.PLATFORM_API_MOCK_URL || null;
+const platformApis = {
+  // Facebook Pages, Instagram and Meta Ads all use the Graph API
+  graph: process.env.GRAPH_API_URL || (platformApiMockUrl ? `${platformApiMockUrl}/graph` : "https://graph.facebook.com/v19.0"),
+  linkedIn: process.env.LINKEDIN_API_URL || (platformApiMockUrl ? `${platformApiMockUrl}/linkedin` : "https://api.linkedin.com"),
+  twitter: process.env.TWITTER_API_URL || (platformApiMockUrl ? `${platformApiMockUrl}/twitter` : "https://api.x.com"),
+  googleAds: process.env.GOOGLE_ADS_API_URL || (platformApiMockUrl ? `${platformApiMockUrl}/googleads` : "https://googleads.googleapis.com/v17"),
+  googleAdsDeveloperToken: process.env.GOOGLE_ADS_DEVELOPER_TOKEN || null
+};
+
+// Public base URL of this API; platforms fetch media from relative URLs (e.g. /media/...) through it
+const appPublicUrl = process.env.APP_PUBLIC_URL || `http://localhost:${port}`;
+
 // Export all config in a single object
 module.exports = {
   env,
   port,
   dbUri,
   openAiKey,
+  llmProvider,
+  llmModel,
+  llmImageModel,
+  llmBaseUrl,
+  llmApiKey,
   newsApiKey,
   jwtSecret,
+  redisUrl,
+  queueDriver,
+  runQueueWorkers,
+  runScheduler,
+  schedulerIntervalMs,
+  publishMaxAttempts,
+  storageDriver,
+  storageLocalDir,
+  storagePublicUrl,
+  s3,
+  platformApis,
+  appPublicUrl,
 };
@@ -0,0 +1,212 @@
+// src/config/permissions.js
+
+/**
+ * Permission matrix for role-based authorization.
+ *
+ * Each role maps to the list of actions it may perform. A user has a global role
+ * (User.role) and, for each company they belong to, a per-company role
+ * (Membership.role). On company-scoped routes the per-company role applies;
+ * global admins keep full access everywhere.
+ *
+ * Actions are "<resource>:<verb>" strings, and routes declare the one they need
+ * through roleMiddleware, e.g.:
+ *
+ *   const roleMiddleware = require("../middlewares/role.middleware");
+ *   router.delete("/campaigns/:campaignId", roleMiddleware("campaign:delete"), ...);
+ *
+ * To change who can do what, edit ROLE_PERMISSIONS below.
+ */
+
+// Roles a user can hold globally (see User.role)
+const ROLES = ["admin", "marketer", "viewer"];
+
+// Roles a user can hold within a company (see Membership.role)
+const COMPANY_ROLES = ["owner", "admin", "marketer", "viewer"];
+
+// Every action known to the system
+const PERMISSIONS = [
+  // Campaigns
+  "campaign:create",
+  "campaign:read",
+  "campaign:update",
+  "campaign:delete",
+  "campaign:finalize",
+
+  // Campaign plans
+  "plan:create",
+  "plan:read",
+  "plan:update",
+
+  // Agent pipeline runs (start and resume; see agents/index.js)
+  "agentRun:create",
+  "agentRun:read",
+
+  // Content
+  "content:create",
+  "content:read",
+  "content:update",
+  "content:delete",
+  "content:approve",
+  "content:review", // approve/reject as a reviewer named in the item's approval chain
+
+  // Comments on content (editing and deleting is limited to the author)
+  "comment:read",
+  "comment:create",
+
+  // Approval chains
+  "approvalChain:create",
+  "approvalChain:read",
+  "approvalChain:update",
+  "approvalChain:delete",
+
+  // Companies
+  "company:create",
+  "company:list",
+  "company:read",
+  "company:update",
+  "company:delete",
+
+  // Company members
+  "member:read",
+  "member:invite",
+  "member:remove",
+
+  // Recurring schedules
+  "schedule:create",
+  "schedule:read",
+  "schedule:update",
+  "schedule:delete",
+
+  // Prompt templates
+  "promptTemplate:read",
+  "promptTemplate:update",
+
+  // LLM usage reports
+  "usage:read",
+
+  // Integrations with external platforms (hold OAuth tokens)
+  "integration:read",
+  "integration:create",
+  "integration:update",
+  "integration:delete",
+
+  // Media library
+  "asset:create",
+  "asset:read",
+  "asset:update",
+  "asset:delete",
+
+  // News (global news, without a company, is changed by global admins only)
+  "news:read",
+  "news:create",
+  "news:update",
+  "news:delete",
+
+  // Background jobs (queues)
+  "job:create",
+  "job:read",
+  "job:manage",
+
+  // Users
+  "user:list",
+  "user:read",
+  "user:update",
+  "user:update-role",
+  "user:delete"
+];
+
+const ROLE_PERMISSIONS = {
+  // Admins (global or company) can do everything
+  admin: [...PERMISSIONS],
+
+  // Company owners have full control over their company
+  owner: [...PERMISSIONS],
+
+  // Marketers run campaigns and produce content, but don't manage users
+  // or approve their own content.
+  marketer: [
+    "campaign:create",
+    "campaign:read",
+    "campaign:update",
+    "campaign:finalize",
+    "plan:create",
+    "plan:read",
+    "plan:update",
+    "agentRun:create",
+    "agentRun:read",
+    "content:create",
+    "content:read",
+    "content:update",
+    "content:delete",
+    "content:review",
+    "approvalChain:read",
+    "comment:read",
+    "comment:create",
+    "company:create",
+    "company:read",
+    "member:read",
+    "schedule:create",
+    "schedule:read",
+    "schedule:update",
+    "schedule:delete",
+    "promptTemplate:read",
+    "usage:read",
+    "integration:read",
+    "integration:create",
+    "integration:update",
+    "integration:delete",
+    "asset:create",
+    "asset:read",
+    "asset:update",
+    "asset:delete",
+    "news:read",
+    "news:create",
+    "news:update",
+    "news:delete",
+    "job:create",
+    "job:read",
+    "job:manage"
+  ],
+
+  // Viewers are read-only, apart from reviewing content they're a named reviewer of
+  // and discussing it in comments
+  viewer: [
+    "campaign:read",
+    "plan:read",
+    "agentRun:read",
+    "content:read",
+    "content:review",
+    "approvalChain:read",
+    "comment:read",
+    "comment:create",
+    "company:read",
+    "member:read",
+    "schedule:read",
+    "promptTemplate:read",
+    "usage:read",
+    "asset:read",
+    "news:read",
+    "job:read"
+  ]
+};
+
+/**
+ * hasPermission
+ * Checks whether a role is allowed to perform an action.
+ * Unknown roles have no permissions.
+ * @param {String} role - e.g. "marketer"
+ * @param {String} permission - e.g. "campaign:delete"
+ * @returns {Boolean}
+ */
+function hasPermission(role, permission) {
+  const allowed = ROLE_PERMISSIONS[role];
+  return Array.isArray(allowed) && allowed.includes(permission);
+}
+
+module.exports = {
+  ROLES,
+  COMPANY_ROLES,
+  PERMISSIONS,
+  ROLE_PERMISSIONS,
+  hasPermission
+};
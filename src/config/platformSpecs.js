@@ -0,0 +1,149 @@
+// src/config/platformSpecs.js
+
+/**
+ * Platform specs
+ *
+ * Per-channel rules for generated and edited content: length limits, hashtag
+ * conventions, link handling and emoji policy, plus the Google Ads responsive
+ * search ad limits. ContentAgent puts the rules in its prompts and
+ * utils/platformValidator.js enforces them before Content is saved.
+ *
+ * Keys are the canonical channel names from config/channels.js.
+ *
+ * Fields:
+ *   format       "post" (free text) or "ad" (headlines + descriptions, see ad below)
+ *   maxChars     hard character limit of the text
+ *   linkLength   characters a URL counts as (Twitter shortens every link to 23)
+ *   hashtags     { max, placement } placement "end" or "inline"
+ *   links        "allowed" or "none" (e.g. Instagram captions don't make links clickable)
+ *   emoji        "encouraged", "sparing" or "none"
+ *   maxTokens    completion budget for generating one item
+ *   guidance     extra conventions for the prompt
+ *   renditions   image sizes [{ name, width, height }] the platform needs; the first one
+ *                is used for posts (see services/asset.service.js)
+ *
+ * Usage:
+ *   const { getPlatformSpec } = require("../config/platformSpecs");
+ *   const spec = getPlatformSpec("Twitter"); // spec.maxChars === 280
+ */
+
+const PLATFORM_SPECS = {
+  Twitter: {
+    format: "post",
+    maxChars: 280,
+    linkLength: 23,
+    hashtags: { max: 2, placement: "inline" },
+    links: "allowed",
+    emoji: "sparing",
+    maxTokens: 120,
+    guidance: "One punchy idea. Leave room for a link; every link counts as 23 characters.",
+    // summary_large_image card (1.91:1)
+    renditions: [{ name: "card", width: 1200, height: 628 }]
+  },
+  LinkedIn: {
+    format: "post",
+    maxChars: 3000,
+    hashtags: { max: 5, placement: "end" },
+    links: "allowed",
+    emoji: "sparing",
+    maxTokens: 700,
+    guidance: "Professional tone. Hook in the first two lines, which show before \"see more\".",
+    renditions: [{ name: "card", width: 1200, height: 627 }]
+  },
+  Instagram: {
+    format: "post",
+    maxChars: 2200,
+    hashtags: { max: 30, placement: "end" },
+    links: "none",
+    emoji: "encouraged",
+    maxTokens: 600,
+    guidance: "Links in captions aren't clickable: say \"link in bio\" instead. Put 5-10 relevant hashtags at the end.",
+    renditions: [
+      { name: "square", width: 1080, height: 1080 },
+      { name: "portrait", width: 1080, height: 1350 } // 4:5, the tallest feed format
+    ]
+  },
+  Facebook: {
+    format: "post",
+    maxChars: 63206,
+    hashtags: { max: 3, placement: "end" },
+    links: "allowed",
+    emoji: "sparing",
+    maxTokens: 300,
+    guidance: "Posts of 40-80 characters get the most engagement; keep it under 250 characters.",
+    renditions: [{ name: "link", width: 1200, height: 630 }]
+  },
+  GoogleAds: {
+    format: "ad",
+    // Responsive search ad
+    ad: {
+      headlines: { min: 3, max: 15, maxChars: 30 },
+      descriptions: { min: 2, max: 4, maxChars: 90 }
+    },
+    hashtags: { max: 0, placement: "inline" },
+    links: "none",
+    emoji: "none",
+    maxTokens: 400,
+    guidance: "No exclamation mark in headlines, no ALL CAPS words, no emoji.",
+    // Responsive display ad images, then the common fixed display sizes
+    renditions: [
+      { name: "landscape", width: 1200, height: 628 },
+      { name: "square", width: 1200, height: 1200 },
+      { name: "medium-rectangle", width: 300, height: 250 },
+      { name: "leaderboard", width: 728, height: 90 },
+      { name: "wide-skyscraper", width: 160, height: 600 },
+      { name: "mobile-banner", width: 320, height: 50 }
+    ]
+  }
+};
+
+/**
+ * getPlatformSpec
+ * @param {String} platform - a canonical channel name
+ * @returns {Object|null} the platform's spec, or null for unknown platforms (e.g. "Other")
+ */
+function getPlatformSpec(platform) {
+  return PLATFORM_SPECS[platform] || null;
+}
+
+/**
+ * describePlatformRules
+ * Turns a spec into the rules text given to the LLM.
+ * @param {Object} spec
+ * @returns {String} one rule per line
+ */
+function describePlatformRules(spec) {
+  if (!spec) {
+    return "";
+  }
+
+  const rules = [];
+  if (spec.format === "ad") {
+    const { headlines, descriptions } = spec.ad;
+    rules.push(`- ${headlines.min}-${headlines.max} headlines of at most ${headlines.maxChars} characters each.`);
+    rules.push(`- ${descriptions.min}-${descriptions.max} descriptions of at most ${descriptions.maxChars} characters each.`);
+  } else {
+    rules.push(`- At most ${spec.maxChars} characters in total.`);
+  }
+  rules.push(spec.hashtags.max > 0
+    ? `- At most ${spec.hashtags.max} hashtags, placed ${spec.hashtags.placement === "end" ? "at the end" : "inline"}.`
+    : "- No hashtags.");
+  if (spec.links === "none") {
+    rules.push("- No URLs.");
+  }
+  rules.push({
+    encouraged: "- Emoji are welcome.",
+    sparing: "- Use emoji sparingly, if at all.",
+    none: "- No emoji."
+  }[spec.emoji]);
+  if (spec.guidance) {
+    rules.push(`- ${spec.guidance}`);
+  }
+  return rules.join("\n");
+}
+
+module.exports = {
+  PLATFORM_SPECS,
+  getPlatformSpec,
+  describePlatformRules
+};
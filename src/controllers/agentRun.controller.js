@@ -0,0 +1,166 @@
+// src/controllers/agentRun.controller.js
+
+/**
+ * Agent Run Controller
+ *
+ * Starts, lists, inspects and resumes runs of a campaign's agent pipeline.
+ * Runs are executed by the pipeline queue's worker; poll a run to follow it.
+ */
+
+const agentRunService = require("../services/agentRun.service");
+const { isTenantError } = require("../utils/tenantGuard");
+
+/**
+ * Maps agentRunService errors to HTTP responses.
+ * Returns null if the error isn't one of them.
+ */
+function handleAgentRunError(res, error) {
+  if (isTenantError(error)) {
+    return res.status(403).json({
+      success: false,
+      message: error.message,
+    });
+  }
+  if (error.code === "AGENT_RUN_CONFLICT") {
+    return res.status(409).json({
+      success: false,
+      message: error.message,
+    });
+  }
+  return null;
+}
+
+/**
+ * POST /api/companies/:companyId/campaigns/:campaignId/agent-runs
+ * Queues a pipeline run for the campaign. Responds 202 with the queued run.
+ */
+async function startAgentRun(req, res) {
+  try {
+    const { companyId, campaignId } = req.params;
+
+    const run = await agentRunService.startAgentRun(companyId, campaignId, { userId: req.user.userId });
+    return res.status(202).json({
+      success: true,
+      data: run,
+      message: "Agent run queued.",
+    });
+  } catch (error) {
+    console.error("[AgentRunController] Error in startAgentRun:", error);
+
+    const handled = handleAgentRunError(res, error);
+    if (handled) {
+      return handled;
+    }
+
+    return res.status(500).json({
+      success: false,
+      message: "Failed to start agent run.",
+    });
+  }
+}
+
+/**
+ * GET /api/companies/:companyId/campaigns/:campaignId/agent-runs
+ * Lists the campaign's pipeline runs. Query params may include: status, page, limit.
+ */
+async function getAgentRuns(req, res) {
+  try {
+    const { companyId, campaignId } = req.params;
+
+    const runs = await agentRunService.getAgentRuns(companyId, campaignId, req.query);
+    return res.status(200).json({
+      success: true,
+      data: runs,
+    });
+  } catch (error) {
+    console.error("[AgentRunController] Error in getAgentRuns:", error);
+
+    const handled = handleAgentRunError(res, error);
+    if (handled) {
+      return handled;
+    }
+
+    return res.status(500).json({
+      success: false,
+      message: "Failed to fetch agent runs.",
+    });
+  }
+}
+
+/**
+ * GET /api/companies/:companyId/campaigns/:campaignId/agent-runs/:runId
+ * Retrieves one run with the status and output of each step.
+ */
+async function getAgentRunById(req, res) {
+  try {
+    const { companyId, campaignId, runId } = req.params;
+
+    const run = await agentRunService.getAgentRunById(companyId, campaignId, runId);
+    if (!run) {
+      return res.status(404).json({
+        success: false,
+        message: `No agent run found with ID: ${runId}`,
+      });
+    }
+
+    return res.status(200).json({
+      success: true,
+      data: run,
+    });
+  } catch (error) {
+    console.error("[AgentRunController] Error in getAgentRunById:", error);
+
+    const handled = handleAgentRunError(res, error);
+    if (handled) {
+      return handled;
+    }
+
+    return res.status(500).json({
+      success: false,
+      message: "Failed to fetch agent run.",
+    });
+  }
+}
+
+/**
+ * POST /api/companies/:companyId/campaigns/:campaignId/agent-runs/:runId/resume
+ * Queues a failed run to continue from its last completed step.
+ */
+async function resumeAgentRun(req, res) {
+  try {
+    const { companyId, campaignId, runId } = req.params;
+
+    const run = await agentRunService.resumeAgentRun(companyId, campaignId, runId, { userId: req.user.userId });
+    if (!run) {
+      return res.status(404).json({
+        success: false,
+        message: `No agent run found with ID: ${runId}`,
+      });
+    }
+
+    return res.status(202).json({
+      success: true,
+      data: run,
+      message: "Agent run queued to resume.",
+    });
+  } catch (error) {
+    console.error("[AgentRunController] Error in resumeAgentRun:", error);
+
+    const handled = handleAgentRunError(res, error);
+    if (handled) {
+      return handled;
+    }
+
+    return res.status(500).json({
+      success: false,
+      message: "Failed to resume agent run.",
+    });
+  }
+}
+
+module.exports = {
+  startAgentRun,
+  getAgentRuns,
+  getAgentRunById,
+  resumeAgentRun
+};
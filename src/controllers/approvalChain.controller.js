@@ -0,0 +1,183 @@
+// src/controllers/approvalChain.controller.js
+
+/**
+ * Approval Chain Controller
+ *
+ * Manages a company's approval chains (the review steps content goes through
+ * before it's approved). Delegates to approvalChainService.
+ */
+
+const approvalChainService = require("../services/approvalChain.service");
+
+/**
+ * Maps validation errors (ours and Mongoose's) to a 400 response and
+ * duplicate names to 409. Returns null if the error isn't one of them.
+ */
+function handleValidationError(res, error) {
+  if (error.code === "APPROVAL_CHAIN_VALIDATION" || error.name === "ValidationError" || error.name === "CastError") {
+    return res.status(400).json({
+      success: false,
+      message: error.message
+    });
+  }
+  if (error.code === "APPROVAL_CHAIN_CONFLICT") {
+    return res.status(409).json({
+      success: false,
+      message: error.message
+    });
+  }
+  return null;
+}
+
+/**
+ * POST /companies/:companyId/approval-chains
+ * Creates an approval chain. Expects req.body with { name, description, appliesTo, steps, enabled }.
+ */
+async function createApprovalChain(req, res) {
+  try {
+    const { companyId } = req.params;
+
+    const chain = await approvalChainService.createApprovalChain(companyId, req.body, req.user.userId);
+    return res.status(201).json({
+      success: true,
+      data: chain,
+      message: "Approval chain created successfully."
+    });
+  } catch (error) {
+    console.error("[ApprovalChainController] Error in createApprovalChain:", error);
+
+    const handled = handleValidationError(res, error);
+    if (handled) {
+      return handled;
+    }
+
+    return res.status(500).json({
+      success: false,
+      message: "Failed to create approval chain."
+    });
+  }
+}
+
+/**
+ * GET /companies/:companyId/approval-chains
+ * Lists a company's approval chains. Query params may include: enabled.
+ */
+async function getApprovalChains(req, res) {
+  try {
+    const { companyId } = req.params;
+
+    const chains = await approvalChainService.getApprovalChains(companyId, req.query);
+    return res.status(200).json({
+      success: true,
+      data: chains
+    });
+  } catch (error) {
+    console.error("[ApprovalChainController] Error in getApprovalChains:", error);
+    return res.status(500).json({
+      success: false,
+      message: "Failed to retrieve approval chains."
+    });
+  }
+}
+
+/**
+ * GET /companies/:companyId/approval-chains/:chainId
+ * Retrieves a single approval chain.
+ */
+async function getApprovalChainById(req, res) {
+  try {
+    const { companyId, chainId } = req.params;
+
+    const chain = await approvalChainService.getApprovalChainById(companyId, chainId);
+    if (!chain) {
+      return res.status(404).json({
+        success: false,
+        message: `No approval chain found with ID: ${chainId}`
+      });
+    }
+
+    return res.status(200).json({
+      success: true,
+      data: chain
+    });
+  } catch (error) {
+    console.error("[ApprovalChainController] Error in getApprovalChainById:", error);
+    return res.status(500).json({
+      success: false,
+      message: "Failed to retrieve approval chain."
+    });
+  }
+}
+
+/**
+ * PATCH /companies/:companyId/approval-chains/:chainId
+ * Updates an approval chain (steps, reviewers, appliesTo, or enabled to switch it off).
+ */
+async function updateApprovalChain(req, res) {
+  try {
+    const { companyId, chainId } = req.params;
+
+    const chain = await approvalChainService.updateApprovalChain(companyId, chainId, req.body);
+    if (!chain) {
+      return res.status(404).json({
+        success: false,
+        message: `No approval chain found with ID: ${chainId}`
+      });
+    }
+
+    return res.status(200).json({
+      success: true,
+      data: chain,
+      message: "Approval chain updated successfully."
+    });
+  } catch (error) {
+    console.error("[ApprovalChainController] Error in updateApprovalChain:", error);
+
+    const handled = handleValidationError(res, error);
+    if (handled) {
+      return handled;
+    }
+
+    return res.status(500).json({
+      success: false,
+      message: "Failed to update approval chain."
+    });
+  }
+}
+
+/**
+ * DELETE /companies/:companyId/approval-chains/:chainId
+ * Deletes an approval chain. Content already in review keeps its steps.
+ */
+async function deleteApprovalChain(req, res) {
+  try {
+    const { companyId, chainId } = req.params;
+
+    const deleted = await approvalChainService.deleteApprovalChain(companyId, chainId);
+    if (!deleted) {
+      return res.status(404).json({
+        success: false,
+        message: `No approval chain found with ID: ${chainId}`
+      });
+    }
+
+    return res.status(200).json({
+      success: true,
+      message: "Approval chain deleted successfully."
+    });
+  } catch (error) {
+    console.error("[ApprovalChainController] Error in deleteApprovalChain:", error);
+    return res.status(500).json({
+      success: false,
+      message: "Failed to delete approval chain."
+    });
+  }
+}
+
+module.exports = {
+  createApprovalChain,
+  getApprovalChains,
+  getApprovalChainById,
+  updateApprovalChain,
+  deleteApprovalChain
+};
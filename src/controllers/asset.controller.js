@@ -0,0 +1,251 @@
+// src/controllers/asset.controller.js
+
+/**
+ * Asset Controller
+ *
+ * The company media library: upload, list, tag and delete images, read
+ * stored files back, and create platform renditions. Delegates to assetService.
+ */
+
+const assetService = require("../services/asset.service");
+
+/**
+ * POST /companies/:companyId/assets
+ * Uploads an image (multipart/form-data: "file", optional "tags" as a comma-separated list).
+ */
+async function uploadAsset(req, res) {
+  try {
+    const { companyId } = req.params;
+
+    const asset = await assetService.uploadAsset(companyId, req.file, {
+      tags: req.body.tags,
+      userId: req.user.userId
+    });
+
+    return res.status(201).json({
+      success: true,
+      data: asset,
+      message: "Asset uploaded successfully."
+    });
+  } catch (error) {
+    console.error("[AssetController] Error in uploadAsset:", error);
+
+    if (error.code === "ASSET_VALIDATION") {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    return res.status(500).json({
+      success: false,
+      message: "Failed to upload asset."
+    });
+  }
+}
+
+/**
+ * GET /companies/:companyId/assets
+ * Lists the company's assets, newest first. Query params: tag, source, page, limit.
+ */
+async function getAssets(req, res) {
+  try {
+    const { companyId } = req.params;
+    const { tag, source, page, limit } = req.query;
+
+    const assets = await assetService.listAssets(companyId, { tag, source, page, limit });
+    return res.status(200).json({
+      success: true,
+      data: assets
+    });
+  } catch (error) {
+    console.error("[AssetController] Error in getAssets:", error);
+    return res.status(500).json({
+      success: false,
+      message: "Failed to retrieve assets."
+    });
+  }
+}
+
+/**
+ * GET /companies/:companyId/assets/:assetId
+ * Returns one asset's details.
+ */
+async function getAssetById(req, res) {
+  try {
+    const { companyId, assetId } = req.params;
+
+    const asset = await assetService.getAsset(companyId, assetId);
+    if (!asset) {
+      return res.status(404).json({
+        success: false,
+        message: `No asset found with ID: ${assetId}`
+      });
+    }
+
+    return res.status(200).json({
+      success: true,
+      data: asset
+    });
+  } catch (error) {
+    console.error("[AssetController] Error in getAssetById:", error);
+    return res.status(500).json({
+      success: false,
+      message: "Failed to retrieve asset."
+    });
+  }
+}
+
+/**
+ * GET /companies/:companyId/assets/:assetId/file
+ * Sends the stored file itself.
+ */
+async function getAssetFile(req, res) {
+  try {
+    const { companyId, assetId } = req.params;
+
+    const file = await assetService.getAssetFile(companyId, assetId);
+    if (!file) {
+      return res.status(404).json({
+        success: false,
+        message: `No file found for asset: ${assetId}`
+      });
+    }
+
+    res.set("Content-Type", file.asset.mimeType);
+    res.set("Cache-Control", "private, max-age=86400");
+    return res.status(200).send(file.buffer);
+  } catch (error) {
+    console.error("[AssetController] Error in getAssetFile:", error);
+    return res.status(500).json({
+      success: false,
+      message: "Failed to read asset file."
+    });
+  }
+}
+
+/**
+ * PATCH /companies/:companyId/assets/:assetId
+ * Replaces an asset's tags and/or crop settings.
+ * Expects req.body with { tags, crop: { mode, focalPoint: { x, y } } }.
+ */
+async function updateAsset(req, res) {
+  try {
+    const { companyId, assetId } = req.params;
+    const { tags, crop } = req.body;
+
+    const asset = await assetService.updateAsset(companyId, assetId, { tags, crop });
+    if (!asset) {
+      return res.status(404).json({
+        success: false,
+        message: `No asset found with ID: ${assetId}`
+      });
+    }
+
+    return res.status(200).json({
+      success: true,
+      data: asset,
+      message: "Asset updated."
+    });
+  } catch (error) {
+    console.error("[AssetController] Error in updateAsset:", error);
+
+    if (error.code === "ASSET_VALIDATION") {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    return res.status(500).json({
+      success: false,
+      message: "Failed to update asset."
+    });
+  }
+}
+
+/**
+ * POST /companies/:companyId/assets/:assetId/renditions
+ * Renders the asset at each size its platforms need.
+ * Expects req.body with { platforms } (optional; defaults to every platform with renditions).
+ */
+async function createRenditions(req, res) {
+  try {
+    const { companyId, assetId } = req.params;
+
+    const asset = await assetService.createRenditions(companyId, assetId, { platforms: req.body.platforms });
+    if (!asset) {
+      return res.status(404).json({
+        success: false,
+        message: `No asset found with ID: ${assetId}`
+      });
+    }
+
+    return res.status(201).json({
+      success: true,
+      data: asset,
+      message: "Renditions created."
+    });
+  } catch (error) {
+    console.error("[AssetController] Error in createRenditions:", error);
+
+    if (error.code === "ASSET_VALIDATION") {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    return res.status(500).json({
+      success: false,
+      message: "Failed to create renditions."
+    });
+  }
+}
+
+/**
+ * DELETE /companies/:companyId/assets/:assetId
+ * Deletes an asset and its file, unless content still uses it.
+ */
+async function deleteAsset(req, res) {
+  try {
+    const { companyId, assetId } = req.params;
+
+    const deleted = await assetService.deleteAsset(companyId, assetId);
+    if (!deleted) {
+      return res.status(404).json({
+        success: false,
+        message: `No asset found with ID: ${assetId}`
+      });
+    }
+
+    return res.status(200).json({
+      success: true,
+      message: "Asset deleted successfully."
+    });
+  } catch (error) {
+    console.error("[AssetController] Error in deleteAsset:", error);
+
+    if (error.code === "ASSET_IN_USE") {
+      return res.status(409).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    return res.status(500).json({
+      success: false,
+      message: "Failed to delete asset."
+    });
+  }
+}
+
+module.exports = {
+  uploadAsset,
+  getAssets,
+  getAssetById,
+  getAssetFile,
+  updateAsset,
+  createRenditions,
+  deleteAsset
+};
@@ -6,10 +6,34 @@
  * Handles HTTP requests for creating, reading, updating,
  * deleting, and finalizing marketing campaigns. Calls methods
  * in the campaignService to do database operations.
+ *
+ * Status changes are validated by the campaign state machine; illegal
+ * transitions return 409 and failed launch checks return 400.
  */
 
 const campaignService = require("../services/campaign.service");
 
+/**
+ * Maps state-machine errors from campaignService to HTTP responses.
+ * Returns null if the error isn't one of them.
+ */
+function handleStatusError(res, error) {
+  if (error.code === "INVALID_TRANSITION") {
+    return res.status(409).json({
+      success: false,
+      message: error.message,
+    });
+  }
+  if (error.code === "CAMPAIGN_VALIDATION") {
+    return res.status(400).json({
+      success: false,
+      message: error.message,
+      errors: error.details,
+    });
+  }
+  return null;
+}
+
 /**
  * POST /api/companies/:companyId/campaigns
  * Creates a new campaign under the specified company.
@@ -29,7 +53,11 @@ async function createCampaign(req, res) {
     }
 
     // Create the campaign via the service
-    const newCampaign = await campaignService.createCampaign(companyId, campaignData);
+    const newCampaign = await campaignService.createCampaign(
+      companyId,
+      campaignData,
+      req.user.userId
+    );
 
     return res.status(201).json({
       success: true,
@@ -106,6 +134,8 @@ async function getCampaignById(req, res) {
 /**
  * PATCH /api/companies/:companyId/campaigns/:campaignId
  * Updates a campaign (partial fields like budget, status).
+ * A `status` change must be a legal transition; an optional `statusReason`
+ * is recorded in the campaign's status history.
  */
 async function updateCampaign(req, res) {
   try {
@@ -115,7 +145,8 @@ async function updateCampaign(req, res) {
     const updatedCampaign = await campaignService.updateCampaign(
       companyId,
       campaignId,
-      updates
+      updates,
+      req.user.userId
     );
     if (!updatedCampaign) {
       return res.status(404).json({
@@ -131,6 +162,12 @@ async function updateCampaign(req, res) {
     });
   } catch (error) {
     console.error("[CampaignController] Error in updateCampaign:", error);
+
+    const handled = handleStatusError(res, error);
+    if (handled) {
+      return handled;
+    }
+
     return res.status(500).json({
       success: false,
       message: "Failed to update campaign.",
@@ -159,6 +196,12 @@ async function deleteCampaign(req, res) {
       message: "Campaign deleted successfully.",
     });
   } catch (error) {
+    if (error.code === "CAMPAIGN_CONFLICT") {
+      return res.status(409).json({
+        success: false,
+        message: error.message,
+      });
+    }
     console.error("[CampaignController] Error in deleteCampaign:", error);
     return res.status(500).json({
       success: false,
@@ -169,14 +212,18 @@ async function deleteCampaign(req, res) {
 
 /**
  * POST /api/companies/:companyId/campaigns/:campaignId/finalize
- * Marks a campaign as finalized or ready to launch.
- * Could also trigger AI tasks or scheduling if relevant.
+ * Validates budget, dates, channels and audience, then launches the
+ * campaign (draft -> active).
  */
 async function finalizeCampaign(req, res) {
   try {
     const { companyId, campaignId } = req.params;
 
-    const result = await campaignService.finalizeCampaign(companyId, campaignId);
+    const result = await campaignService.finalizeCampaign(
+      companyId,
+      campaignId,
+      req.user.userId
+    );
     if (!result) {
       return res.status(404).json({
         success: false,
@@ -191,6 +238,12 @@ async function finalizeCampaign(req, res) {
     });
   } catch (error) {
     console.error("[CampaignController] Error in finalizeCampaign:", error);
+
+    const handled = handleStatusError(res, error);
+    if (handled) {
+      return handled;
+    }
+
     return res.status(500).json({
       success: false,
       message: "Failed to finalize campaign.",
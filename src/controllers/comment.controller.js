@@ -0,0 +1,244 @@
+// src/controllers/comment.controller.js
+
+/**
+ * Comment Controller
+ *
+ * Discussion threads on content items: listing, commenting and replying,
+ * editing and deleting one's own comments, and resolving threads.
+ * Delegates to commentService.
+ */
+
+const commentService = require("../services/comment.service");
+const { isTenantError } = require("../utils/tenantGuard");
+
+/**
+ * Maps tenant and author errors to 403 and validation errors to 400.
+ * Returns null if the error isn't one of them.
+ */
+function handleCommentError(res, error) {
+  if (isTenantError(error) || error.code === "COMMENT_FORBIDDEN") {
+    return res.status(403).json({
+      success: false,
+      message: error.message
+    });
+  }
+  if (error.code === "COMMENT_VALIDATION") {
+    return res.status(400).json({
+      success: false,
+      message: error.message
+    });
+  }
+  return null;
+}
+
+/**
+ * GET /companies/:companyId/campaigns/:campaignId/content/:contentId/comments
+ * Lists a content item's threads with their replies. Query params may include: resolved.
+ */
+async function getComments(req, res) {
+  try {
+    const { companyId, campaignId, contentId } = req.params;
+
+    const threads = await commentService.getComments(companyId, campaignId, contentId, req.query);
+    if (!threads) {
+      return res.status(404).json({
+        success: false,
+        message: `No content found with ID: ${contentId}`
+      });
+    }
+
+    return res.status(200).json({
+      success: true,
+      data: threads
+    });
+  } catch (error) {
+    console.error("[CommentController] Error in getComments:", error);
+
+    const handled = handleCommentError(res, error);
+    if (handled) {
+      return handled;
+    }
+
+    return res.status(500).json({
+      success: false,
+      message: "Failed to retrieve comments."
+    });
+  }
+}
+
+/**
+ * POST /companies/:companyId/campaigns/:campaignId/content/:contentId/comments
+ * Starts a thread or replies to one. Expects req.body with { body, parentId, anchor: { start, end } }.
+ */
+async function createComment(req, res) {
+  try {
+    const { companyId, campaignId, contentId } = req.params;
+    const { body, parentId, anchor } = req.body;
+
+    const comment = await commentService.createComment(companyId, campaignId, contentId, { body, parentId, anchor }, {
+      userId: req.user.userId
+    });
+    if (!comment) {
+      return res.status(404).json({
+        success: false,
+        message: `No content found with ID: ${contentId}`
+      });
+    }
+
+    return res.status(201).json({
+      success: true,
+      data: comment,
+      message: "Comment added."
+    });
+  } catch (error) {
+    console.error("[CommentController] Error in createComment:", error);
+
+    const handled = handleCommentError(res, error);
+    if (handled) {
+      return handled;
+    }
+
+    return res.status(500).json({
+      success: false,
+      message: "Failed to add comment."
+    });
+  }
+}
+
+/**
+ * PATCH /companies/:companyId/campaigns/:campaignId/content/:contentId/comments/:commentId
+ * Edits one of the caller's comments. Expects req.body with { body }.
+ */
+async function updateComment(req, res) {
+  try {
+    const { companyId, campaignId, contentId, commentId } = req.params;
+
+    const comment = await commentService.updateComment(companyId, campaignId, contentId, commentId, { body: req.body.body }, {
+      userId: req.user.userId
+    });
+    if (!comment) {
+      return res.status(404).json({
+        success: false,
+        message: `No comment found with ID: ${commentId}`
+      });
+    }
+
+    return res.status(200).json({
+      success: true,
+      data: comment,
+      message: "Comment updated."
+    });
+  } catch (error) {
+    console.error("[CommentController] Error in updateComment:", error);
+
+    const handled = handleCommentError(res, error);
+    if (handled) {
+      return handled;
+    }
+
+    return res.status(500).json({
+      success: false,
+      message: "Failed to update comment."
+    });
+  }
+}
+
+/**
+ * DELETE /companies/:companyId/campaigns/:campaignId/content/:contentId/comments/:commentId
+ * Deletes one of the caller's comments.
+ */
+async function deleteComment(req, res) {
+  try {
+    const { companyId, campaignId, contentId, commentId } = req.params;
+
+    const deleted = await commentService.deleteComment(companyId, campaignId, contentId, commentId, {
+      userId: req.user.userId
+    });
+    if (!deleted) {
+      return res.status(404).json({
+        success: false,
+        message: `No comment found with ID: ${commentId}`
+      });
+    }
+
+    return res.status(200).json({
+      success: true,
+      message: "Comment deleted."
+    });
+  } catch (error) {
+    console.error("[CommentController] Error in deleteComment:", error);
+
+    const handled = handleCommentError(res, error);
+    if (handled) {
+      return handled;
+    }
+
+    return res.status(500).json({
+      success: false,
+      message: "Failed to delete comment."
+    });
+  }
+}
+
+/**
+ * POST /companies/:companyId/campaigns/:campaignId/content/:contentId/comments/:commentId/resolve
+ * Resolves a thread.
+ */
+async function resolveComment(req, res) {
+  return setResolved(req, res, true);
+}
+
+/**
+ * POST /companies/:companyId/campaigns/:campaignId/content/:contentId/comments/:commentId/unresolve
+ * Reopens a resolved thread.
+ */
+async function unresolveComment(req, res) {
+  return setResolved(req, res, false);
+}
+
+/**
+ * Shared by resolveComment and unresolveComment.
+ */
+async function setResolved(req, res, resolved) {
+  const action = resolved ? "resolveComment" : "unresolveComment";
+  try {
+    const { companyId, campaignId, contentId, commentId } = req.params;
+
+    const comment = await commentService.setCommentResolved(companyId, campaignId, contentId, commentId, resolved, {
+      userId: req.user.userId
+    });
+    if (!comment) {
+      return res.status(404).json({
+        success: false,
+        message: `No comment found with ID: ${commentId}`
+      });
+    }
+
+    return res.status(200).json({
+      success: true,
+      data: comment,
+      message: resolved ? "Thread resolved." : "Thread reopened."
+    });
+  } catch (error) {
+    console.error(`[CommentController] Error in ${action}:`, error);
+
+    const handled = handleCommentError(res, error);
+    if (handled) {
+      return handled;
+    }
+
+    return res.status(500).json({
+      success: false,
+      message: resolved ? "Failed to resolve thread." : "Failed to reopen thread."
+    });
+  }
+}
+
+module.exports = {
+  getComments,
+  createComment,
+  updateComment,
+  deleteComment,
+  resolveComment,
+  unresolveComment
+};
@@ -31,7 +31,8 @@ async function createCompany(req, res) {
     }
 
     // Create via service
-    const newCompany = await companyService.createCompany(companyData);
+    // The creator becomes the company's owner member
+    const newCompany = await companyService.createCompany(companyData, req.user);
 
     return res.status(201).json({
       success: true,
@@ -59,7 +60,7 @@ async function createCompany(req, res) {
 /**
  * GET /api/companies
  * Fetches all companies (if your app allows listing them).
- * Might require admin role or special permissions in some setups.
+ * Restricted to roles with the "company:list" permission.
  */
 async function getAllCompanies(req, res) {
   try {
@@ -130,6 +131,14 @@ async function updateCompany(req, res) {
     });
   } catch (error) {
     console.error("[CompanyController] Error in updateCompany:", error);
+
+    if (error.name === "ValidationError") {
+      return res.status(400).json({
+        success: false,
+        message: error.message,
+      });
+    }
+
     return res.status(500).json({
       success: false,
       message: "Failed to update company.",
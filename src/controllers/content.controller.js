@@ -9,6 +9,35 @@
  */
 
 const contentService = require("../services/content.service");
+const publishingService = require("../services/publishing.service");
+const { isTenantError } = require("../utils/tenantGuard");
+const { callerHasPermission } = require("../middlewares/role.middleware");
+
+/**
+ * Maps approve/reject errors to 400, 403 and 409 responses.
+ * Returns null if the error isn't one of them.
+ */
+function handleApprovalError(res, error) {
+  if (isTenantError(error) || error.code === "APPROVAL_FORBIDDEN") {
+    return res.status(403).json({
+      success: false,
+      message: error.message,
+    });
+  }
+  if (error.code === "APPROVAL_CONFLICT") {
+    return res.status(409).json({
+      success: false,
+      message: error.message,
+    });
+  }
+  if (error.code === "CONTENT_VALIDATION") {
+    return res.status(400).json({
+      success: false,
+      message: error.message,
+    });
+  }
+  return null;
+}
 
 /**
  * POST /companies/:companyId/campaigns/:campaignId/content
@@ -29,7 +58,9 @@ async function createContent(req, res) {
     }
 
     // Create content via the service
-    const newContent = await contentService.createContent(companyId, campaignId, contentData);
+    const newContent = await contentService.createContent(companyId, campaignId, contentData, {
+      userId: req.user.userId
+    });
 
     return res.status(201).json({
       success: true,
@@ -38,6 +69,29 @@ async function createContent(req, res) {
     });
   } catch (error) {
     console.error("[ContentController] Error in createContent:", error);
+
+    if (isTenantError(error)) {
+      return res.status(403).json({
+        success: false,
+        message: error.message,
+      });
+    }
+
+    if (error.code === "PLATFORM_VIOLATION") {
+      return res.status(400).json({
+        success: false,
+        message: error.message,
+        errors: error.violations,
+      });
+    }
+
+    if (error.code === "CONTENT_VALIDATION") {
+      return res.status(400).json({
+        success: false,
+        message: error.message,
+      });
+    }
+
     return res.status(500).json({
       success: false,
       message: "Failed to create content.",
@@ -45,6 +99,69 @@ async function createContent(req, res) {
   }
 }
 
+/**
+ * POST /companies/:companyId/campaigns/:campaignId/content/generate
+ * Generates AI social posts (or GoogleAds ad copy) for the campaign and stores them as pending approval.
+ * Expects req.body with { brief, product, platform, count, variantAxis }.
+ * With a variantAxis ("hook", "cta" or "length") it creates A/B test variants sharing a variant group.
+ */
+async function generateContent(req, res) {
+  try {
+    const { companyId, campaignId } = req.params;
+    const { brief, product, platform, count, variantAxis } = req.body;
+
+    const generated = await contentService.generateContent(
+      companyId,
+      campaignId,
+      { brief, product, platform, count, variantAxis },
+      { userId: req.user.userId }
+    );
+
+    return res.status(201).json({
+      success: true,
+      data: generated,
+      message: `Generated ${generated.length} content item(s) for approval.`,
+    });
+  } catch (error) {
+    console.error("[ContentController] Error in generateContent:", error);
+
+    if (isTenantError(error)) {
+      return res.status(403).json({
+        success: false,
+        message: error.message,
+      });
+    }
+
+    if (error.code === "CONTENT_VALIDATION") {
+      return res.status(400).json({
+        success: false,
+        message: error.message,
+      });
+    }
+
+    if (error.code === "AI_QUOTA_EXCEEDED") {
+      return res.status(429).json({
+        success: false,
+        message: error.message,
+      });
+    }
+
+    // The model's output broke the platform's rules in a way that couldn't be repaired
+    if (error.code === "PLATFORM_VIOLATION") {
+      return res.status(502).json({
+        success: false,
+        message: error.message,
+        errors: error.violations,
+      });
+    }
+
+    return res.status(500).json({
+      success: false,
+      message: "Failed to generate content.",
+    });
+  }
+}
+
 /**
  * GET /companies/:companyId/campaigns/:campaignId/content
  * Retrieves all content items for a given campaign.
@@ -53,7 +170,7 @@ async function createContent(req, res) {
 async function getContentList(req, res) {
   try {
     const { companyId, campaignId } = req.params;
-    const queryParams = req.query; // e.g. { status, type, page, limit }
+    const queryParams = req.query; // e.g. { status, type, variantGroupId, page, limit }
 
     const contentItems = await contentService.getContentList(companyId, campaignId, queryParams);
 
@@ -63,6 +180,14 @@ async function getContentList(req, res) {
     });
   } catch (error) {
     console.error("[ContentController] Error in getContentList:", error);
+
+    if (isTenantError(error)) {
+      return res.status(403).json({
+        success: false,
+        message: error.message,
+      });
+    }
+
     return res.status(500).json({
       success: false,
       message: "Failed to retrieve content list.",
@@ -92,6 +217,14 @@ async function getContentById(req, res) {
     });
   } catch (error) {
     console.error("[ContentController] Error in getContentById:", error);
+
+    if (isTenantError(error)) {
+      return res.status(403).json({
+        success: false,
+        message: error.message,
+      });
+    }
+
     return res.status(500).json({
       success: false,
       message: "Failed to retrieve content.",
@@ -108,7 +241,9 @@ async function updateContent(req, res) {
     const { companyId, campaignId, contentId } = req.params;
     const updates = req.body;
 
-    const updatedContent = await contentService.updateContent(companyId, campaignId, contentId, updates);
+    const updatedContent = await contentService.updateContent(companyId, campaignId, contentId, updates, {
+      userId: req.user.userId
+    });
     if (!updatedContent) {
       return res.status(404).json({
         success: false,
@@ -123,6 +258,29 @@ async function updateContent(req, res) {
     });
   } catch (error) {
     console.error("[ContentController] Error in updateContent:", error);
+
+    if (isTenantError(error)) {
+      return res.status(403).json({
+        success: false,
+        message: error.message,
+      });
+    }
+
+    if (error.code === "PLATFORM_VIOLATION") {
+      return res.status(400).json({
+        success: false,
+        message: error.message,
+        errors: error.violations,
+      });
+    }
+
+    if (error.code === "CONTENT_VALIDATION") {
+      return res.status(400).json({
+        success: false,
+        message: error.message,
+      });
+    }
+
     return res.status(500).json({
       success: false,
       message: "Failed to update content.",
@@ -152,6 +310,14 @@ async function deleteContent(req, res) {
     });
   } catch (error) {
     console.error("[ContentController] Error in deleteContent:", error);
+
+    if (isTenantError(error)) {
+      return res.status(403).json({
+        success: false,
+        message: error.message,
+      });
+    }
+
     return res.status(500).json({
       success: false,
       message: "Failed to delete content.",
@@ -159,15 +325,113 @@ async function deleteContent(req, res) {
   }
 }
 
+/**
+ * GET /companies/:companyId/campaigns/:campaignId/content/:contentId/revisions
+ * Lists a content item's revisions, newest first, with word-level text diffs.
+ */
+async function getContentRevisions(req, res) {
+  try {
+    const { companyId, campaignId, contentId } = req.params;
+
+    const revisions = await contentService.getContentRevisions(companyId, campaignId, contentId);
+    if (!revisions) {
+      return res.status(404).json({
+        success: false,
+        message: `No content found with ID: ${contentId}`,
+      });
+    }
+
+    return res.status(200).json({
+      success: true,
+      data: revisions,
+    });
+  } catch (error) {
+    console.error("[ContentController] Error in getContentRevisions:", error);
+
+    if (isTenantError(error)) {
+      return res.status(403).json({
+        success: false,
+        message: error.message,
+      });
+    }
+
+    return res.status(500).json({
+      success: false,
+      message: "Failed to retrieve revisions.",
+    });
+  }
+}
+
+/**
+ * POST /companies/:companyId/campaigns/:campaignId/content/:contentId/revisions/:revision/restore
+ * Rolls a content item back to a revision (by revision number or ID).
+ */
+async function restoreContentRevision(req, res) {
+  try {
+    const { companyId, campaignId, contentId, revision } = req.params;
+
+    const restoredItem = await contentService.restoreContentRevision(companyId, campaignId, contentId, revision, {
+      userId: req.user.userId
+    });
+    if (!restoredItem) {
+      return res.status(404).json({
+        success: false,
+        message: `No revision ${revision} found for content ${contentId}`,
+      });
+    }
+
+    return res.status(200).json({
+      success: true,
+      data: restoredItem,
+      message: `Content restored to revision ${revision}.`,
+    });
+  } catch (error) {
+    console.error("[ContentController] Error in restoreContentRevision:", error);
+
+    if (isTenantError(error)) {
+      return res.status(403).json({
+        success: false,
+        message: error.message,
+      });
+    }
+
+    if (error.code === "PLATFORM_VIOLATION") {
+      return res.status(400).json({
+        success: false,
+        message: error.message,
+        errors: error.violations,
+      });
+    }
+
+    if (error.code === "CONTENT_VALIDATION") {
+      return res.status(400).json({
+        success: false,
+        message: error.message,
+      });
+    }
+
+    return res.status(500).json({
+      success: false,
+      message: "Failed to restore revision.",
+    });
+  }
+}
+
 /**
  * POST /companies/:companyId/campaigns/:campaignId/content/:contentId/approve
- * Approves a piece of content, changing its status to 'approved'.
+ * Approves a piece of content: the caller's step of its approval chain, or the
+ * whole item if it has no chain. Expects optional req.body { comment }.
  */
 async function approveContent(req, res) {
   try {
     const { companyId, campaignId, contentId } = req.params;
+    const { comment } = req.body;
 
-    const approvedItem = await contentService.approveContent(companyId, campaignId, contentId);
+    const approvedItem = await contentService.approveContent(companyId, campaignId, contentId, {
+      userId: req.user.userId,
+      comment,
+      canApprove: callerHasPermission(req, "content:approve")
+    });
     if (!approvedItem) {
       return res.status(404).json({
         success: false,
@@ -178,10 +442,16 @@ async function approveContent(req, res) {
     return res.status(200).json({
       success: true,
       data: approvedItem,
-      message: "Content approved.",
+      message: approvedItem.status === "approved" ? "Content approved." : "Approval recorded; awaiting the next step.",
     });
   } catch (error) {
     console.error("[ContentController] Error in approveContent:", error);
+
+    const handled = handleApprovalError(res, error);
+    if (handled) {
+      return handled;
+    }
+
     return res.status(500).json({
       success: false,
       message: "Failed to approve content.",
@@ -191,14 +461,19 @@ async function approveContent(req, res) {
 
 /**
  * POST /companies/:companyId/campaigns/:campaignId/content/:contentId/reject
- * Rejects a piece of content, changing its status to 'rejected'.
+ * Rejects a piece of content, sending it back to 'draft' with the reason.
+ * Expects req.body { reason } (required while the item is in chain review).
  */
 async function rejectContent(req, res) {
   try {
     const { companyId, campaignId, contentId } = req.params;
-    const { reason } = req.body; // optional reason for rejection
+    const { reason } = req.body;
 
-    const rejectedItem = await contentService.rejectContent(companyId, campaignId, contentId, reason);
+    const rejectedItem = await contentService.rejectContent(companyId, campaignId, contentId, {
+      userId: req.user.userId,
+      reason,
+      canApprove: callerHasPermission(req, "content:approve")
+    });
     if (!rejectedItem) {
       return res.status(404).json({
         success: false,
@@ -209,10 +484,16 @@ async function rejectContent(req, res) {
     return res.status(200).json({
       success: true,
       data: rejectedItem,
-      message: "Content rejected.",
+      message: "Content rejected and returned to draft.",
     });
   } catch (error) {
     console.error("[ContentController] Error in rejectContent:", error);
+
+    const handled = handleApprovalError(res, error);
+    if (handled) {
+      return handled;
+    }
+
     return res.status(500).json({
       success: false,
       message: "Failed to reject content.",
@@ -220,13 +501,155 @@ async function rejectContent(req, res) {
   }
 }
 
+/**
+ * POST /companies/:companyId/campaigns/:campaignId/content/:contentId/brand-check
+ * Scores a piece of content against the company's brand guidelines and stores the result.
+ */
+async function checkContentBrand(req, res) {
+  try {
+    const { companyId, campaignId, contentId } = req.params;
+
+    const brandCheck = await contentService.checkContentBrand(companyId, campaignId, contentId);
+    if (!brandCheck) {
+      return res.status(404).json({
+        success: false,
+        message: `No content found with ID: ${contentId}`,
+      });
+    }
+
+    return res.status(200).json({
+      success: true,
+      data: brandCheck,
+      message: brandCheck.passed
+        ? "Content meets the brand guidelines."
+        : "Content violates the brand guidelines.",
+    });
+  } catch (error) {
+    console.error("[ContentController] Error in checkContentBrand:", error);
+
+    if (isTenantError(error)) {
+      return res.status(403).json({
+        success: false,
+        message: error.message,
+      });
+    }
+
+    return res.status(500).json({
+      success: false,
+      message: "Failed to check content against the brand guidelines.",
+    });
+  }
+}
+
+/**
+ * POST /companies/:companyId/campaigns/:campaignId/content/variants/:variantGroupId/promote
+ * Promotes the winning variant of an A/B test.
+ * Expects req.body with { contentId } to pick the winner, or { metric } to pick
+ * it from analytics ("ctr" by default).
+ */
+async function promoteVariant(req, res) {
+  try {
+    const { companyId, campaignId, variantGroupId } = req.params;
+    const { contentId, metric } = req.body;
+
+    const result = await contentService.promoteVariant(companyId, campaignId, variantGroupId, {
+      contentId,
+      metric,
+      userId: req.user.userId,
+    });
+    if (!result) {
+      return res.status(404).json({
+        success: false,
+        message: `No variants found in group: ${variantGroupId}`,
+      });
+    }
+
+    return res.status(200).json({
+      success: true,
+      data: result,
+      message: `Variant ${result.winner.meta.variant.label} promoted.`,
+    });
+  } catch (error) {
+    console.error("[ContentController] Error in promoteVariant:", error);
+
+    if (isTenantError(error)) {
+      return res.status(403).json({
+        success: false,
+        message: error.message,
+      });
+    }
+
+    if (error.code === "CONTENT_VALIDATION") {
+      return res.status(400).json({
+        success: false,
+        message: error.message,
+      });
+    }
+
+    return res.status(500).json({
+      success: false,
+      message: "Failed to promote variant.",
+    });
+  }
+}
+
+/**
+ * POST /companies/:companyId/campaigns/:campaignId/content/:contentId/retry-publish
+ * Sends a failed item back to the publishing engine with a fresh set of attempts.
+ */
+async function retryPublishing(req, res) {
+  try {
+    const { companyId, campaignId, contentId } = req.params;
+
+    const item = await publishingService.retryPublishing(companyId, campaignId, contentId);
+    if (!item) {
+      return res.status(404).json({
+        success: false,
+        message: `No content found with ID: ${contentId}`,
+      });
+    }
+
+    return res.status(200).json({
+      success: true,
+      data: item,
+      message: "Content queued for publishing again.",
+    });
+  } catch (error) {
+    console.error("[ContentController] Error in retryPublishing:", error);
+
+    if (isTenantError(error)) {
+      return res.status(403).json({
+        success: false,
+        message: error.message,
+      });
+    }
+    if (error.code === "PUBLISH_CONFLICT") {
+      return res.status(409).json({
+        success: false,
+        message: error.message,
+      });
+    }
+
+    return res.status(500).json({
+      success: false,
+      message: "Failed to retry publishing.",
+    });
+  }
+}
+
 // Export all controller functions
 module.exports = {
   createContent,
+  generateContent,
   getContentList,
   getContentById,
   updateContent,
   deleteContent,
+  getContentRevisions,
+  restoreContentRevision,
   approveContent,
-  rejectContent
+  rejectContent,
+  checkContentBrand,
+  promoteVariant,
+  retryPublishing
 };
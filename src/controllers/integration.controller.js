@@ -9,6 +9,7 @@
  */
 
 const integrationService = require("../services/integration.service");
+const { isTenantError } = require("../utils/tenantGuard");
 
 /**
  * GET /companies/:companyId/integrations
@@ -86,7 +87,7 @@ async function getIntegrationById(req, res) {
   try {
     const { integrationId } = req.params;
 
-    const integration = await integrationService.getIntegrationById(integrationId);
+    const integration = await integrationService.getIntegrationById(integrationId, req.user);
     if (!integration) {
       return res.status(404).json({
         success: false,
@@ -100,6 +101,14 @@ async function getIntegrationById(req, res) {
     });
   } catch (error) {
     console.error("[IntegrationController] Error in getIntegrationById:", error);
+
+    if (isTenantError(error)) {
+      return res.status(403).json({
+        success: false,
+        message: error.message
+      });
+    }
+
     return res.status(500).json({
       success: false,
       message: "Failed to retrieve integration."
@@ -116,7 +125,7 @@ async function updateIntegration(req, res) {
     const { integrationId } = req.params;
     const updates = req.body;
 
-    const updatedIntegration = await integrationService.updateIntegration(integrationId, updates);
+    const updatedIntegration = await integrationService.updateIntegration(integrationId, updates, req.user);
     if (!updatedIntegration) {
       return res.status(404).json({
         success: false,
@@ -131,6 +140,14 @@ async function updateIntegration(req, res) {
     });
   } catch (error) {
     console.error("[IntegrationController] Error in updateIntegration:", error);
+
+    if (isTenantError(error)) {
+      return res.status(403).json({
+        success: false,
+        message: error.message
+      });
+    }
+
     return res.status(500).json({
       success: false,
       message: "Failed to update integration."
@@ -146,7 +163,7 @@ async function deleteIntegration(req, res) {
   try {
     const { integrationId } = req.params;
 
-    const deleted = await integrationService.deleteIntegration(integrationId);
+    const deleted = await integrationService.deleteIntegration(integrationId, req.user);
     if (!deleted) {
       return res.status(404).json({
         success: false,
@@ -160,6 +177,14 @@ async function deleteIntegration(req, res) {
     });
   } catch (error) {
     console.error("[IntegrationController] Error in deleteIntegration:", error);
+
+    if (isTenantError(error)) {
+      return res.status(403).json({
+        success: false,
+        message: error.message
+      });
+    }
+
     return res.status(500).json({
       success: false,
       message: "Failed to delete integration."
@@ -178,7 +203,7 @@ async function handleOAuthRedirect(req, res) {
     const { code, state } = req.query; // typical OAuth callback query parameters
 
     // The service might exchange the code for tokens, update the integration, etc.
-    const result = await integrationService.handleOAuthCallback(integrationId, code, state);
+    const result = await integrationService.handleOAuthCallback(integrationId, code, state, req.user);
     if (!result) {
       return res.status(400).json({
         success: false,
@@ -194,6 +219,14 @@ async function handleOAuthRedirect(req, res) {
     });
   } catch (error) {
     console.error("[IntegrationController] Error in handleOAuthRedirect:", error);
+
+    if (isTenantError(error)) {
+      return res.status(403).json({
+        success: false,
+        message: error.message
+      });
+    }
+
     return res.status(500).json({
       success: false,
       message: "Failed to handle OAuth redirect."
@@ -0,0 +1,214 @@
+// src/controllers/job.controller.js
+
+/**
+ * Job Controller
+ *
+ * Enqueues, inspects, retries and cancels background agent jobs
+ * (news, content, analytics, ad-management, pipeline) and dead-letter entries.
+ */
+
+const jobService = require("../services/job.service");
+const { isTenantError } = require("../utils/tenantGuard");
+
+/**
+ * Maps jobService errors to HTTP responses.
+ * Returns null if the error isn't one of them.
+ */
+function handleJobError(res, error) {
+  if (isTenantError(error)) {
+    return res.status(403).json({
+      success: false,
+      message: error.message,
+    });
+  }
+  if (error.code === "UNKNOWN_QUEUE") {
+    return res.status(404).json({
+      success: false,
+      message: error.message,
+    });
+  }
+  if (error.code === "JOB_VALIDATION") {
+    return res.status(400).json({
+      success: false,
+      message: error.message,
+    });
+  }
+  if (error.code === "JOB_STATE") {
+    return res.status(409).json({
+      success: false,
+      message: error.message,
+    });
+  }
+  return null;
+}
+
+/**
+ * POST /api/jobs/:queue
+ * Enqueues a job. Expects req.body = { companyId, data, options }.
+ */
+async function enqueueJob(req, res) {
+  try {
+    const { queue } = req.params;
+
+    const job = await jobService.enqueueJob(queue, req.body, req.user);
+    return res.status(201).json({
+      success: true,
+      data: job,
+      message: "Job enqueued successfully.",
+    });
+  } catch (error) {
+    console.error("[JobController] Error in enqueueJob:", error);
+
+    const handled = handleJobError(res, error);
+    if (handled) {
+      return handled;
+    }
+
+    return res.status(500).json({
+      success: false,
+      message: "Failed to enqueue job.",
+    });
+  }
+}
+
+/**
+ * GET /api/jobs/:queue
+ * Lists jobs of a queue. Query params may include: state, companyId, page, limit.
+ */
+async function listJobs(req, res) {
+  try {
+    const { queue } = req.params;
+
+    const jobs = await jobService.listJobs(queue, req.query, req.user);
+    return res.status(200).json({
+      success: true,
+      data: jobs,
+    });
+  } catch (error) {
+    console.error("[JobController] Error in listJobs:", error);
+
+    const handled = handleJobError(res, error);
+    if (handled) {
+      return handled;
+    }
+
+    return res.status(500).json({
+      success: false,
+      message: "Failed to retrieve jobs.",
+    });
+  }
+}
+
+/**
+ * GET /api/jobs/:queue/:jobId
+ * Retrieves a single job with its state, progress and result.
+ */
+async function getJob(req, res) {
+  try {
+    const { queue, jobId } = req.params;
+
+    const job = await jobService.getJob(queue, jobId, req.user);
+    if (!job) {
+      return res.status(404).json({
+        success: false,
+        message: `No job found with ID: ${jobId} in queue: ${queue}`,
+      });
+    }
+
+    return res.status(200).json({
+      success: true,
+      data: job,
+    });
+  } catch (error) {
+    console.error("[JobController] Error in getJob:", error);
+
+    const handled = handleJobError(res, error);
+    if (handled) {
+      return handled;
+    }
+
+    return res.status(500).json({
+      success: false,
+      message: "Failed to retrieve job.",
+    });
+  }
+}
+
+/**
+ * POST /api/jobs/:queue/:jobId/retry
+ * Retries a failed job, or re-enqueues a dead-letter entry on its original queue.
+ */
+async function retryJob(req, res) {
+  try {
+    const { queue, jobId } = req.params;
+
+    const job = await jobService.retryJob(queue, jobId, req.user);
+    if (!job) {
+      return res.status(404).json({
+        success: false,
+        message: `No job found with ID: ${jobId} in queue: ${queue}`,
+      });
+    }
+
+    return res.status(200).json({
+      success: true,
+      data: job,
+      message: "Job queued for retry.",
+    });
+  } catch (error) {
+    console.error("[JobController] Error in retryJob:", error);
+
+    const handled = handleJobError(res, error);
+    if (handled) {
+      return handled;
+    }
+
+    return res.status(500).json({
+      success: false,
+      message: "Failed to retry job.",
+    });
+  }
+}
+
+/**
+ * DELETE /api/jobs/:queue/:jobId
+ * Cancels (removes) a job that isn't running.
+ */
+async function cancelJob(req, res) {
+  try {
+    const { queue, jobId } = req.params;
+
+    const removed = await jobService.cancelJob(queue, jobId, req.user);
+    if (!removed) {
+      return res.status(404).json({
+        success: false,
+        message: `No job found with ID: ${jobId} in queue: ${queue}`,
+      });
+    }
+
+    return res.status(200).json({
+      success: true,
+      message: "Job cancelled successfully.",
+    });
+  } catch (error) {
+    console.error("[JobController] Error in cancelJob:", error);
+
+    const handled = handleJobError(res, error);
+    if (handled) {
+      return handled;
+    }
+
+    return res.status(500).json({
+      success: false,
+      message: "Failed to cancel job.",
+    });
+  }
+}
+
+module.exports = {
+  enqueueJob,
+  listJobs,
+  getJob,
+  retryJob,
+  cancelJob,
+};
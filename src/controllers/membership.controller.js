@@ -0,0 +1,189 @@
+// src/controllers/membership.controller.js
+
+/**
+ * Membership Controller
+ *
+ * Manages the members of a company: listing them, inviting new members by email,
+ * accepting invites, and removing members. Delegates to membershipService.
+ */
+
+const membershipService = require("../services/membership.service");
+
+/**
+ * Whether the caller may invite or remove owners: an owner of the company or a global admin.
+ * req.membership is set by tenantMiddleware (null for global admins).
+ */
+function canManageOwners(req) {
+  return req.user.role === "admin" || Boolean(req.membership && req.membership.role === "owner");
+}
+
+/**
+ * GET /companies/:companyId/members
+ * Lists active members and pending invites of a company.
+ */
+async function getMembers(req, res) {
+  try {
+    const { companyId } = req.params;
+
+    const members = await membershipService.getMembers(companyId);
+
+    return res.status(200).json({
+      success: true,
+      data: members
+    });
+  } catch (error) {
+    console.error("[MembershipController] Error in getMembers:", error);
+    return res.status(500).json({
+      success: false,
+      message: "Failed to retrieve members."
+    });
+  }
+}
+
+/**
+ * POST /companies/:companyId/members
+ * Invites a user by email with a per-company role.
+ * Expects req.body with { email, role }. Returns the invite token to share with the invitee.
+ */
+async function inviteMember(req, res) {
+  try {
+    const { companyId } = req.params;
+    const { email, role } = req.body;
+
+    if (!email) {
+      return res.status(400).json({
+        success: false,
+        message: "Missing required field: email."
+      });
+    }
+
+    const result = await membershipService.inviteMember(
+      companyId,
+      { email, role },
+      req.user.userId,
+      { canManageOwners: canManageOwners(req) }
+    );
+
+    return res.status(201).json({
+      success: true,
+      data: result,
+      message: "Member invited successfully."
+    });
+  } catch (error) {
+    console.error("[MembershipController] Error in inviteMember:", error);
+
+    if (error.code === "INVALID_ROLE") {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+    if (error.code === "ROLE_FORBIDDEN") {
+      return res.status(403).json({
+        success: false,
+        message: error.message
+      });
+    }
+    if (error.code === 11000) {
+      return res.status(409).json({
+        success: false,
+        message: "This email is already a member or has a pending invite."
+      });
+    }
+
+    return res.status(500).json({
+      success: false,
+      message: "Failed to invite member."
+    });
+  }
+}
+
+/**
+ * POST /companies/:companyId/members/accept
+ * Accepts a pending invite for the authenticated user.
+ * Expects req.body with { token }.
+ */
+async function acceptInvite(req, res) {
+  try {
+    const { companyId } = req.params;
+    const { token } = req.body;
+
+    if (!token) {
+      return res.status(400).json({
+        success: false,
+        message: "Missing required field: token."
+      });
+    }
+
+    const membership = await membershipService.acceptInvite(companyId, token, req.user);
+    if (!membership) {
+      return res.status(404).json({
+        success: false,
+        message: "No pending invite found for this user and token."
+      });
+    }
+
+    return res.status(200).json({
+      success: true,
+      data: membership,
+      message: "Invite accepted."
+    });
+  } catch (error) {
+    console.error("[MembershipController] Error in acceptInvite:", error);
+    return res.status(500).json({
+      success: false,
+      message: "Failed to accept invite."
+    });
+  }
+}
+
+/**
+ * DELETE /companies/:companyId/members/:memberId
+ * Removes a member (or revokes a pending invite) from a company.
+ */
+async function removeMember(req, res) {
+  try {
+    const { companyId, memberId } = req.params;
+
+    const removed = await membershipService.removeMember(companyId, memberId, { canManageOwners: canManageOwners(req) });
+    if (!removed) {
+      return res.status(404).json({
+        success: false,
+        message: `No member found with ID: ${memberId}`
+      });
+    }
+
+    return res.status(200).json({
+      success: true,
+      message: "Member removed successfully."
+    });
+  } catch (error) {
+    console.error("[MembershipController] Error in removeMember:", error);
+
+    if (error.code === "ROLE_FORBIDDEN") {
+      return res.status(403).json({
+        success: false,
+        message: error.message
+      });
+    }
+    if (error.code === "LAST_OWNER") {
+      return res.status(409).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    return res.status(500).json({
+      success: false,
+      message: "Failed to remove member."
+    });
+  }
+}
+
+// Export controller methods
+module.exports = {
+  getMembers,
+  inviteMember,
+  acceptInvite,
+  removeMember
+};
@@ -8,23 +8,39 @@
  */
 
 const newsService = require("../services/news.service");
+const { isTenantError } = require("../utils/tenantGuard");
 
 /**
  * GET /api/news
- * Retrieves all news items, possibly filtered by status or topic.
- * Query params may include: status, topic, page, limit, etc.
+ * Retrieves news items visible to the caller (global news plus their companies').
+ * Query params may include: status, topic, sentiment, companyId, from, to, page, limit.
  */
 async function getAllNews(req, res) {
   try {
-    const queryParams = req.query; // e.g. { status, topic, page, limit }
+    const queryParams = req.query; // e.g. { status, topic, sentiment, companyId, from, to, page, limit }
 
-    const articles = await newsService.getAllNews(queryParams);
+    const articles = await newsService.getAllNews(queryParams, req.user);
     return res.status(200).json({
       success: true,
       data: articles
     });
   } catch (error) {
     console.error("[NewsController] Error in getAllNews:", error);
+
+    if (isTenantError(error)) {
+      return res.status(403).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    if (error.code === "NEWS_VALIDATION") {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+
     return res.status(500).json({
       success: false,
       message: "Failed to retrieve news."
@@ -40,7 +56,7 @@ async function getNewsById(req, res) {
   try {
     const { newsId } = req.params;
 
-    const article = await newsService.getNewsById(newsId);
+    const article = await newsService.getNewsById(newsId, req.user);
     if (!article) {
       return res.status(404).json({
         success: false,
@@ -54,6 +70,14 @@ async function getNewsById(req, res) {
     });
   } catch (error) {
     console.error("[NewsController] Error in getNewsById:", error);
+
+    if (isTenantError(error)) {
+      return res.status(403).json({
+        success: false,
+        message: error.message
+      });
+    }
+
     return res.status(500).json({
       success: false,
       message: "Failed to retrieve news item."
@@ -78,7 +102,7 @@ async function createNews(req, res) {
       });
     }
 
-    const newArticle = await newsService.createNews(newsData);
+    const newArticle = await newsService.createNews(newsData, req.user);
     return res.status(201).json({
       success: true,
       data: newArticle,
@@ -87,6 +111,13 @@ async function createNews(req, res) {
   } catch (error) {
     console.error("[NewsController] Error in createNews:", error);
 
+    if (isTenantError(error) || error.code === "NEWS_FORBIDDEN") {
+      return res.status(403).json({
+        success: false,
+        message: error.message
+      });
+    }
+
     // Example: handle duplicate URL error if error.code === 11000
     if (error.code === 11000) {
       return res.status(409).json({
@@ -111,7 +142,7 @@ async function updateNews(req, res) {
     const { newsId } = req.params;
     const updates = req.body;
 
-    const updatedArticle = await newsService.updateNews(newsId, updates);
+    const updatedArticle = await newsService.updateNews(newsId, updates, req.user);
     if (!updatedArticle) {
       return res.status(404).json({
         success: false,
@@ -126,6 +157,22 @@ async function updateNews(req, res) {
     });
   } catch (error) {
     console.error("[NewsController] Error in updateNews:", error);
+
+    if (isTenantError(error) || error.code === "NEWS_FORBIDDEN") {
+      return res.status(403).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    // Moving the item to a company that already has its URL
+    if (error.code === 11000) {
+      return res.status(409).json({
+        success: false,
+        message: "A news item with this URL already exists."
+      });
+    }
+
     return res.status(500).json({
       success: false,
       message: "Failed to update news item."
@@ -141,7 +188,7 @@ async function deleteNews(req, res) {
   try {
     const { newsId } = req.params;
 
-    const deleted = await newsService.deleteNews(newsId);
+    const deleted = await newsService.deleteNews(newsId, req.user);
     if (!deleted) {
       return res.status(404).json({
         success: false,
@@ -155,6 +202,14 @@ async function deleteNews(req, res) {
     });
   } catch (error) {
     console.error("[NewsController] Error in deleteNews:", error);
+
+    if (isTenantError(error) || error.code === "NEWS_FORBIDDEN") {
+      return res.status(403).json({
+        success: false,
+        message: error.message
+      });
+    }
+
     return res.status(500).json({
       success: false,
       message: "Failed to delete news item."
@@ -164,15 +219,26 @@ async function deleteNews(req, res) {
 
 /**
  * POST /api/news/:newsId/create-content
- * (Optional) Creates a piece of content (or triggers AI generation)
- * based on an existing news article.
+ * Creates a draft content item in a campaign, seeded from an existing news article.
+ * Expects req.body with { campaignId, channel, instructions }.
  */
 async function createContentFromNews(req, res) {
   try {
     const { newsId } = req.params;
-    const { channel, instructions } = req.body; // optional fields for channel or guidance
+    const { campaignId, channel, instructions } = req.body; // channel and instructions are optional
+
+    if (!campaignId) {
+      return res.status(400).json({
+        success: false,
+        message: "Missing required field: campaignId."
+      });
+    }
 
-    const result = await newsService.createContentFromNews(newsId, channel, instructions);
+    const result = await newsService.createContentFromNews(
+      newsId,
+      { campaignId, channel, instructions },
+      req.user
+    );
     if (!result) {
       return res.status(404).json({
         success: false,
@@ -183,10 +249,18 @@ async function createContentFromNews(req, res) {
     return res.status(200).json({
       success: true,
       data: result,
-      message: "Content creation triggered from news item."
+      message: "Draft content created from news item."
     });
   } catch (error) {
     console.error("[NewsController] Error in createContentFromNews:", error);
+
+    if (isTenantError(error)) {
+      return res.status(403).json({
+        success: false,
+        message: error.message
+      });
+    }
+
     return res.status(500).json({
       success: false,
       message: "Failed to create content from news."
@@ -0,0 +1,90 @@
+// src/controllers/notification.controller.js
+
+/**
+ * Notification Controller
+ *
+ * The caller's own notifications (e.g. @mentions in comments): listing them
+ * and marking them read. Delegates to notificationService.
+ */
+
+const notificationService = require("../services/notification.service");
+
+/**
+ * GET /notifications
+ * Lists the caller's notifications, newest first, with the unread count.
+ * Query params may include: unread, companyId, page, limit.
+ */
+async function getNotifications(req, res) {
+  try {
+    const { notifications, unreadCount } = await notificationService.getNotifications(req.user, req.query);
+    return res.status(200).json({
+      success: true,
+      data: notifications,
+      unreadCount
+    });
+  } catch (error) {
+    console.error("[NotificationController] Error in getNotifications:", error);
+    return res.status(500).json({
+      success: false,
+      message: "Failed to retrieve notifications."
+    });
+  }
+}
+
+/**
+ * POST /notifications/:notificationId/read
+ * Marks one of the caller's notifications read.
+ */
+async function markNotificationRead(req, res) {
+  try {
+    const { notificationId } = req.params;
+
+    const notification = await notificationService.markNotificationRead(req.user.userId, notificationId);
+    if (!notification) {
+      return res.status(404).json({
+        success: false,
+        message: `No notification found with ID: ${notificationId}`
+      });
+    }
+
+    return res.status(200).json({
+      success: true,
+      data: notification
+    });
+  } catch (error) {
+    console.error("[NotificationController] Error in markNotificationRead:", error);
+    return res.status(500).json({
+      success: false,
+      message: "Failed to mark notification read."
+    });
+  }
+}
+
+/**
+ * POST /notifications/read-all
+ * Marks all of the caller's notifications read. Expects optional req.body { companyId }.
+ */
+async function markAllNotificationsRead(req, res) {
+  try {
+    const { companyId } = req.body;
+
+    const count = await notificationService.markAllNotificationsRead(req.user.userId, { companyId });
+    return res.status(200).json({
+      success: true,
+      data: { count },
+      message: `${count} notification(s) marked read.`
+    });
+  } catch (error) {
+    console.error("[NotificationController] Error in markAllNotificationsRead:", error);
+    return res.status(500).json({
+      success: false,
+      message: "Failed to mark notifications read."
+    });
+  }
+}
+
+module.exports = {
+  getNotifications,
+  markNotificationRead,
+  markAllNotificationsRead
+};
@@ -0,0 +1,283 @@
+// src/controllers/plan.controller.js
+
+/**
+ * Plan Controller
+ *
+ * Generates, lists, compares and activates versions of a campaign's
+ * marketing plan, and tracks the progress of individual plan tasks.
+ */
+
+const planService = require("../services/plan.service");
+
+/**
+ * POST /api/companies/:companyId/campaigns/:campaignId/plans
+ * POST /api/companies/:companyId/campaigns/:campaignId/strategy
+ * Generates a new plan version with the StrategyAgent.
+ * Optional req.body { activate: true } makes it the active version right away
+ * (the first version of a campaign is always activated).
+ */
+async function generatePlan(req, res) {
+  try {
+    const { companyId, campaignId } = req.params;
+    const { activate } = req.body || {};
+
+    const plan = await planService.generatePlan(companyId, campaignId, {
+      userId: req.user.userId,
+      activate: activate === true,
+    });
+    if (!plan) {
+      return res.status(404).json({
+        success: false,
+        message: `No campaign found with ID: ${campaignId} under company: ${companyId}`,
+      });
+    }
+
+    return res.status(201).json({
+      success: true,
+      data: plan,
+      message: `Plan version ${plan.version} generated successfully.`,
+    });
+  } catch (error) {
+    console.error("[PlanController] Error in generatePlan:", error);
+
+    if (error.code === "AI_QUOTA_EXCEEDED") {
+      return res.status(429).json({
+        success: false,
+        message: error.message,
+      });
+    }
+
+    return res.status(500).json({
+      success: false,
+      message: "Failed to generate plan.",
+    });
+  }
+}
+
+/**
+ * POST /api/companies/:companyId/campaigns/:campaignId/strategy/refine
+ * Revises a plan with marketer feedback and stores it as a new version.
+ * Expects req.body { feedback, version, activate }; version defaults to the latest one.
+ */
+async function refinePlan(req, res) {
+  try {
+    const { companyId, campaignId } = req.params;
+    const { feedback, version, activate } = req.body || {};
+
+    if (typeof feedback !== "string" || !feedback.trim()) {
+      return res.status(400).json({
+        success: false,
+        message: "Missing required field: feedback.",
+      });
+    }
+
+    const plan = await planService.refinePlan(companyId, campaignId, feedback.trim(), {
+      version,
+      userId: req.user.userId,
+      activate: activate === true,
+    });
+    if (!plan) {
+      return res.status(404).json({
+        success: false,
+        message: version
+          ? `No plan version ${version} found for campaign: ${campaignId}`
+          : `No plan found to refine for campaign: ${campaignId}`,
+      });
+    }
+
+    return res.status(201).json({
+      success: true,
+      data: plan,
+      message: `Plan version ${plan.version} refined from version ${plan.refinedFromVersion}.`,
+    });
+  } catch (error) {
+    console.error("[PlanController] Error in refinePlan:", error);
+
+    if (error.code === "STRATEGY_UNAVAILABLE") {
+      return res.status(502).json({
+        success: false,
+        message: error.message,
+      });
+    }
+
+    if (error.code === "AI_QUOTA_EXCEEDED") {
+      return res.status(429).json({
+        success: false,
+        message: error.message,
+      });
+    }
+
+    return res.status(500).json({
+      success: false,
+      message: "Failed to refine plan.",
+    });
+  }
+}
+
+/**
+ * GET /api/companies/:companyId/campaigns/:campaignId/plans
+ * Lists every plan version of a campaign, newest first.
+ */
+async function getPlans(req, res) {
+  try {
+    const { companyId, campaignId } = req.params;
+
+    const plans = await planService.getPlans(companyId, campaignId);
+    return res.status(200).json({
+      success: true,
+      data: plans,
+    });
+  } catch (error) {
+    console.error("[PlanController] Error in getPlans:", error);
+    return res.status(500).json({
+      success: false,
+      message: "Failed to fetch plans.",
+    });
+  }
+}
+
+/**
+ * GET /api/companies/:companyId/campaigns/:campaignId/plans/diff?from=1&to=2
+ * Compares two plan versions.
+ */
+async function diffPlans(req, res) {
+  try {
+    const { companyId, campaignId } = req.params;
+    const { from, to } = req.query;
+
+    if (!from || !to) {
+      return res.status(400).json({
+        success: false,
+        message: "Missing required query params: from and to (plan versions).",
+      });
+    }
+
+    const diff = await planService.diffPlans(companyId, campaignId, from, to);
+    if (!diff) {
+      return res.status(404).json({
+        success: false,
+        message: `Plan version ${from} or ${to} not found for campaign: ${campaignId}`,
+      });
+    }
+
+    return res.status(200).json({
+      success: true,
+      data: diff,
+    });
+  } catch (error) {
+    console.error("[PlanController] Error in diffPlans:", error);
+    return res.status(500).json({
+      success: false,
+      message: "Failed to compare plans.",
+    });
+  }
+}
+
+/**
+ * GET /api/companies/:companyId/campaigns/:campaignId/plans/:version
+ * Retrieves one plan version.
+ */
+async function getPlanByVersion(req, res) {
+  try {
+    const { companyId, campaignId, version } = req.params;
+
+    const plan = await planService.getPlanByVersion(companyId, campaignId, version);
+    if (!plan) {
+      return res.status(404).json({
+        success: false,
+        message: `No plan version ${version} found for campaign: ${campaignId}`,
+      });
+    }
+
+    return res.status(200).json({
+      success: true,
+      data: plan,
+    });
+  } catch (error) {
+    console.error("[PlanController] Error in getPlanByVersion:", error);
+    return res.status(500).json({
+      success: false,
+      message: "Failed to fetch plan.",
+    });
+  }
+}
+
+/**
+ * POST /api/companies/:companyId/campaigns/:campaignId/plans/:version/activate
+ * Makes a plan version the campaign's active plan.
+ */
+async function activatePlan(req, res) {
+  try {
+    const { companyId, campaignId, version } = req.params;
+
+    const plan = await planService.activatePlan(companyId, campaignId, version);
+    if (!plan) {
+      return res.status(404).json({
+        success: false,
+        message: `No plan version ${version} found for campaign: ${campaignId}`,
+      });
+    }
+
+    return res.status(200).json({
+      success: true,
+      data: plan,
+      message: `Plan version ${plan.version} is now active.`,
+    });
+  } catch (error) {
+    console.error("[PlanController] Error in activatePlan:", error);
+    return res.status(500).json({
+      success: false,
+      message: "Failed to activate plan.",
+    });
+  }
+}
+
+/**
+ * PATCH /api/companies/:companyId/campaigns/:campaignId/plans/:version/tasks/:taskId
+ * Updates a plan task's status. Expects req.body { status: "todo" | "in-progress" | "done" }.
+ */
+async function updateTaskStatus(req, res) {
+  try {
+    const { companyId, campaignId, version, taskId } = req.params;
+    const { status } = req.body;
+
+    const plan = await planService.updateTaskStatus(companyId, campaignId, version, taskId, status);
+    if (!plan) {
+      return res.status(404).json({
+        success: false,
+        message: `No task ${taskId} found in plan version ${version}`,
+      });
+    }
+
+    return res.status(200).json({
+      success: true,
+      data: plan,
+      message: "Task updated successfully.",
+    });
+  } catch (error) {
+    console.error("[PlanController] Error in updateTaskStatus:", error);
+
+    if (error.code === "INVALID_TASK_STATUS") {
+      return res.status(400).json({
+        success: false,
+        message: error.message,
+      });
+    }
+
+    return res.status(500).json({
+      success: false,
+      message: "Failed to update task.",
+    });
+  }
+}
+
+// Export all functions
+module.exports = {
+  generatePlan,
+  refinePlan,
+  getPlans,
+  diffPlans,
+  getPlanByVersion,
+  activatePlan,
+  updateTaskStatus,
+};
@@ -0,0 +1,221 @@
+// src/controllers/promptTemplate.controller.js
+
+/**
+ * Prompt Template Controller
+ *
+ * Lets company admins view the prompt templates the agents use, replace their
+ * text with company-specific versions, roll back, and preview-render them.
+ * Delegates to promptTemplateService.
+ */
+
+const promptTemplateService = require("../services/promptTemplate.service");
+
+/**
+ * Maps template validation and rendering errors to a 400 response.
+ * Returns null if the error isn't one of them.
+ */
+function handleValidationError(res, error) {
+  if (error.code === "TEMPLATE_VALIDATION" || error.code === "TEMPLATE_VARIABLES") {
+    return res.status(400).json({
+      success: false,
+      message: error.message,
+      errors: error.errors
+    });
+  }
+  return null;
+}
+
+/**
+ * Sends the 404 for an unknown template name.
+ */
+function notFound(res, name) {
+  return res.status(404).json({
+    success: false,
+    message: `No prompt template named: ${name}`
+  });
+}
+
+/**
+ * GET /companies/:companyId/prompt-templates
+ * Lists every template with the version the company currently uses.
+ */
+async function listTemplates(req, res) {
+  try {
+    const { companyId } = req.params;
+
+    const templates = await promptTemplateService.listTemplates(companyId);
+    return res.status(200).json({
+      success: true,
+      data: templates
+    });
+  } catch (error) {
+    console.error("[PromptTemplateController] Error in listTemplates:", error);
+    return res.status(500).json({
+      success: false,
+      message: "Failed to retrieve prompt templates."
+    });
+  }
+}
+
+/**
+ * GET /companies/:companyId/prompt-templates/:name
+ * Retrieves one template with its built-in text, active text and the company's versions.
+ */
+async function getTemplate(req, res) {
+  try {
+    const { companyId, name } = req.params;
+
+    const template = await promptTemplateService.getTemplate(companyId, name);
+    if (!template) {
+      return notFound(res, name);
+    }
+
+    return res.status(200).json({
+      success: true,
+      data: template
+    });
+  } catch (error) {
+    console.error("[PromptTemplateController] Error in getTemplate:", error);
+    return res.status(500).json({
+      success: false,
+      message: "Failed to retrieve prompt template."
+    });
+  }
+}
+
+/**
+ * PUT /companies/:companyId/prompt-templates/:name
+ * Saves new template text as the company's next version and makes it active.
+ * Expects req.body with { text }.
+ */
+async function saveTemplate(req, res) {
+  try {
+    const { companyId, name } = req.params;
+    const { text } = req.body;
+
+    const version = await promptTemplateService.saveTemplateOverride(companyId, name, text, {
+      userId: req.user.userId
+    });
+    if (!version) {
+      return notFound(res, name);
+    }
+
+    return res.status(200).json({
+      success: true,
+      data: version,
+      message: `Prompt template "${name}" saved as version ${version.version}.`
+    });
+  } catch (error) {
+    console.error("[PromptTemplateController] Error in saveTemplate:", error);
+
+    const handled = handleValidationError(res, error);
+    if (handled) {
+      return handled;
+    }
+
+    return res.status(500).json({
+      success: false,
+      message: "Failed to save prompt template."
+    });
+  }
+}
+
+/**
+ * POST /companies/:companyId/prompt-templates/:name/versions/:version/activate
+ * Makes an earlier company version the active one.
+ */
+async function activateVersion(req, res) {
+  try {
+    const { companyId, name, version } = req.params;
+
+    const activated = await promptTemplateService.activateTemplateVersion(companyId, name, version);
+    if (!activated) {
+      return res.status(404).json({
+        success: false,
+        message: `No version ${version} of prompt template "${name}" found.`
+      });
+    }
+
+    return res.status(200).json({
+      success: true,
+      data: activated,
+      message: `Prompt template "${name}" version ${activated.version} activated.`
+    });
+  } catch (error) {
+    console.error("[PromptTemplateController] Error in activateVersion:", error);
+    return res.status(500).json({
+      success: false,
+      message: "Failed to activate prompt template version."
+    });
+  }
+}
+
+/**
+ * DELETE /companies/:companyId/prompt-templates/:name
+ * Goes back to the built-in template (the company's versions are kept).
+ */
+async function resetTemplate(req, res) {
+  try {
+    const { companyId, name } = req.params;
+
+    const template = await promptTemplateService.resetTemplate(companyId, name);
+    if (!template) {
+      return notFound(res, name);
+    }
+
+    return res.status(200).json({
+      success: true,
+      data: template,
+      message: `Prompt template "${name}" reset to the built-in version.`
+    });
+  } catch (error) {
+    console.error("[PromptTemplateController] Error in resetTemplate:", error);
+    return res.status(500).json({
+      success: false,
+      message: "Failed to reset prompt template."
+    });
+  }
+}
+
+/**
+ * POST /companies/:companyId/prompt-templates/:name/preview
+ * Renders the active template, or unsaved text, with sample variables.
+ * Expects req.body with { variables, text } (text is optional).
+ */
+async function previewTemplate(req, res) {
+  try {
+    const { companyId, name } = req.params;
+    const { text, variables } = req.body;
+
+    const preview = await promptTemplateService.previewTemplate(companyId, name, { text, variables });
+    if (!preview) {
+      return notFound(res, name);
+    }
+
+    return res.status(200).json({
+      success: true,
+      data: preview
+    });
+  } catch (error) {
+    console.error("[PromptTemplateController] Error in previewTemplate:", error);
+
+    const handled = handleValidationError(res, error);
+    if (handled) {
+      return handled;
+    }
+
+    return res.status(500).json({
+      success: false,
+      message: "Failed to preview prompt template."
+    });
+  }
+}
+
+module.exports = {
+  listTemplates,
+  getTemplate,
+  saveTemplate,
+  activateVersion,
+  resetTemplate,
+  previewTemplate
+};
@@ -0,0 +1,177 @@
+// src/controllers/schedule.controller.js
+
+/**
+ * Schedule Controller
+ *
+ * Manages a company's recurring schedules (news polling, metrics collection).
+ * Delegates to scheduleService; the scheduler engine runs them.
+ */
+
+const scheduleService = require("../services/schedule.service");
+
+/**
+ * Maps validation errors (ours and Mongoose's) to a 400 response.
+ * Returns null if the error isn't one of them.
+ */
+function handleValidationError(res, error) {
+  if (error.code === "SCHEDULE_VALIDATION" || error.name === "ValidationError") {
+    return res.status(400).json({
+      success: false,
+      message: error.message
+    });
+  }
+  return null;
+}
+
+/**
+ * POST /companies/:companyId/schedules
+ * Creates a schedule. Expects req.body with { name, type, cron, timezone, params, enabled }.
+ */
+async function createSchedule(req, res) {
+  try {
+    const { companyId } = req.params;
+
+    const schedule = await scheduleService.createSchedule(companyId, req.body, req.user.userId);
+    return res.status(201).json({
+      success: true,
+      data: schedule,
+      message: "Schedule created successfully."
+    });
+  } catch (error) {
+    console.error("[ScheduleController] Error in createSchedule:", error);
+
+    const handled = handleValidationError(res, error);
+    if (handled) {
+      return handled;
+    }
+
+    return res.status(500).json({
+      success: false,
+      message: "Failed to create schedule."
+    });
+  }
+}
+
+/**
+ * GET /companies/:companyId/schedules
+ * Lists a company's schedules. Query params may include: type, enabled.
+ */
+async function getSchedules(req, res) {
+  try {
+    const { companyId } = req.params;
+
+    const schedules = await scheduleService.getSchedules(companyId, req.query);
+    return res.status(200).json({
+      success: true,
+      data: schedules
+    });
+  } catch (error) {
+    console.error("[ScheduleController] Error in getSchedules:", error);
+    return res.status(500).json({
+      success: false,
+      message: "Failed to retrieve schedules."
+    });
+  }
+}
+
+/**
+ * GET /companies/:companyId/schedules/:scheduleId
+ * Retrieves a single schedule.
+ */
+async function getScheduleById(req, res) {
+  try {
+    const { companyId, scheduleId } = req.params;
+
+    const schedule = await scheduleService.getScheduleById(companyId, scheduleId);
+    if (!schedule) {
+      return res.status(404).json({
+        success: false,
+        message: `No schedule found with ID: ${scheduleId}`
+      });
+    }
+
+    return res.status(200).json({
+      success: true,
+      data: schedule
+    });
+  } catch (error) {
+    console.error("[ScheduleController] Error in getScheduleById:", error);
+    return res.status(500).json({
+      success: false,
+      message: "Failed to retrieve schedule."
+    });
+  }
+}
+
+/**
+ * PATCH /companies/:companyId/schedules/:scheduleId
+ * Updates a schedule (e.g. cron, params, or enabled to pause/resume it).
+ */
+async function updateSchedule(req, res) {
+  try {
+    const { companyId, scheduleId } = req.params;
+
+    const schedule = await scheduleService.updateSchedule(companyId, scheduleId, req.body);
+    if (!schedule) {
+      return res.status(404).json({
+        success: false,
+        message: `No schedule found with ID: ${scheduleId}`
+      });
+    }
+
+    return res.status(200).json({
+      success: true,
+      data: schedule,
+      message: "Schedule updated successfully."
+    });
+  } catch (error) {
+    console.error("[ScheduleController] Error in updateSchedule:", error);
+
+    const handled = handleValidationError(res, error);
+    if (handled) {
+      return handled;
+    }
+
+    return res.status(500).json({
+      success: false,
+      message: "Failed to update schedule."
+    });
+  }
+}
+
+/**
+ * DELETE /companies/:companyId/schedules/:scheduleId
+ * Deletes a schedule.
+ */
+async function deleteSchedule(req, res) {
+  try {
+    const { companyId, scheduleId } = req.params;
+
+    const deleted = await scheduleService.deleteSchedule(companyId, scheduleId);
+    if (!deleted) {
+      return res.status(404).json({
+        success: false,
+        message: `No schedule found with ID: ${scheduleId}`
+      });
+    }
+
+    return res.status(200).json({
+      success: true,
+      message: "Schedule deleted successfully."
+    });
+  } catch (error) {
+    console.error("[ScheduleController] Error in deleteSchedule:", error);
+    return res.status(500).json({
+      success: false,
+      message: "Failed to delete schedule."
+    });
+  }
+}
+
+module.exports = {
+  createSchedule,
+  getSchedules,
+  getScheduleById,
+  updateSchedule,
+  deleteSchedule
+};
@@ -0,0 +1,46 @@
+// src/controllers/usage.controller.js
+
+/**
+ * Usage Controller
+ *
+ * Reports a company's LLM usage (tokens, images, estimated cost) and its
+ * standing against the monthly AI budget. Delegates to usageService.
+ */
+
+const usageService = require("../services/usage.service");
+
+/**
+ * GET /companies/:companyId/usage
+ * Usage per agent and per day. Query params: from, to (dates; default: this month),
+ * userId (only that user's calls).
+ */
+async function getUsageReport(req, res) {
+  try {
+    const { companyId } = req.params;
+    const { from, to, userId } = req.query;
+
+    const report = await usageService.getUsageReport(companyId, { from, to, userId });
+    return res.status(200).json({
+      success: true,
+      data: report
+    });
+  } catch (error) {
+    console.error("[UsageController] Error in getUsageReport:", error);
+
+    if (error.code === "USAGE_VALIDATION") {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    return res.status(500).json({
+      success: false,
+      message: "Failed to retrieve usage report."
+    });
+  }
+}
+
+module.exports = {
+  getUsageReport
+};
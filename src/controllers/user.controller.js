@@ -9,11 +9,12 @@
  *  - Update user data (role, profile fields)
  *  - Delete a user
  *
- * Typically, these endpoints are protected by an admin role or
- * some permission checks, which you can add as middleware.
+ * Each route is guarded by roleMiddleware with a "user:*" permission
+ * (see config/permissions.js).
  */
 
 const userService = require("../services/user.service");
+const { ROLES, hasPermission } = require("../config/permissions");
 
 /**
  * GET /api/users
@@ -72,7 +73,7 @@ async function getUserById(req, res) {
 /**
  * PATCH /api/users/:userId
  * Updates partial fields for a user (role, profile, etc.).
- * Typically restricted to admin usage or the user themselves with certain limits.
+ * Requires "user:update"; changing the role additionally requires "user:update-role".
  */
 async function updateUser(req, res) {
   try {
@@ -82,6 +83,21 @@ async function updateUser(req, res) {
     // Example: If you want to block changing email or password via this route,
     // you could remove those fields from `updates` here.
 
+    if (updates.role !== undefined) {
+      if (!hasPermission(req.user.role, "user:update-role")) {
+        return res.status(403).json({
+          success: false,
+          message: "Forbidden. Missing permission: user:update-role."
+        });
+      }
+      if (!ROLES.includes(updates.role)) {
+        return res.status(400).json({
+          success: false,
+          message: `Invalid role. Must be one of: ${ROLES.join(", ")}.`
+        });
+      }
+    }
+
     const updatedUser = await userService.updateUser(userId, updates);
     if (!updatedUser) {
       return res.status(404).json({
@@ -0,0 +1,37 @@
+// src/integrations/credentials.js
+
+/**
+ * Integration credentials
+ *
+ * Looks up the company's connected account (models/integration.model.js) for
+ * a platform, for integrations called outside the publishing engine.
+ *
+ * Usage:
+ *   const { getActiveIntegration } = require("./credentials");
+ *   const integration = await getActiveIntegration(companyId, "GoogleAds");
+ */
+
+const Integration = require("../models/integration.model");
+
+/**
+ * getActiveIntegration
+ * @param {String} companyId
+ * @param {String} platform - canonical channel name, e.g. "GoogleAds"
+ * @returns {Promise<Object>} the integration (lean)
+ * @throws {Error} error.code === "INTEGRATION_NOT_CONNECTED" if the company has no active one
+ */
+async function getActiveIntegration(companyId, platform) {
+  const integration = companyId
+    ? await Integration.findOne({ companyId, platform, status: "active" }).lean()
+    : null;
+  if (!integration) {
+    const error = new Error(`The company has no active ${platform} integration.`);
+    error.code = "INTEGRATION_NOT_CONNECTED";
+    throw error;
+  }
+  return integration;
+}
+
+module.exports = {
+  getActiveIntegration
+};
@@ -0,0 +1,153 @@
+// src/integrations/googleAdsAPI.js
+
+/**
+ * Google Ads API
+ *
+ * Campaign management and reporting through the Google Ads REST API, used by
+ * the AdManagementAgent and AnalyticsAgent. Campaigns are matched by name.
+ * New campaigns are created paused (Search, manual CPC) so a person can
+ * review them in Google Ads before they spend money.
+ *
+ * Integration ("GoogleAds"): accountId = the customer ID, accessToken = an
+ * OAuth token with the adwords scope, meta.developerToken (or
+ * GOOGLE_ADS_DEVELOPER_TOKEN) and, for manager accounts, meta.loginCustomerId.
+ *
+ * Usage:
+ *   const GoogleAdsAPI = require("../integrations/googleAdsAPI");
+ *   await GoogleAdsAPI.createOrUpdateCampaign({ companyId, name, budget: 50 });
+ */
+
+const { platformRequest, createPlatformError } = require("./http");
+const { getActiveIntegration } = require("./credentials");
+const { platformApis } = require("../config");
+
+const PLATFORM = "GoogleAds";
+
+// Reports default to the last 30 days when the campaign has no start date
+const DEFAULT_REPORT_DAYS = 30;
+
+/**
+ * createOrUpdateCampaign
+ * Creates the campaign (with its budget), or updates the daily budget of the
+ * existing campaign with the same name.
+ * @param {Object} campaign - { companyId, name, budget, startDate, endDate } budget is
+ *   the daily budget in the account's currency
+ * @returns {Promise<Object>} { resourceName, created }
+ * @throws {Error} error.code === "INTEGRATION_NOT_CONNECTED" or "PLATFORM_API_ERROR"
+ */
+async function createOrUpdateCampaign({ companyId, name, budget, startDate, endDate }) {
+  const client = await createClient(companyId);
+  const amountMicros = budget ? String(Math.round(Number(budget) * 1e6)) : null;
+
+  const [existing] = await client.search(
+    `SELECT campaign.resource_name, campaign.campaign_budget FROM campaign WHERE campaign.name = '${gaqlString(name)}'`
+  );
+  if (existing) {
+    if (amountMicros) {
+      await client.mutate("campaignBudgets", [{
+        update: { resourceName: existing.campaign.campaignBudget, amountMicros },
+        updateMask: "amountMicros"
+      }]);
+    }
+    return { resourceName: existing.campaign.resourceName, created: false };
+  }
+
+  if (!amountMicros) {
+    throw createPlatformError(PLATFORM, `can't create the campaign "${name}" without a daily budget`, 400);
+  }
+  const [budgetResult] = await client.mutate("campaignBudgets", [{
+    create: { name: `${name} budget ${Date.now()}`, amountMicros, deliveryMethod: "STANDARD", explicitlyShared: false }
+  }]);
+  const [campaignResult] = await client.mutate("campaigns", [{
+    create: {
+      name,
+      status: "PAUSED",
+      advertisingChannelType: "SEARCH",
+      manualCpc: {},
+      campaignBudget: budgetResult.resourceName,
+      networkSettings: { targetGoogleSearch: true, targetSearchNetwork: true },
+      ...(startDate ? { startDate: toDateString(startDate) } : {}),
+      ...(endDate ? { endDate: toDateString(endDate) } : {})
+    }
+  }]);
+  return { resourceName: campaignResult.resourceName, created: true };
+}
+
+/**
+ * getCampaignMetrics
+ * Totals a campaign's metrics over a date range.
+ * @param {Object} query - { companyId, campaignName, dateRange: { start, end } }
+ * @returns {Promise<Object>} { impressions, clicks, conversions, cost } zeros if the
+ *   campaign doesn't exist in Google Ads
+ * @throws {Error} error.code === "INTEGRATION_NOT_CONNECTED" or "PLATFORM_API_ERROR"
+ */
+async function getCampaignMetrics({ companyId, campaignName, dateRange = {} }) {
+  const client = await createClient(companyId);
+  const { since, until } = reportRange(dateRange);
+
+  const rows = await client.search(
+    "SELECT metrics.impressions, metrics.clicks, metrics.conversions, metrics.cost_micros FROM campaign "
+    + `WHERE campaign.name = '${gaqlString(campaignName)}' AND segments.date BETWEEN '${since}' AND '${until}'`
+  );
+
+  // int64 metrics come back as strings
+  return rows.reduce((totals, { metrics = {} }) => ({
+    impressions: totals.impressions + Number(metrics.impressions || 0),
+    clicks: totals.clicks + Number(metrics.clicks || 0),
+    conversions: totals.conversions + Number(metrics.conversions || 0),
+    cost: totals.cost + Number(metrics.costMicros || 0) / 1e6
+  }), { impressions: 0, clicks: 0, conversions: 0, cost: 0 });
+}
+
+// -------------------- Internal Helpers -------------------- //
+
+/**
+ * createClient
+ * Binds the company's credentials to search (GAQL) and mutate calls.
+ */
+async function createClient(companyId) {
+  const integration = await getActiveIntegration(companyId, PLATFORM);
+  const customerId = String(integration.accountId || "").replace(/-/g, "");
+  const meta = integration.meta || {};
+  const headers = { "developer-token": meta.developerToken || platformApis.googleAdsDeveloperToken || "" };
+  if (meta.loginCustomerId) {
+    headers["login-customer-id"] = String(meta.loginCustomerId).replace(/-/g, "");
+  }
+  const base = `${platformApis.googleAds}/customers/${customerId}`;
+  const request = (path, json) => platformRequest(PLATFORM, `${base}/${path}`, {
+    method: "POST",
+    token: integration.accessToken,
+    headers,
+    json
+  });
+
+  return {
+    search: async (query) => (await request("googleAds:search", { query })).data.results || [],
+    mutate: async (resource, operations) => (await request(`${resource}:mutate`, { operations })).data.results || []
+  };
+}
+
+/**
+ * reportRange
+ * The campaign's dates, clamped to today; the last 30 days without a start date.
+ */
+function reportRange({ start, end }) {
+  const today = new Date();
+  const until = end && new Date(end) < today ? new Date(end) : today;
+  const since = start ? new Date(start) : new Date(today.getTime() - DEFAULT_REPORT_DAYS * 24 * 60 * 60 * 1000);
+  return { since: toDateString(since), until: toDateString(until) };
+}
+
+function toDateString(date) {
+  return new Date(date).toISOString().slice(0, 10);
+}
+
+// GAQL string literals are single-quoted; escape quotes and backslashes
+function gaqlString(value) {
+  return String(value || "").replace(/[\\']/g, "\\$&");
+}
+
+module.exports = {
+  createOrUpdateCampaign,
+  getCampaignMetrics
+};
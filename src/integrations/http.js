@@ -0,0 +1,151 @@
+// src/integrations/http.js
+
+/**
+ * Platform HTTP helpers
+ *
+ * Shared by the platform integrations: JSON requests with a timeout, errors
+ * that say whether retrying may help, and media downloads for platforms that
+ * want the image bytes rather than a URL.
+ *
+ * Usage:
+ *   const { platformRequest } = require("./http");
+ *   const { data } = await platformRequest("Twitter", `${base}/2/tweets`, { method: "POST", token, json: { text } });
+ */
+
+const { appPublicUrl } = require("../config");
+
+const REQUEST_TIMEOUT_MS = 30000;
+
+// Largest image the integrations download for an upload
+const MAX_MEDIA_BYTES = 10 * 1024 * 1024;
+
+/**
+ * platformRequest
+ * @param {String} platform - for error messages
+ * @param {String} url
+ * @param {Object} [options] - { method, token, headers, query, json, body }
+ *   token is sent as a Bearer token; query is added to the URL; json is sent as
+ *   the JSON body, body as is
+ * @returns {Promise<Object>} { status, headers, data } data is the parsed JSON (or null)
+ * @throws {Error} error.code === "PLATFORM_API_ERROR", with error.status and error.retryable
+ */
+async function platformRequest(platform, url, { method = "GET", token, headers = {}, query, json, body } = {}) {
+  const target = new URL(url);
+  Object.entries(query || {}).forEach(([key, value]) => {
+    if (value !== undefined && value !== null) {
+      target.searchParams.set(key, typeof value === "object" ? JSON.stringify(value) : String(value));
+    }
+  });
+
+  const requestHeaders = { ...headers };
+  if (token) {
+    requestHeaders.Authorization = `Bearer ${token}`;
+  }
+  if (json !== undefined) {
+    requestHeaders["Content-Type"] = "application/json";
+  }
+
+  let response;
+  try {
+    response = await fetch(target, {
+      method,
+      headers: requestHeaders,
+      body: json !== undefined ? JSON.stringify(json) : body,
+      signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS)
+    });
+  } catch (error) {
+    throw createPlatformError(platform, `request failed: ${error.message}`);
+  }
+
+  const text = await response.text();
+  let data = null;
+  try {
+    data = text ? JSON.parse(text) : null;
+  } catch (error) {
+    data = { message: text };
+  }
+
+  if (!response.ok) {
+    throw createPlatformError(platform, `${response.status} ${errorMessage(data) || response.statusText}`, response.status);
+  }
+  return { status: response.status, headers: response.headers, data };
+}
+
+/**
+ * downloadMedia
+ * Fetches an image for upload to a platform. Relative URLs (local storage's
+ * /media/...) are resolved against APP_PUBLIC_URL.
+ * @param {String} platform - for error messages
+ * @param {String} url
+ * @returns {Promise<Object>} { buffer, contentType }
+ */
+async function downloadMedia(platform, url) {
+  let response;
+  try {
+    response = await fetch(absoluteUrl(url), { signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS) });
+  } catch (error) {
+    throw createPlatformError(platform, `can't download the media: ${error.message}`);
+  }
+  if (!response.ok) {
+    // A missing image won't appear by retrying
+    throw createPlatformError(platform, `can't download the media: ${response.status}`, response.status);
+  }
+  const buffer = Buffer.from(await response.arrayBuffer());
+  if (buffer.length > MAX_MEDIA_BYTES) {
+    throw createPlatformError(platform, `the media is larger than ${MAX_MEDIA_BYTES / (1024 * 1024)} MB`, 413);
+  }
+  return { buffer, contentType: response.headers.get("content-type") || "application/octet-stream" };
+}
+
+/**
+ * absoluteUrl
+ * Platforms fetch media themselves, so relative URLs get this API's public base URL.
+ * @param {String} url
+ * @returns {String}
+ */
+function absoluteUrl(url) {
+  return new URL(url, appPublicUrl).toString();
+}
+
+/**
+ * createPlatformError
+ * Network errors, 408, 429 and 5xx are worth retrying; other statuses are not.
+ * @param {String} platform
+ * @param {String} message
+ * @param {Number} [status] - the platform's HTTP status
+ * @returns {Error} an Error tagged with code PLATFORM_API_ERROR
+ */
+function createPlatformError(platform, message, status) {
+  const error = new Error(`${platform} API: ${message}`);
+  error.code = "PLATFORM_API_ERROR";
+  error.status = status;
+  error.retryable = !status || status === 408 || status === 429 || status >= 500;
+  return error;
+}
+
+// -------------------- Internal Helpers -------------------- //
+
+/**
+ * errorMessage
+ * Finds the message in the error bodies of the Graph API ({ error: { message } }),
+ * LinkedIn ({ message }), X ({ detail } / { errors: [{ message }] }) and Google ({ error: { message } }).
+ */
+function errorMessage(data) {
+  if (!data) {
+    return null;
+  }
+  if (data.error && data.error.message) {
+    return data.error.message;
+  }
+  if (Array.isArray(data.errors) && data.errors[0] && data.errors[0].message) {
+    return data.errors[0].message;
+  }
+  return data.detail || data.message || null;
+}
+
+module.exports = {
+  platformRequest,
+  downloadMedia,
+  absoluteUrl,
+  createPlatformError
+};
@@ -0,0 +1,155 @@
+// src/integrations/metaAdsAPI.js
+
+/**
+ * Meta Ads API
+ *
+ * Campaign management and reporting through the Meta Marketing API (Graph
+ * API), used by the AdManagementAgent and AnalyticsAgent. Campaigns are
+ * matched by name. New campaigns are created paused, with a campaign daily
+ * budget, so a person can add ad sets and review them in Ads Manager.
+ *
+ * Integration ("Facebook"): accessToken = a token with ads_management and
+ * ads_read, meta.adAccountId = the ad account ID (with or without "act_").
+ *
+ * Usage:
+ *   const MetaAdsAPI = require("../integrations/metaAdsAPI");
+ *   const { impressions } = await MetaAdsAPI.getCampaignMetrics({ companyId, campaignName });
+ */
+
+const { platformRequest, createPlatformError } = require("./http");
+const { getActiveIntegration } = require("./credentials");
+const { platformApis } = require("../config");
+
+const PLATFORM = "Facebook";
+
+// Campaign.objective -> Meta campaign objective
+const OBJECTIVES = {
+  "Brand Awareness": "OUTCOME_AWARENESS",
+  "Lead Generation": "OUTCOME_LEADS",
+  Sales: "OUTCOME_SALES",
+  Engagement: "OUTCOME_ENGAGEMENT"
+};
+const DEFAULT_OBJECTIVE = "OUTCOME_TRAFFIC";
+
+// Action types counted as conversions (Meta's totals across pixel, app and offline)
+const CONVERSION_ACTIONS = ["purchase", "lead", "complete_registration"];
+
+// Reports default to the last 30 days when the campaign has no start date
+const DEFAULT_REPORT_DAYS = 30;
+
+/**
+ * createOrUpdateCampaign
+ * Creates the campaign, or updates the daily budget of the existing campaign
+ * with the same name.
+ * @param {Object} campaign - { companyId, name, dailyBudget, objective } dailyBudget in the
+ *   ad account's currency; objective as in Campaign.objective
+ * @returns {Promise<Object>} { id, created }
+ * @throws {Error} error.code === "INTEGRATION_NOT_CONNECTED" or "PLATFORM_API_ERROR"
+ */
+async function createOrUpdateCampaign({ companyId, name, dailyBudget, objective }) {
+  const { integration, adAccount } = await getAdAccount(companyId);
+  // Budgets are in the currency's minor unit (cents)
+  const budget = dailyBudget ? Math.round(Number(dailyBudget) * 100) : null;
+
+  const existing = await findCampaign(integration, adAccount, name);
+  if (existing) {
+    if (budget) {
+      await platformRequest(PLATFORM, `${platformApis.graph}/${existing.id}`, {
+        method: "POST",
+        token: integration.accessToken,
+        json: { daily_budget: budget }
+      });
+    }
+    return { id: existing.id, created: false };
+  }
+
+  const { data } = await platformRequest(PLATFORM, `${platformApis.graph}/${adAccount}/campaigns`, {
+    method: "POST",
+    token: integration.accessToken,
+    json: {
+      name,
+      objective: OBJECTIVES[objective] || DEFAULT_OBJECTIVE,
+      status: "PAUSED",
+      special_ad_categories: [],
+      ...(budget ? { daily_budget: budget } : {})
+    }
+  });
+  return { id: data.id, created: true };
+}
+
+/**
+ * getCampaignMetrics
+ * Totals a campaign's metrics over a date range.
+ * @param {Object} query - { companyId, campaignName, dateRange: { start, end } }
+ * @returns {Promise<Object>} { impressions, clicks, conversions, cost } zeros if the
+ *   campaign doesn't exist in the ad account
+ * @throws {Error} error.code === "INTEGRATION_NOT_CONNECTED" or "PLATFORM_API_ERROR"
+ */
+async function getCampaignMetrics({ companyId, campaignName, dateRange = {} }) {
+  const { integration, adAccount } = await getAdAccount(companyId);
+  const totals = { impressions: 0, clicks: 0, conversions: 0, cost: 0 };
+
+  const campaign = await findCampaign(integration, adAccount, campaignName);
+  if (!campaign) {
+    return totals;
+  }
+
+  const { data } = await platformRequest(PLATFORM, `${platformApis.graph}/${campaign.id}/insights`, {
+    token: integration.accessToken,
+    query: { fields: "impressions,clicks,spend,actions", time_range: reportRange(dateRange) }
+  });
+
+  // Insights values come back as strings
+  return (data.data || []).reduce((sum, row) => ({
+    impressions: sum.impressions + Number(row.impressions || 0),
+    clicks: sum.clicks + Number(row.clicks || 0),
+    conversions: sum.conversions + (row.actions || [])
+      .filter((action) => CONVERSION_ACTIONS.includes(action.action_type))
+      .reduce((count, action) => count + Number(action.value || 0), 0),
+    cost: sum.cost + Number(row.spend || 0)
+  }), totals);
+}
+
+// -------------------- Internal Helpers -------------------- //
+
+/**
+ * getAdAccount
+ * @returns {Promise<Object>} { integration, adAccount } adAccount as "act_<id>"
+ */
+async function getAdAccount(companyId) {
+  const integration = await getActiveIntegration(companyId, PLATFORM);
+  const adAccountId = integration.meta && integration.meta.adAccountId;
+  if (!adAccountId) {
+    throw createPlatformError(PLATFORM, "the Facebook integration has no ad account (meta.adAccountId)", 400);
+  }
+  const id = String(adAccountId);
+  return { integration, adAccount: id.startsWith("act_") ? id : `act_${id}` };
+}
+
+/**
+ * findCampaign
+ * @returns {Promise<Object|null>} { id, name } of the ad account's campaign with this name
+ */
+async function findCampaign(integration, adAccount, name) {
+  const { data } = await platformRequest(PLATFORM, `${platformApis.graph}/${adAccount}/campaigns`, {
+    token: integration.accessToken,
+    query: { fields: "id,name", filtering: [{ field: "name", operator: "EQUAL", value: name }] }
+  });
+  return (data.data || [])[0] || null;
+}
+
+/**
+ * reportRange
+ * The campaign's dates, clamped to today; the last 30 days without a start date.
+ */
+function reportRange({ start, end }) {
+  const today = new Date();
+  const until = end && new Date(end) < today ? new Date(end) : today;
+  const since = start ? new Date(start) : new Date(today.getTime() - DEFAULT_REPORT_DAYS * 24 * 60 * 60 * 1000);
+  return { since: since.toISOString().slice(0, 10), until: until.toISOString().slice(0, 10) };
+}
+
+module.exports = {
+  createOrUpdateCampaign,
+  getCampaignMetrics
+};
@@ -0,0 +1,630 @@
+// src/integrations/mockPlatformServer.js
+
+/**
+ * Mock platform server
+ *
+ * An in-memory stand-in for the platform APIs the integrations call, so the
+ * publishers, the publishing engine and the ad integrations can run entirely
+ * offline. It mimics the endpoints, payloads and error shapes the adapters
+ * use; it does not fetch media or enforce every platform rule.
+ *
+ *   /graph      Graph API: Facebook Page feed/photos, Instagram media, Meta ad campaigns
+ *   /linkedin   LinkedIn REST API: images, posts, share statistics
+ *   /twitter    X API v2: media upload, tweets
+ *   /googleads  Google Ads REST API: search (a small GAQL subset) and mutate
+ *
+ * Start it and point the integrations at it:
+ *
+ *   npm run mock-platforms                       # MOCK_PLATFORM_PORT, default 4010
+ *   PLATFORM_API_MOCK_URL=http://127.0.0.1:4010 npm start
+ *
+ * Any non-empty token is accepted, except "invalid" and "expired" (401).
+ * Test controls:
+ *   GET   /__mock/posts              every post, with its stats
+ *   PATCH /__mock/posts/:id/stats    set a post's stats, e.g. { "impressions": 500 }
+ *   POST  /__mock/failures           { platform, status, times } the next `times` requests
+ *                                    to graph|linkedin|twitter|googleads answer `status`
+ *   POST  /__mock/reset              forget everything
+ *
+ * Usage in a script:
+ *   const { startMockPlatformServer } = require("./integrations/mockPlatformServer");
+ *   const mock = await startMockPlatformServer({ port: 0 });
+ *   // ... mock.url, mock.state ...
+ *   await mock.close();
+ */
+
+const crypto = require("crypto");
+const express = require("express");
+const multer = require("multer");
+
+const DEFAULT_PORT = 4010;
+const TWEET_MAX_CHARS = 280;
+const REJECTED_TOKENS = ["invalid", "expired"];
+
+/**
+ * createMockPlatformApp
+ * @returns {Object} { app, state } state holds the posts, campaigns etc. for inspection
+ */
+function createMockPlatformApp() {
+  const state = createState();
+  const app = express();
+
+  app.use("/__mock", express.json(), controlRouter(state));
+  app.use("/:platform", injectFailures(state), authenticate);
+  app.use("/graph", graphRouter(state));
+  app.use("/linkedin", linkedInRouter(state));
+  app.use("/twitter", twitterRouter(state));
+  app.use("/googleads", googleAdsRouter(state));
+
+  app.use((req, res) => res.status(404).json({ message: `Mock platform server: no route for ${req.method} ${req.path}` }));
+  return { app, state };
+}
+
+/**
+ * startMockPlatformServer
+ * @param {Object} [options] - { port, host } port 0 picks a free port
+ * @returns {Promise<Object>} { url, state, close() }
+ */
+async function startMockPlatformServer({ port = DEFAULT_PORT, host = "127.0.0.1" } = {}) {
+  const { app, state } = createMockPlatformApp();
+  const server = await new Promise((resolve, reject) => {
+    const listening = app.listen(port, host, () => resolve(listening));
+    listening.on("error", reject);
+  });
+
+  return {
+    url: `http://${host}:${server.address().port}`,
+    state,
+    close: () => new Promise((resolve) => server.close(resolve))
+  };
+}
+
+// -------------------- Internal Helpers -------------------- //
+
+function createState() {
+  return {
+    seq: 0,
+    posts: new Map(), // id -> { id, platform, accountId, text, media, createdAt, stats }
+    containers: new Map(), // Instagram media containers
+    uploads: new Map(), // LinkedIn images and X media
+    campaigns: new Map(), // Meta and Google Ads campaigns
+    budgets: new Map(), // Google Ads campaign budgets
+    failures: [] // { platform, status, times }
+  };
+}
+
+function nextId(state) {
+  state.seq += 1;
+  return String(1000000 + state.seq);
+}
+
+/**
+ * addPost
+ * Stores a post with made-up (but stable) engagement numbers.
+ */
+function addPost(state, post) {
+  const n = state.seq;
+  const record = {
+    ...post,
+    createdAt: new Date().toISOString(),
+    stats: {
+      impressions: 100 + ((n * 37) % 900),
+      clicks: (n * 7) % 50,
+      likes: (n * 11) % 40,
+      comments: n % 9,
+      shares: n % 5
+    }
+  };
+  state.posts.set(record.id, record);
+  return record;
+}
+
+/**
+ * sendError
+ * Answers in the error format of the platform.
+ */
+function sendError(res, platform, status, message) {
+  const bodies = {
+    graph: { error: { message, type: status === 401 ? "OAuthException" : "GraphMethodException", code: status === 401 ? 190 : 100 } },
+    linkedin: { status, serviceErrorCode: status === 401 ? 65600 : 100, message },
+    twitter: { title: status === 401 ? "Unauthorized" : "Invalid Request", status, detail: message },
+    googleads: { error: { code: status, message, status: status === 401 ? "UNAUTHENTICATED" : "INVALID_ARGUMENT" } }
+  };
+  return res.status(status).json(bodies[platform] || { message });
+}
+
+function controlRouter(state) {
+  const router = express.Router();
+
+  router.get("/posts", (req, res) => res.json({ data: [...state.posts.values()] }));
+
+  router.patch("/posts/:id/stats", (req, res) => {
+    const post = state.posts.get(req.params.id);
+    if (!post) {
+      return res.status(404).json({ message: `No post ${req.params.id}` });
+    }
+    Object.assign(post.stats, req.body);
+    return res.json({ data: post });
+  });
+
+  router.post("/failures", (req, res) => {
+    const { platform, status = 500, times = 1 } = req.body;
+    state.failures.push({ platform, status: Number(status), times: Number(times) });
+    return res.status(201).json({ data: state.failures });
+  });
+
+  router.post("/reset", (req, res) => {
+    Object.assign(state, createState());
+    return res.json({ success: true });
+  });
+  return router;
+}
+
+/**
+ * injectFailures
+ * Answers with a queued failure status instead of handling the request.
+ */
+function injectFailures(state) {
+  return (req, res, next) => {
+    const failure = state.failures.find((item) => item.platform === req.params.platform && item.times > 0);
+    if (!failure) {
+      return next();
+    }
+    failure.times -= 1;
+    return sendError(res, req.params.platform, failure.status, `Injected failure (${failure.status}).`);
+  };
+}
+
+function authenticate(req, res, next) {
+  const header = req.get("authorization") || "";
+  const token = header.startsWith("Bearer ") ? header.slice(7) : req.query.access_token;
+  if (!token || REJECTED_TOKENS.includes(token)) {
+    return sendError(res, req.params.platform, 401, "Invalid OAuth access token.");
+  }
+  req.token = token;
+  return next();
+}
+
+/**
+ * graphRouter
+ * Facebook Pages, Instagram content publishing and Meta ad campaigns.
+ */
+function graphRouter(state) {
+  const router = express.Router();
+  router.use(express.json(), express.urlencoded({ extended: true }));
+  const fail = (res, status, message) => sendError(res, "graph", status, message);
+
+  router.post("/:pageId/feed", (req, res) => {
+    if (!req.body.message && !req.body.link) {
+      return fail(res, 400, "(#100) Missing message or attachment.");
+    }
+    const post = addPost(state, {
+      id: `${req.params.pageId}_${nextId(state)}`,
+      platform: "Facebook",
+      accountId: req.params.pageId,
+      text: req.body.message,
+      media: req.body.link || null
+    });
+    return res.json({ id: post.id });
+  });
+
+  router.post("/:pageId/photos", (req, res) => {
+    if (!req.body.url) {
+      return fail(res, 400, "(#324) Requires upload file.");
+    }
+    const photoId = nextId(state);
+    const post = addPost(state, {
+      id: `${req.params.pageId}_${photoId}`,
+      platform: "Facebook",
+      accountId: req.params.pageId,
+      text: req.body.caption,
+      media: req.body.url
+    });
+    return res.json({ id: photoId, post_id: post.id });
+  });
+
+  router.post("/:igUserId/media", (req, res) => {
+    if (!req.body.image_url) {
+      return fail(res, 400, "The parameter image_url is required.");
+    }
+    const id = nextId(state);
+    state.containers.set(id, { accountId: req.params.igUserId, caption: req.body.caption, imageUrl: req.body.image_url });
+    return res.json({ id });
+  });
+
+  router.post("/:igUserId/media_publish", (req, res) => {
+    const container = state.containers.get(String(req.body.creation_id));
+    if (!container || container.accountId !== req.params.igUserId) {
+      return fail(res, 400, "The media container could not be found.");
+    }
+    state.containers.delete(String(req.body.creation_id));
+    const post = addPost(state, {
+      id: nextId(state),
+      platform: "Instagram",
+      accountId: req.params.igUserId,
+      text: container.caption,
+      media: container.imageUrl
+    });
+    return res.json({ id: post.id });
+  });
+
+  router.get("/:adAccount/campaigns", (req, res) => {
+    let filters = [];
+    try {
+      filters = req.query.filtering ? JSON.parse(req.query.filtering) : [];
+    } catch (error) {
+      return fail(res, 400, "Invalid filtering parameter.");
+    }
+    const nameFilter = filters.find((filter) => filter.field === "name");
+    const campaigns = [...state.campaigns.values()]
+      .filter((campaign) => campaign.platform === "Meta" && campaign.accountId === req.params.adAccount)
+      .filter((campaign) => !nameFilter || campaign.name === nameFilter.value)
+      .map(({ id, name }) => ({ id, name }));
+    return res.json({ data: campaigns });
+  });
+
+  router.post("/:adAccount/campaigns", (req, res) => {
+    const { name, objective, status = "PAUSED", daily_budget: dailyBudget } = req.body;
+    if (!name || !objective) {
+      return fail(res, 400, "(#100) The parameters name and objective are required.");
+    }
+    const id = nextId(state);
+    state.campaigns.set(id, {
+      id,
+      platform: "Meta",
+      accountId: req.params.adAccount,
+      name,
+      objective,
+      status,
+      dailyBudget: dailyBudget ? Number(dailyBudget) : null,
+      seq: state.seq
+    });
+    return res.json({ id });
+  });
+
+  router.get("/:id/insights", (req, res) => {
+    const campaign = state.campaigns.get(req.params.id);
+    if (campaign) {
+      const n = campaign.seq;
+      return res.json({
+        data: [{
+          impressions: String(1000 + n * 53),
+          clicks: String(40 + n * 3),
+          spend: (12.5 + n).toFixed(2),
+          actions: [{ action_type: "link_click", value: String(40 + n * 3) }, { action_type: "purchase", value: String(n % 7) }]
+        }]
+      });
+    }
+
+    const post = state.posts.get(req.params.id);
+    if (!post) {
+      return fail(res, 404, `Unsupported get request. Object with ID '${req.params.id}' does not exist.`);
+    }
+    const names = {
+      post_impressions: post.stats.impressions,
+      post_clicks: post.stats.clicks,
+      impressions: post.stats.impressions,
+      reach: Math.round(post.stats.impressions * 0.8),
+      likes: post.stats.likes,
+      comments: post.stats.comments,
+      shares: post.stats.shares,
+      saved: 0
+    };
+    const metrics = String(req.query.metric || "").split(",").filter((name) => name in names);
+    return res.json({
+      data: metrics.map((name) => ({ name, period: "lifetime", values: [{ value: names[name] }] }))
+    });
+  });
+
+  router.get("/:id", (req, res) => {
+    const post = state.posts.get(req.params.id);
+    if (!post) {
+      return fail(res, 404, `Unsupported get request. Object with ID '${req.params.id}' does not exist.`);
+    }
+    return res.json({
+      id: post.id,
+      permalink: post.platform === "Instagram" ? `https://www.instagram.com/p/mock${post.id}/` : undefined,
+      reactions: { data: [], summary: { total_count: post.stats.likes } },
+      comments: { data: [], summary: { total_count: post.stats.comments } },
+      shares: { count: post.stats.shares }
+    });
+  });
+
+  // Updates a Meta campaign
+  router.post("/:id", (req, res) => {
+    const campaign = state.campaigns.get(req.params.id);
+    if (!campaign) {
+      return fail(res, 404, `Object with ID '${req.params.id}' does not exist.`);
+    }
+    if (req.body.daily_budget !== undefined) {
+      campaign.dailyBudget = Number(req.body.daily_budget);
+    }
+    if (req.body.status) {
+      campaign.status = req.body.status;
+    }
+    return res.json({ success: true });
+  });
+
+  router.delete("/:id", (req, res) => {
+    const post = state.posts.get(req.params.id);
+    if (!post || post.platform !== "Facebook") {
+      return fail(res, 404, `Object with ID '${req.params.id}' does not exist.`);
+    }
+    state.posts.delete(req.params.id);
+    return res.json({ success: true });
+  });
+
+  return router;
+}
+
+/**
+ * linkedInRouter
+ * Images API upload flow, Posts API and organization share statistics.
+ */
+function linkedInRouter(state) {
+  const router = express.Router();
+  const fail = (res, status, message) => sendError(res, "linkedin", status, message);
+
+  router.put("/upload/:imageId", express.raw({ type: () => true, limit: "20mb" }), (req, res) => {
+    const image = state.uploads.get(`urn:li:image:${req.params.imageId}`);
+    if (!image) {
+      return fail(res, 404, "Upload URL not found.");
+    }
+    image.size = req.body.length;
+    image.status = "AVAILABLE";
+    return res.status(201).end();
+  });
+
+  router.use(express.json({ limit: "1mb" }));
+  router.use("/rest", (req, res, next) => (req.get("linkedin-version")
+    ? next()
+    : fail(res, 426, "A version must be present. Please specify a version by adding the LinkedIn-Version header.")));
+
+  router.post("/rest/images", (req, res) => {
+    const owner = req.body.initializeUploadRequest && req.body.initializeUploadRequest.owner;
+    if (req.query.action !== "initializeUpload" || !owner) {
+      return fail(res, 400, "initializeUploadRequest.owner is required.");
+    }
+    const id = nextId(state);
+    const image = `urn:li:image:${id}`;
+    state.uploads.set(image, { owner, status: "WAITING_UPLOAD" });
+    return res.json({
+      value: {
+        uploadUrl: `${req.protocol}://${req.get("host")}/linkedin/upload/${id}`,
+        uploadUrlExpiresAt: Date.now() + 60 * 60 * 1000,
+        image
+      }
+    });
+  });
+
+  router.post("/rest/posts", (req, res) => {
+    const { author, commentary, lifecycleState } = req.body;
+    if (!author || lifecycleState !== "PUBLISHED") {
+      return fail(res, 422, "author and lifecycleState PUBLISHED are required.");
+    }
+    const mediaId = req.body.content && req.body.content.media && req.body.content.media.id;
+    if (mediaId && (state.uploads.get(mediaId) || {}).status !== "AVAILABLE") {
+      return fail(res, 422, `Image ${mediaId} hasn't been uploaded.`);
+    }
+    const post = addPost(state, {
+      id: `urn:li:share:${nextId(state)}`,
+      platform: "LinkedIn",
+      accountId: author,
+      text: commentary,
+      media: mediaId || null
+    });
+    res.set("x-restli-id", post.id);
+    return res.status(201).end();
+  });
+
+  router.delete("/rest/posts/:urn", (req, res) => {
+    if (!state.posts.delete(req.params.urn)) {
+      return fail(res, 404, `Post ${req.params.urn} not found.`);
+    }
+    return res.status(204).end();
+  });
+
+  router.get("/rest/organizationalEntityShareStatistics", (req, res) => {
+    const list = String(req.query.shares || req.query.ugcPosts || "");
+    const urns = (list.match(/^List\((.*)\)$/) || [null, ""])[1].split(",").filter(Boolean);
+    const elements = urns
+      .map((urn) => state.posts.get(urn))
+      .filter((post) => post && post.accountId === req.query.organizationalEntity)
+      .map((post) => ({
+        share: post.id,
+        organizationalEntity: post.accountId,
+        totalShareStatistics: {
+          impressionCount: post.stats.impressions,
+          uniqueImpressionsCount: Math.round(post.stats.impressions * 0.8),
+          clickCount: post.stats.clicks,
+          likeCount: post.stats.likes,
+          commentCount: post.stats.comments,
+          shareCount: post.stats.shares
+        }
+      }));
+    return res.json({ elements, paging: { count: elements.length, start: 0 } });
+  });
+
+  return router;
+}
+
+/**
+ * twitterRouter
+ * X API v2 media upload and tweets. Duplicate text is rejected, as on X.
+ */
+function twitterRouter(state) {
+  const router = express.Router();
+  const fail = (res, status, message) => sendError(res, "twitter", status, message);
+  const upload = multer({ storage: multer.memoryStorage(), limits: { fileSize: 5 * 1024 * 1024 } });
+
+  router.post("/2/media/upload", upload.single("media"), (req, res) => {
+    if (!req.file) {
+      return fail(res, 400, "The media field is required.");
+    }
+    const id = nextId(state);
+    state.uploads.set(`x:${id}`, { size: req.file.size, category: req.body.media_category });
+    return res.json({ data: { id, media_key: `3_${id}`, size: req.file.size, expires_after_secs: 86400 } });
+  });
+
+  router.use(express.json());
+
+  router.post("/2/tweets", (req, res) => {
+    const text = String(req.body.text || "");
+    const mediaIds = (req.body.media && req.body.media.media_ids) || [];
+    if (!text && mediaIds.length === 0) {
+      return fail(res, 400, "Either text or media is required.");
+    }
+    if ([...text].length > TWEET_MAX_CHARS) {
+      return fail(res, 400, `Tweet text is longer than ${TWEET_MAX_CHARS} characters.`);
+    }
+    if (mediaIds.some((id) => !state.uploads.has(`x:${id}`))) {
+      return fail(res, 400, "One or more media IDs are invalid.");
+    }
+    const duplicate = [...state.posts.values()]
+      .some((post) => post.platform === "Twitter" && post.accountId === tokenAccount(req.token) && post.text === text);
+    if (duplicate) {
+      return fail(res, 403, "You are not allowed to create a Tweet with duplicate content.");
+    }
+    const post = addPost(state, {
+      id: nextId(state),
+      platform: "Twitter",
+      accountId: tokenAccount(req.token),
+      text,
+      media: mediaIds
+    });
+    return res.status(201).json({ data: { id: post.id, text: post.text, edit_history_tweet_ids: [post.id] } });
+  });
+
+  router.delete("/2/tweets/:id", (req, res) => {
+    if (!state.posts.delete(req.params.id)) {
+      return fail(res, 404, `Could not find tweet with id: [${req.params.id}].`);
+    }
+    return res.json({ data: { deleted: true } });
+  });
+
+  router.get("/2/tweets/:id", (req, res) => {
+    const post = state.posts.get(req.params.id);
+    if (!post || post.platform !== "Twitter") {
+      return fail(res, 404, `Could not find tweet with id: [${req.params.id}].`);
+    }
+    return res.json({
+      data: {
+        id: post.id,
+        text: post.text,
+        public_metrics: {
+          impression_count: post.stats.impressions,
+          like_count: post.stats.likes,
+          reply_count: post.stats.comments,
+          retweet_count: post.stats.shares,
+          quote_count: 0
+        }
+      }
+    });
+  });
+
+  return router;
+}
+
+/**
+ * googleAdsRouter
+ * googleAds:search understands "FROM campaign WHERE campaign.name = '...'" with
+ * campaign fields or metrics; :mutate creates and updates budgets and campaigns.
+ */
+function googleAdsRouter(state) {
+  const router = express.Router();
+  router.use(express.json());
+  const fail = (res, status, message) => sendError(res, "googleads", status, message);
+
+  router.use((req, res, next) => (req.get("developer-token")
+    ? next()
+    : fail(res, 401, "The developer token is not valid (DEVELOPER_TOKEN_PARAMETER_MISSING).")));
+
+  router.post(/^\/customers\/(\d+)\/googleAds:search$/, (req, res) => {
+    const customerId = req.params[0];
+    const query = String(req.body.query || "");
+    const nameMatch = query.match(/campaign\.name\s*=\s*'((?:[^'\\]|\\.)*)'/);
+    if (!/FROM\s+campaign\b/i.test(query) || !nameMatch) {
+      return fail(res, 400, "The mock only supports campaign queries filtered by campaign.name.");
+    }
+    const name = nameMatch[1].replace(/\\(.)/g, "$1");
+    const campaign = [...state.campaigns.values()]
+      .find((item) => item.platform === "GoogleAds" && item.customerId === customerId && item.name === name);
+    if (!campaign) {
+      return res.json({ fieldMask: "" }); // no results key when nothing matches, as in the real API
+    }
+
+    const n = campaign.seq;
+    const row = { campaign: { resourceName: campaign.resourceName, campaignBudget: campaign.campaignBudget } };
+    if (/metrics\./.test(query)) {
+      row.metrics = {
+        impressions: String(2000 + n * 71),
+        clicks: String(80 + n * 5),
+        conversions: n % 6,
+        costMicros: String((25 + n) * 1e6)
+      };
+    }
+    return res.json({ results: [row] });
+  });
+
+  router.post(/^\/customers\/(\d+)\/(campaignBudgets|campaigns):mutate$/, (req, res) => {
+    const [customerId, resource] = [req.params[0], req.params[1]];
+    const results = [];
+    for (const operation of req.body.operations || []) {
+      if (operation.create && resource === "campaignBudgets") {
+        const resourceName = `customers/${customerId}/campaignBudgets/${nextId(state)}`;
+        state.budgets.set(resourceName, { ...operation.create, resourceName });
+        results.push({ resourceName });
+      } else if (operation.create) {
+        const { name, campaignBudget } = operation.create;
+        if (!state.budgets.has(campaignBudget)) {
+          return fail(res, 400, `Campaign budget ${campaignBudget} not found.`);
+        }
+        if ([...state.campaigns.values()].some((item) => item.platform === "GoogleAds" && item.name === name)) {
+          return fail(res, 400, "DUPLICATE_CAMPAIGN_NAME");
+        }
+        const resourceName = `customers/${customerId}/campaigns/${nextId(state)}`;
+        state.campaigns.set(resourceName, {
+          ...operation.create,
+          platform: "GoogleAds",
+          customerId,
+          resourceName,
+          seq: state.seq
+        });
+        results.push({ resourceName });
+      } else if (operation.update) {
+        const store = resource === "campaignBudgets" ? state.budgets : state.campaigns;
+        const existing = store.get(operation.update.resourceName);
+        if (!existing) {
+          return fail(res, 400, `${operation.update.resourceName} not found.`);
+        }
+        Object.assign(existing, operation.update);
+        results.push({ resourceName: existing.resourceName });
+      }
+    }
+    return res.json({ results });
+  });
+
+  return router;
+}
+
+/**
+ * tokenAccount
+ * The mock has no users; a hash of the token stands in for the account.
+ */
+function tokenAccount(token) {
+  return crypto.createHash("sha256").update(String(token)).digest("hex").slice(0, 12);
+}
+
+module.exports = {
+  createMockPlatformApp,
+  startMockPlatformServer
+};
+
+// Standalone mode: `node src/integrations/mockPlatformServer.js`
+if (require.main === module) {
+  const port = parseInt(process.env.MOCK_PLATFORM_PORT, 10) || DEFAULT_PORT;
+  startMockPlatformServer({ port }).then(({ url }) => {
+    console.log(`[MockPlatformServer] Listening on ${url}`);
+    console.log(`[MockPlatformServer] Run the API with PLATFORM_API_MOCK_URL=${url}`);
+  });
+}
@@ -0,0 +1,25 @@
+// src/integrations/publishers/errors.js
+
+/**
+ * createPublishError
+ * For problems an adapter finds before or after calling the platform (no image
+ * for Instagram, missing account ID, ...). Errors from the platform's API itself
+ * come from integrations/http.js and carry the same retryable flag.
+ * @param {String} message
+ * @param {Object} [options] - { retryable, status } retryable defaults to true;
+ *   status is the platform's HTTP status, if any
+ * @returns {Error} an Error tagged with code PUBLISH_FAILED
+ */
+function createPublishError(message, { retryable = true, status } = {}) {
+  const error = new Error(message);
+  error.code = "PUBLISH_FAILED";
+  error.retryable = retryable;
+  if (status) {
+    error.status = status;
+  }
+  return error;
+}
+
+module.exports = {
+  createPublishError
+};
@@ -0,0 +1,105 @@
+// src/integrations/publishers/facebook.publisher.js
+
+/**
+ * Facebook Pages publisher
+ *
+ * Posts to a Facebook Page through the Graph API. Text posts go to the Page
+ * feed; posts with an image are published as a Page photo with a caption.
+ *
+ * Integration: accountId = the Page ID, accessToken = a Page access token
+ * with pages_manage_posts and pages_read_engagement.
+ */
+
+const { platformRequest, absoluteUrl } = require("../http");
+const { createPublishError } = require("./errors");
+const { platformApis } = require("../../config");
+
+const PLATFORM = "Facebook";
+
+/**
+ * publish
+ * @param {Object} content - Content document
+ * @param {Object} options - { integration }
+ * @returns {Promise<Object>} { externalId, url } externalId is the Page post ID
+ */
+async function publish(content, { integration }) {
+  const pageId = requirePage(integration);
+
+  const { data } = content.mediaUrl
+    ? await platformRequest(PLATFORM, `${platformApis.graph}/${pageId}/photos`, {
+      method: "POST",
+      token: integration.accessToken,
+      json: { url: absoluteUrl(content.mediaUrl), caption: content.text || "" }
+    })
+    : await platformRequest(PLATFORM, `${platformApis.graph}/${pageId}/feed`, {
+      method: "POST",
+      token: integration.accessToken,
+      json: { message: content.text || "" }
+    });
+
+  // /photos answers { id: <photo id>, post_id }, /feed answers { id: <post id> }
+  const externalId = data.post_id || data.id;
+  return { externalId, url: `https://www.facebook.com/${externalId}` };
+}
+
+/**
+ * delete
+ * @param {String} externalId - the Page post ID
+ * @param {Object} options - { integration }
+ * @returns {Promise<void>}
+ */
+async function deletePost(externalId, { integration }) {
+  await platformRequest(PLATFORM, `${platformApis.graph}/${externalId}`, {
+    method: "DELETE",
+    token: integration.accessToken
+  });
+}
+
+/**
+ * fetchPostStats
+ * @param {String} externalId - the Page post ID
+ * @param {Object} options - { integration }
+ * @returns {Promise<Object>} { impressions, clicks, likes, comments, shares }
+ */
+async function fetchPostStats(externalId, { integration }) {
+  const [{ data: insights }, { data: post }] = await Promise.all([
+    platformRequest(PLATFORM, `${platformApis.graph}/${externalId}/insights`, {
+      token: integration.accessToken,
+      query: { metric: "post_impressions,post_clicks" }
+    }),
+    platformRequest(PLATFORM, `${platformApis.graph}/${externalId}`, {
+      token: integration.accessToken,
+      query: { fields: "reactions.summary(total_count).limit(0),comments.summary(total_count).limit(0),shares" }
+    })
+  ]);
+
+  const metric = (name) => {
+    const entry = (insights.data || []).find((item) => item.name === name);
+    return entry && entry.values && entry.values[0] ? Number(entry.values[0].value) || 0 : 0;
+  };
+  const total = (edge) => (post[edge] && post[edge].summary ? post[edge].summary.total_count || 0 : 0);
+
+  return {
+    impressions: metric("post_impressions"),
+    clicks: metric("post_clicks"),
+    likes: total("reactions"),
+    comments: total("comments"),
+    shares: post.shares ? post.shares.count || 0 : 0
+  };
+}
+
+// -------------------- Internal Helpers -------------------- //
+
+function requirePage(integration) {
+  if (!integration.accountId) {
+    throw createPublishError("The Facebook integration has no Page ID (accountId).", { retryable: false });
+  }
+  return integration.accountId;
+}
+
+module.exports = {
+  platform: PLATFORM,
+  publish,
+  delete: deletePost,
+  fetchPostStats
+};
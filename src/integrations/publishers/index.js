@@ -0,0 +1,54 @@
+// src/integrations/publishers/index.js
+
+/**
+ * Publishers
+ *
+ * One adapter per social platform that posts Content on the company's behalf,
+ * looked up by the canonical channel name (config/channels.js). The publishing
+ * engine (services/publishing.service.js) finds the company's active
+ * Integration for the platform and hands it to the adapter.
+ *
+ * An adapter is an object with:
+ *   publish(content, { integration, idempotencyKey }) -> Promise<{ externalId, url }>
+ *     idempotencyKey is the same for every attempt at one content item; pass it
+ *     on where the platform supports it, so a retried request isn't posted twice
+ *   delete(externalId, { integration }) -> Promise<void>
+ *   fetchPostStats(externalId, { integration }) -> Promise<{ impressions, clicks, likes, comments, shares }>
+ *     counts the platform doesn't report are null
+ *
+ * Adapters report failures with createPublishError() (or the API errors of
+ * integrations/http.js); errors with retryable === false (bad token, rejected
+ * post, ...) are not retried.
+ *
+ * Set PLATFORM_API_MOCK_URL to run every adapter against the bundled mock
+ * platform server (integrations/mockPlatformServer.js) instead of the real APIs.
+ *
+ * Usage:
+ *   const { getPublisher } = require("../integrations/publishers");
+ *   const publisher = getPublisher("LinkedIn"); // null if the platform has none
+ */
+
+const { createPublishError } = require("./errors");
+
+// Canonical channel name -> adapter
+const PUBLISHERS = {
+  Facebook: require("./facebook.publisher"),
+  Instagram: require("./instagram.publisher"),
+  LinkedIn: require("./linkedin.publisher"),
+  Twitter: require("./twitter.publisher")
+};
+
+/**
+ * getPublisher
+ * @param {String} platform - canonical channel name
+ * @returns {Object|null} the platform's adapter, or null if it has none
+ */
+function getPublisher(platform) {
+  return PUBLISHERS[platform] || null;
+}
+
+module.exports = {
+  PUBLISHERS,
+  getPublisher,
+  createPublishError
+};
@@ -0,0 +1,101 @@
+// src/integrations/publishers/instagram.publisher.js
+
+/**
+ * Instagram publisher
+ *
+ * Posts to an Instagram professional account through the Graph API's content
+ * publishing flow: create a media container from the image URL and caption,
+ * then publish the container. Instagram posts need an image, and the API
+ * can't delete published posts.
+ *
+ * Integration: accountId = the Instagram user ID, accessToken = a token with
+ * instagram_content_publish and instagram_manage_insights.
+ */
+
+const { platformRequest, absoluteUrl } = require("../http");
+const { createPublishError } = require("./errors");
+const { platformApis } = require("../../config");
+
+const PLATFORM = "Instagram";
+
+/**
+ * publish
+ * @param {Object} content - Content document; needs a mediaUrl
+ * @param {Object} options - { integration }
+ * @returns {Promise<Object>} { externalId, url } externalId is the media ID
+ */
+async function publish(content, { integration }) {
+  if (!integration.accountId) {
+    throw createPublishError("The Instagram integration has no Instagram user ID (accountId).", { retryable: false });
+  }
+  if (!content.mediaUrl) {
+    throw createPublishError("Instagram posts need an image; add one to the content.", { retryable: false });
+  }
+  const token = integration.accessToken;
+
+  const { data: container } = await platformRequest(PLATFORM, `${platformApis.graph}/${integration.accountId}/media`, {
+    method: "POST",
+    token,
+    json: { image_url: absoluteUrl(content.mediaUrl), caption: content.text || "" }
+  });
+  const { data: media } = await platformRequest(PLATFORM, `${platformApis.graph}/${integration.accountId}/media_publish`, {
+    method: "POST",
+    token,
+    json: { creation_id: container.id }
+  });
+
+  // The post is live at this point; a missing permalink isn't worth failing over
+  let url = null;
+  try {
+    const { data } = await platformRequest(PLATFORM, `${platformApis.graph}/${media.id}`, {
+      token,
+      query: { fields: "permalink" }
+    });
+    url = data.permalink || null;
+  } catch (error) {
+    console.error(`[InstagramPublisher] Failed to read the permalink of ${media.id}:`, error.message);
+  }
+  return { externalId: media.id, url };
+}
+
+/**
+ * delete
+ * Not supported by the Instagram API: published posts can only be deleted in the app.
+ * @throws {Error} error.code === "PUBLISH_FAILED" (not retryable)
+ */
+async function deletePost() {
+  throw createPublishError("Instagram's API can't delete posts; delete it in the Instagram app.", { retryable: false });
+}
+
+/**
+ * fetchPostStats
+ * @param {String} externalId - the media ID
+ * @param {Object} options - { integration }
+ * @returns {Promise<Object>} { impressions, clicks, likes, comments, shares } clicks is null
+ *   (Instagram doesn't report clicks per post)
+ */
+async function fetchPostStats(externalId, { integration }) {
+  const { data } = await platformRequest(PLATFORM, `${platformApis.graph}/${externalId}/insights`, {
+    token: integration.accessToken,
+    query: { metric: "impressions,likes,comments,shares" }
+  });
+
+  const metric = (name) => {
+    const entry = (data.data || []).find((item) => item.name === name);
+    return entry && entry.values && entry.values[0] ? Number(entry.values[0].value) || 0 : 0;
+  };
+  return {
+    impressions: metric("impressions"),
+    clicks: null,
+    likes: metric("likes"),
+    comments: metric("comments"),
+    shares: metric("shares")
+  };
+}
+
+module.exports = {
+  platform: PLATFORM,
+  publish,
+  delete: deletePost,
+  fetchPostStats
+};
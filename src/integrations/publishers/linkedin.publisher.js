@@ -0,0 +1,160 @@
+// src/integrations/publishers/linkedin.publisher.js
+
+/**
+ * LinkedIn publisher
+ *
+ * Posts as a LinkedIn organization (Company Page) through the Posts API. An
+ * image is uploaded first through the Images API, then attached to the post.
+ *
+ * Integration: accountId = the organization ID (or a full urn:li:organization /
+ * urn:li:person URN), accessToken = a token with w_organization_social and
+ * r_organization_social. Post statistics are only available for organizations.
+ */
+
+const { platformRequest, downloadMedia } = require("../http");
+const { createPublishError } = require("./errors");
+const { platformApis } = require("../../config");
+
+const PLATFORM = "LinkedIn";
+
+// LinkedIn's versioned REST API (YYYYMM)
+const API_HEADERS = {
+  "LinkedIn-Version": "202405",
+  "X-Restli-Protocol-Version": "2.0.0"
+};
+
+/**
+ * publish
+ * @param {Object} content - Content document
+ * @param {Object} options - { integration }
+ * @returns {Promise<Object>} { externalId, url } externalId is the post URN
+ */
+async function publish(content, { integration }) {
+  const author = authorUrn(integration);
+  const token = integration.accessToken;
+
+  const post = {
+    author,
+    commentary: toLittleText(content.text || ""),
+    visibility: "PUBLIC",
+    distribution: { feedDistribution: "MAIN_FEED", targetEntities: [], thirdPartyDistributionChannels: [] },
+    lifecycleState: "PUBLISHED",
+    isReshareDisabledByAuthor: false
+  };
+  if (content.mediaUrl) {
+    post.content = { media: { id: await uploadImage(content.mediaUrl, { author, token }) } };
+  }
+
+  const { headers } = await platformRequest(PLATFORM, `${platformApis.linkedIn}/rest/posts`, {
+    method: "POST",
+    token,
+    headers: API_HEADERS,
+    json: post
+  });
+
+  // The new post's URN comes back in a header, not the (empty) body
+  const externalId = headers.get("x-restli-id");
+  if (!externalId) {
+    throw createPublishError("LinkedIn accepted the post but didn't return its ID.", { retryable: false });
+  }
+  return { externalId, url: `https://www.linkedin.com/feed/update/${externalId}` };
+}
+
+/**
+ * delete
+ * @param {String} externalId - the post URN
+ * @param {Object} options - { integration }
+ * @returns {Promise<void>}
+ */
+async function deletePost(externalId, { integration }) {
+  await platformRequest(PLATFORM, `${platformApis.linkedIn}/rest/posts/${encodeURIComponent(externalId)}`, {
+    method: "DELETE",
+    token: integration.accessToken,
+    headers: API_HEADERS
+  });
+}
+
+/**
+ * fetchPostStats
+ * @param {String} externalId - the post URN (urn:li:share or urn:li:ugcPost)
+ * @param {Object} options - { integration }
+ * @returns {Promise<Object>} { impressions, clicks, likes, comments, shares }
+ */
+async function fetchPostStats(externalId, { integration }) {
+  const author = authorUrn(integration);
+  if (!author.startsWith("urn:li:organization:")) {
+    throw createPublishError("LinkedIn only reports post statistics for organizations.", { retryable: false });
+  }
+
+  // Rest.li list syntax, List(...), has to reach LinkedIn unencoded
+  const listParam = externalId.startsWith("urn:li:ugcPost:") ? "ugcPosts" : "shares";
+  const url = `${platformApis.linkedIn}/rest/organizationalEntityShareStatistics`
+    + `?q=organizationalEntity&organizationalEntity=${encodeURIComponent(author)}`
+    + `&${listParam}=List(${encodeURIComponent(externalId)})`;
+  const { data } = await platformRequest(PLATFORM, url, { token: integration.accessToken, headers: API_HEADERS });
+
+  const stats = (data.elements && data.elements[0] && data.elements[0].totalShareStatistics) || {};
+  return {
+    impressions: stats.impressionCount || 0,
+    clicks: stats.clickCount || 0,
+    likes: stats.likeCount || 0,
+    comments: stats.commentCount || 0,
+    shares: stats.shareCount || 0
+  };
+}
+
+// -------------------- Internal Helpers -------------------- //
+
+/**
+ * authorUrn
+ * accountId may be a bare organization ID or a full URN.
+ */
+function authorUrn(integration) {
+  if (!integration.accountId) {
+    throw createPublishError("The LinkedIn integration has no organization ID (accountId).", { retryable: false });
+  }
+  const accountId = String(integration.accountId);
+  return accountId.startsWith("urn:li:") ? accountId : `urn:li:organization:${accountId}`;
+}
+
+/**
+ * uploadImage
+ * Registers an upload with the Images API and sends the image bytes.
+ * @returns {Promise<String>} the image URN
+ */
+async function uploadImage(mediaUrl, { author, token }) {
+  const { data } = await platformRequest(PLATFORM, `${platformApis.linkedIn}/rest/images`, {
+    method: "POST",
+    token,
+    headers: API_HEADERS,
+    query: { action: "initializeUpload" },
+    json: { initializeUploadRequest: { owner: author } }
+  });
+  const { uploadUrl, image } = data.value;
+
+  const { buffer, contentType } = await downloadMedia(PLATFORM, mediaUrl);
+  await platformRequest(PLATFORM, uploadUrl, {
+    method: "PUT",
+    token,
+    headers: { "Content-Type": contentType },
+    body: buffer
+  });
+  return image;
+}
+
+/**
+ * toLittleText
+ * Post commentary uses LinkedIn's "little text" format, where characters like
+ * ( ) [ ] * _ are markup and must be escaped. Hashtags become hashtag elements.
+ */
+function toLittleText(text) {
+  const escaped = text.replace(/[\\|{}@[\]()<>#*_~]/g, (char) => `\\${char}`);
+  return escaped.replace(/(^|\s)\\#((?:[\p{L}\p{N}]|\\_)+)/gu, (match, lead, tag) => `${lead}{hashtag|\\#|${tag.replace(/\\_/g, "_")}}`);
+}
+
+module.exports = {
+  platform: PLATFORM,
+  publish,
+  delete: deletePost,
+  fetchPostStats
+};
@@ -0,0 +1,102 @@
+// src/integrations/publishers/twitter.publisher.js
+
+/**
+ * X (Twitter) publisher
+ *
+ * Posts through the X API v2. An image is uploaded first through the media
+ * upload endpoint and attached by its media ID.
+ *
+ * Integration: accessToken = an OAuth 2.0 user token with tweet.write,
+ * tweet.read, users.read and media.write.
+ */
+
+const { platformRequest, downloadMedia } = require("../http");
+const { platformApis } = require("../../config");
+
+const PLATFORM = "Twitter";
+
+/**
+ * publish
+ * @param {Object} content - Content document
+ * @param {Object} options - { integration }
+ * @returns {Promise<Object>} { externalId, url } externalId is the post (tweet) ID
+ */
+async function publish(content, { integration }) {
+  const token = integration.accessToken;
+  const tweet = { text: content.text || "" };
+  if (content.mediaUrl) {
+    tweet.media = { media_ids: [await uploadImage(content.mediaUrl, token)] };
+  }
+
+  const { data } = await platformRequest(PLATFORM, `${platformApis.twitter}/2/tweets`, {
+    method: "POST",
+    token,
+    json: tweet
+  });
+  const externalId = data.data.id;
+  return { externalId, url: `https://x.com/i/web/status/${externalId}` };
+}
+
+/**
+ * delete
+ * @param {String} externalId - the post ID
+ * @param {Object} options - { integration }
+ * @returns {Promise<void>}
+ */
+async function deletePost(externalId, { integration }) {
+  await platformRequest(PLATFORM, `${platformApis.twitter}/2/tweets/${externalId}`, {
+    method: "DELETE",
+    token: integration.accessToken
+  });
+}
+
+/**
+ * fetchPostStats
+ * @param {String} externalId - the post ID
+ * @param {Object} options - { integration }
+ * @returns {Promise<Object>} { impressions, clicks, likes, comments, shares } clicks is null
+ *   (only in X's non-public metrics, which expire after 30 days); shares counts reposts and quotes
+ */
+async function fetchPostStats(externalId, { integration }) {
+  const { data } = await platformRequest(PLATFORM, `${platformApis.twitter}/2/tweets/${externalId}`, {
+    token: integration.accessToken,
+    query: { "tweet.fields": "public_metrics" }
+  });
+
+  const metrics = (data.data && data.data.public_metrics) || {};
+  return {
+    impressions: metrics.impression_count || 0,
+    clicks: null,
+    likes: metrics.like_count || 0,
+    comments: metrics.reply_count || 0,
+    shares: (metrics.retweet_count || 0) + (metrics.quote_count || 0)
+  };
+}
+
+// -------------------- Internal Helpers -------------------- //
+
+/**
+ * uploadImage
+ * @returns {Promise<String>} the media ID
+ */
+async function uploadImage(mediaUrl, token) {
+  const { buffer, contentType } = await downloadMedia(PLATFORM, mediaUrl);
+
+  const form = new FormData();
+  form.append("media", new Blob([buffer], { type: contentType }), "image");
+  form.append("media_category", "tweet_image");
+
+  const { data } = await platformRequest(PLATFORM, `${platformApis.twitter}/2/media/upload`, {
+    method: "POST",
+    token,
+    body: form
+  });
+  return data.data.id;
+}
+
+module.exports = {
+  platform: PLATFORM,
+  publish,
+  delete: deletePost,
+  fetchPostStats
+};
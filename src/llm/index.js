@@ -0,0 +1,130 @@
+// src/llm/index.js
+
+/**
+ * LLM client layer
+ *
+ * One interface for every language model the agents use, so agents never
+ * talk to a vendor SDK directly:
+ *
+ *   const llm = await getLLMClientForCompany(companyId, { userId, agent: "content", feature: "content-generate" });
+ *   const { text, usage } = await llm.complete({ system, prompt, maxTokens, temperature, json });
+ *   const { url } = await llm.generateImage({ prompt, size });
+ *
+ * Providers:
+ *   - "openai":            OpenAI chat models (OPENAI_API_KEY)
+ *   - "openai-compatible": any OpenAI-compatible server such as Ollama or llama.cpp (LLM_BASE_URL)
+ *   - "mock":              deterministic offline responses, for tests and local development
+ *
+ * The default provider and model come from config (LLM_PROVIDER, LLM_MODEL);
+ * a company can override them with Company.llm = { provider, model }.
+ *
+ * Company clients are metered (see metering.js): each call is checked against
+ * the company's AI budget and recorded in the usage collection. Clients from
+ * getLLMClient() are not; use them only outside company work (e.g. self-tests).
+ */
+
+const Company = require("../models/company.model");
+const config = require("../config");
+const { createOpenAIProvider } = require("./providers/openai.provider");
+const { createMockProvider } = require("./providers/mock.provider");
+const { withMetering } = require("./metering");
+
+const PROVIDERS = ["openai", "openai-compatible", "mock"];
+
+// Clients are cached per provider + model
+const clients = new Map();
+
+/**
+ * getLLMClient
+ * Returns the client for a provider and model (defaults from config).
+ * @param {Object} [options] - { provider, model }
+ * @returns {Object} client { provider, model, imageModel, complete, generateImage }
+ */
+function getLLMClient({ provider = config.llmProvider, model } = {}) {
+  if (!PROVIDERS.includes(provider)) {
+    throw new Error(`[LLM] Unknown provider "${provider}". Allowed: ${PROVIDERS.join(", ")}.`);
+  }
+
+  const resolvedModel = model || (provider === "mock" ? "mock-1" : config.llmModel);
+  const key = `${provider}:${resolvedModel}`;
+  if (!clients.has(key)) {
+    clients.set(key, createClient(createProvider(provider, resolvedModel)));
+  }
+  return clients.get(key);
+}
+
+/**
+ * getLLMClientForCompany
+ * Returns the metered client configured for a company (Company.llm), falling back to the defaults.
+ * @param {String} [companyId]
+ * @param {Object} [usage] - { userId, agent, feature } recorded with each call,
+ *   e.g. { agent: "strategy", feature: "plan-generate" }
+ * @returns {Promise<Object>} client { provider, model, imageModel, complete, generateImage }
+ * @throws from complete()/generateImage(): error.code === "AI_QUOTA_EXCEEDED" past the company's hard limit
+ */
+async function getLLMClientForCompany(companyId, { userId, agent, feature } = {}) {
+  const company = companyId
+    ? await Company.findById(companyId).select("llm").lean()
+    : null;
+  const settings = (company && company.llm) || {};
+
+  const client = getLLMClient({
+    provider: settings.provider || undefined,
+    model: settings.model || undefined
+  });
+  return withMetering(client, { companyId, userId, agent, feature });
+}
+
+// -------------------- Internal Helpers -------------------- //
+
+/**
+ * createProvider
+ * Builds the provider implementation for a provider name.
+ */
+function createProvider(provider, model) {
+  if (provider === "mock") {
+    return createMockProvider({ model });
+  }
+  if (provider === "openai-compatible") {
+    return createOpenAIProvider({
+      name: provider,
+      model,
+      apiKey: config.llmApiKey,
+      baseUrl: config.llmBaseUrl
+    });
+  }
+  return createOpenAIProvider({
+    name: provider,
+    model,
+    imageModel: config.llmImageModel,
+    apiKey: config.openAiKey
+  });
+}
+
+/**
+ * createClient
+ * Wraps a provider so every result also reports which provider and model produced it.
+ */
+function createClient(provider) {
+  return {
+    provider: provider.name,
+    model: provider.model,
+    imageModel: provider.imageModel,
+
+    async complete(request) {
+      const result = await provider.complete(request);
+      return { ...result, provider: provider.name, model: provider.model };
+    },
+
+    async generateImage(request) {
+      const result = await provider.generateImage(request);
+      return { ...result, provider: provider.name, model: provider.model };
+    }
+  };
+}
+
+module.exports = {
+  PROVIDERS,
+  getLLMClient,
+  getLLMClientForCompany
+};
@@ -0,0 +1,79 @@
+// src/llm/metering.js
+
+/**
+ * LLM metering
+ *
+ * Wraps an LLM client so every call is checked against the company's AI
+ * budget first and recorded in the usage collection afterwards (tokens,
+ * model, estimated cost, company, user, agent and feature).
+ *
+ * getLLMClientForCompany() returns metered clients; see llm/index.js.
+ */
+
+const usageService = require("../services/usage.service");
+const { estimateCompletionCost, estimateImageCost } = require("./pricing");
+
+/**
+ * withMetering
+ * @param {Object} client - an LLM client from getLLMClient()
+ * @param {Object} context - { companyId, userId, agent, feature }
+ * @returns {Object} a client with the same interface
+ */
+function withMetering(client, context) {
+  const { companyId, userId, agent = "unknown", feature } = context;
+
+  /**
+   * record
+   * Stores the usage of a finished call. A failure here is logged, not thrown:
+   * the caller already has its result.
+   */
+  async function record(entry) {
+    try {
+      await usageService.recordUsage({ companyId, userId, agent, feature, provider: client.provider, ...entry });
+    } catch (error) {
+      console.error("[LLM] Failed to record usage:", error);
+    }
+  }
+
+  return {
+    provider: client.provider,
+    model: client.model,
+    imageModel: client.imageModel,
+
+    async complete(request) {
+      if (companyId) {
+        await usageService.assertWithinQuota(companyId);
+      }
+      const result = await client.complete(request);
+
+      const { promptTokens = 0, completionTokens = 0 } = result.usage || {};
+      await record({
+        kind: "completion",
+        model: client.model,
+        promptTokens,
+        completionTokens,
+        costUsd: estimateCompletionCost({ provider: client.provider, model: client.model, promptTokens, completionTokens })
+      });
+      return result;
+    },
+
+    async generateImage(request) {
+      if (companyId) {
+        await usageService.assertWithinQuota(companyId);
+      }
+      const result = await client.generateImage(request);
+
+      await record({
+        kind: "image",
+        model: client.imageModel,
+        images: 1,
+        costUsd: estimateImageCost({ provider: client.provider, model: client.imageModel, size: request.size })
+      });
+      return result;
+    }
+  };
+}
+
+module.exports = {
+  withMetering
+};
@@ -0,0 +1,72 @@
+// src/llm/pricing.js
+
+/**
+ * LLM pricing
+ *
+ * List prices used to estimate the cost of each metered call (see metering.js).
+ * Estimates only: they're for usage reports and AI budgets, not billing.
+ * Self-hosted ("openai-compatible") and mock models cost nothing.
+ *
+ * Models are matched by the longest listed prefix, so dated snapshots such as
+ * "gpt-4o-mini-2024-07-18" use the "gpt-4o-mini" price. Unknown models are free.
+ */
+
+// USD per 1M tokens
+const TOKEN_PRICES = {
+  "gpt-4o-mini": { input: 0.15, output: 0.6 },
+  "gpt-4o": { input: 2.5, output: 10 },
+  "gpt-4-turbo": { input: 10, output: 30 },
+  "gpt-4": { input: 30, output: 60 },
+  "gpt-3.5-turbo": { input: 0.5, output: 1.5 }
+};
+
+// USD per image, by size
+const IMAGE_PRICES = {
+  "dall-e-2": { "256x256": 0.016, "512x512": 0.018, "1024x1024": 0.02 },
+  "dall-e-3": { "1024x1024": 0.04, "1024x1792": 0.08, "1792x1024": 0.08 }
+};
+
+// Providers that are never charged for
+const FREE_PROVIDERS = ["openai-compatible", "mock"];
+
+/**
+ * estimateCompletionCost
+ * @param {Object} call - { provider, model, promptTokens, completionTokens }
+ * @returns {Number} estimated cost in USD
+ */
+function estimateCompletionCost({ provider, model, promptTokens = 0, completionTokens = 0 }) {
+  const price = FREE_PROVIDERS.includes(provider) ? null : findPrice(TOKEN_PRICES, model);
+  if (!price) {
+    return 0;
+  }
+  return (promptTokens * price.input + completionTokens * price.output) / 1e6;
+}
+
+/**
+ * estimateImageCost
+ * @param {Object} call - { provider, model, size } size defaults to the model's cheapest
+ * @returns {Number} estimated cost in USD
+ */
+function estimateImageCost({ provider, model, size }) {
+  const prices = FREE_PROVIDERS.includes(provider) ? null : findPrice(IMAGE_PRICES, model);
+  if (!prices) {
+    return 0;
+  }
+  return prices[size] !== undefined ? prices[size] : Math.min(...Object.values(prices));
+}
+
+// -------------------- Internal Helpers -------------------- //
+
+function findPrice(table, model) {
+  const match = Object.keys(table)
+    .filter((prefix) => String(model || "").startsWith(prefix))
+    .sort((a, b) => b.length - a.length)[0];
+  return match ? table[match] : null;
+}
+
+module.exports = {
+  TOKEN_PRICES,
+  IMAGE_PRICES,
+  estimateCompletionCost,
+  estimateImageCost
+};
@@ -0,0 +1,179 @@
+// src/llm/providers/mock.provider.js
+
+/**
+ * Mock provider
+ *
+ * A deterministic, offline stand-in for a real LLM: the same request always
+ * produces the same response, derived from a hash of the prompt. It lets the
+ * whole agent stack run without network access or API keys.
+ *
+ * JSON requests get a canned answer in the shape the request asks for: ad
+ * copy that fits the GoogleAds limits when it asks for "headlines", else a
+ * campaign plan that passes the StrategyAgent's plan validation, with one task
+ * per channel named in the opening request (later messages such as refinement
+ * feedback may name other channels).
+ *
+ * Tests can script exact answers with queueMockResponse(); queued responses
+ * are returned first, in order, by any mock provider instance.
+ *
+ * Images come back as data: URLs of a solid-color PNG of the requested size,
+ * so they can be downloaded into the media library offline.
+ */
+
+const crypto = require("crypto");
+const zlib = require("zlib");
+const { CHANNELS, parseChannels } = require("../../config/channels");
+
+// Scripted responses, consumed first-in first-out
+const queuedResponses = [];
+
+/**
+ * queueMockResponse
+ * Makes the next mock completion return this text (or JSON-serialized object).
+ * @param {String|Object} response
+ */
+function queueMockResponse(response) {
+  queuedResponses.push(typeof response === "string" ? response : JSON.stringify(response));
+}
+
+/**
+ * clearMockResponses
+ * Drops any queued responses.
+ */
+function clearMockResponses() {
+  queuedResponses.length = 0;
+}
+
+/**
+ * createMockProvider
+ * @param {Object} [options] - { model }
+ * @returns {Object} provider { name, model, imageModel, complete, generateImage }
+ */
+function createMockProvider({ model = "mock-1" } = {}) {
+  async function complete({ system, prompt, messages, json = false }) {
+    const input = [system, prompt, ...(messages || []).map((message) => message.content)]
+      .filter(Boolean)
+      .join("\n");
+    const request = prompt || (messages && messages.length > 0 ? messages[messages.length - 1].content : "");
+    const opening = prompt || (messages && messages.length > 0 ? messages[0].content : "");
+    const hash = hashText(`${model}:${input}`);
+
+    let text = queuedResponses.shift();
+    if (text === undefined) {
+      text = json
+        ? JSON.stringify(/"headlines"/.test(opening) ? cannedAdCopy(hash) : cannedPlan(opening, hash))
+        : `Mock response ${hash}: ${firstLine(request).slice(0, 160)}`;
+    }
+
+    return {
+      text,
+      usage: {
+        promptTokens: estimateTokens(input),
+        completionTokens: estimateTokens(text),
+      },
+    };
+  }
+
+  async function generateImage({ prompt, size = "512x512" }) {
+    const [width, height] = String(size).split("x").map((value) => parseInt(value, 10) || 512);
+    const color = Buffer.from(hashText(`${model}:${prompt}`).slice(0, 6), "hex");
+    return { url: `data:image/png;base64,${solidPng(width, height, color).toString("base64")}` };
+  }
+
+  return { name: "mock", model, imageModel: "mock-image", complete, generateImage };
+}
+
+// -------------------- Helpers -------------------- //
+
+function hashText(text) {
+  return crypto.createHash("sha256").update(text).digest("hex").slice(0, 12);
+}
+
+/**
+ * cannedPlan
+ * A valid plan (see StrategyAgent.validatePlan) for the channels the request
+ * names, or for every channel if it names none.
+ */
+function cannedPlan(request, hash) {
+  const named = parseChannels(request);
+  const channels = named.length > 0 ? named : CHANNELS;
+  return {
+    strategySummary: `Mock strategy ${hash} across ${channels.join(", ")}.`,
+    tasks: channels.map((channel) => ({
+      name: `Mock ${channel} task`,
+      channel,
+      type: channel === "GoogleAds" ? "ad" : "socialPost",
+      suggestedBudget: 100,
+      description: `Mock task ${hash} for ${channel}.`,
+    })),
+  };
+}
+
+/**
+ * cannedAdCopy
+ * Responsive search ad copy within the GoogleAds limits (see config/platformSpecs.js).
+ */
+function cannedAdCopy(hash) {
+  const tag = hash.slice(0, 6);
+  return {
+    headlines: [1, 2, 3].map((n) => `Mock headline ${n} ${tag}`),
+    descriptions: [1, 2].map((n) => `Mock description ${n} for request ${hash}.`),
+  };
+}
+
+function firstLine(text) {
+  return text.split("\n").map((line) => line.trim()).find(Boolean) || "";
+}
+
+/**
+ * solidPng
+ * Encodes a width x height PNG filled with one RGB color.
+ */
+function solidPng(width, height, [red, green, blue]) {
+  const row = Buffer.alloc(1 + width * 3); // filter byte 0, then RGB pixels
+  for (let x = 0; x < width; x++) {
+    row.set([red, green, blue], 1 + x * 3);
+  }
+  const header = Buffer.alloc(13);
+  header.writeUInt32BE(width, 0);
+  header.writeUInt32BE(height, 4);
+  header.set([8, 2, 0, 0, 0], 8); // 8-bit RGB, no interlace
+
+  return Buffer.concat([
+    Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]),
+    pngChunk("IHDR", header),
+    pngChunk("IDAT", zlib.deflateSync(Buffer.concat(Array(height).fill(row)))),
+    pngChunk("IEND", Buffer.alloc(0))
+  ]);
+}
+
+function pngChunk(type, data) {
+  const length = Buffer.alloc(4);
+  length.writeUInt32BE(data.length);
+  const body = Buffer.concat([Buffer.from(type, "ascii"), data]);
+  const crc = Buffer.alloc(4);
+  crc.writeUInt32BE(crc32(body));
+  return Buffer.concat([length, body, crc]);
+}
+
+function crc32(buffer) {
+  let crc = 0xffffffff;
+  for (const byte of buffer) {
+    crc ^= byte;
+    for (let bit = 0; bit < 8; bit++) {
+      crc = (crc >>> 1) ^ (0xedb88320 & -(crc & 1));
+    }
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+// Roughly 4 characters per token, as for English text
+function estimateTokens(text) {
+  return Math.ceil(text.length / 4);
+}
+
+module.exports = {
+  createMockProvider,
+  queueMockResponse,
+  clearMockResponses
+};
@@ -0,0 +1,80 @@
+// src/llm/providers/openai.provider.js
+
+/**
+ * OpenAI provider
+ *
+ * Talks to the OpenAI Chat Completions and Images APIs through the `openai`
+ * v3 SDK. The same code serves any OpenAI-compatible server (Ollama,
+ * llama.cpp, vLLM, ...) by pointing baseUrl at it, which is how the
+ * "openai-compatible" provider is built (see llm/index.js).
+ */
+
+const { Configuration, OpenAIApi } = require("openai");
+
+/**
+ * createOpenAIProvider
+ * @param {Object} options
+ * @param {String} options.name - provider name reported in results ("openai" or "openai-compatible")
+ * @param {String} options.model - chat model, e.g. "gpt-4o-mini" or "llama3"
+ * @param {String} [options.imageModel] - image model, e.g. "dall-e-2" (omit if unsupported)
+ * @param {String} [options.apiKey]
+ * @param {String} [options.baseUrl] - API root, e.g. "http://127.0.0.1:11434/v1" (default: OpenAI)
+ * @returns {Object} provider { name, model, imageModel, complete, generateImage }
+ */
+function createOpenAIProvider({ name, model, imageModel, apiKey, baseUrl }) {
+  const configuration = new Configuration({
+    apiKey: apiKey || undefined,
+    basePath: baseUrl || undefined,
+  });
+  const openai = new OpenAIApi(configuration);
+
+  /**
+   * complete
+   * @param {Object} request - { system, prompt, messages, maxTokens, temperature, json }
+   *   messages ([{ role, content }]) may replace prompt for multi-turn requests;
+   *   json asks the model for a JSON object response.
+   * @returns {Promise<Object>} { text, usage: { promptTokens, completionTokens } }
+   */
+  async function complete({ system, prompt, messages, maxTokens = 500, temperature = 0.7, json = false }) {
+    const chatMessages = [
+      ...(system ? [{ role: "system", content: system }] : []),
+      ...(messages || [{ role: "user", content: prompt }]),
+    ];
+
+    const response = await openai.createChatCompletion({
+      model,
+      messages: chatMessages,
+      max_tokens: maxTokens,
+      temperature,
+      ...(json ? { response_format: { type: "json_object" } } : {}),
+    });
+
+    const usage = response.data.usage || {};
+    return {
+      text: (response.data.choices[0].message.content || "").trim(),
+      usage: {
+        promptTokens: usage.prompt_tokens || 0,
+        completionTokens: usage.completion_tokens || 0,
+      },
+    };
+  }
+
+  /**
+   * generateImage
+   * @param {Object} request - { prompt, size }
+   * @returns {Promise<Object>} { url }
+   */
+  async function generateImage({ prompt, size = "512x512" }) {
+    if (!imageModel) {
+      throw new Error(`[LLM] Provider "${name}" has no image model configured.`);
+    }
+    const response = await openai.createImage({ prompt, n: 1, size, model: imageModel });
+    return { url: response.data.data[0].url };
+  }
+
+  return { name, model, imageModel, complete, generateImage };
+}
+
+module.exports = {
+  createOpenAIProvider,
+};
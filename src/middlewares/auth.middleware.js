@@ -1 +1,83 @@
-// Placeholder for auth.middleware.js
+// src/middlewares/auth.middleware.js
+
+/**
+ * Auth Middleware
+ *
+ * Verifies the JWT issued by authService.loginUser and loads the
+ * matching user onto req.user, so downstream controllers can rely on
+ * req.user.userId and req.user.role.
+ *
+ * Usage:
+ *   const authMiddleware = require("../middlewares/auth.middleware");
+ *   router.get("/me", authMiddleware, authController.getProfile);
+ */
+
+const jwt = require("jsonwebtoken");
+const mongoose = require("mongoose");
+const User = require("../models/user.model");
+const { jwtSecret } = require("../config");
+const { errorResponse } = require("../utils/httpResponses");
+
+/**
+ * extractToken
+ * Reads a bearer token from the Authorization header.
+ * @param {Object} req - Express request object
+ * @returns {String|null} the raw token, or null if none was sent
+ */
+function extractToken(req) {
+  const header = req.headers.authorization || "";
+  const [scheme, token] = header.split(" ");
+
+  if (!scheme || scheme.toLowerCase() !== "bearer" || !token) {
+    return null;
+  }
+  return token.trim();
+}
+
+/**
+ * authMiddleware
+ * Rejects the request with 401 unless it carries a valid, unexpired token
+ * belonging to an existing user.
+ * On success sets req.user = { userId, email, role }.
+ */
+async function authMiddleware(req, res, next) {
+  const token = extractToken(req);
+  if (!token) {
+    return errorResponse(res, "Unauthorized. No token provided.", 401);
+  }
+
+  let payload;
+  try {
+    payload = jwt.verify(token, jwtSecret);
+  } catch (error) {
+    if (error.name === "TokenExpiredError") {
+      return errorResponse(res, "Unauthorized. Token has expired.", 401);
+    }
+    return errorResponse(res, "Unauthorized. Invalid token.", 401);
+  }
+  // A signed token can still carry a malformed user ID
+  if (!mongoose.isValidObjectId(payload.userId)) {
+    return errorResponse(res, "Unauthorized. Invalid token.", 401);
+  }
+
+  try {
+    // Load the user so a deleted account or changed role takes effect immediately,
+    // rather than trusting the claims baked into the token.
+    const user = await User.findById(payload.userId).select("email role").lean();
+    if (!user) {
+      return errorResponse(res, "Unauthorized. User no longer exists.", 401);
+    }
+
+    req.user = {
+      userId: user._id.toString(),
+      email: user.email,
+      role: user.role
+    };
+    return next();
+  } catch (error) {
+    console.error("[AuthMiddleware] Error loading user:", error);
+    return errorResponse(res, "Failed to authenticate request.", 500);
+  }
+}
+
+module.exports = authMiddleware;
@@ -1 +1,73 @@
-// Placeholder for role.middleware.js
+// src/middlewares/role.middleware.js
+
+/**
+ * Role Middleware
+ *
+ * Factory that returns an Express middleware enforcing a single permission
+ * from the matrix in config/permissions.js. Must run after authMiddleware,
+ * which sets req.user.role, and on company-scoped routes after tenantMiddleware,
+ * which sets req.membership.role.
+ *
+ * Usage:
+ *   const roleMiddleware = require("../middlewares/role.middleware");
+ *   router.delete("/users/:userId", roleMiddleware("user:delete"), userController.deleteUser);
+ */
+
+const { PERMISSIONS, hasPermission } = require("../config/permissions");
+const { errorResponse } = require("../utils/httpResponses");
+
+/**
+ * resolveRole
+ * Picks the role to check: global admins stay admins everywhere, otherwise the
+ * per-company role wins on company-scoped routes and the global role elsewhere.
+ * @param {Object} req - Express request object
+ * @returns {String} role name
+ */
+function resolveRole(req) {
+  if (req.user.role === "admin") {
+    return "admin";
+  }
+  if (req.membership) {
+    return req.membership.role;
+  }
+  return req.user.role;
+}
+
+/**
+ * roleMiddleware
+ * @param {String} permission - the action the route requires, e.g. "campaign:delete"
+ * @returns {Function} Express middleware that responds 403 if the caller's role lacks it
+ */
+function roleMiddleware(permission) {
+  // Catch typos when routes are defined rather than silently denying everyone
+  if (!PERMISSIONS.includes(permission)) {
+    throw new Error(`[RoleMiddleware] Unknown permission: "${permission}"`);
+  }
+
+  return function checkPermission(req, res, next) {
+    if (!req.user) {
+      return errorResponse(res, "Unauthorized. No authenticated user.", 401);
+    }
+
+    if (!hasPermission(resolveRole(req), permission)) {
+      return errorResponse(res, `Forbidden. Missing permission: ${permission}.`, 403);
+    }
+
+    return next();
+  };
+}
+
+/**
+ * callerHasPermission
+ * The same check as roleMiddleware, for handlers whose behavior depends on
+ * a permission the route itself doesn't require.
+ * @param {Object} req - Express request object (after authMiddleware/tenantMiddleware)
+ * @param {String} permission - e.g. "content:approve"
+ * @returns {Boolean}
+ */
+function callerHasPermission(req, permission) {
+  return Boolean(req.user) && hasPermission(resolveRole(req), permission);
+}
+
+module.exports = roleMiddleware;
+module.exports.callerHasPermission = callerHasPermission;
@@ -0,0 +1,37 @@
+// src/middlewares/tenant.middleware.js
+
+/**
+ * Tenant Middleware
+ *
+ * Guards company-scoped routes (anything with a :companyId param): the caller
+ * must hold an active membership in that company, unless they are a global admin.
+ * Sets req.membership so roleMiddleware can apply the per-company role.
+ * Must run after authMiddleware and before roleMiddleware.
+ *
+ * Usage:
+ *   const tenantMiddleware = require("../middlewares/tenant.middleware");
+ *   router.get("/companies/:companyId/campaigns", tenantMiddleware, roleMiddleware("campaign:read"), ...);
+ */
+
+const { assertCompanyAccess, isTenantError } = require("../utils/tenantGuard");
+const { errorResponse } = require("../utils/httpResponses");
+
+async function tenantMiddleware(req, res, next) {
+  const { companyId } = req.params;
+  if (!companyId) {
+    return errorResponse(res, "Missing companyId in route.", 400);
+  }
+
+  try {
+    req.membership = await assertCompanyAccess(req.user, companyId);
+    return next();
+  } catch (error) {
+    if (isTenantError(error)) {
+      return errorResponse(res, `Forbidden. ${error.message}`, 403);
+    }
+    console.error("[TenantMiddleware] Error checking company membership:", error);
+    return errorResponse(res, "Failed to verify company access.", 500);
+  }
+}
+
+module.exports = tenantMiddleware;
@@ -0,0 +1,45 @@
+// src/middlewares/upload.middleware.js
+
+/**
+ * Upload Middleware
+ *
+ * Factory that returns an Express middleware accepting one multipart/form-data
+ * file (held in memory as req.file.buffer) plus text fields in req.body.
+ * Oversized or unexpected files get a 400 instead of reaching the error handler.
+ * Put it after tenantMiddleware and roleMiddleware, so only permitted callers
+ * can send files.
+ *
+ * Usage:
+ *   const uploadMiddleware = require("../middlewares/upload.middleware");
+ *   router.post("/companies/:companyId/assets", ..., uploadMiddleware("file", { maxBytes }), assetController.uploadAsset);
+ */
+
+const multer = require("multer");
+const { errorResponse } = require("../utils/httpResponses");
+
+/**
+ * uploadMiddleware
+ * @param {String} field - name of the form field holding the file
+ * @param {Object} options - { maxBytes } largest accepted file
+ * @returns {Function} Express middleware
+ */
+function uploadMiddleware(field, { maxBytes }) {
+  const upload = multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: maxBytes, files: 1 }
+  }).single(field);
+
+  return function handleUpload(req, res, next) {
+    upload(req, res, (error) => {
+      if (error instanceof multer.MulterError) {
+        const message = error.code === "LIMIT_FILE_SIZE"
+          ? `File too large. The limit is ${Math.floor(maxBytes / (1024 * 1024))} MB.`
+          : `Invalid upload: ${error.message}. Send one file in the "${field}" field.`;
+        return errorResponse(res, message, 400);
+      }
+      return next(error);
+    });
+  };
+}
+
+module.exports = uploadMiddleware;
@@ -0,0 +1,108 @@
+// src/models/agentRun.model.js
+
+const mongoose = require("mongoose");
+const { Schema } = mongoose;
+
+/**
+ * AgentRun Schema
+ *
+ * One execution of the per-campaign agent pipeline (see agents/index.js runAgents):
+ * load context -> generate plan -> create content drafts -> hand off ads.
+ *
+ * Each step is checkpointed with its output once it succeeds, so a failed run
+ * can be resumed: completed steps are skipped and their saved output reused.
+ * Runs started or resumed through the API wait as "queued" for the pipeline
+ * queue's worker (see services/agentRun.service.js).
+ */
+const stepSchema = new Schema({
+  name: {
+    type: String,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ["pending", "running", "completed", "failed"],
+    default: "pending"
+  },
+  // The step's result, passed on to later steps (and reused on resume)
+  output: {
+    type: Schema.Types.Mixed
+  },
+  error: {
+    type: String
+  },
+  startedAt: {
+    type: Date
+  },
+  finishedAt: {
+    type: Date
+  }
+}, { _id: false });
+
+const agentRunSchema = new Schema({
+  companyId: {
+    type: Schema.Types.ObjectId,
+    ref: "Company",
+    required: true
+  },
+  campaignId: {
+    type: Schema.Types.ObjectId,
+    ref: "Campaign",
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ["queued", "running", "completed", "failed"],
+    default: "running"
+  },
+  // The pipeline queue job currently running the run, if it was queued
+  jobId: {
+    type: String
+  },
+  steps: {
+    type: [stepSchema],
+    default: []
+  },
+  // Last error message when status is "failed"
+  error: {
+    type: String
+  },
+  // How many times the run was resumed after a failure
+  resumeCount: {
+    type: Number,
+    default: 0
+  },
+  triggeredByUserId: {
+    type: Schema.Types.ObjectId,
+    ref: "User"
+  },
+  // Timestamps
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date
+  },
+  finishedAt: {
+    type: Date
+  }
+});
+
+agentRunSchema.index({ campaignId: 1, createdAt: -1 });
+
+/**
+ * Pre-save hook to automatically update 'updatedAt' on each save.
+ */
+agentRunSchema.pre("save", function (next) {
+  this.updatedAt = new Date();
+  next();
+});
+
+/**
+ * Export the Mongoose model.
+ * Usage in other files:
+ *   const AgentRun = require("../models/agentRun.model");
+ *   const runs = await AgentRun.find({ campaignId }).sort({ createdAt: -1 });
+ */
+module.exports = mongoose.model("AgentRun", agentRunSchema);
@@ -22,6 +22,11 @@ const analyticsSchema = new Schema({
     ref: "Company",
     required: false
   },
+  // Optionally the content item the metrics are for (e.g. one A/B test variant)
+  contentId: {
+    type: Schema.Types.ObjectId,
+    ref: "Content"
+  },
   // The date for which these metrics apply
   date: {
     type: Date,
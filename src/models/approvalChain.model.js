@@ -0,0 +1,79 @@
+// src/models/approvalChain.model.js
+
+const mongoose = require("mongoose");
+const { Schema } = mongoose;
+
+/**
+ * ApprovalChain Schema
+ *
+ * A company's review workflow for content, e.g. copywriter -> brand manager ->
+ * legal for ads. Each step names its reviewers and how many of them must
+ * approve. When content goes to pending_approval, the most specific enabled
+ * chain that applies to it (by platform and type) is copied onto the item
+ * (Content.approval), so later edits to the chain don't affect items already
+ * in review.
+ */
+const approvalChainSchema = new Schema({
+  companyId: {
+    type: Schema.Types.ObjectId,
+    ref: "Company",
+    required: true
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  description: {
+    type: String
+  },
+  // Which content the chain covers; an empty list matches everything
+  appliesTo: {
+    platforms: [String],
+    types: [String]
+  },
+  // Reviewed in order; optional steps (required: false) don't hold up approval
+  steps: [
+    {
+      _id: false,
+      name: { type: String, required: true },
+      reviewers: [{ type: Schema.Types.ObjectId, ref: "User" }],
+      minApprovals: { type: Number, default: 1, min: 1 },
+      required: { type: Boolean, default: true }
+    }
+  ],
+  enabled: {
+    type: Boolean,
+    default: true
+  },
+  createdByUserId: {
+    type: Schema.Types.ObjectId,
+    ref: "User"
+  },
+  // Timestamps
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date
+  }
+});
+
+approvalChainSchema.index({ companyId: 1, name: 1 }, { unique: true });
+
+/**
+ * Pre-save hook to automatically update 'updatedAt' on each save.
+ */
+approvalChainSchema.pre("save", function (next) {
+  this.updatedAt = new Date();
+  next();
+});
+
+/**
+ * Export the Mongoose model.
+ * Usage in other files:
+ *   const ApprovalChain = require("../models/approvalChain.model");
+ *   const chains = await ApprovalChain.find({ companyId, enabled: true });
+ */
+module.exports = mongoose.model("ApprovalChain", approvalChainSchema);
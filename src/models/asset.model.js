@@ -0,0 +1,135 @@
+// src/models/asset.model.js
+
+const mongoose = require("mongoose");
+const { Schema } = mongoose;
+
+/**
+ * Asset Schema
+ *
+ * An image in a company's media library: uploaded by a user, generated by the
+ * ContentAgent, or imported from a URL. The file itself lives in a storage
+ * driver (see src/storage); this records where, and what it is.
+ */
+const assetSchema = new Schema({
+  companyId: {
+    type: Schema.Types.ObjectId,
+    ref: "Company",
+    required: true
+  },
+  source: {
+    type: String,
+    enum: ["upload", "generated", "url"],
+    required: true
+  },
+  // Original file name, if any
+  filename: {
+    type: String
+  },
+  // Storage driver and key the file is stored under
+  storageDriver: {
+    type: String,
+    enum: ["local", "s3"],
+    required: true
+  },
+  storageKey: {
+    type: String,
+    required: true
+  },
+  // Where the stored file can be loaded from (use this instead of a provider's temporary URL)
+  url: {
+    type: String,
+    required: true
+  },
+  mimeType: {
+    type: String,
+    required: true
+  },
+  // File size in bytes
+  size: {
+    type: Number,
+    required: true
+  },
+  width: {
+    type: Number
+  },
+  height: {
+    type: Number
+  },
+  // SHA-256 of the file, hex; the same file is only stored once per company
+  checksum: {
+    type: String,
+    required: true
+  },
+  tags: {
+    type: [String],
+    default: []
+  },
+  // How renditions are cropped: "center", "focal" (around focalPoint, 0-1 from the
+  // top left) or "smart" (the most eye-catching area)
+  crop: {
+    mode: {
+      type: String,
+      enum: ["center", "focal", "smart"],
+      default: "center"
+    },
+    focalPoint: {
+      x: { type: Number, min: 0, max: 1 },
+      y: { type: Number, min: 0, max: 1 }
+    }
+  },
+  // Platform-sized copies of the image (see config/platformSpecs.js), stored
+  // next to the original with the same storage driver
+  renditions: [
+    {
+      _id: false,
+      platform: { type: String, required: true },
+      name: { type: String, required: true },
+      width: { type: Number, required: true },
+      height: { type: Number, required: true },
+      storageKey: { type: String, required: true },
+      url: { type: String, required: true },
+      mimeType: { type: String, required: true },
+      size: { type: Number, required: true },
+      // The original was smaller than the rendition, so it had to be enlarged
+      upscaled: { type: Boolean, default: false },
+      createdAt: { type: Date, default: Date.now }
+    }
+  ],
+  // e.g. { prompt, provider, model } for generated images, { sourceUrl } for imports
+  meta: {
+    type: Object
+  },
+  createdByUserId: {
+    type: Schema.Types.ObjectId,
+    ref: "User"
+  },
+  // Timestamps
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date
+  }
+});
+
+// The library is listed newest first, filtered by tag, and de-duplicated by checksum
+assetSchema.index({ companyId: 1, createdAt: -1 });
+assetSchema.index({ companyId: 1, tags: 1 });
+assetSchema.index({ companyId: 1, checksum: 1 }, { unique: true });
+
+/**
+ * Pre-save hook to automatically update 'updatedAt' on each save.
+ */
+assetSchema.pre("save", function (next) {
+  this.updatedAt = new Date();
+  next();
+});
+
+/**
+ * Export the Mongoose model.
+ * Usage in other files:
+ *   const Asset = require("../models/asset.model");
+ *   const images = await Asset.find({ companyId, tags: "summer" });
+ */
+module.exports = mongoose.model("Asset", assetSchema);
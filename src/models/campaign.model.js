@@ -56,17 +56,28 @@ const campaignSchema = new Schema({
     type: Schema.Types.ObjectId,
     ref: "Audience"
   },
-  // Channels (e.g., "Facebook", "Google Ads", "LinkedIn")
+  // Channels, using the canonical names in config/channels.js (e.g., "Facebook", "GoogleAds")
   channels: {
     type: [String],
     default: []
   },
-  // Status of the campaign
+  // Status of the campaign. Changes go through the state machine in
+  // campaign.service.js (draft -> active -> paused -> completed).
   status: {
     type: String,
     default: "draft",
     enum: ["draft", "active", "paused", "completed"]
   },
+  // Audit trail of every status change
+  statusHistory: [
+    {
+      from: { type: String },
+      to: { type: String, required: true },
+      changedAt: { type: Date, default: Date.now },
+      changedByUserId: { type: Schema.Types.ObjectId, ref: "User" },
+      reason: { type: String }
+    }
+  ],
   // Track who created this campaign (optional)
   createdByUserId: {
     type: Schema.Types.ObjectId,
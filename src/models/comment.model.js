@@ -0,0 +1,98 @@
+// src/models/comment.model.js
+
+const mongoose = require("mongoose");
+const { Schema } = mongoose;
+
+/**
+ * Comment Schema
+ *
+ * A comment in a discussion thread on a content item (see
+ * services/comment.service.js). A thread starts with a top-level comment,
+ * which may be anchored to a range of the content's text and can be resolved;
+ * replies point to it through parentId. @mentions of company members are
+ * stored as user IDs and notify those users.
+ */
+const commentSchema = new Schema({
+  companyId: {
+    type: Schema.Types.ObjectId,
+    ref: "Company",
+    required: true
+  },
+  campaignId: {
+    type: Schema.Types.ObjectId,
+    ref: "Campaign",
+    required: true
+  },
+  contentId: {
+    type: Schema.Types.ObjectId,
+    ref: "Content",
+    required: true
+  },
+  // The thread's first comment; unset for the first comment itself
+  parentId: {
+    type: Schema.Types.ObjectId,
+    ref: "Comment"
+  },
+  authorId: {
+    type: Schema.Types.ObjectId,
+    ref: "User",
+    required: true
+  },
+  body: {
+    type: String
+  },
+  // The part of the content's text the thread is about, as it was when the
+  // comment was made (quote lets clients find it again after edits)
+  anchor: {
+    start: Number,
+    end: Number,
+    quote: String
+  },
+  // Company members mentioned in the body
+  mentions: [{ type: Schema.Types.ObjectId, ref: "User" }],
+  // Threads (top-level comments) only
+  resolved: {
+    type: Boolean,
+    default: false
+  },
+  resolvedAt: {
+    type: Date
+  },
+  resolvedByUserId: {
+    type: Schema.Types.ObjectId,
+    ref: "User"
+  },
+  editedAt: {
+    type: Date
+  },
+  // A deleted comment that still has replies keeps its place in the thread without its body
+  deletedAt: {
+    type: Date
+  },
+  // Timestamps
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date
+  }
+});
+
+commentSchema.index({ contentId: 1, createdAt: 1 });
+
+/**
+ * Pre-save hook to automatically update 'updatedAt' on each save.
+ */
+commentSchema.pre("save", function (next) {
+  this.updatedAt = new Date();
+  next();
+});
+
+/**
+ * Export the Mongoose model.
+ * Usage in other files:
+ *   const Comment = require("../models/comment.model");
+ *   const thread = await Comment.find({ contentId, $or: [{ _id: threadId }, { parentId: threadId }] });
+ */
+module.exports = mongoose.model("Comment", commentSchema);
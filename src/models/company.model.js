@@ -9,9 +9,9 @@ const { Schema } = mongoose;
  * Represents an organization or business in your system. Each Company
  * can have an owner (user), name, industry, website, brand guidelines, etc.
  * 
- * You may store multi-tenant data here if multiple users
- * can belong to a single company. In that case, you might
- * have a separate "memberships" structure instead of a single owner.
+ * Users belong to a company through Membership records (see
+ * membership.model.js), each with a per-company role. ownerId records
+ * the user who created the company.
  */
 const companySchema = new Schema({
   ownerId: {
@@ -45,6 +45,65 @@ const companySchema = new Schema({
     },
     styleNotes: {
       type: String
+    },
+    // Checked on every content item (see utils/brandChecker.js)
+    // Words or phrases that must never appear
+    bannedWords: {
+      type: [String],
+      default: []
+    },
+    // Text that must appear verbatim, e.g. "Terms apply."
+    requiredDisclaimers: {
+      type: [String],
+      default: []
+    },
+    // e.g. { term: "sign up", avoid: ["signup", "register"] }
+    preferredTerms: {
+      type: [
+        {
+          _id: false,
+          term: { type: String, required: true },
+          avoid: { type: [String], default: [] }
+        }
+      ],
+      default: []
+    },
+    // On-brand posts given to the ContentAgent as style references
+    examplePosts: {
+      type: [String],
+      default: []
+    }
+  },
+  // Language model used by this company's agents (see src/llm).
+  // Unset fields fall back to LLM_PROVIDER / LLM_MODEL.
+  llm: {
+    provider: {
+      type: String,
+      enum: ["openai", "openai-compatible", "mock"] // PROVIDERS in src/llm/index.js
+    },
+    model: {
+      type: String // e.g. "gpt-4o-mini" or "llama3"
+    }
+  },
+  // Monthly AI budget (see services/usage.service.js). Unset limits don't apply.
+  // Past a soft limit calls still run but usage reports flag it; past a hard
+  // limit new LLM calls are refused until the next month.
+  aiQuota: {
+    softLimitUsd: {
+      type: Number,
+      min: 0
+    },
+    hardLimitUsd: {
+      type: Number,
+      min: 0
+    },
+    softLimitTokens: {
+      type: Number,
+      min: 0
+    },
+    hardLimitTokens: {
+      type: Number,
+      min: 0
     }
   },
   // Timestamps
@@ -11,6 +11,11 @@ const { Schema } = mongoose;
  * along with status fields (draft, approved, etc.) and scheduling info.
  */
 const contentSchema = new Schema({
+  // Owning company (denormalized from the campaign for tenant scoping)
+  companyId: {
+    type: Schema.Types.ObjectId,
+    ref: "Company"
+  },
   campaignId: {
     type: Schema.Types.ObjectId,
     ref: "Campaign",
@@ -23,9 +28,10 @@ const contentSchema = new Schema({
   },
   // Possible statuses for a content workflow:
   // e.g., "draft", "pending_approval", "approved", "rejected", "scheduled", "posted"
+  // "publishing" and "failed" are set by the publishing engine (services/publishing.service.js)
   status: {
     type: String,
-    enum: ["draft", "pending_approval", "approved", "rejected", "scheduled", "posted"],
+    enum: ["draft", "pending_approval", "approved", "rejected", "scheduled", "publishing", "posted", "failed"],
     default: "draft"
   },
   // Text content if it's a social post, ad copy, or script
@@ -36,6 +42,11 @@ const contentSchema = new Schema({
   mediaUrl: {
     type: String
   },
+  // The media library asset the media comes from (mediaUrl is then its URL)
+  assetId: {
+    type: Schema.Types.ObjectId,
+    ref: "Asset"
+  },
   // The platform or channel (if relevant)
   platform: {
     type: String,
@@ -49,6 +60,101 @@ const contentSchema = new Schema({
   postedAt: {
     type: Date
   },
+  // Publishing engine bookkeeping: attempts, retry time, last error and the
+  // lease held while a publish is in flight
+  publishing: {
+    attempts: {
+      type: Number,
+      default: 0
+    },
+    lastAttemptAt: {
+      type: Date
+    },
+    nextAttemptAt: {
+      type: Date
+    },
+    lastError: {
+      type: String
+    },
+    lockedBy: {
+      type: String
+    },
+    lockedUntil: {
+      type: Date
+    }
+  },
+  // Latest brand guideline check (see utils/brandChecker.js). Runs when the
+  // content goes to pending_approval, or on demand.
+  brandCheck: {
+    score: {
+      type: Number,
+      min: 0,
+      max: 100
+    },
+    passed: {
+      type: Boolean
+    },
+    violations: [
+      {
+        _id: false,
+        rule: { type: String, enum: ["bannedWord", "missingDisclaimer", "preferredTerm"] },
+        severity: { type: String, enum: ["error", "warning"] },
+        message: String
+      }
+    ],
+    checkedAt: {
+      type: Date
+    }
+  },
+  // Review workflow (see services/content.service.js approveContent/rejectContent).
+  // steps is a copy of the approval chain taken when the current round started;
+  // history keeps every submission and decision across rounds.
+  approval: {
+    chainId: {
+      type: Schema.Types.ObjectId,
+      ref: "ApprovalChain"
+    },
+    chainName: {
+      type: String
+    },
+    round: {
+      type: Number,
+      default: 0
+    },
+    // Index into steps of the required step under review; null when none is
+    currentStep: {
+      type: Number
+    },
+    steps: [
+      {
+        _id: false,
+        name: String,
+        reviewers: [{ type: Schema.Types.ObjectId, ref: "User" }],
+        minApprovals: Number,
+        required: Boolean,
+        status: { type: String, enum: ["pending", "approved", "rejected", "skipped"] },
+        approvedBy: [{ type: Schema.Types.ObjectId, ref: "User" }]
+      }
+    ],
+    history: [
+      {
+        _id: false,
+        round: Number,
+        step: String,
+        action: { type: String, enum: ["submitted", "approved", "rejected", "restarted"] },
+        userId: { type: Schema.Types.ObjectId, ref: "User" },
+        comment: String,
+        at: Date
+      }
+    ],
+    // The latest rejection, shown with the item once it's back in draft
+    lastRejection: {
+      reason: String,
+      step: String,
+      userId: { type: Schema.Types.ObjectId, ref: "User" },
+      at: Date
+    }
+  },
   // A flexible field for storing extra metadata (e.g., ad group IDs, AI prompt data, etc.)
   meta: {
     type: Object
@@ -63,6 +169,9 @@ const contentSchema = new Schema({
   }
 });
 
+// The publishing engine looks up due content by status and time
+contentSchema.index({ status: 1, scheduledAt: 1 });
+
 /**
  * Pre-save hook to automatically update 'updatedAt' before each save.
  */
@@ -0,0 +1,83 @@
+// src/models/contentRevision.model.js
+
+const mongoose = require("mongoose");
+const { Schema } = mongoose;
+
+/**
+ * ContentRevision Schema
+ *
+ * One saved version of a content item's text, media, platform and schedule
+ * (see services/contentRevision.service.js). Revision 1 is the item as it was
+ * created; each later change to those fields adds the next revision with who
+ * made it, so earlier copy can be compared and restored.
+ */
+const contentRevisionSchema = new Schema({
+  companyId: {
+    type: Schema.Types.ObjectId,
+    ref: "Company"
+  },
+  campaignId: {
+    type: Schema.Types.ObjectId,
+    ref: "Campaign",
+    required: true
+  },
+  contentId: {
+    type: Schema.Types.ObjectId,
+    ref: "Content",
+    required: true
+  },
+  // 1, 2, 3, ... per content item
+  revision: {
+    type: Number,
+    required: true
+  },
+  // "create" for revision 1, "update" for an edit, "restore" for a rollback
+  action: {
+    type: String,
+    enum: ["create", "update", "restore"],
+    required: true
+  },
+  // The revision number a restore rolled back to
+  restoredFrom: {
+    type: Number
+  },
+  // Which tracked fields differ from the previous revision
+  changedFields: [String],
+  // The tracked fields as they were after this change
+  text: {
+    type: String
+  },
+  mediaUrl: {
+    type: String
+  },
+  assetId: {
+    type: Schema.Types.ObjectId,
+    ref: "Asset"
+  },
+  platform: {
+    type: String
+  },
+  scheduledAt: {
+    type: Date
+  },
+  // Who made the change (unset for revisions recorded without a user, e.g. by the system)
+  userId: {
+    type: Schema.Types.ObjectId,
+    ref: "User"
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// One document per revision per content item
+contentRevisionSchema.index({ contentId: 1, revision: 1 }, { unique: true });
+
+/**
+ * Export the Mongoose model.
+ * Usage in other files:
+ *   const ContentRevision = require("../models/contentRevision.model");
+ *   const revisions = await ContentRevision.find({ contentId }).sort({ revision: 1 });
+ */
+module.exports = mongoose.model("ContentRevision", contentRevisionSchema);
@@ -0,0 +1,84 @@
+// src/models/membership.model.js
+
+const mongoose = require("mongoose");
+const { Schema } = mongoose;
+const { COMPANY_ROLES } = require("../config/permissions");
+
+/**
+ * Membership Schema
+ *
+ * Links a User to a Company with a per-company role (owner, admin, marketer, viewer).
+ * A membership starts as an "invited" record keyed by email and invite token,
+ * and becomes "active" once the invited user accepts it.
+ */
+const membershipSchema = new Schema({
+  companyId: {
+    type: Schema.Types.ObjectId,
+    ref: "Company",
+    required: true
+  },
+  // Set when the invite is accepted (or immediately for the company creator)
+  userId: {
+    type: Schema.Types.ObjectId,
+    ref: "User"
+  },
+  // The invited email address; must match the accepting user's email
+  email: {
+    type: String,
+    required: true,
+    lowercase: true,
+    trim: true
+  },
+  // Role within this company, mapped to permissions in config/permissions.js
+  role: {
+    type: String,
+    enum: COMPANY_ROLES,
+    default: "marketer"
+  },
+  status: {
+    type: String,
+    enum: ["invited", "active"],
+    default: "invited"
+  },
+  // Random token handed to the invitee; cleared once accepted
+  inviteToken: {
+    type: String,
+    select: false
+  },
+  invitedByUserId: {
+    type: Schema.Types.ObjectId,
+    ref: "User"
+  },
+  acceptedAt: {
+    type: Date
+  },
+  // Timestamps
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date
+  }
+});
+
+// One membership (or pending invite) per email per company
+membershipSchema.index({ companyId: 1, email: 1 }, { unique: true });
+// Fast lookup of "which companies does this user belong to"
+membershipSchema.index({ userId: 1, companyId: 1 });
+
+/**
+ * Pre-save hook to automatically update 'updatedAt' on each save.
+ */
+membershipSchema.pre("save", function (next) {
+  this.updatedAt = new Date();
+  next();
+});
+
+/**
+ * Export the Mongoose model.
+ * Usage in other files:
+ *   const Membership = require("../models/membership.model");
+ *   const member = await Membership.findOne({ companyId, userId, status: "active" });
+ */
+module.exports = mongoose.model("Membership", membershipSchema);
@@ -26,10 +26,10 @@ const newsSchema = new Schema({
   summary: {
     type: String
   },
+  // Unique per company (see the index below), so each company keeps its own copy
   url: {
     type: String,
-    required: true,
-    unique: true // ensures no duplicate articles by URL
+    required: true
   },
   source: {
     type: String,
@@ -66,6 +66,11 @@ const newsSchema = new Schema({
   }
 });
 
+// No duplicate articles by URL within a company, or among global news (no companyId).
+// Replaces the old unique index on url alone, which connectDB() drops on existing
+// databases (see syncChangedIndexes in config/database.js).
+newsSchema.index({ companyId: 1, url: 1 }, { unique: true });
+
 /**
  * Pre-save hook to automatically update 'updatedAt' on each save.
  */
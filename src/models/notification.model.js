@@ -0,0 +1,70 @@
+// src/models/notification.model.js
+
+const mongoose = require("mongoose");
+const { Schema } = mongoose;
+
+/**
+ * Notification Schema
+ *
+ * Something a user should look at, e.g. being @mentioned in a comment on a
+ * content item (see services/notification.service.js). Unread until the
+ * user marks it read.
+ */
+const notificationSchema = new Schema({
+  // The recipient
+  userId: {
+    type: Schema.Types.ObjectId,
+    ref: "User",
+    required: true
+  },
+  companyId: {
+    type: Schema.Types.ObjectId,
+    ref: "Company",
+    required: true
+  },
+  type: {
+    type: String,
+    enum: ["mention"],
+    required: true
+  },
+  // Who caused it
+  actorId: {
+    type: Schema.Types.ObjectId,
+    ref: "User"
+  },
+  // What it's about
+  campaignId: {
+    type: Schema.Types.ObjectId,
+    ref: "Campaign"
+  },
+  contentId: {
+    type: Schema.Types.ObjectId,
+    ref: "Content"
+  },
+  commentId: {
+    type: Schema.Types.ObjectId,
+    ref: "Comment"
+  },
+  // Short text to show, e.g. an excerpt of the comment
+  message: {
+    type: String
+  },
+  readAt: {
+    type: Date
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// A user's notifications, newest first, optionally only unread ones
+notificationSchema.index({ userId: 1, readAt: 1, createdAt: -1 });
+
+/**
+ * Export the Mongoose model.
+ * Usage in other files:
+ *   const Notification = require("../models/notification.model");
+ *   const unread = await Notification.find({ userId, readAt: null }).sort({ createdAt: -1 });
+ */
+module.exports = mongoose.model("Notification", notificationSchema);
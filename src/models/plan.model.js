@@ -0,0 +1,145 @@
+// src/models/plan.model.js
+
+const mongoose = require("mongoose");
+const { Schema } = mongoose;
+
+/**
+ * Plan Schema
+ *
+ * A marketing plan generated by the StrategyAgent for a campaign. Plans are
+ * versioned per campaign: regenerating creates the next version and keeps the
+ * earlier ones. At most one version per campaign is active (the one being executed).
+ *
+ * Each task tracks its own progress and the Content items produced for it.
+ * The LLM conversation behind a version is kept so it can be refined with
+ * marketer feedback; a refined version records its base version and the feedback.
+ */
+const planTaskSchema = new Schema({
+  name: {
+    type: String,
+    required: true
+  },
+  // Free-form channel as suggested by the strategy (e.g. "Facebook & Instagram")
+  channel: {
+    type: String
+  },
+  // Optional task kind, e.g. "socialPost", "image", "ad"
+  type: {
+    type: String
+  },
+  suggestedBudget: {
+    type: Schema.Types.Mixed
+  },
+  description: {
+    type: String
+  },
+  status: {
+    type: String,
+    enum: ["todo", "in-progress", "done"],
+    default: "todo"
+  },
+  // Content produced for this task
+  contentIds: [
+    {
+      type: Schema.Types.ObjectId,
+      ref: "Content"
+    }
+  ]
+});
+
+// One message of the LLM conversation that produced a plan
+const conversationMessageSchema = new Schema({
+  role: {
+    type: String,
+    enum: ["user", "assistant"],
+    required: true
+  },
+  content: {
+    type: String,
+    required: true
+  }
+}, { _id: false });
+
+const planSchema = new Schema({
+  companyId: {
+    type: Schema.Types.ObjectId,
+    ref: "Company",
+    required: true
+  },
+  campaignId: {
+    type: Schema.Types.ObjectId,
+    ref: "Campaign",
+    required: true
+  },
+  // 1, 2, 3, ... per campaign
+  version: {
+    type: Number,
+    required: true
+  },
+  isActive: {
+    type: Boolean,
+    default: false
+  },
+  strategySummary: {
+    type: String
+  },
+  tasks: {
+    type: [planTaskSchema],
+    default: []
+  },
+  // Messages exchanged with the LLM, ending with this plan (see strategyAgent.refinePlan)
+  conversation: {
+    type: [conversationMessageSchema],
+    default: []
+  },
+  // Prompt template that produced this version (see utils/promptTemplates.js);
+  // unset when the StrategyAgent fell back to its local plan
+  promptTemplate: {
+    name: { type: String },
+    version: { type: Number },
+    source: { type: String, enum: ["default", "company"] }
+  },
+  // Set when this version was refined from an earlier one
+  refinedFromVersion: {
+    type: Number
+  },
+  feedback: {
+    type: String
+  },
+  // Who or what produced this version
+  generatedByUserId: {
+    type: Schema.Types.ObjectId,
+    ref: "User"
+  },
+  agentRunId: {
+    type: Schema.Types.ObjectId,
+    ref: "AgentRun"
+  },
+  // Timestamps
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date
+  }
+});
+
+// One document per version per campaign
+planSchema.index({ campaignId: 1, version: 1 }, { unique: true });
+
+/**
+ * Pre-save hook to automatically update 'updatedAt' on each save.
+ */
+planSchema.pre("save", function (next) {
+  this.updatedAt = new Date();
+  next();
+});
+
+/**
+ * Export the Mongoose model.
+ * Usage in other files:
+ *   const Plan = require("../models/plan.model");
+ *   const activePlan = await Plan.findOne({ campaignId, isActive: true });
+ */
+module.exports = mongoose.model("Plan", planSchema);
@@ -0,0 +1,70 @@
+// src/models/promptTemplate.model.js
+
+const mongoose = require("mongoose");
+const { Schema } = mongoose;
+
+/**
+ * PromptTemplate Schema
+ *
+ * A company's own text for one of the built-in prompt templates
+ * (see utils/promptTemplates.js). Every edit is stored as the next version
+ * for that company and template name; the active version is the one the
+ * agents use. With no active version the built-in template applies.
+ */
+const promptTemplateSchema = new Schema({
+  companyId: {
+    type: Schema.Types.ObjectId,
+    ref: "Company",
+    required: true
+  },
+  // Built-in template this overrides, e.g. "social-post"
+  name: {
+    type: String,
+    required: true
+  },
+  // 1, 2, 3, ... per company and template name
+  version: {
+    type: Number,
+    required: true
+  },
+  // Template text with {{variable}} placeholders
+  text: {
+    type: String,
+    required: true
+  },
+  isActive: {
+    type: Boolean,
+    default: false
+  },
+  createdByUserId: {
+    type: Schema.Types.ObjectId,
+    ref: "User"
+  },
+  // Timestamps
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date
+  }
+});
+
+// One document per version per company and template
+promptTemplateSchema.index({ companyId: 1, name: 1, version: 1 }, { unique: true });
+
+/**
+ * Pre-save hook to automatically update 'updatedAt' on each save.
+ */
+promptTemplateSchema.pre("save", function (next) {
+  this.updatedAt = new Date();
+  next();
+});
+
+/**
+ * Export the Mongoose model.
+ * Usage in other files:
+ *   const PromptTemplate = require("../models/promptTemplate.model");
+ *   const override = await PromptTemplate.findOne({ companyId, name: "social-post", isActive: true });
+ */
+module.exports = mongoose.model("PromptTemplate", promptTemplateSchema);
@@ -0,0 +1,103 @@
+// src/models/schedule.model.js
+
+const mongoose = require("mongoose");
+const { Schema } = mongoose;
+
+/**
+ * Schedule Schema
+ *
+ * A recurring, per-company task run by the scheduler (queues/scheduler.js),
+ * e.g. "poll news every 2h for these keywords" or "collect metrics nightly
+ * for active campaigns". Each run enqueues a job on the matching agent queue.
+ *
+ * lockedUntil/lockedBy form a lease so that only one API instance runs a
+ * given schedule at a time.
+ */
+const scheduleSchema = new Schema({
+  companyId: {
+    type: Schema.Types.ObjectId,
+    ref: "Company",
+    required: true
+  },
+  name: {
+    type: String,
+    required: true
+  },
+  // What to run (see SCHEDULE_TYPES in schedule.service.js)
+  type: {
+    type: String,
+    enum: ["news-poll", "metrics-collection"],
+    required: true
+  },
+  // Standard 5-field cron expression, e.g. "0 */2 * * *" (every 2 hours)
+  cron: {
+    type: String,
+    required: true
+  },
+  // IANA timezone the cron expression is evaluated in
+  timezone: {
+    type: String,
+    default: "UTC"
+  },
+  // Type-specific parameters
+  params: {
+    keywords: [String], // news-poll
+    campaignIds: [{ type: Schema.Types.ObjectId, ref: "Campaign" }] // metrics-collection (default: all active)
+  },
+  enabled: {
+    type: Boolean,
+    default: true
+  },
+  // Run bookkeeping
+  nextRunAt: {
+    type: Date
+  },
+  lastRunAt: {
+    type: Date
+  },
+  lastJobId: {
+    type: String
+  },
+  lastError: {
+    type: String
+  },
+  // Distributed lock (lease) held while an instance runs this schedule
+  lockedUntil: {
+    type: Date
+  },
+  lockedBy: {
+    type: String
+  },
+  createdByUserId: {
+    type: Schema.Types.ObjectId,
+    ref: "User"
+  },
+  // Timestamps
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date
+  }
+});
+
+// The scheduler looks up enabled schedules that are due
+scheduleSchema.index({ enabled: 1, nextRunAt: 1 });
+scheduleSchema.index({ companyId: 1, createdAt: -1 });
+
+/**
+ * Pre-save hook to automatically update 'updatedAt' on each save.
+ */
+scheduleSchema.pre("save", function (next) {
+  this.updatedAt = new Date();
+  next();
+});
+
+/**
+ * Export the Mongoose model.
+ * Usage in other files:
+ *   const Schedule = require("../models/schedule.model");
+ *   const schedules = await Schedule.find({ companyId, enabled: true });
+ */
+module.exports = mongoose.model("Schedule", scheduleSchema);
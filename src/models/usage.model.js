@@ -0,0 +1,79 @@
+// src/models/usage.model.js
+
+const mongoose = require("mongoose");
+const { Schema } = mongoose;
+
+/**
+ * Usage Schema
+ *
+ * One metered LLM call: a text completion or an image generation, with the
+ * tokens used and its estimated cost. Written by the metering layer
+ * (src/llm/metering.js) and summed up for usage reports and AI budgets.
+ */
+const usageSchema = new Schema({
+  companyId: {
+    type: Schema.Types.ObjectId,
+    ref: "Company"
+  },
+  // The user whose action caused the call (unset for scheduled work)
+  userId: {
+    type: Schema.Types.ObjectId,
+    ref: "User"
+  },
+  // Agent that made the call, e.g. "content" or "strategy"
+  agent: {
+    type: String,
+    required: true
+  },
+  // What triggered it, e.g. "content-generate", "plan-refine", "pipeline"
+  feature: {
+    type: String
+  },
+  kind: {
+    type: String,
+    enum: ["completion", "image"],
+    required: true
+  },
+  provider: {
+    type: String
+  },
+  model: {
+    type: String
+  },
+  promptTokens: {
+    type: Number,
+    default: 0
+  },
+  completionTokens: {
+    type: Number,
+    default: 0
+  },
+  totalTokens: {
+    type: Number,
+    default: 0
+  },
+  images: {
+    type: Number,
+    default: 0
+  },
+  // Estimated from list prices (see src/llm/pricing.js)
+  costUsd: {
+    type: Number,
+    default: 0
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Reports and quota checks sum a company's usage over a date range
+usageSchema.index({ companyId: 1, createdAt: -1 });
+
+/**
+ * Export the Mongoose model.
+ * Usage in other files:
+ *   const Usage = require("../models/usage.model");
+ *   const calls = await Usage.find({ companyId, createdAt: { $gte: monthStart } });
+ */
+module.exports = mongoose.model("Usage", usageSchema);
@@ -2,6 +2,7 @@
 
 const mongoose = require("mongoose");
 const { Schema } = mongoose;
+const { ROLES } = require("../config/permissions");
 
 /**
  * User Schema
@@ -24,11 +25,11 @@ const userSchema = new Schema({
     type: String,
     required: true
   },
-  // e.g. "admin", "marketer", "viewer"
+  // Global role, mapped to permissions in config/permissions.js
   role: {
     type: String,
+    enum: ROLES,
     default: "marketer"
-    // You could also use an enum: enum: ["admin", "marketer", "viewer"], etc.
   },
   // Profile data, e.g. name, avatar, etc.
   profile: {
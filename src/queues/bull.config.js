@@ -1 +1,75 @@
-// Placeholder for bull.config.js
+// src/queues/bull.config.js
+
+/**
+ * Queue configuration
+ *
+ * Creates and caches one named queue per agent, plus a dead-letter queue that
+ * collects jobs which failed every retry. Queues are Bull queues backed by Redis
+ * (REDIS_URL), or in-memory stand-ins when QUEUE_DRIVER=memory.
+ *
+ * Usage:
+ *   const { QUEUE_NAMES, getQueue } = require("../queues/bull.config");
+ *   await getQueue(QUEUE_NAMES.news).add({ companyId, keywords });
+ */
+
+const Queue = require("bull");
+const MemoryQueue = require("./memoryQueue");
+const { redisUrl, queueDriver } = require("../config");
+
+// One queue per agent. Keys are used in code; values are the queue names in Redis
+// and the :queue parameter of the /jobs API.
+const QUEUE_NAMES = {
+  news: "news",
+  content: "content",
+  analytics: "analytics",
+  adManagement: "ad-management",
+  pipeline: "pipeline" // the per-campaign agent pipeline (agents/index.js)
+};
+
+// Jobs that exhaust their retries are copied here for inspection and manual retry
+const DEAD_LETTER_QUEUE = "dead-letter";
+
+// Retries with exponential backoff: 5s, 10s, 20s, ...
+const defaultJobOptions = {
+  attempts: parseInt(process.env.QUEUE_MAX_ATTEMPTS, 10) || 3,
+  backoff: { type: "exponential", delay: 5000 },
+  removeOnComplete: 500, // keep the most recent completed jobs for inspection
+  removeOnFail: false
+};
+
+const queues = new Map();
+
+/**
+ * getQueue
+ * Returns the queue with the given name, creating it on first use.
+ * @param {String} name - one of QUEUE_NAMES' values or DEAD_LETTER_QUEUE
+ * @returns {Object} a Bull Queue (or MemoryQueue with the same API)
+ */
+function getQueue(name) {
+  if (!queues.has(name)) {
+    const options = { defaultJobOptions };
+    const queue = queueDriver === "memory"
+      ? new MemoryQueue(name, options)
+      : new Queue(name, redisUrl, options);
+    queues.set(name, queue);
+  }
+  return queues.get(name);
+}
+
+/**
+ * closeQueues
+ * Closes every open queue connection (for graceful shutdown).
+ * @returns {Promise<void>}
+ */
+async function closeQueues() {
+  await Promise.all([...queues.values()].map((queue) => queue.close()));
+  queues.clear();
+}
+
+module.exports = {
+  QUEUE_NAMES,
+  DEAD_LETTER_QUEUE,
+  defaultJobOptions,
+  getQueue,
+  closeQueues
+};
@@ -1 +1,45 @@
-// Placeholder for adManagementJob.js
+// src/queues/jobs/adManagementJob.js
+
+/**
+ * Ad Management Job
+ *
+ * Creates or updates a campaign's ads on the external platforms through the
+ * AdManagementAgent.
+ *
+ * Job data: { companyId, campaignId }
+ */
+
+const Campaign = require("../../models/campaign.model");
+const { QUEUE_NAMES } = require("../bull.config");
+
+/**
+ * process
+ * @param {Object} job - Bull job
+ * @returns {Promise<Object>} { campaignId, channels }
+ */
+async function process(job) {
+  const { companyId, campaignId } = job.data;
+  if (!companyId || !campaignId) {
+    throw new Error("adManagementJob requires 'companyId' and 'campaignId'.");
+  }
+
+  const campaign = await Campaign.findOne({ _id: campaignId, companyId }).lean();
+  if (!campaign) {
+    throw new Error(`Campaign ${campaignId} not found for company ${companyId}.`);
+  }
+
+  // Required lazily so a missing platform integration only fails this job, not the worker
+  const adManagementAgent = require("../../agents/adManagementAgent");
+
+  await job.progress(10);
+  await adManagementAgent.updateCampaigns(campaign);
+  await job.progress(100);
+
+  return { campaignId, channels: campaign.channels };
+}
+
+module.exports = {
+  queue: QUEUE_NAMES.adManagement,
+  concurrency: 1,
+  process
+};
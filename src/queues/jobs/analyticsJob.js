@@ -1 +1,49 @@
-// Placeholder for analyticsJob.js
+// src/queues/jobs/analyticsJob.js
+
+/**
+ * Analytics Job
+ *
+ * Collects performance metrics for a company's campaigns through the AnalyticsAgent.
+ *
+ * Job data: { companyId, campaignIds }
+ *   campaignIds is optional; by default every active campaign of the company is collected.
+ */
+
+const Campaign = require("../../models/campaign.model");
+const { QUEUE_NAMES } = require("../bull.config");
+
+/**
+ * process
+ * @param {Object} job - Bull job
+ * @returns {Promise<Object>} { collected }
+ */
+async function process(job) {
+  const { companyId, campaignIds } = job.data;
+  if (!companyId) {
+    throw new Error("analyticsJob requires a 'companyId'.");
+  }
+
+  // Required lazily so a missing platform integration only fails this job, not the worker
+  const analyticsAgent = require("../../agents/analyticsAgent");
+
+  const query = { companyId };
+  if (campaignIds && campaignIds.length > 0) {
+    query._id = { $in: campaignIds };
+  } else {
+    query.status = "active";
+  }
+  const campaigns = await Campaign.find(query).lean();
+
+  for (let i = 0; i < campaigns.length; i++) {
+    await analyticsAgent.collectCampaignMetrics(campaigns[i]);
+    await job.progress(Math.round(((i + 1) / campaigns.length) * 100));
+  }
+
+  return { collected: campaigns.length };
+}
+
+module.exports = {
+  queue: QUEUE_NAMES.analytics,
+  concurrency: 1,
+  process
+};
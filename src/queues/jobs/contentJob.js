@@ -1 +1,80 @@
-// Placeholder for contentJob.js
+// src/queues/jobs/contentJob.js
+
+/**
+ * Content Job
+ *
+ * Runs ContentAgent generation outside the request cycle, with the company's LLM
+ * and "social-post" prompt template.
+ *
+ * Job data: { companyId, kind, input, requestedByUserId }
+ *   kind "socialPost" -> input is the createSocialPost() options
+ *   kind "image"      -> input is { prompt }
+ *   kind "plan"       -> input is a plan with tasks, for generateContentForPlan()
+ *
+ * Generated images are downloaded into the company's media library (the
+ * provider's URL expires), so results carry the asset's URL and assetId.
+ */
+
+const contentAgent = require("../../agents/contentAgent");
+const { QUEUE_NAMES } = require("../bull.config");
+const promptTemplateService = require("../../services/promptTemplate.service");
+const assetService = require("../../services/asset.service");
+const { getLLMClientForCompany } = require("../../llm");
+
+/**
+ * process
+ * @param {Object} job - Bull job
+ * @returns {Promise<Object>} { kind, result }
+ */
+async function process(job) {
+  const { companyId, kind, input, requestedByUserId } = job.data;
+
+  const llm = await getLLMClientForCompany(companyId, {
+    userId: requestedByUserId,
+    agent: "content",
+    feature: "content-job"
+  });
+  const promptTemplate = await promptTemplateService.resolveTemplate(companyId, "social-post");
+
+  await job.progress(10);
+
+  let result;
+  if (kind === "socialPost") {
+    result = await contentAgent.createSocialPost({ ...input, llm, promptTemplate });
+  } else if (kind === "image") {
+    const url = await contentAgent.createImage(input && input.prompt, { llm });
+    result = await storeImage(job.data, llm, url, input.prompt);
+  } else if (kind === "plan") {
+    const items = await contentAgent.generateContentForPlan(input, { llm, promptTemplate });
+    result = [];
+    for (const item of items) {
+      result.push(item.type === "image" ? { ...item, ...(await storeImage(job.data, llm, item.url, item.prompt)) } : item);
+    }
+  } else {
+    throw new Error(`contentJob: unknown kind "${kind}". Use socialPost, image or plan.`);
+  }
+
+  await job.progress(100);
+  return { kind, result };
+}
+
+/**
+ * storeImage
+ * Downloads a generated image into the company's media library.
+ * @returns {Promise<Object>} { url, assetId } the asset's lasting URL
+ */
+async function storeImage({ companyId, requestedByUserId }, llm, url, prompt) {
+  const asset = await assetService.importAssetFromUrl(companyId, url, {
+    source: "generated",
+    tags: ["generated"],
+    meta: { prompt, provider: llm.provider, model: llm.imageModel },
+    userId: requestedByUserId
+  });
+  return { url: asset.url, assetId: asset._id };
+}
+
+module.exports = {
+  queue: QUEUE_NAMES.content,
+  concurrency: 2,
+  process
+};
@@ -1 +1,39 @@
-// Placeholder for newsJob.js
+// src/queues/jobs/newsJob.js
+
+/**
+ * News Job
+ *
+ * Fetches news for a set of keywords through the NewsAgent and stores the
+ * articles (upserted by company and URL).
+ *
+ * Job data: { companyId, keywords: ["MyCompany", "MyProduct"] }
+ */
+
+const { QUEUE_NAMES } = require("../bull.config");
+
+/**
+ * process
+ * @param {Object} job - Bull job
+ * @returns {Promise<Object>} { fetched, inserted, updated }
+ */
+async function process(job) {
+  const { companyId, keywords } = job.data;
+  if (!keywords || keywords.length === 0) {
+    throw new Error("newsJob requires a non-empty 'keywords' array.");
+  }
+
+  // Required lazily so a missing API key only fails this job, not the worker
+  const newsAgent = require("../../agents/newsAgent");
+
+  await job.progress(10);
+  const result = await newsAgent.updateNewsFeed(keywords, { companyId });
+  await job.progress(100);
+
+  return result;
+}
+
+module.exports = {
+  queue: QUEUE_NAMES.news,
+  concurrency: 1,
+  process
+};
@@ -0,0 +1,52 @@
+// src/queues/jobs/pipelineJob.js
+
+/**
+ * Pipeline Job
+ *
+ * Runs a queued campaign pipeline run (see agents/index.js): a new run, or a
+ * failed one queued to resume from its last completed step. A step failing
+ * doesn't fail the job; the run is left "failed" so it can be resumed. A job
+ * for a run that's no longer queued (a duplicate) is skipped.
+ *
+ * Job data: { companyId, runId }
+ */
+
+const AgentRun = require("../../models/agentRun.model");
+const { QUEUE_NAMES } = require("../bull.config");
+
+/**
+ * process
+ * @param {Object} job - Bull job
+ * @returns {Promise<Object>} { runId, status, error }, or { runId, skipped, reason }
+ */
+async function process(job) {
+  const { companyId, runId } = job.data;
+  if (!companyId || !runId) {
+    throw new Error("pipelineJob requires 'companyId' and 'runId'.");
+  }
+
+  // The run must belong to the company the job was enqueued for
+  const owned = await AgentRun.exists({ _id: runId, companyId });
+  if (!owned) {
+    throw new Error(`Agent run ${runId} not found for company ${companyId}.`);
+  }
+
+  // Required lazily, like the other agent jobs
+  const { startRun } = require("../../agents");
+
+  await job.progress(10);
+  const run = await startRun(runId);
+  await job.progress(100);
+
+  // Another job (a duplicate or a redelivery) already claimed the run
+  if (!run) {
+    return { runId, skipped: true, reason: "The run is no longer queued." };
+  }
+  return { runId, status: run.status, error: run.error };
+}
+
+module.exports = {
+  queue: QUEUE_NAMES.pipeline,
+  concurrency: 1,
+  process
+};
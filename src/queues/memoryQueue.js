@@ -0,0 +1,273 @@
+// src/queues/memoryQueue.js
+
+/**
+ * MemoryQueue
+ *
+ * An in-process stand-in for a Redis-backed Bull queue. It implements the subset
+ * of Bull's Queue/Job API this app uses (add, process, getJob, getJobs,
+ * getJobCounts, progress, retry, remove, events), including attempts,
+ * fixed/exponential backoff and removeOnComplete/removeOnFail, so the queue
+ * layer can run without Redis.
+ *
+ * Selected with QUEUE_DRIVER=memory (see bull.config.js). Jobs live only in
+ * this process's memory and are lost on restart, so use it for local
+ * development and offline testing, not production.
+ */
+
+const { EventEmitter } = require("events");
+
+class MemoryJob {
+  constructor(queue, id, data, opts) {
+    this.queue = queue;
+    this.id = String(id);
+    this.name = "__default__";
+    this.data = data;
+    this.opts = opts;
+    this.attemptsMade = 0;
+    this.failedReason = undefined;
+    this.stacktrace = [];
+    this.returnvalue = null;
+    this.timestamp = Date.now();
+    this.processedOn = undefined;
+    this.finishedOn = undefined;
+    this._progress = 0;
+    this._state = "waiting";
+    this._timer = null;
+  }
+
+  /**
+   * progress
+   * With no argument, returns the current progress (like Bull).
+   * With a value, updates it and emits a "progress" event.
+   */
+  progress(value) {
+    if (value === undefined) {
+      return this._progress;
+    }
+    this._progress = value;
+    this.queue.emit("progress", this, value);
+    return Promise.resolve();
+  }
+
+  async getState() {
+    return this._state;
+  }
+
+  /**
+   * retry
+   * Moves a failed job back to waiting (mirrors Bull's job.retry()).
+   */
+  async retry() {
+    if (this._state !== "failed") {
+      throw new Error(`Job ${this.id} is not in the failed state.`);
+    }
+    this.failedReason = undefined;
+    this.finishedOn = undefined;
+    this._setState("waiting");
+  }
+
+  /**
+   * remove
+   * Deletes the job. Like Bull, an active (locked) job cannot be removed.
+   */
+  async remove() {
+    if (this._state === "active") {
+      throw new Error(`Could not remove job ${this.id}: job is locked (active).`);
+    }
+    clearTimeout(this._timer);
+    this.queue._jobs.delete(this.id);
+  }
+
+  toJSON() {
+    return {
+      id: this.id,
+      name: this.name,
+      data: this.data,
+      opts: this.opts,
+      progress: this._progress,
+      attemptsMade: this.attemptsMade,
+      failedReason: this.failedReason,
+      stacktrace: this.stacktrace,
+      returnvalue: this.returnvalue,
+      timestamp: this.timestamp,
+      processedOn: this.processedOn,
+      finishedOn: this.finishedOn
+    };
+  }
+
+  _setState(state, delay = 0) {
+    clearTimeout(this._timer);
+    if (state === "waiting" && delay > 0) {
+      this._state = "delayed";
+      this._timer = setTimeout(() => this._setState("waiting"), delay);
+      return;
+    }
+    this._state = state;
+    if (state === "waiting") {
+      this.queue._drain();
+    }
+  }
+}
+
+class MemoryQueue extends EventEmitter {
+  /**
+   * @param {String} name - queue name
+   * @param {Object} [options] - { defaultJobOptions }
+   */
+  constructor(name, options = {}) {
+    super();
+    this.name = name;
+    this.defaultJobOptions = options.defaultJobOptions || {};
+    this._jobs = new Map();
+    this._nextId = 1;
+    this._handler = null;
+    this._concurrency = 1;
+    this._active = 0;
+    this._closed = false;
+  }
+
+  async add(data, opts = {}) {
+    const jobOpts = { ...this.defaultJobOptions, ...opts };
+    const job = new MemoryJob(this, this._nextId++, data, jobOpts);
+    this._jobs.set(job.id, job);
+    job._setState("waiting", jobOpts.delay || 0);
+    return job;
+  }
+
+  /**
+   * process
+   * Registers the job handler: process(handler) or process(concurrency, handler).
+   * The handler returns a promise; its resolved value becomes job.returnvalue.
+   */
+  process(concurrency, handler) {
+    if (typeof concurrency === "function") {
+      handler = concurrency;
+      concurrency = 1;
+    }
+    this._handler = handler;
+    this._concurrency = concurrency;
+    this._drain();
+  }
+
+  async getJob(jobId) {
+    return this._jobs.get(String(jobId)) || null;
+  }
+
+  async getJobs(types = [], start = 0, end = -1) {
+    const wanted = Array.isArray(types) ? types : [types];
+    const jobs = [...this._jobs.values()]
+      .filter((job) => wanted.length === 0 || wanted.includes(job._state))
+      .sort((a, b) => b.timestamp - a.timestamp);
+    return end === -1 ? jobs.slice(start) : jobs.slice(start, end + 1);
+  }
+
+  async getJobCounts() {
+    const counts = { waiting: 0, active: 0, completed: 0, failed: 0, delayed: 0, paused: 0 };
+    this._jobs.forEach((job) => {
+      counts[job._state] += 1;
+    });
+    return counts;
+  }
+
+  async close() {
+    this._closed = true;
+    this._jobs.forEach((job) => clearTimeout(job._timer));
+    this.removeAllListeners();
+  }
+
+  _drain() {
+    if (!this._handler || this._closed) {
+      return;
+    }
+    for (const job of this._jobs.values()) {
+      if (this._active >= this._concurrency) {
+        return;
+      }
+      if (job._state === "waiting") {
+        this._run(job);
+      }
+    }
+  }
+
+  _run(job) {
+    this._active += 1;
+    job._state = "active";
+    job.processedOn = Date.now();
+    this.emit("active", job);
+
+    // Defer so add() returns before the handler runs, as with a real queue
+    setImmediate(async () => {
+      try {
+        const result = await this._handler(job);
+        job.returnvalue = result === undefined ? null : result;
+        job.finishedOn = Date.now();
+        job._state = "completed";
+        this.emit("completed", job, job.returnvalue);
+        this._prune("completed", job.opts.removeOnComplete);
+      } catch (error) {
+        job.attemptsMade += 1;
+        job.failedReason = error.message;
+        job.stacktrace.push(error.stack);
+
+        const attempts = job.opts.attempts || 1;
+        if (job.attemptsMade < attempts) {
+          job._setState("waiting", backoffDelay(job.opts.backoff, job.attemptsMade));
+        } else {
+          job.finishedOn = Date.now();
+          job._state = "failed";
+        }
+        this.emit("failed", job, error);
+        if (job._state === "failed") {
+          this._prune("failed", job.opts.removeOnFail);
+        }
+      } finally {
+        this._active -= 1;
+        this._drain();
+      }
+    });
+  }
+
+  /**
+   * _prune
+   * Drops finished jobs the way Bull's removeOnComplete/removeOnFail do: true
+   * removes them all, a number keeps that many of the most recent, and
+   * { age, count } keeps jobs finished within `age` seconds, at most `count`.
+   */
+  _prune(state, option) {
+    if (!option) {
+      return;
+    }
+    const keep = option === true ? { count: 0 } : typeof option === "number" ? { count: option } : option;
+    const now = Date.now();
+    [...this._jobs.values()]
+      .filter((job) => job._state === state)
+      .sort((a, b) => b.finishedOn - a.finishedOn || Number(b.id) - Number(a.id))
+      .forEach((job, index) => {
+        const tooMany = keep.count !== undefined && index >= keep.count;
+        const tooOld = keep.age !== undefined && now - job.finishedOn > keep.age * 1000;
+        if (tooMany || tooOld) {
+          this._jobs.delete(job.id);
+        }
+      });
+  }
+}
+
+/**
+ * backoffDelay
+ * Computes the wait before the next attempt using Bull's backoff option format:
+ * a number (fixed ms) or { type: "fixed" | "exponential", delay }.
+ */
+function backoffDelay(backoff, attemptsMade) {
+  if (!backoff) {
+    return 0;
+  }
+  if (typeof backoff === "number") {
+    return backoff;
+  }
+  if (backoff.type === "exponential") {
+    return Math.round(backoff.delay * Math.pow(2, attemptsMade - 1));
+  }
+  return backoff.delay || 0;
+}
+
+module.exports = MemoryQueue;
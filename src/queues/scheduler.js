@@ -0,0 +1,91 @@
+// src/queues/scheduler.js
+
+/**
+ * Scheduler
+ *
+ * Cron-style engine for per-company schedules (models/schedule.model.js).
+ * Every SCHEDULER_INTERVAL_MS it asks scheduleService to run the schedules
+ * that are due; each run enqueues a job that the queue workers process.
+ *
+ * The same tick drives the publishing engine (services/publishing.service.js),
+ * which posts approved content whose scheduledAt has arrived.
+ *
+ * Every API instance may run the scheduler: schedules and content are locked
+ * in Mongo while they run, so a schedule fires once per due time (and content
+ * is posted once) however many instances are ticking. Disable it with
+ * SCHEDULER_ENABLED=false.
+ */
+
+const os = require("os");
+const scheduleService = require("../services/schedule.service");
+const publishingService = require("../services/publishing.service");
+const { schedulerIntervalMs } = require("../config");
+
+const logger = console;
+
+// Identifies this process in schedule and publishing locks
+const instanceId = `${os.hostname()}:${process.pid}`;
+
+let timer = null;
+let ticking = false;
+
+/**
+ * tick
+ * Runs due schedules and publishes due content once. Overlapping ticks are skipped.
+ * @returns {Promise<void>}
+ */
+async function tick() {
+  if (ticking) {
+    return;
+  }
+  ticking = true;
+  try {
+    const ran = await scheduleService.runDueSchedules({
+      instanceId,
+      lockTtlMs: schedulerIntervalMs * 2
+    });
+    if (ran > 0) {
+      logger.info(`[Scheduler] Ran ${ran} schedule(s).`);
+    }
+  } catch (error) {
+    logger.error("[Scheduler] Error running due schedules:", error);
+  }
+
+  try {
+    const { posted, retrying, failed, interrupted } = await publishingService.publishDueContent({ instanceId });
+    if (posted + retrying + failed + interrupted > 0) {
+      logger.info(`[Scheduler] Publishing: ${posted} posted, ${retrying} to retry, ${failed} failed, ${interrupted} interrupted.`);
+    }
+  } catch (error) {
+    logger.error("[Scheduler] Error publishing due content:", error);
+  } finally {
+    ticking = false;
+  }
+}
+
+/**
+ * startScheduler
+ * Starts ticking. Safe to call more than once.
+ */
+function startScheduler() {
+  if (timer) {
+    return;
+  }
+  timer = setInterval(tick, schedulerIntervalMs);
+  logger.info(`[Scheduler] Started on ${instanceId} (every ${schedulerIntervalMs}ms).`);
+}
+
+/**
+ * stopScheduler
+ * Stops ticking (for graceful shutdown).
+ */
+function stopScheduler() {
+  clearInterval(timer);
+  timer = null;
+}
+
+module.exports = {
+  startScheduler,
+  stopScheduler,
+  tick
+};
@@ -0,0 +1,85 @@
+// src/queues/worker.js
+
+/**
+ * Queue Worker
+ *
+ * Registers a processor for each agent queue and moves jobs that failed every
+ * retry to the dead-letter queue. Runs inside the API process when
+ * QUEUE_RUN_WORKERS=true (always with QUEUE_DRIVER=memory), or standalone:
+ *
+ *   npm run worker
+ */
+
+const { getQueue, DEAD_LETTER_QUEUE } = require("./bull.config");
+
+// One processor module per agent queue: { queue, concurrency, process(job) }
+const processors = [
+  require("./jobs/newsJob"),
+  require("./jobs/contentJob"),
+  require("./jobs/analyticsJob"),
+  require("./jobs/adManagementJob"),
+  require("./jobs/pipelineJob")
+];
+
+const logger = console;
+let started = false;
+
+/**
+ * startWorkers
+ * Starts processing every agent queue. Safe to call more than once.
+ */
+function startWorkers() {
+  if (started) {
+    return;
+  }
+  started = true;
+
+  const deadLetterQueue = getQueue(DEAD_LETTER_QUEUE);
+
+  processors.forEach(({ queue: queueName, concurrency, process }) => {
+    const queue = getQueue(queueName);
+
+    queue.process(concurrency, process);
+
+    queue.on("completed", (job) => {
+      logger.info(`[Worker] ${queueName} job ${job.id} completed.`);
+    });
+
+    // "failed" fires after every failed attempt; only the last one goes to the DLQ
+    queue.on("failed", async (job, error) => {
+      const maxAttempts = job.opts.attempts || 1;
+      if (job.attemptsMade < maxAttempts) {
+        logger.warn(`[Worker] ${queueName} job ${job.id} failed (attempt ${job.attemptsMade}/${maxAttempts}): ${error.message}`);
+        return;
+      }
+
+      logger.error(`[Worker] ${queueName} job ${job.id} failed permanently: ${error.message}`);
+      try {
+        await deadLetterQueue.add({
+          queue: queueName,
+          jobId: String(job.id),
+          companyId: job.data.companyId,
+          data: job.data,
+          failedReason: error.message,
+          failedAt: new Date().toISOString()
+        });
+      } catch (dlqError) {
+        logger.error(`[Worker] Could not move ${queueName} job ${job.id} to the dead-letter queue:`, dlqError);
+      }
+    });
+  });
+
+  logger.info(`[Worker] Processing queues: ${processors.map((p) => p.queue).join(", ")}`);
+}
+
+module.exports = {
+  startWorkers
+};
+
+// Standalone mode: `node src/queues/worker.js`
+if (require.main === module) {
+  require("dotenv").config();
+  const { connectDB } = require("../config/database");
+
+  connectDB().then(startWorkers);
+}
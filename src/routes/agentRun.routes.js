@@ -0,0 +1,60 @@
+// src/routes/agentRun.routes.js
+
+const express = require("express");
+const router = express.Router();
+
+// Import the Agent Run Controller
+const agentRunController = require("../controllers/agentRun.controller");
+
+// Authentication is applied to this whole router in routes/index.js.
+// Company-scoped routes check membership first (tenantMiddleware), then the
+// permission the route needs (see config/permissions.js).
+const tenantMiddleware = require("../middlewares/tenant.middleware");
+const roleMiddleware = require("../middlewares/role.middleware");
+
+/**
+ * POST /companies/:companyId/campaigns/:campaignId/agent-runs
+ * Queue a run of the campaign's agent pipeline (plan, content drafts, ad hand-off).
+ */
+router.post(
+  "/companies/:companyId/campaigns/:campaignId/agent-runs",
+  tenantMiddleware,
+  roleMiddleware("agentRun:create"),
+  agentRunController.startAgentRun
+);
+
+/**
+ * GET /companies/:companyId/campaigns/:campaignId/agent-runs
+ * List the campaign's pipeline runs.
+ */
+router.get(
+  "/companies/:companyId/campaigns/:campaignId/agent-runs",
+  tenantMiddleware,
+  roleMiddleware("agentRun:read"),
+  agentRunController.getAgentRuns
+);
+
+/**
+ * GET /companies/:companyId/campaigns/:campaignId/agent-runs/:runId
+ * Retrieve one run and its step checkpoints.
+ */
+router.get(
+  "/companies/:companyId/campaigns/:campaignId/agent-runs/:runId",
+  tenantMiddleware,
+  roleMiddleware("agentRun:read"),
+  agentRunController.getAgentRunById
+);
+
+/**
+ * POST /companies/:companyId/campaigns/:campaignId/agent-runs/:runId/resume
+ * Resume a failed run from its last completed step.
+ */
+router.post(
+  "/companies/:companyId/campaigns/:campaignId/agent-runs/:runId/resume",
+  tenantMiddleware,
+  roleMiddleware("agentRun:create"),
+  agentRunController.resumeAgentRun
+);
+
+// Export the router
+module.exports = router;
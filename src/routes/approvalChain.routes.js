@@ -0,0 +1,71 @@
+// src/routes/approvalChain.routes.js
+
+const express = require("express");
+const router = express.Router();
+
+// Import the Approval Chain Controller
+const approvalChainController = require("../controllers/approvalChain.controller");
+
+// Authentication is applied to this whole router in routes/index.js.
+// Company-scoped routes check membership first (tenantMiddleware), then the
+// permission the route needs (see config/permissions.js).
+const tenantMiddleware = require("../middlewares/tenant.middleware");
+const roleMiddleware = require("../middlewares/role.middleware");
+
+/**
+ * POST /companies/:companyId/approval-chains
+ * Create an approval chain (ordered review steps with their reviewers).
+ */
+router.post(
+  "/companies/:companyId/approval-chains",
+  tenantMiddleware,
+  roleMiddleware("approvalChain:create"),
+  approvalChainController.createApprovalChain
+);
+
+/**
+ * GET /companies/:companyId/approval-chains
+ * List a company's approval chains.
+ */
+router.get(
+  "/companies/:companyId/approval-chains",
+  tenantMiddleware,
+  roleMiddleware("approvalChain:read"),
+  approvalChainController.getApprovalChains
+);
+
+/**
+ * GET /companies/:companyId/approval-chains/:chainId
+ * Retrieve a single approval chain.
+ */
+router.get(
+  "/companies/:companyId/approval-chains/:chainId",
+  tenantMiddleware,
+  roleMiddleware("approvalChain:read"),
+  approvalChainController.getApprovalChainById
+);
+
+/**
+ * PATCH /companies/:companyId/approval-chains/:chainId
+ * Update an approval chain (steps, reviewers, appliesTo, enabled, ...).
+ */
+router.patch(
+  "/companies/:companyId/approval-chains/:chainId",
+  tenantMiddleware,
+  roleMiddleware("approvalChain:update"),
+  approvalChainController.updateApprovalChain
+);
+
+/**
+ * DELETE /companies/:companyId/approval-chains/:chainId
+ * Delete an approval chain.
+ */
+router.delete(
+  "/companies/:companyId/approval-chains/:chainId",
+  tenantMiddleware,
+  roleMiddleware("approvalChain:delete"),
+  approvalChainController.deleteApprovalChain
+);
+
+// Export the router
+module.exports = router;
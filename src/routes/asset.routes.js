@@ -0,0 +1,96 @@
+// src/routes/asset.routes.js
+
+const express = require("express");
+const router = express.Router();
+
+// Import the Asset Controller
+const assetController = require("../controllers/asset.controller");
+const { MAX_ASSET_BYTES } = require("../services/asset.service");
+
+// Authentication is applied to this whole router in routes/index.js.
+// Company-scoped routes check membership first (tenantMiddleware), then the
+// permission the route needs (see config/permissions.js).
+const tenantMiddleware = require("../middlewares/tenant.middleware");
+const roleMiddleware = require("../middlewares/role.middleware");
+const uploadMiddleware = require("../middlewares/upload.middleware");
+
+/**
+ * POST /companies/:companyId/assets
+ * Upload an image to the media library (multipart/form-data: file, tags).
+ */
+router.post(
+  "/companies/:companyId/assets",
+  tenantMiddleware,
+  roleMiddleware("asset:create"),
+  uploadMiddleware("file", { maxBytes: MAX_ASSET_BYTES }),
+  assetController.uploadAsset
+);
+
+/**
+ * GET /companies/:companyId/assets?tag=summer&source=generated
+ * List the media library.
+ */
+router.get(
+  "/companies/:companyId/assets",
+  tenantMiddleware,
+  roleMiddleware("asset:read"),
+  assetController.getAssets
+);
+
+/**
+ * GET /companies/:companyId/assets/:assetId
+ * Asset details: URL, mime type, dimensions, checksum, tags, crop and renditions.
+ */
+router.get(
+  "/companies/:companyId/assets/:assetId",
+  tenantMiddleware,
+  roleMiddleware("asset:read"),
+  assetController.getAssetById
+);
+
+/**
+ * GET /companies/:companyId/assets/:assetId/file
+ * Download the stored file.
+ */
+router.get(
+  "/companies/:companyId/assets/:assetId/file",
+  tenantMiddleware,
+  roleMiddleware("asset:read"),
+  assetController.getAssetFile
+);
+
+/**
+ * PATCH /companies/:companyId/assets/:assetId
+ * Replace an asset's tags and/or crop settings (center, focal point or smart).
+ */
+router.patch(
+  "/companies/:companyId/assets/:assetId",
+  tenantMiddleware,
+  roleMiddleware("asset:update"),
+  assetController.updateAsset
+);
+
+/**
+ * POST /companies/:companyId/assets/:assetId/renditions
+ * Create the crops and sizes platforms need, e.g. { "platforms": ["Instagram", "GoogleAds"] }.
+ */
+router.post(
+  "/companies/:companyId/assets/:assetId/renditions",
+  tenantMiddleware,
+  roleMiddleware("asset:update"),
+  assetController.createRenditions
+);
+
+/**
+ * DELETE /companies/:companyId/assets/:assetId
+ * Delete an asset that no content uses.
+ */
+router.delete(
+  "/companies/:companyId/assets/:assetId",
+  tenantMiddleware,
+  roleMiddleware("asset:delete"),
+  assetController.deleteAsset
+);
+
+// Export the router
+module.exports = router;
@@ -5,6 +5,7 @@ const router = express.Router();
 
 // Import the Auth Controller (which handles login, register, profile, etc.)
 const authController = require("../controllers/auth.controller");
+const authMiddleware = require("../middlewares/auth.middleware");
 
 // Authentication endpoints:
 
@@ -23,9 +24,9 @@ router.post("/register", authController.register);
 /**
  * @desc    Get current user profile
  * @route   GET /auth/me
- * @note    Typically requires a JWT middleware to verify the user’s token.
+ * @note    Requires a valid JWT; authMiddleware sets req.user.
  */
-router.get("/me", /* yourAuthMiddleware, */ authController.getProfile);
+router.get("/me", authMiddleware, authController.getProfile);
 
 // Export the router function so Express can use it
 module.exports = router;
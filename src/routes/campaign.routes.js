@@ -6,9 +6,11 @@ const router = express.Router();
 // Import the Campaign Controller
 const campaignController = require("../controllers/campaign.controller");
 
-// Optional authentication or role-based middlewares:
-// const authMiddleware = require("../middlewares/auth.middleware");
-// const roleMiddleware = require("../middlewares/role.middleware");
+// Authentication is applied to this whole router in routes/index.js.
+// Company-scoped routes check membership first (tenantMiddleware), then the
+// permission the route needs (see config/permissions.js).
+const tenantMiddleware = require("../middlewares/tenant.middleware");
+const roleMiddleware = require("../middlewares/role.middleware");
 
 /**
  * POST /companies/:companyId/campaigns
@@ -16,8 +18,8 @@ const campaignController = require("../controllers/campaign.controller");
  */
 router.post(
   "/companies/:companyId/campaigns",
-  // authMiddleware,
-  // roleMiddleware("marketer"), // Example role check
+  tenantMiddleware,
+  roleMiddleware("campaign:create"),
   campaignController.createCampaign
 );
 
@@ -27,7 +29,8 @@ router.post(
  */
 router.get(
   "/companies/:companyId/campaigns",
-  // authMiddleware,
+  tenantMiddleware,
+  roleMiddleware("campaign:read"),
   campaignController.getCampaigns
 );
 
@@ -37,7 +40,8 @@ router.get(
  */
 router.get(
   "/companies/:companyId/campaigns/:campaignId",
-  // authMiddleware,
+  tenantMiddleware,
+  roleMiddleware("campaign:read"),
   campaignController.getCampaignById
 );
 
@@ -47,8 +51,8 @@ router.get(
  */
 router.patch(
   "/companies/:companyId/campaigns/:campaignId",
-  // authMiddleware,
-  // roleMiddleware("marketer"),
+  tenantMiddleware,
+  roleMiddleware("campaign:update"),
   campaignController.updateCampaign
 );
 
@@ -58,19 +62,19 @@ router.patch(
  */
 router.delete(
   "/companies/:companyId/campaigns/:campaignId",
-  // authMiddleware,
-  // roleMiddleware("admin"),
+  tenantMiddleware,
+  roleMiddleware("campaign:delete"),
   campaignController.deleteCampaign
 );
 
 /**
  * POST /companies/:companyId/campaigns/:campaignId/finalize
- * (Optional) Mark a campaign as 'finalized' or 'ready to launch.'
+ * Validate a draft campaign and launch it (draft -> active).
  */
 router.post(
   "/companies/:companyId/campaigns/:campaignId/finalize",
-  // authMiddleware,
-  // roleMiddleware("marketer"),
+  tenantMiddleware,
+  roleMiddleware("campaign:finalize"),
   campaignController.finalizeCampaign
 );
 
@@ -0,0 +1,83 @@
+// src/routes/comment.routes.js
+
+const express = require("express");
+const router = express.Router();
+
+// Import the Comment Controller
+const commentController = require("../controllers/comment.controller");
+
+// Authentication is applied to this whole router in routes/index.js.
+// Company-scoped routes check membership first (tenantMiddleware), then the
+// permission the route needs (see config/permissions.js). Editing and deleting
+// a comment is further limited to its author by the service.
+const tenantMiddleware = require("../middlewares/tenant.middleware");
+const roleMiddleware = require("../middlewares/role.middleware");
+
+/**
+ * GET /companies/:companyId/campaigns/:campaignId/content/:contentId/comments
+ * List a content item's comment threads with their replies.
+ */
+router.get(
+  "/companies/:companyId/campaigns/:campaignId/content/:contentId/comments",
+  tenantMiddleware,
+  roleMiddleware("comment:read"),
+  commentController.getComments
+);
+
+/**
+ * POST /companies/:companyId/campaigns/:campaignId/content/:contentId/comments
+ * Start a thread (optionally anchored to a text range) or reply to one; @mentions notify members.
+ */
+router.post(
+  "/companies/:companyId/campaigns/:campaignId/content/:contentId/comments",
+  tenantMiddleware,
+  roleMiddleware("comment:create"),
+  commentController.createComment
+);
+
+/**
+ * PATCH /companies/:companyId/campaigns/:campaignId/content/:contentId/comments/:commentId
+ * Edit one of your comments.
+ */
+router.patch(
+  "/companies/:companyId/campaigns/:campaignId/content/:contentId/comments/:commentId",
+  tenantMiddleware,
+  roleMiddleware("comment:create"),
+  commentController.updateComment
+);
+
+/**
+ * DELETE /companies/:companyId/campaigns/:campaignId/content/:contentId/comments/:commentId
+ * Delete one of your comments.
+ */
+router.delete(
+  "/companies/:companyId/campaigns/:campaignId/content/:contentId/comments/:commentId",
+  tenantMiddleware,
+  roleMiddleware("comment:create"),
+  commentController.deleteComment
+);
+
+/**
+ * POST /companies/:companyId/campaigns/:campaignId/content/:contentId/comments/:commentId/resolve
+ * Resolve a thread.
+ */
+router.post(
+  "/companies/:companyId/campaigns/:campaignId/content/:contentId/comments/:commentId/resolve",
+  tenantMiddleware,
+  roleMiddleware("comment:create"),
+  commentController.resolveComment
+);
+
+/**
+ * POST /companies/:companyId/campaigns/:campaignId/content/:contentId/comments/:commentId/unresolve
+ * Reopen a resolved thread.
+ */
+router.post(
+  "/companies/:companyId/campaigns/:campaignId/content/:contentId/comments/:commentId/unresolve",
+  tenantMiddleware,
+  roleMiddleware("comment:create"),
+  commentController.unresolveComment
+);
+
+// Export the router
+module.exports = router;
@@ -6,9 +6,11 @@ const router = express.Router();
 // Import the Company Controller
 const companyController = require("../controllers/company.controller");
 
-// Optional authentication or role-based middlewares, e.g.:
-// const authMiddleware = require("../middlewares/auth.middleware");
-// const roleMiddleware = require("../middlewares/role.middleware");
+// Authentication is applied to this whole router in routes/index.js.
+// Company-scoped routes check membership first (tenantMiddleware), then the
+// permission the route needs (see config/permissions.js).
+const tenantMiddleware = require("../middlewares/tenant.middleware");
+const roleMiddleware = require("../middlewares/role.middleware");
 
 /**
  * POST /api/companies
@@ -16,8 +18,7 @@ const companyController = require("../controllers/company.controller");
  */
 router.post(
   "/companies",
-  // authMiddleware,
-  // roleMiddleware("admin"), // or whichever role can create companies
+  roleMiddleware("company:create"),
   companyController.createCompany
 );
 
@@ -27,8 +28,7 @@ router.post(
  */
 router.get(
   "/companies",
-  // authMiddleware,
-  // roleMiddleware("admin"), // maybe only admins can view all companies
+  roleMiddleware("company:list"),
   companyController.getAllCompanies
 );
 
@@ -38,7 +38,8 @@ router.get(
  */
 router.get(
   "/companies/:companyId",
-  // authMiddleware,
+  tenantMiddleware,
+  roleMiddleware("company:read"),
   companyController.getCompanyById
 );
 
@@ -48,8 +49,8 @@ router.get(
  */
 router.patch(
   "/companies/:companyId",
-  // authMiddleware,
-  // roleMiddleware("admin" or "owner"),
+  tenantMiddleware,
+  roleMiddleware("company:update"),
   companyController.updateCompany
 );
 
@@ -59,8 +60,8 @@ router.patch(
  */
 router.delete(
   "/companies/:companyId",
-  // authMiddleware,
-  // roleMiddleware("admin" or "owner"),
+  tenantMiddleware,
+  roleMiddleware("company:delete"),
   companyController.deleteCompany
 );
 
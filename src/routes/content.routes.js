@@ -6,9 +6,11 @@ const router = express.Router();
 // Import the Content Controller
 const contentController = require("../controllers/content.controller");
 
-// Optional authentication or role-based middlewares, e.g.:
-// const authMiddleware = require("../middlewares/auth.middleware");
-// const roleMiddleware = require("../middlewares/role.middleware");
+// Authentication is applied to this whole router in routes/index.js.
+// Company-scoped routes check membership first (tenantMiddleware), then the
+// permission the route needs (see config/permissions.js).
+const tenantMiddleware = require("../middlewares/tenant.middleware");
+const roleMiddleware = require("../middlewares/role.middleware");
 
 /**
  * POST /companies/:companyId/campaigns/:campaignId/content
@@ -16,17 +18,41 @@ const contentController = require("../controllers/content.controller");
  */
 router.post(
   "/companies/:companyId/campaigns/:campaignId/content",
-  // authMiddleware,
+  tenantMiddleware,
+  roleMiddleware("content:create"),
   contentController.createContent
 );
 
+/**
+ * POST /companies/:companyId/campaigns/:campaignId/content/generate
+ * Generate AI content (or A/B test variants) from a brief; items are saved as pending approval.
+ */
+router.post(
+  "/companies/:companyId/campaigns/:campaignId/content/generate",
+  tenantMiddleware,
+  roleMiddleware("content:create"),
+  contentController.generateContent
+);
+
+/**
+ * POST /companies/:companyId/campaigns/:campaignId/content/variants/:variantGroupId/promote
+ * Promote the winning variant of an A/B test; the other unposted variants are rejected.
+ */
+router.post(
+  "/companies/:companyId/campaigns/:campaignId/content/variants/:variantGroupId/promote",
+  tenantMiddleware,
+  roleMiddleware("content:approve"),
+  contentController.promoteVariant
+);
+
 /**
  * GET /companies/:companyId/campaigns/:campaignId/content
  * Retrieve all content items for a specific campaign.
  */
 router.get(
   "/companies/:companyId/campaigns/:campaignId/content",
-  // authMiddleware,
+  tenantMiddleware,
+  roleMiddleware("content:read"),
   contentController.getContentList
 );
 
@@ -36,7 +62,8 @@ router.get(
  */
 router.get(
   "/companies/:companyId/campaigns/:campaignId/content/:contentId",
-  // authMiddleware,
+  tenantMiddleware,
+  roleMiddleware("content:read"),
   contentController.getContentById
 );
 
@@ -46,7 +73,8 @@ router.get(
  */
 router.patch(
   "/companies/:companyId/campaigns/:campaignId/content/:contentId",
-  // authMiddleware,
+  tenantMiddleware,
+  roleMiddleware("content:update"),
   contentController.updateContent
 );
 
@@ -56,30 +84,77 @@ router.patch(
  */
 router.delete(
   "/companies/:companyId/campaigns/:campaignId/content/:contentId",
-  // authMiddleware,
+  tenantMiddleware,
+  roleMiddleware("content:delete"),
   contentController.deleteContent
 );
 
+/**
+ * GET /companies/:companyId/campaigns/:campaignId/content/:contentId/revisions
+ * List a content item's revisions with word-level diffs of the text.
+ */
+router.get(
+  "/companies/:companyId/campaigns/:campaignId/content/:contentId/revisions",
+  tenantMiddleware,
+  roleMiddleware("content:read"),
+  contentController.getContentRevisions
+);
+
+/**
+ * POST /companies/:companyId/campaigns/:campaignId/content/:contentId/revisions/:revision/restore
+ * Roll a content item back to an earlier revision (number or ID).
+ */
+router.post(
+  "/companies/:companyId/campaigns/:campaignId/content/:contentId/revisions/:revision/restore",
+  tenantMiddleware,
+  roleMiddleware("content:update"),
+  contentController.restoreContentRevision
+);
+
 /**
  * POST /companies/:companyId/campaigns/:campaignId/content/:contentId/approve
- * Approve a piece of content, e.g. changing its status to 'approved'.
+ * Approve a piece of content: a step of its approval chain as one of the step's
+ * reviewers, or, without a chain, the whole item (needs content:approve).
  */
 router.post(
   "/companies/:companyId/campaigns/:campaignId/content/:contentId/approve",
-  // authMiddleware,
-  // roleMiddleware("approver"), // or whichever role is allowed
+  tenantMiddleware,
+  roleMiddleware("content:review"),
   contentController.approveContent
 );
 
 /**
  * POST /companies/:companyId/campaigns/:campaignId/content/:contentId/reject
- * Reject a piece of content, e.g. changing its status to 'rejected'.
+ * Reject a piece of content, sending it back to 'draft' with a reason
+ * (reviewers of the step under review, or content:approve).
  */
 router.post(
   "/companies/:companyId/campaigns/:campaignId/content/:contentId/reject",
-  // authMiddleware,
-  // roleMiddleware("approver"),
+  tenantMiddleware,
+  roleMiddleware("content:review"),
   contentController.rejectContent
 );
 
+/**
+ * POST /companies/:companyId/campaigns/:campaignId/content/:contentId/brand-check
+ * Score a piece of content against the company's brand guidelines.
+ */
+router.post(
+  "/companies/:companyId/campaigns/:campaignId/content/:contentId/brand-check",
+  tenantMiddleware,
+  roleMiddleware("content:read"),
+  contentController.checkContentBrand
+);
+
+/**
+ * POST /companies/:companyId/campaigns/:campaignId/content/:contentId/retry-publish
+ * Publish a failed content item again (check the platform first if it was interrupted).
+ */
+router.post(
+  "/companies/:companyId/campaigns/:campaignId/content/:contentId/retry-publish",
+  tenantMiddleware,
+  roleMiddleware("content:approve"),
+  contentController.retryPublishing
+);
+
 module.exports = router;
@@ -3,35 +3,43 @@
 const express = require("express");
 const router = express.Router();
 
+// JWT verification for everything except the public auth endpoints and /ping
+const authMiddleware = require("../middlewares/auth.middleware");
+
 // Import sub-route files
+const agentRunRoutes = require("./agentRun.routes");
 const analyticsRoutes = require("./analytics.routes");
+const approvalChainRoutes = require("./approvalChain.routes");
+const assetRoutes = require("./asset.routes");
 const authRoutes = require("./auth.routes");
 const campaignRoutes = require("./campaign.routes");
+const commentRoutes = require("./comment.routes");
 const companyRoutes = require("./company.routes");
 const contentRoutes = require("./content.routes");
 const integrationRoutes = require("./integration.routes");
+const jobRoutes = require("./job.routes");
+const membershipRoutes = require("./membership.routes");
 const newsRoutes = require("./news.routes");
+const notificationRoutes = require("./notification.routes");
+const planRoutes = require("./plan.routes");
+const promptTemplateRoutes = require("./promptTemplate.routes");
+const scheduleRoutes = require("./schedule.routes");
+const usageRoutes = require("./usage.routes");
 const userRoutes = require("./user.routes");
 
-// DEBUG LOGS:
-console.log("analyticsRoutes:", analyticsRoutes);
-console.log("authRoutes:", authRoutes);
-console.log("campaignRoutes:", campaignRoutes);
-console.log("companyRoutes:", companyRoutes);
-console.log("contentRoutes:", contentRoutes);
-console.log("integrationRoutes:", integrationRoutes);
-console.log("newsRoutes:", newsRoutes);
-console.log("userRoutes:", userRoutes);
-
-// Now mount each route with a path prefix
-router.use("/analytics", analyticsRoutes);
+// Now mount each route with a path prefix.
+// The auth router stays public: /auth/login and /auth/register must work without
+// a token, and it protects /auth/me itself.
+router.use("/analytics", authMiddleware, analyticsRoutes);
 router.use("/auth", authRoutes);
-router.use("/campaigns", campaignRoutes);
-router.use("/companies", companyRoutes);
-router.use("/content", contentRoutes);
-router.use("/integrations", integrationRoutes);
-router.use("/news", newsRoutes);
-router.use("/users", userRoutes);
+router.use("/campaigns", authMiddleware, campaignRoutes, planRoutes, agentRunRoutes);
+router.use("/companies", authMiddleware, companyRoutes, membershipRoutes, scheduleRoutes, promptTemplateRoutes, usageRoutes, assetRoutes, approvalChainRoutes);
+router.use("/content", authMiddleware, contentRoutes, commentRoutes);
+router.use("/integrations", authMiddleware, integrationRoutes);
+router.use("/jobs", authMiddleware, jobRoutes);
+router.use("/news", authMiddleware, newsRoutes);
+router.use("/notifications", authMiddleware, notificationRoutes);
+router.use("/users", authMiddleware, userRoutes);
 
 // Example: a simple test route to confirm the index router is working
 router.get("/ping", (req, res) => {
@@ -6,9 +6,13 @@ const router = express.Router();
 // Import the Integration Controller
 const integrationController = require("../controllers/integration.controller");
 
-// (Optional) Authentication or role-based middlewares:
-// const authMiddleware = require("../middlewares/auth.middleware");
-// const roleMiddleware = require("../middlewares/role.middleware");
+// Authentication is applied to this whole router in routes/index.js.
+// Company-scoped routes check membership with tenantMiddleware. Routes addressed by
+// integrationId have no company in the path, so roleMiddleware would only see the
+// global role; integrationService checks the caller's role in the integration's
+// company instead.
+const tenantMiddleware = require("../middlewares/tenant.middleware");
+const roleMiddleware = require("../middlewares/role.middleware");
 
 /**
  * GET /companies/:companyId/integrations
@@ -16,8 +20,8 @@ const integrationController = require("../controllers/integration.controller");
  */
 router.get(
   "/companies/:companyId/integrations",
-  // authMiddleware,
-  // roleMiddleware("admin" or "marketer"),
+  tenantMiddleware,
+  roleMiddleware("integration:read"),
   integrationController.getIntegrations
 );
 
@@ -27,8 +31,8 @@ router.get(
  */
 router.post(
   "/companies/:companyId/integrations",
-  // authMiddleware,
-  // roleMiddleware("admin" or "marketer"),
+  tenantMiddleware,
+  roleMiddleware("integration:create"),
   integrationController.createIntegration
 );
 
@@ -38,7 +42,6 @@ router.post(
  */
 router.get(
   "/integrations/:integrationId",
-  // authMiddleware,
   integrationController.getIntegrationById
 );
 
@@ -48,7 +51,6 @@ router.get(
  */
 router.patch(
   "/integrations/:integrationId",
-  // authMiddleware,
   integrationController.updateIntegration
 );
 
@@ -58,7 +60,6 @@ router.patch(
  */
 router.delete(
   "/integrations/:integrationId",
-  // authMiddleware,
   integrationController.deleteIntegration
 );
 
@@ -68,7 +69,6 @@ router.delete(
  */
 router.get(
   "/integrations/:integrationId/oauth/redirect",
-  // authMiddleware,
   integrationController.handleOAuthRedirect
 );
 
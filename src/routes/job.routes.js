@@ -0,0 +1,66 @@
+// src/routes/job.routes.js
+
+const express = require("express");
+const router = express.Router();
+
+// Import the Job Controller
+const jobController = require("../controllers/job.controller");
+
+// Authentication is applied to this whole router in routes/index.js.
+// Jobs belong to a company (companyId in the body or job data); the service
+// checks membership and the role held in that company; roleMiddleware checks
+// the permission the route needs against the global role.
+const roleMiddleware = require("../middlewares/role.middleware");
+
+/**
+ * POST /jobs/:queue
+ * Enqueue a job on an agent queue (news, content, analytics, ad-management, pipeline).
+ */
+router.post(
+  "/jobs/:queue",
+  roleMiddleware("job:create"),
+  jobController.enqueueJob
+);
+
+/**
+ * GET /jobs/:queue
+ * List jobs of a queue, optionally filtered by state and companyId.
+ */
+router.get(
+  "/jobs/:queue",
+  roleMiddleware("job:read"),
+  jobController.listJobs
+);
+
+/**
+ * GET /jobs/:queue/:jobId
+ * Inspect a single job (state, progress, result, failure reason).
+ */
+router.get(
+  "/jobs/:queue/:jobId",
+  roleMiddleware("job:read"),
+  jobController.getJob
+);
+
+/**
+ * POST /jobs/:queue/:jobId/retry
+ * Retry a failed job, or re-enqueue a dead-letter entry on its original queue.
+ */
+router.post(
+  "/jobs/:queue/:jobId/retry",
+  roleMiddleware("job:manage"),
+  jobController.retryJob
+);
+
+/**
+ * DELETE /jobs/:queue/:jobId
+ * Cancel a job that isn't running.
+ */
+router.delete(
+  "/jobs/:queue/:jobId",
+  roleMiddleware("job:manage"),
+  jobController.cancelJob
+);
+
+// Export the router
+module.exports = router;
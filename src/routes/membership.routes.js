@@ -0,0 +1,57 @@
+// src/routes/membership.routes.js
+
+const express = require("express");
+const router = express.Router();
+
+// Import the Membership Controller
+const membershipController = require("../controllers/membership.controller");
+
+// Authentication is applied to this whole router in routes/index.js.
+// Company-scoped routes check membership first, then the per-company permission.
+const tenantMiddleware = require("../middlewares/tenant.middleware");
+const roleMiddleware = require("../middlewares/role.middleware");
+
+/**
+ * GET /companies/:companyId/members
+ * List members and pending invites of a company.
+ */
+router.get(
+  "/companies/:companyId/members",
+  tenantMiddleware,
+  roleMiddleware("member:read"),
+  membershipController.getMembers
+);
+
+/**
+ * POST /companies/:companyId/members
+ * Invite a user by email with a per-company role.
+ */
+router.post(
+  "/companies/:companyId/members",
+  tenantMiddleware,
+  roleMiddleware("member:invite"),
+  membershipController.inviteMember
+);
+
+/**
+ * POST /companies/:companyId/members/accept
+ * Accept a pending invite. No tenant check: the caller isn't a member yet,
+ * the invite token and matching email are the proof of access.
+ */
+router.post(
+  "/companies/:companyId/members/accept",
+  membershipController.acceptInvite
+);
+
+/**
+ * DELETE /companies/:companyId/members/:memberId
+ * Remove a member or revoke a pending invite.
+ */
+router.delete(
+  "/companies/:companyId/members/:memberId",
+  tenantMiddleware,
+  roleMiddleware("member:remove"),
+  membershipController.removeMember
+);
+
+module.exports = router;
@@ -6,9 +6,10 @@ const router = express.Router();
 // Import the News Controller
 const newsController = require("../controllers/news.controller");
 
-// Optional authentication or role-based middlewares:
-// const authMiddleware = require("../middlewares/auth.middleware");
-// const roleMiddleware = require("../middlewares/role.middleware");
+// Authentication is applied to this whole router in routes/index.js.
+// roleMiddleware checks the global role; the service checks the role in the
+// news item's company (and keeps global news to global admins).
+const roleMiddleware = require("../middlewares/role.middleware");
 
 /**
  * GET /api/news
@@ -16,7 +17,7 @@ const newsController = require("../controllers/news.controller");
  */
 router.get(
   "/news",
-  // authMiddleware,
+  roleMiddleware("news:read"),
   newsController.getAllNews
 );
 
@@ -26,7 +27,7 @@ router.get(
  */
 router.get(
   "/news/:newsId",
-  // authMiddleware,
+  roleMiddleware("news:read"),
   newsController.getNewsById
 );
 
@@ -36,7 +37,7 @@ router.get(
  */
 router.post(
   "/news",
-  // authMiddleware,
+  roleMiddleware("news:create"),
   newsController.createNews
 );
 
@@ -46,7 +47,7 @@ router.post(
  */
 router.patch(
   "/news/:newsId",
-  // authMiddleware,
+  roleMiddleware("news:update"),
   newsController.updateNews
 );
 
@@ -56,7 +57,7 @@ router.patch(
  */
 router.delete(
   "/news/:newsId",
-  // authMiddleware,
+  roleMiddleware("news:delete"),
   newsController.deleteNews
 );
 
@@ -67,7 +68,7 @@ router.delete(
  */
 router.post(
   "/news/:newsId/create-content",
-  // authMiddleware,
+  roleMiddleware("content:create"),
   newsController.createContentFromNews
 );
 
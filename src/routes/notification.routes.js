@@ -0,0 +1,31 @@
+// src/routes/notification.routes.js
+
+const express = require("express");
+const router = express.Router();
+
+// Import the Notification Controller
+const notificationController = require("../controllers/notification.controller");
+
+// Authentication is applied to this whole router in routes/index.js.
+// Every route works on the caller's own notifications, so no permission is needed.
+
+/**
+ * GET /notifications
+ * List your notifications (e.g. @mentions), newest first.
+ */
+router.get("/notifications", notificationController.getNotifications);
+
+/**
+ * POST /notifications/read-all
+ * Mark all of your notifications read (optionally for one company).
+ */
+router.post("/notifications/read-all", notificationController.markAllNotificationsRead);
+
+/**
+ * POST /notifications/:notificationId/read
+ * Mark one of your notifications read.
+ */
+router.post("/notifications/:notificationId/read", notificationController.markNotificationRead);
+
+// Export the router
+module.exports = router;
@@ -0,0 +1,104 @@
+// src/routes/plan.routes.js
+
+const express = require("express");
+const router = express.Router();
+
+// Import the Plan Controller
+const planController = require("../controllers/plan.controller");
+
+// Authentication is applied to this whole router in routes/index.js.
+// Company-scoped routes check membership first (tenantMiddleware), then the
+// permission the route needs (see config/permissions.js).
+const tenantMiddleware = require("../middlewares/tenant.middleware");
+const roleMiddleware = require("../middlewares/role.middleware");
+
+/**
+ * POST /companies/:companyId/campaigns/:campaignId/plans
+ * Generate a new plan version with the StrategyAgent.
+ */
+router.post(
+  "/companies/:companyId/campaigns/:campaignId/plans",
+  tenantMiddleware,
+  roleMiddleware("plan:create"),
+  planController.generatePlan
+);
+
+/**
+ * GET /companies/:companyId/campaigns/:campaignId/plans
+ * List all plan versions of a campaign.
+ */
+router.get(
+  "/companies/:companyId/campaigns/:campaignId/plans",
+  tenantMiddleware,
+  roleMiddleware("plan:read"),
+  planController.getPlans
+);
+
+/**
+ * GET /companies/:companyId/campaigns/:campaignId/plans/diff?from=1&to=2
+ * Compare two plan versions. (Declared before /:version so "diff" isn't taken as a version.)
+ */
+router.get(
+  "/companies/:companyId/campaigns/:campaignId/plans/diff",
+  tenantMiddleware,
+  roleMiddleware("plan:read"),
+  planController.diffPlans
+);
+
+/**
+ * GET /companies/:companyId/campaigns/:campaignId/plans/:version
+ * Retrieve one plan version.
+ */
+router.get(
+  "/companies/:companyId/campaigns/:campaignId/plans/:version",
+  tenantMiddleware,
+  roleMiddleware("plan:read"),
+  planController.getPlanByVersion
+);
+
+/**
+ * POST /companies/:companyId/campaigns/:campaignId/plans/:version/activate
+ * Make a plan version the active one.
+ */
+router.post(
+  "/companies/:companyId/campaigns/:campaignId/plans/:version/activate",
+  tenantMiddleware,
+  roleMiddleware("plan:update"),
+  planController.activatePlan
+);
+
+/**
+ * PATCH /companies/:companyId/campaigns/:campaignId/plans/:version/tasks/:taskId
+ * Update a plan task's status (todo, in-progress, done).
+ */
+router.patch(
+  "/companies/:companyId/campaigns/:campaignId/plans/:version/tasks/:taskId",
+  tenantMiddleware,
+  roleMiddleware("plan:update"),
+  planController.updateTaskStatus
+);
+
+/**
+ * POST /companies/:companyId/campaigns/:campaignId/strategy
+ * Generate a campaign strategy; same as POST .../plans (the result is saved as a plan version).
+ */
+router.post(
+  "/companies/:companyId/campaigns/:campaignId/strategy",
+  tenantMiddleware,
+  roleMiddleware("plan:create"),
+  planController.generatePlan
+);
+
+/**
+ * POST /companies/:companyId/campaigns/:campaignId/strategy/refine
+ * Revise a plan version with marketer feedback, continuing its AI conversation.
+ */
+router.post(
+  "/companies/:companyId/campaigns/:campaignId/strategy/refine",
+  tenantMiddleware,
+  roleMiddleware("plan:create"),
+  planController.refinePlan
+);
+
+// Export the router
+module.exports = router;
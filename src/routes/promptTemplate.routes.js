@@ -0,0 +1,82 @@
+// src/routes/promptTemplate.routes.js
+
+const express = require("express");
+const router = express.Router();
+
+// Import the Prompt Template Controller
+const promptTemplateController = require("../controllers/promptTemplate.controller");
+
+// Authentication is applied to this whole router in routes/index.js.
+// Company-scoped routes check membership first (tenantMiddleware), then the
+// permission the route needs (see config/permissions.js).
+const tenantMiddleware = require("../middlewares/tenant.middleware");
+const roleMiddleware = require("../middlewares/role.middleware");
+
+/**
+ * GET /companies/:companyId/prompt-templates
+ * List the prompt templates and the version the company uses.
+ */
+router.get(
+  "/companies/:companyId/prompt-templates",
+  tenantMiddleware,
+  roleMiddleware("promptTemplate:read"),
+  promptTemplateController.listTemplates
+);
+
+/**
+ * GET /companies/:companyId/prompt-templates/:name
+ * Retrieve one template with its text and the company's versions.
+ */
+router.get(
+  "/companies/:companyId/prompt-templates/:name",
+  tenantMiddleware,
+  roleMiddleware("promptTemplate:read"),
+  promptTemplateController.getTemplate
+);
+
+/**
+ * PUT /companies/:companyId/prompt-templates/:name
+ * Save new template text as the company's next (active) version.
+ */
+router.put(
+  "/companies/:companyId/prompt-templates/:name",
+  tenantMiddleware,
+  roleMiddleware("promptTemplate:update"),
+  promptTemplateController.saveTemplate
+);
+
+/**
+ * DELETE /companies/:companyId/prompt-templates/:name
+ * Go back to the built-in template.
+ */
+router.delete(
+  "/companies/:companyId/prompt-templates/:name",
+  tenantMiddleware,
+  roleMiddleware("promptTemplate:update"),
+  promptTemplateController.resetTemplate
+);
+
+/**
+ * POST /companies/:companyId/prompt-templates/:name/versions/:version/activate
+ * Re-activate an earlier version (roll back an edit).
+ */
+router.post(
+  "/companies/:companyId/prompt-templates/:name/versions/:version/activate",
+  tenantMiddleware,
+  roleMiddleware("promptTemplate:update"),
+  promptTemplateController.activateVersion
+);
+
+/**
+ * POST /companies/:companyId/prompt-templates/:name/preview
+ * Render the template (or unsaved text) with sample variables.
+ */
+router.post(
+  "/companies/:companyId/prompt-templates/:name/preview",
+  tenantMiddleware,
+  roleMiddleware("promptTemplate:read"),
+  promptTemplateController.previewTemplate
+);
+
+// Export the router
+module.exports = router;
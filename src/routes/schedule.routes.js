@@ -0,0 +1,71 @@
+// src/routes/schedule.routes.js
+
+const express = require("express");
+const router = express.Router();
+
+// Import the Schedule Controller
+const scheduleController = require("../controllers/schedule.controller");
+
+// Authentication is applied to this whole router in routes/index.js.
+// Company-scoped routes check membership first (tenantMiddleware), then the
+// permission the route needs (see config/permissions.js).
+const tenantMiddleware = require("../middlewares/tenant.middleware");
+const roleMiddleware = require("../middlewares/role.middleware");
+
+/**
+ * POST /companies/:companyId/schedules
+ * Create a recurring schedule (news-poll or metrics-collection).
+ */
+router.post(
+  "/companies/:companyId/schedules",
+  tenantMiddleware,
+  roleMiddleware("schedule:create"),
+  scheduleController.createSchedule
+);
+
+/**
+ * GET /companies/:companyId/schedules
+ * List a company's schedules.
+ */
+router.get(
+  "/companies/:companyId/schedules",
+  tenantMiddleware,
+  roleMiddleware("schedule:read"),
+  scheduleController.getSchedules
+);
+
+/**
+ * GET /companies/:companyId/schedules/:scheduleId
+ * Retrieve a single schedule.
+ */
+router.get(
+  "/companies/:companyId/schedules/:scheduleId",
+  tenantMiddleware,
+  roleMiddleware("schedule:read"),
+  scheduleController.getScheduleById
+);
+
+/**
+ * PATCH /companies/:companyId/schedules/:scheduleId
+ * Update a schedule (cron, params, enabled, ...).
+ */
+router.patch(
+  "/companies/:companyId/schedules/:scheduleId",
+  tenantMiddleware,
+  roleMiddleware("schedule:update"),
+  scheduleController.updateSchedule
+);
+
+/**
+ * DELETE /companies/:companyId/schedules/:scheduleId
+ * Delete a schedule.
+ */
+router.delete(
+  "/companies/:companyId/schedules/:scheduleId",
+  tenantMiddleware,
+  roleMiddleware("schedule:delete"),
+  scheduleController.deleteSchedule
+);
+
+// Export the router
+module.exports = router;
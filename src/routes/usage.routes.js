@@ -0,0 +1,28 @@
+// src/routes/usage.routes.js
+
+const express = require("express");
+const router = express.Router();
+
+// Import the Usage Controller
+const usageController = require("../controllers/usage.controller");
+
+// Authentication is applied to this whole router in routes/index.js.
+// Company-scoped routes check membership first (tenantMiddleware), then the
+// permission the route needs (see config/permissions.js).
+const tenantMiddleware = require("../middlewares/tenant.middleware");
+const roleMiddleware = require("../middlewares/role.middleware");
+
+/**
+ * GET /companies/:companyId/usage?from=2024-03-01&to=2024-03-31
+ * LLM usage report per agent and day, with the company's AI budget status.
+ * Add &userId=... to only count one user's calls.
+ */
+router.get(
+  "/companies/:companyId/usage",
+  tenantMiddleware,
+  roleMiddleware("usage:read"),
+  usageController.getUsageReport
+);
+
+// Export the router
+module.exports = router;
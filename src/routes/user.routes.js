@@ -6,9 +6,9 @@ const router = express.Router();
 // Import the User Controller
 const userController = require("../controllers/user.controller");
 
-// Optional authentication or role-based middlewares:
-// const authMiddleware = require("../middlewares/auth.middleware");
-// const roleMiddleware = require("../middlewares/role.middleware");
+// Authentication is applied to this whole router in routes/index.js.
+// Each route declares the permission it needs (see config/permissions.js).
+const roleMiddleware = require("../middlewares/role.middleware");
 
 /**
  * GET /api/users
@@ -16,8 +16,7 @@ const userController = require("../controllers/user.controller");
  */
 router.get(
   "/users",
-  // authMiddleware,
-  // roleMiddleware("admin"),
+  roleMiddleware("user:list"),
   userController.getAllUsers
 );
 
@@ -27,8 +26,7 @@ router.get(
  */
 router.get(
   "/users/:userId",
-  // authMiddleware,
-  // roleMiddleware("admin"),
+  roleMiddleware("user:read"),
   userController.getUserById
 );
 
@@ -38,8 +36,7 @@ router.get(
  */
 router.patch(
   "/users/:userId",
-  // authMiddleware,
-  // roleMiddleware("admin"),
+  roleMiddleware("user:update"),
   userController.updateUser
 );
 
@@ -49,8 +46,7 @@ router.patch(
  */
 router.delete(
   "/users/:userId",
-  // authMiddleware,
-  // roleMiddleware("admin"),
+  roleMiddleware("user:delete"),
   userController.deleteUser
 );
 
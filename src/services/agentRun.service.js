@@ -0,0 +1,205 @@
+// src/services/agentRun.service.js
+
+/**
+ * Agent Run Service
+ *
+ * Starts, lists and resumes runs of a campaign's agent pipeline (plan ->
+ * content drafts -> ad hand-off, see agents/index.js). Runs don't execute in
+ * the request: they're saved as "queued" and a job on the pipeline queue runs
+ * them (queues/jobs/pipelineJob.js).
+ *
+ * Every method first checks that the campaign belongs to the given company
+ * (throws TENANT_FORBIDDEN). Starting a run while another one of the campaign
+ * is queued or running, or resuming a run that hasn't failed, throws an Error
+ * with code AGENT_RUN_CONFLICT.
+ */
+
+const mongoose = require("mongoose");
+const AgentRun = require("../models/agentRun.model");
+const { createRun } = require("../agents");
+const { QUEUE_NAMES, getQueue } = require("../queues/bull.config");
+const { assertCampaignInCompany } = require("../utils/tenantGuard");
+
+// Statuses of a run that's still in progress
+const ACTIVE_STATUSES = ["queued", "running"];
+
+module.exports = {
+  startAgentRun,
+  getAgentRuns,
+  getAgentRunById,
+  resumeAgentRun,
+  hasActiveRun,
+  deleteCampaignRuns
+};
+
+/**
+ * startAgentRun
+ * Queues a new pipeline run for a campaign.
+ * @param {String} companyId
+ * @param {String} campaignId
+ * @param {Object} [options] - { userId } the user starting the run
+ * @returns {Promise<Object>} the queued AgentRun document (with jobId)
+ * @throws {Error} error.code === "AGENT_RUN_CONFLICT" if a run of the campaign is in progress
+ */
+async function startAgentRun(companyId, campaignId, { userId } = {}) {
+  if (!companyId || !campaignId) {
+    throw new Error("companyId and campaignId are required to start an agent run.");
+  }
+  await assertCampaignInCompany(companyId, campaignId);
+
+  const active = await AgentRun.exists({ campaignId, status: { $in: ACTIVE_STATUSES } });
+  if (active) {
+    throw createConflictError("A pipeline run of this campaign is already queued or running.");
+  }
+
+  const run = await createRun(campaignId, { userId, status: "queued" });
+  return enqueueRun(run, userId);
+}
+
+/**
+ * getAgentRuns
+ * Lists a campaign's pipeline runs, newest first.
+ * @param {String} companyId
+ * @param {String} campaignId
+ * @param {Object} [queryParams] - { status, page, limit }
+ * @returns {Promise<Array>} AgentRun documents
+ */
+async function getAgentRuns(companyId, campaignId, { status, page, limit } = {}) {
+  if (!companyId || !campaignId) {
+    throw new Error("companyId and campaignId are required to list agent runs.");
+  }
+  await assertCampaignInCompany(companyId, campaignId);
+
+  const query = { companyId, campaignId };
+  if (status) {
+    query.status = status;
+  }
+
+  // Pagination
+  const pageNum = parseInt(page, 10) || 1;
+  const limitNum = parseInt(limit, 10) || 20;
+  const skip = (pageNum - 1) * limitNum;
+
+  const runs = await AgentRun.find(query)
+    .sort({ createdAt: -1 })
+    .skip(skip)
+    .limit(limitNum)
+    .lean();
+  return runs;
+}
+
+/**
+ * getAgentRunById
+ * @param {String} companyId
+ * @param {String} campaignId
+ * @param {String} runId
+ * @returns {Promise<Object|null>} the AgentRun document, with each step's status and output, or null
+ */
+async function getAgentRunById(companyId, campaignId, runId) {
+  if (!companyId || !campaignId || !runId) {
+    throw new Error("companyId, campaignId, and runId are required.");
+  }
+  await assertCampaignInCompany(companyId, campaignId);
+  if (!mongoose.isValidObjectId(runId)) {
+    return null;
+  }
+
+  const run = await AgentRun.findOne({ _id: runId, companyId, campaignId }).lean();
+  return run;
+}
+
+/**
+ * resumeAgentRun
+ * Queues a failed run to continue from its last completed step.
+ * @param {String} companyId
+ * @param {String} campaignId
+ * @param {String} runId
+ * @param {Object} [options] - { userId } the user resuming the run
+ * @returns {Promise<Object|null>} the queued AgentRun document, or null if not found
+ * @throws {Error} error.code === "AGENT_RUN_CONFLICT" if the run hasn't failed
+ */
+async function resumeAgentRun(companyId, campaignId, runId, { userId } = {}) {
+  if (!companyId || !campaignId || !runId) {
+    throw new Error("companyId, campaignId, and runId are required to resume an agent run.");
+  }
+  await assertCampaignInCompany(companyId, campaignId);
+  if (!mongoose.isValidObjectId(runId)) {
+    return null;
+  }
+
+  // Only one request gets to move a failed run back to queued
+  const run = await AgentRun.findOneAndUpdate(
+    { _id: runId, companyId, campaignId, status: "failed" },
+    { $set: { status: "queued", updatedAt: new Date() }, $inc: { resumeCount: 1 } },
+    { new: true }
+  );
+  if (!run) {
+    const existing = await AgentRun.findOne({ _id: runId, companyId, campaignId }).select("status").lean();
+    if (!existing) {
+      return null;
+    }
+    throw createConflictError(`Only failed runs can be resumed (run is ${existing.status}).`);
+  }
+
+  return enqueueRun(run, userId);
+}
+
+/**
+ * hasActiveRun
+ * Whether a pipeline run of the campaign is queued or running.
+ * @param {String} campaignId
+ * @returns {Promise<Boolean>}
+ */
+async function hasActiveRun(campaignId) {
+  const active = await AgentRun.exists({ campaignId, status: { $in: ACTIVE_STATUSES } });
+  return !!active;
+}
+
+/**
+ * deleteCampaignRuns
+ * Deletes every pipeline run of a campaign (used when the campaign is deleted).
+ * @param {String} campaignId
+ * @returns {Promise<Number>} number of runs removed
+ */
+async function deleteCampaignRuns(campaignId) {
+  const result = await AgentRun.deleteMany({ campaignId });
+  return result.deletedCount;
+}
+
+// -------------------- Internal Helpers -------------------- //
+
+/**
+ * enqueueRun
+ * Adds the pipeline job for a queued run and records its ID on the run. If
+ * the job can't be added, the run is marked failed so it can be resumed.
+ */
+async function enqueueRun(run, userId) {
+  let job;
+  try {
+    // One attempt: a run that fails a step stays "failed" for resumeAgentRun
+    job = await getQueue(QUEUE_NAMES.pipeline).add(
+      { companyId: String(run.companyId), runId: String(run._id), requestedByUserId: userId },
+      { attempts: 1 }
+    );
+  } catch (error) {
+    run.status = "failed";
+    run.error = `Could not queue the run: ${error.message}`;
+    run.finishedAt = new Date();
+    await run.save();
+    throw error;
+  }
+
+  run.jobId = String(job.id);
+  await run.save();
+  return run;
+}
+
+/**
+ * createConflictError
+ * @returns {Error} an Error tagged with code AGENT_RUN_CONFLICT
+ */
+function createConflictError(message) {
+  const error = new Error(message);
+  error.code = "AGENT_RUN_CONFLICT";
+  return error;
+}
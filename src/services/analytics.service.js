@@ -8,6 +8,8 @@
  * Analytics Controller, which then sends JSON responses to the client.
  */
 
+const mongoose = require("mongoose");
+
 // Example: If you have a Mongoose model called Report or Analytics
 // Replace with your actual model name or schema
 const Analytics = require("../models/analytics.model"); 
@@ -19,6 +21,7 @@ module.exports = {
   getOverview,
   getCampaignAnalytics,
   getChannelAnalytics,
+  getContentMetrics,
   getRecommendations
 };
 
@@ -145,6 +148,38 @@ async function getChannelAnalytics(params) {
   return result;
 }
 
+/**
+ * Sum up the metrics recorded for individual content items (e.g. A/B test variants).
+ *
+ * @param {Array<String>} contentIds
+ * @returns {Promise<Map>} contentId (string) -> { impressions, clicks, conversions, cost, ctr, conversionRate };
+ *   items without analytics are missing from the map
+ */
+async function getContentMetrics(contentIds) {
+  const rows = await Analytics.aggregate([
+    { $match: { contentId: { $in: contentIds.map((id) => new mongoose.Types.ObjectId(id)) } } },
+    {
+      $group: {
+        _id: "$contentId",
+        impressions: { $sum: "$impressions" },
+        clicks: { $sum: "$clicks" },
+        conversions: { $sum: "$conversions" },
+        cost: { $sum: "$cost" }
+      }
+    }
+  ]);
+
+  // Rates are per impression / per click; 0 when there's nothing to divide by
+  return new Map(rows.map(({ _id, ...totals }) => [
+    String(_id),
+    {
+      ...totals,
+      ctr: totals.impressions > 0 ? totals.clicks / totals.impressions : 0,
+      conversionRate: totals.clicks > 0 ? totals.conversions / totals.clicks : 0
+    }
+  ]));
+}
+
 /**
  * Generate AI-based or logic-based recommendations for campaigns (optional).
  * 
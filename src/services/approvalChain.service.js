@@ -0,0 +1,272 @@
+// src/services/approvalChain.service.js
+
+/**
+ * Approval Chain Service
+ *
+ * Manages a company's approval chains: the ordered review steps content has to
+ * pass before it can be approved (see ApprovalChain). Reviewers must be active
+ * members of the company. content.service.js picks the chain for an item with
+ * findChainForContent() when the item goes to pending_approval.
+ *
+ * Invalid input throws an Error with code APPROVAL_CHAIN_VALIDATION, and a
+ * duplicate name APPROVAL_CHAIN_CONFLICT.
+ */
+
+const mongoose = require("mongoose");
+const ApprovalChain = require("../models/approvalChain.model");
+const Content = require("../models/content.model");
+const Membership = require("../models/membership.model");
+
+// Fields clients may not set directly through createApprovalChain/updateApprovalChain
+const PROTECTED_FIELDS = ["_id", "companyId", "createdByUserId", "createdAt", "updatedAt"];
+
+module.exports = {
+  createApprovalChain,
+  getApprovalChains,
+  getApprovalChainById,
+  updateApprovalChain,
+  deleteApprovalChain,
+  deleteAllApprovalChains,
+  findChainForContent
+};
+
+/**
+ * createApprovalChain
+ * Creates an approval chain under a company.
+ * @param {String} companyId
+ * @param {Object} chainData - { name, description, appliesTo: { platforms, types }, steps, enabled }
+ *   steps: [{ name, reviewers: [userId], minApprovals, required }]
+ * @param {String} [userId] - the creating user
+ * @returns {Promise<Object>} the newly created approval chain document
+ */
+async function createApprovalChain(companyId, chainData, userId) {
+  if (!companyId) {
+    throw new Error("companyId is required to create an approval chain.");
+  }
+
+  const chain = new ApprovalChain({ ...omitProtected(chainData || {}), companyId, createdByUserId: userId });
+  await validateChain(chain);
+
+  const savedChain = await chain.save();
+  return savedChain;
+}
+
+/**
+ * getApprovalChains
+ * Lists a company's approval chains, optionally filtered by the enabled flag.
+ * @param {String} companyId
+ * @param {Object} options - { enabled }
+ * @returns {Promise<Array>} array of approval chain documents
+ */
+async function getApprovalChains(companyId, { enabled } = {}) {
+  if (!companyId) {
+    throw new Error("companyId is required to get approval chains.");
+  }
+
+  const query = { companyId };
+  if (enabled !== undefined) {
+    query.enabled = enabled === true || enabled === "true";
+  }
+
+  const chains = await ApprovalChain.find(query).sort({ createdAt: 1 }).lean();
+  return chains;
+}
+
+/**
+ * getApprovalChainById
+ * Retrieves a single approval chain, only if it belongs to the given company.
+ * @param {String} companyId
+ * @param {String} chainId
+ * @returns {Promise<Object|null>} the approval chain document or null if not found
+ */
+async function getApprovalChainById(companyId, chainId) {
+  if (!companyId || !chainId) {
+    throw new Error("companyId and chainId are required.");
+  }
+  if (!mongoose.isValidObjectId(chainId)) {
+    return null;
+  }
+
+  const chain = await ApprovalChain.findOne({ _id: chainId, companyId }).lean();
+  return chain;
+}
+
+/**
+ * updateApprovalChain
+ * Partially updates an approval chain. Content already in review keeps the
+ * steps it started with; the change applies from its next submission.
+ * @param {String} companyId
+ * @param {String} chainId
+ * @param {Object} updates
+ * @returns {Promise<Object|null>} the updated approval chain or null if not found
+ */
+async function updateApprovalChain(companyId, chainId, updates) {
+  if (!companyId || !chainId) {
+    throw new Error("companyId and chainId are required to update an approval chain.");
+  }
+  if (!mongoose.isValidObjectId(chainId)) {
+    return null;
+  }
+
+  const chain = await ApprovalChain.findOne({ _id: chainId, companyId });
+  if (!chain) {
+    return null;
+  }
+
+  chain.set(omitProtected(updates || {}));
+  await validateChain(chain);
+
+  const savedChain = await chain.save();
+  return savedChain;
+}
+
+/**
+ * deleteApprovalChain
+ * Deletes an approval chain, only if it belongs to the given company.
+ * @param {String} companyId
+ * @param {String} chainId
+ * @returns {Promise<Boolean>} true if deleted, false otherwise
+ */
+async function deleteApprovalChain(companyId, chainId) {
+  if (!companyId || !chainId) {
+    throw new Error("companyId and chainId are required to delete an approval chain.");
+  }
+  if (!mongoose.isValidObjectId(chainId)) {
+    return false;
+  }
+
+  const result = await ApprovalChain.findOneAndDelete({ _id: chainId, companyId });
+  return !!result;
+}
+
+/**
+ * deleteAllApprovalChains
+ * Deletes every approval chain of a company (used when the company is deleted).
+ * @param {String} companyId
+ * @returns {Promise<Number>} number of approval chains removed
+ */
+async function deleteAllApprovalChains(companyId) {
+  const result = await ApprovalChain.deleteMany({ companyId });
+  return result.deletedCount;
+}
+
+/**
+ * findChainForContent
+ * Picks the enabled chain that applies to a content item. A chain naming the
+ * item's platform or type beats one that leaves it open; ties go to the
+ * oldest chain.
+ * @param {String} companyId
+ * @param {Object} content - { platform, type }
+ * @returns {Promise<Object|null>} the approval chain, or null if none applies
+ */
+async function findChainForContent(companyId, { platform, type }) {
+  const chains = await ApprovalChain.find({ companyId, enabled: true }).sort({ createdAt: 1 }).lean();
+
+  let best = null;
+  let bestScore = -1;
+  for (const chain of chains) {
+    const platforms = (chain.appliesTo && chain.appliesTo.platforms) || [];
+    const types = (chain.appliesTo && chain.appliesTo.types) || [];
+    if ((platforms.length > 0 && !platforms.includes(platform)) || (types.length > 0 && !types.includes(type))) {
+      continue;
+    }
+    const score = (platforms.length > 0 ? 1 : 0) + (types.length > 0 ? 1 : 0);
+    if (score > bestScore) {
+      best = chain;
+      bestScore = score;
+    }
+  }
+  return best;
+}
+
+// -------------------- Internal Helpers -------------------- //
+
+/**
+ * validateChain
+ * Checks the name, what the chain applies to, and every step and its reviewers.
+ * Throws APPROVAL_CHAIN_VALIDATION on the first problem.
+ */
+async function validateChain(chain) {
+  // Schema errors first, e.g. a reviewer that isn't a valid ID
+  await chain.validate();
+  if (!chain.name) {
+    throw createValidationError("Missing required field: name.");
+  }
+  const duplicate = await ApprovalChain.exists({ companyId: chain.companyId, name: chain.name, _id: { $ne: chain._id } });
+  if (duplicate) {
+    const error = new Error(`An approval chain named "${chain.name}" already exists.`);
+    error.code = "APPROVAL_CHAIN_CONFLICT";
+    throw error;
+  }
+
+  const allowed = {
+    platforms: Content.schema.path("platform").enumValues,
+    types: Content.schema.path("type").enumValues
+  };
+  for (const field of ["platforms", "types"]) {
+    const unknown = ((chain.appliesTo && chain.appliesTo[field]) || []).filter((value) => !allowed[field].includes(value));
+    if (unknown.length > 0) {
+      throw createValidationError(`Unknown appliesTo.${field}: ${unknown.join(", ")}. Allowed: ${allowed[field].join(", ")}.`);
+    }
+  }
+
+  if (!chain.steps || chain.steps.length === 0) {
+    throw createValidationError("An approval chain needs at least one step.");
+  }
+  if (!chain.steps.some((step) => step.required !== false)) {
+    throw createValidationError("At least one step must be required.");
+  }
+
+  const names = new Set();
+  const reviewerIds = new Set();
+  for (const step of chain.steps) {
+    if (!step.name) {
+      throw createValidationError("Every step needs a name.");
+    }
+    if (names.has(step.name)) {
+      throw createValidationError(`Step names must be unique; "${step.name}" appears twice.`);
+    }
+    names.add(step.name);
+
+    const reviewers = new Set((step.reviewers || []).map(String));
+    if (reviewers.size === 0) {
+      throw createValidationError(`Step "${step.name}" needs at least one reviewer.`);
+    }
+    if (reviewers.size !== (step.reviewers || []).length) {
+      throw createValidationError(`Step "${step.name}" lists a reviewer twice.`);
+    }
+    if (step.minApprovals > reviewers.size) {
+      throw createValidationError(`Step "${step.name}" needs ${step.minApprovals} approvals but only has ${reviewers.size} reviewer(s).`);
+    }
+    reviewers.forEach((reviewer) => reviewerIds.add(reviewer));
+  }
+
+  const members = await Membership.countDocuments({
+    companyId: chain.companyId,
+    userId: { $in: [...reviewerIds] },
+    status: "active"
+  });
+  if (members !== reviewerIds.size) {
+    throw createValidationError("Reviewers must all be active members of this company.");
+  }
+}
+
+/**
+ * createValidationError
+ * @returns {Error} an Error tagged with code APPROVAL_CHAIN_VALIDATION
+ */
+function createValidationError(message) {
+  const error = new Error(message);
+  error.code = "APPROVAL_CHAIN_VALIDATION";
+  return error;
+}
+
+/**
+ * omitProtected
+ * Returns a copy of the input without fields clients may not set.
+ */
+function omitProtected(data) {
+  const copy = { ...data };
+  PROTECTED_FIELDS.forEach((field) => delete copy[field]);
+  return copy;
+}
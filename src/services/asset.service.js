@@ -0,0 +1,581 @@
+// src/services/asset.service.js
+
+/**
+ * Asset Service
+ *
+ * The company media library: stores uploaded and generated images through the
+ * storage layer (src/storage) and records them as Assets with their mime type,
+ * dimensions and checksum.
+ *
+ * Image providers hand out temporary URLs that expire; importAssetFromUrl()
+ * downloads such an image into the library so content can keep using it.
+ * A file the company already has (same checksum) is not stored twice: the
+ * existing asset is returned, with any new tags added.
+ *
+ * Renditions are copies cropped and sized for a platform (e.g. Instagram's
+ * 1080x1080 square, see config/platformSpecs.js). They're stored next to the
+ * original under stable keys, so changing an asset's crop re-renders them in
+ * place and content keeps pointing at the same URLs.
+ *
+ * Stored files are publicly readable by URL (platforms fetch them to post), so
+ * each file gets a random storage key.
+ */
+
+const crypto = require("crypto");
+const mongoose = require("mongoose");
+const { imageSize } = require("image-size");
+const Asset = require("../models/asset.model");
+const Content = require("../models/content.model");
+const { getStorage } = require("../storage");
+const { PLATFORM_SPECS, getPlatformSpec } = require("../config/platformSpecs");
+const { CROP_MODES, renderRendition } = require("../utils/imageRenditions");
+
+// Largest file the library accepts (uploads and downloads)
+const MAX_ASSET_BYTES = 10 * 1024 * 1024;
+
+// How long a download may take
+const DOWNLOAD_TIMEOUT_MS = 30000;
+
+// Accepted image types (as detected from the file's bytes) and their mime types.
+// SVG is left out on purpose: it can carry scripts.
+const IMAGE_TYPES = {
+  png: "image/png",
+  jpg: "image/jpeg",
+  gif: "image/gif",
+  webp: "image/webp"
+};
+
+const MAX_TAGS = 20;
+
+module.exports = {
+  MAX_ASSET_BYTES,
+  uploadAsset,
+  importAssetFromUrl,
+  listAssets,
+  getAsset,
+  getAssetFile,
+  updateAsset,
+  createRenditions,
+  getPlatformMediaUrl,
+  deleteAsset,
+  deleteAllAssets
+};
+
+/**
+ * uploadAsset
+ * Stores a file a user uploaded.
+ * @param {String} companyId
+ * @param {Object} file - { buffer, originalname } as parsed by the upload middleware
+ * @param {Object} [options] - { tags, userId } tags as an array or comma-separated string
+ * @returns {Promise<Object>} the asset (an existing one if the company already has this file)
+ * @throws {Error} error.code === "ASSET_VALIDATION" for a missing, oversized or non-image file
+ */
+async function uploadAsset(companyId, file, { tags, userId } = {}) {
+  if (!file || !file.buffer || file.buffer.length === 0) {
+    throw createValidationError("No file uploaded. Send an image in the 'file' field.");
+  }
+
+  return storeAsset(companyId, file.buffer, {
+    source: "upload",
+    filename: file.originalname,
+    tags: normalizeTags(tags),
+    userId
+  });
+}
+
+/**
+ * importAssetFromUrl
+ * Downloads an image (e.g. a generated image's temporary URL) into the library.
+ * Accepts http(s) and data: URLs.
+ * @param {String} companyId
+ * @param {String} url
+ * @param {Object} [options] - { source, tags, meta, userId } source defaults to "url";
+ *   use "generated" for AI images
+ * @returns {Promise<Object>} the asset
+ * @throws {Error} error.code === "ASSET_DOWNLOAD" if the image can't be fetched,
+ *   or "ASSET_VALIDATION" if it isn't an accepted image
+ */
+async function importAssetFromUrl(companyId, url, { source = "url", tags, meta = {}, userId } = {}) {
+  const buffer = await download(url);
+
+  return storeAsset(companyId, buffer, {
+    source,
+    tags: normalizeTags(tags),
+    // data: URLs are the image itself; only keep real addresses
+    meta: { ...meta, ...(String(url).startsWith("data:") ? {} : { sourceUrl: url }) },
+    userId
+  });
+}
+
+/**
+ * listAssets
+ * Lists a company's assets, newest first.
+ * @param {String} companyId
+ * @param {Object} [queryParams] - { tag, source, page, limit }
+ * @returns {Promise<Array>} asset documents
+ */
+async function listAssets(companyId, { tag, source, page, limit } = {}) {
+  const query = { companyId };
+  if (tag) {
+    query.tags = String(tag).trim().toLowerCase();
+  }
+  if (source) {
+    query.source = source;
+  }
+
+  const pageNum = parseInt(page, 10) || 1;
+  const limitNum = Math.min(parseInt(limit, 10) || 20, 100);
+
+  const assets = await Asset.find(query)
+    .sort({ createdAt: -1 })
+    .skip((pageNum - 1) * limitNum)
+    .limit(limitNum)
+    .lean();
+  return assets;
+}
+
+/**
+ * getAsset
+ * @param {String} companyId
+ * @param {String} assetId
+ * @returns {Promise<Object|null>} the asset, or null if the company has no such asset
+ */
+async function getAsset(companyId, assetId) {
+  if (!mongoose.isValidObjectId(assetId)) {
+    return null;
+  }
+  const asset = await Asset.findOne({ _id: assetId, companyId }).lean();
+  return asset;
+}
+
+/**
+ * getAssetFile
+ * Reads an asset's file back from storage.
+ * @param {String} companyId
+ * @param {String} assetId
+ * @returns {Promise<Object|null>} { asset, buffer }, or null if the asset or its file is missing
+ */
+async function getAssetFile(companyId, assetId) {
+  const asset = await getAsset(companyId, assetId);
+  if (!asset) {
+    return null;
+  }
+
+  const buffer = await getStorage(asset.storageDriver).get(asset.storageKey);
+  return buffer ? { asset, buffer } : null;
+}
+
+/**
+ * updateAsset
+ * Replaces an asset's tags and/or crop settings. A new crop re-renders the
+ * asset's existing renditions.
+ * @param {String} companyId
+ * @param {String} assetId
+ * @param {Object} updates - { tags, crop } tags as an array or comma-separated string;
+ *   crop as { mode, focalPoint: { x, y } } (focalPoint is required for "focal")
+ * @returns {Promise<Object|null>} the updated asset, or null if not found
+ * @throws {Error} error.code === "ASSET_VALIDATION" for missing or invalid tags or crop
+ */
+async function updateAsset(companyId, assetId, { tags, crop } = {}) {
+  const hasTags = tags !== undefined && tags !== null;
+  if (!hasTags && !crop) {
+    throw createValidationError("Provide 'tags' (an array or a comma-separated string) and/or 'crop'.");
+  }
+  const $set = { updatedAt: new Date() };
+  if (hasTags) {
+    $set.tags = normalizeTags(tags);
+  }
+  if (crop) {
+    $set.crop = normalizeCrop(crop);
+  }
+  if (!mongoose.isValidObjectId(assetId)) {
+    return null;
+  }
+
+  const updated = await Asset.findOneAndUpdate({ _id: assetId, companyId }, { $set }, { new: true });
+  if (updated && crop && updated.renditions.length > 0) {
+    const platforms = [...new Set(updated.renditions.map((rendition) => rendition.platform))];
+    return saveRenditions(updated, platforms);
+  }
+  return updated;
+}
+
+/**
+ * createRenditions
+ * Renders an asset at every size its platforms need and stores the results
+ * next to the original. Existing renditions for those platforms are replaced.
+ * @param {String} companyId
+ * @param {String} assetId
+ * @param {Object} [options] - { platforms } array or comma-separated string;
+ *   defaults to every platform that has renditions
+ * @returns {Promise<Object|null>} the asset with its renditions, or null if not found
+ * @throws {Error} error.code === "ASSET_VALIDATION" for a platform without renditions
+ *   or an image that can't be rendered
+ */
+async function createRenditions(companyId, assetId, { platforms } = {}) {
+  const requested = platforms === undefined || platforms === null || platforms === ""
+    ? Object.keys(PLATFORM_SPECS).filter((platform) => PLATFORM_SPECS[platform].renditions)
+    : [...new Set((Array.isArray(platforms) ? platforms : String(platforms).split(",")).map((p) => String(p).trim()))];
+
+  const unsupported = requested.filter((platform) => !(getPlatformSpec(platform) || {}).renditions);
+  if (unsupported.length > 0 || requested.length === 0) {
+    const supported = Object.keys(PLATFORM_SPECS).filter((platform) => PLATFORM_SPECS[platform].renditions);
+    throw createValidationError(`Renditions are available for: ${supported.join(", ")}.`);
+  }
+  if (!mongoose.isValidObjectId(assetId)) {
+    return null;
+  }
+
+  const asset = await Asset.findOne({ _id: assetId, companyId });
+  if (!asset) {
+    return null;
+  }
+  return saveRenditions(asset, requested);
+}
+
+/**
+ * getPlatformMediaUrl
+ * The URL content on a platform should use for an asset: the platform's main
+ * rendition (rendered on first use), or the original for platforms without
+ * renditions.
+ * @param {String} companyId
+ * @param {String} assetId
+ * @param {String} [platform] - canonical channel name
+ * @returns {Promise<String|null>} the URL, or null if the company has no such asset
+ */
+async function getPlatformMediaUrl(companyId, assetId, platform) {
+  if (!mongoose.isValidObjectId(assetId)) {
+    return null;
+  }
+  const asset = await Asset.findOne({ _id: assetId, companyId });
+  if (!asset) {
+    return null;
+  }
+
+  const spec = getPlatformSpec(platform);
+  if (!spec || !spec.renditions) {
+    return asset.url;
+  }
+  const primary = spec.renditions[0];
+  const findPrimary = (doc) => doc.renditions.find(
+    (rendition) => rendition.platform === platform && rendition.name === primary.name
+  );
+
+  const existing = findPrimary(asset);
+  if (existing) {
+    return existing.url;
+  }
+  try {
+    const updated = await saveRenditions(asset, [platform]);
+    return findPrimary(updated).url;
+  } catch (error) {
+    // The original still works; don't block the content over a rendition
+    console.error(`[AssetService] Failed to render ${platform} renditions of asset ${asset._id}:`, error);
+    return asset.url;
+  }
+}
+
+/**
+ * deleteAsset
+ * Removes an asset, its file and its renditions. Assets still used by content are kept.
+ * @param {String} companyId
+ * @param {String} assetId
+ * @returns {Promise<Boolean>} true if deleted, false if not found
+ * @throws {Error} error.code === "ASSET_IN_USE" if content items reference the asset
+ */
+async function deleteAsset(companyId, assetId) {
+  const asset = await getAsset(companyId, assetId);
+  if (!asset) {
+    return false;
+  }
+
+  const usedBy = await Content.countDocuments({ companyId, assetId: asset._id });
+  if (usedBy > 0) {
+    const error = new Error(`This asset is used by ${usedBy} content item(s); remove it from them first.`);
+    error.code = "ASSET_IN_USE";
+    throw error;
+  }
+
+  const storage = getStorage(asset.storageDriver);
+  for (const rendition of asset.renditions || []) {
+    await storage.delete(rendition.storageKey);
+  }
+  await storage.delete(asset.storageKey);
+  await Asset.deleteOne({ _id: asset._id });
+  return true;
+}
+
+/**
+ * deleteAllAssets
+ * Removes a company's assets, their files and renditions (used when the company is deleted).
+ * @param {String} companyId
+ * @returns {Promise<Number>} number of assets removed
+ */
+async function deleteAllAssets(companyId) {
+  const assets = await Asset.find({ companyId }).select("storageDriver storageKey renditions.storageKey").lean();
+  for (const asset of assets) {
+    const keys = [...(asset.renditions || []).map((rendition) => rendition.storageKey), asset.storageKey];
+    for (const key of keys) {
+      try {
+        await getStorage(asset.storageDriver).delete(key);
+      } catch (error) {
+        // A leftover file is harmless; don't let it block deleting the company
+        console.error(`[AssetService] Failed to delete file ${key}:`, error);
+      }
+    }
+  }
+
+  const result = await Asset.deleteMany({ companyId });
+  return result.deletedCount;
+}
+
+// -------------------- Internal Helpers -------------------- //
+
+/**
+ * storeAsset
+ * Checks that a file is an accepted image, stores it and records the Asset.
+ * @param {String} companyId
+ * @param {Buffer} buffer
+ * @param {Object} details - { source, filename, tags, meta, userId }
+ * @returns {Promise<Object>} the asset
+ */
+async function storeAsset(companyId, buffer, { source, filename, tags = [], meta, userId }) {
+  if (buffer.length > MAX_ASSET_BYTES) {
+    throw createValidationError(`File too large. The limit is ${MAX_ASSET_BYTES / (1024 * 1024)} MB.`);
+  }
+  const { type, width, height } = inspectImage(buffer);
+  const checksum = crypto.createHash("sha256").update(buffer).digest("hex");
+
+  const existing = await findDuplicate(companyId, checksum, tags);
+  if (existing) {
+    return existing;
+  }
+
+  // File URLs are public (see app.js), so keys are random: a URL can't be guessed,
+  // nor derived from a file's contents to check whether the library has it
+  const storage = getStorage();
+  const storageKey = `${companyId}/${crypto.randomBytes(16).toString("hex")}.${type}`;
+  await storage.put(storageKey, buffer, { contentType: IMAGE_TYPES[type] });
+
+  try {
+    const asset = await new Asset({
+      companyId,
+      source,
+      filename,
+      storageDriver: storage.name,
+      storageKey,
+      url: storage.url(storageKey),
+      mimeType: IMAGE_TYPES[type],
+      size: buffer.length,
+      width,
+      height,
+      checksum,
+      tags,
+      meta,
+      createdByUserId: userId
+    }).save();
+    return asset;
+  } catch (error) {
+    // The same file was stored by a concurrent request; use that asset
+    if (error.code === 11000) {
+      return findDuplicate(companyId, checksum, tags);
+    }
+    throw error;
+  }
+}
+
+/**
+ * saveRenditions
+ * Renders the asset for each platform with its current crop settings, stores the
+ * files and replaces those platforms' renditions on the asset.
+ * @param {Object} asset - an Asset document
+ * @param {Array<String>} platforms - platforms that have renditions
+ * @returns {Promise<Object>} the updated asset
+ */
+async function saveRenditions(asset, platforms) {
+  const storage = getStorage(asset.storageDriver);
+  const original = await storage.get(asset.storageKey);
+  if (!original) {
+    throw createValidationError("The asset's file is missing from storage.");
+  }
+  const crop = (asset.crop && asset.crop.mode) ? asset.crop : { mode: "center" };
+
+  const rendered = [];
+  for (const platform of platforms) {
+    for (const size of getPlatformSpec(platform).renditions) {
+      let image;
+      try {
+        image = await renderRendition(original, size, crop);
+      } catch (error) {
+        throw createValidationError(`Can't create renditions of this image: ${error.message}`);
+      }
+      // Stable keys next to the original: re-rendering replaces the file, so URLs in content stay valid
+      const storageKey = `${renditionDir(asset)}/${platform}-${size.name}.${image.extension}`;
+      await storage.put(storageKey, image.buffer, { contentType: image.mimeType });
+      rendered.push({
+        platform,
+        name: size.name,
+        width: image.width,
+        height: image.height,
+        storageKey,
+        url: storage.url(storageKey),
+        mimeType: image.mimeType,
+        size: image.buffer.length,
+        upscaled: image.upscaled,
+        createdAt: new Date()
+      });
+    }
+  }
+
+  const kept = (asset.renditions || []).filter((rendition) => !platforms.includes(rendition.platform));
+  const updated = await Asset.findOneAndUpdate(
+    { _id: asset._id },
+    { $set: { renditions: [...kept, ...rendered], updatedAt: new Date() } },
+    { new: true }
+  );
+  return updated;
+}
+
+/**
+ * normalizeCrop
+ * Validates crop settings from a request.
+ * @returns {Object} { mode } or { mode: "focal", focalPoint: { x, y } }
+ */
+function normalizeCrop(crop) {
+  const mode = crop && crop.mode;
+  if (!CROP_MODES.includes(mode)) {
+    throw createValidationError(`crop.mode must be one of: ${CROP_MODES.join(", ")}.`);
+  }
+  if (mode !== "focal") {
+    return { mode };
+  }
+
+  const { x, y } = crop.focalPoint || {};
+  const inRange = (value) => typeof value === "number" && value >= 0 && value <= 1;
+  if (!inRange(x) || !inRange(y)) {
+    throw createValidationError("A focal crop needs focalPoint { x, y }, each between 0 and 1 (from the top left).");
+  }
+  return { mode, focalPoint: { x, y } };
+}
+
+/**
+ * findDuplicate
+ * Returns the company's asset with this checksum (adding any new tags), or null.
+ */
+async function findDuplicate(companyId, checksum, tags) {
+  if (tags.length === 0) {
+    return Asset.findOne({ companyId, checksum });
+  }
+  const existing = await Asset.findOneAndUpdate(
+    { companyId, checksum },
+    { $addToSet: { tags: { $each: tags } }, $set: { updatedAt: new Date() } },
+    { new: true }
+  );
+  return existing;
+}
+
+/**
+ * inspectImage
+ * Detects the image type and dimensions from the file's bytes (never trusting
+ * the file name or the sender's content type).
+ * @returns {Object} { type, width, height }
+ */
+function inspectImage(buffer) {
+  let info;
+  try {
+    info = imageSize(buffer);
+  } catch (error) {
+    info = null;
+  }
+  if (!info || !IMAGE_TYPES[info.type]) {
+    throw createValidationError(`Unsupported file. Upload a ${Object.keys(IMAGE_TYPES).join(", ")} image.`);
+  }
+  return { type: info.type, width: info.width, height: info.height };
+}
+
+/**
+ * download
+ * Fetches a URL into a buffer, enforcing the timeout and size limit. The body
+ * is read in chunks and the download stopped as soon as it passes the limit,
+ * since content-length can be missing or wrong.
+ */
+async function download(url) {
+  if (!/^(https?:|data:)/i.test(String(url))) {
+    throw createDownloadError(`Can't download "${url}": only http(s) and data: URLs are supported.`);
+  }
+
+  let response;
+  try {
+    response = await fetch(url, { signal: AbortSignal.timeout(DOWNLOAD_TIMEOUT_MS) });
+  } catch (error) {
+    throw createDownloadError(`Can't download the image: ${error.message}`);
+  }
+  if (!response.ok) {
+    throw createDownloadError(`Can't download the image: the server answered ${response.status}.`);
+  }
+  const tooLarge = () => createValidationError(`File too large. The limit is ${MAX_ASSET_BYTES / (1024 * 1024)} MB.`);
+  if (Number(response.headers.get("content-length")) > MAX_ASSET_BYTES) {
+    await response.body?.cancel();
+    throw tooLarge();
+  }
+
+  const chunks = [];
+  let size = 0;
+  try {
+    // Throwing out of the loop cancels the stream, which closes the connection
+    for await (const chunk of response.body || []) {
+      size += chunk.length;
+      if (size > MAX_ASSET_BYTES) {
+        throw tooLarge();
+      }
+      chunks.push(chunk);
+    }
+  } catch (error) {
+    throw error.code === "ASSET_VALIDATION" ? error : createDownloadError(`Can't download the image: ${error.message}`);
+  }
+  return Buffer.concat(chunks, size);
+}
+
+/**
+ * renditionDir
+ * The storage "directory" an asset's renditions go in: its own key without the extension.
+ */
+function renditionDir(asset) {
+  return asset.storageKey.replace(/\.[^./]+$/, "");
+}
+
+/**
+ * normalizeTags
+ * Accepts an array or a comma-separated string; returns unique, trimmed, lower-case tags.
+ */
+function normalizeTags(tags) {
+  if (tags === undefined || tags === null || tags === "") {
+    return [];
+  }
+  const list = Array.isArray(tags) ? tags : String(tags).split(",");
+  const normalized = [...new Set(list.map((tag) => String(tag).trim().toLowerCase()).filter(Boolean))];
+  if (normalized.length > MAX_TAGS) {
+    throw createValidationError(`An asset can have at most ${MAX_TAGS} tags.`);
+  }
+  return normalized;
+}
+
+/**
+ * createValidationError
+ * @returns {Error} an Error tagged with code ASSET_VALIDATION
+ */
+function createValidationError(message) {
+  const error = new Error(message);
+  error.code = "ASSET_VALIDATION";
+  return error;
+}
+
+/**
+ * createDownloadError
+ * @returns {Error} an Error tagged with code ASSET_DOWNLOAD
+ */
+function createDownloadError(message) {
+  const error = new Error(message);
+  error.code = "ASSET_DOWNLOAD";
+  return error;
+}
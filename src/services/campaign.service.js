@@ -1 +1,366 @@
-// Placeholder for campaign.service.js
+// src/services/campaign.service.js
+
+/**
+ * Campaign Service
+ *
+ * Handles creation, retrieval, updating, deletion and launch of Campaigns.
+ * Every query is scoped by companyId, so a campaign can only be reached
+ * through the company that owns it.
+ *
+ * Status changes follow an explicit state machine:
+ *
+ *   draft --finalize--> active <--> paused
+ *                         |           |
+ *                         +--> completed <--+
+ *
+ * Illegal transitions are rejected (error.code "INVALID_TRANSITION") and every
+ * accepted transition is appended to campaign.statusHistory.
+ *
+ * Deleting a campaign deletes its content, plans and pipeline runs and takes
+ * it out of the company's schedules. It's refused (error.code
+ * "CAMPAIGN_CONFLICT") while a pipeline run is in progress or content is
+ * being posted.
+ */
+
+const mongoose = require("mongoose");
+const Campaign = require("../models/campaign.model");
+const Audience = require("../models/audience.model");
+const contentService = require("./content.service");
+const planService = require("./plan.service");
+const agentRunService = require("./agentRun.service");
+const scheduleService = require("./schedule.service");
+const { CHANNELS } = require("../config/channels");
+
+// Allowed status transitions: current status -> statuses it may move to
+const CAMPAIGN_TRANSITIONS = {
+  draft: ["active"],
+  active: ["paused", "completed"],
+  paused: ["active", "completed"],
+  completed: []
+};
+
+// Fields clients may not set directly through createCampaign/updateCampaign
+const PROTECTED_FIELDS = ["_id", "companyId", "statusHistory", "createdByUserId", "createdAt"];
+
+module.exports = {
+  CAMPAIGN_TRANSITIONS,
+  createCampaign,
+  getCampaigns,
+  getCampaignById,
+  updateCampaign,
+  deleteCampaign,
+  finalizeCampaign,
+  transitionStatus,
+  validateForLaunch
+};
+
+/**
+ * createCampaign
+ * Creates a new draft campaign under a company.
+ * @param {String} companyId
+ * @param {Object} campaignData - { name, objective, budget, startDate, endDate, channels, targetAudienceId, ... }
+ * @param {String} [userId] - the creating user
+ * @returns {Promise<Object>} the newly created campaign document
+ */
+async function createCampaign(companyId, campaignData, userId) {
+  if (!companyId) {
+    throw new Error("companyId is required to create a campaign.");
+  }
+  if (!campaignData || !campaignData.name || !campaignData.objective) {
+    throw new Error("Missing required fields: campaign name or objective.");
+  }
+
+  // New campaigns always start as drafts; launching goes through finalizeCampaign
+  const { status, ...data } = omitProtected(campaignData);
+
+  const newCampaign = new Campaign({
+    ...data,
+    companyId,
+    status: "draft",
+    createdByUserId: userId,
+    statusHistory: [{ from: null, to: "draft", changedByUserId: userId, reason: "created" }]
+  });
+
+  const savedCampaign = await newCampaign.save();
+  return savedCampaign;
+}
+
+/**
+ * getCampaigns
+ * Retrieves campaigns for a company, optionally filtered by status, with pagination.
+ * @param {String} companyId
+ * @param {Object} options - { status, page, limit }
+ * @returns {Promise<Array>} array of campaign documents
+ */
+async function getCampaigns(companyId, { status, page, limit } = {}) {
+  if (!companyId) {
+    throw new Error("companyId is required to get campaigns.");
+  }
+
+  const query = { companyId };
+  if (status) {
+    query.status = status;
+  }
+
+  // Pagination
+  const pageNum = parseInt(page, 10) || 1;
+  const limitNum = parseInt(limit, 10) || 20;
+  const skip = (pageNum - 1) * limitNum;
+
+  const campaigns = await Campaign.find(query)
+    .sort({ createdAt: -1 })
+    .skip(skip)
+    .limit(limitNum)
+    .lean();
+
+  return campaigns;
+}
+
+/**
+ * getCampaignById
+ * Retrieves a single campaign, only if it belongs to the given company.
+ * @param {String} companyId
+ * @param {String} campaignId
+ * @returns {Promise<Object|null>} the campaign document or null if not found
+ */
+async function getCampaignById(companyId, campaignId) {
+  if (!companyId || !campaignId) {
+    throw new Error("companyId and campaignId are required.");
+  }
+  if (!mongoose.isValidObjectId(campaignId)) {
+    return null;
+  }
+
+  const campaign = await Campaign.findOne({ _id: campaignId, companyId }).lean();
+  return campaign;
+}
+
+/**
+ * updateCampaign
+ * Partially updates a campaign. A change of `status` is routed through the
+ * state machine (and launch validation when moving to "active").
+ * @param {String} companyId
+ * @param {String} campaignId
+ * @param {Object} updates
+ * @param {String} [userId] - the user making the change (recorded in statusHistory)
+ * @returns {Promise<Object|null>} the updated campaign or null if not found
+ */
+async function updateCampaign(companyId, campaignId, updates, userId) {
+  if (!companyId || !campaignId) {
+    throw new Error("companyId and campaignId are required to update a campaign.");
+  }
+  if (!mongoose.isValidObjectId(campaignId)) {
+    return null;
+  }
+
+  const campaign = await Campaign.findOne({ _id: campaignId, companyId });
+  if (!campaign) {
+    return null;
+  }
+
+  const { status, statusReason, ...fieldUpdates } = omitProtected(updates || {});
+  campaign.set(fieldUpdates);
+
+  if (status && status !== campaign.status) {
+    await applyTransition(campaign, status, { userId, reason: statusReason });
+  }
+
+  const savedCampaign = await campaign.save();
+  return savedCampaign;
+}
+
+/**
+ * deleteCampaign
+ * Deletes a campaign, only if it belongs to the given company, together with
+ * its content (and their revisions and comments), plans and pipeline runs.
+ * Schedules stop collecting metrics for it.
+ * @param {String} companyId
+ * @param {String} campaignId
+ * @returns {Promise<Boolean>} true if deleted, false otherwise
+ * @throws {Error} error.code === "CAMPAIGN_CONFLICT" while a pipeline run of the
+ *   campaign is queued or running, or its content is being posted
+ */
+async function deleteCampaign(companyId, campaignId) {
+  if (!companyId || !campaignId) {
+    throw new Error("companyId and campaignId are required to delete a campaign.");
+  }
+  if (!mongoose.isValidObjectId(campaignId)) {
+    return false;
+  }
+
+  const exists = await Campaign.exists({ _id: campaignId, companyId });
+  if (!exists) {
+    return false;
+  }
+  if (await agentRunService.hasActiveRun(campaignId)) {
+    throw createConflictError("A pipeline run of this campaign is queued or running. Try again once it has finished.");
+  }
+  if (await contentService.hasPublishingContent(campaignId)) {
+    throw createConflictError("Content of this campaign is being posted. Try again once it has finished.");
+  }
+
+  const result = await Campaign.findOneAndDelete({ _id: campaignId, companyId });
+  if (result) {
+    await contentService.deleteCampaignContent(campaignId);
+    await planService.deleteCampaignPlans(campaignId);
+    await agentRunService.deleteCampaignRuns(campaignId);
+    await scheduleService.removeCampaignFromSchedules(companyId, campaignId);
+  }
+  return !!result;
+}
+
+/**
+ * finalizeCampaign
+ * Validates a draft campaign and launches it (draft -> active).
+ * @param {String} companyId
+ * @param {String} campaignId
+ * @param {String} [userId] - the user launching the campaign
+ * @returns {Promise<Object|null>} the launched campaign or null if not found
+ */
+async function finalizeCampaign(companyId, campaignId, userId) {
+  return transitionStatus(companyId, campaignId, "active", { userId, reason: "finalized" });
+}
+
+/**
+ * transitionStatus
+ * Moves a campaign to a new status if the state machine allows it.
+ * @param {String} companyId
+ * @param {String} campaignId
+ * @param {String} toStatus - "active", "paused" or "completed"
+ * @param {Object} [options] - { userId, reason }
+ * @returns {Promise<Object|null>} the updated campaign or null if not found
+ */
+async function transitionStatus(companyId, campaignId, toStatus, { userId, reason } = {}) {
+  if (!companyId || !campaignId) {
+    throw new Error("companyId and campaignId are required to change campaign status.");
+  }
+  if (!mongoose.isValidObjectId(campaignId)) {
+    return null;
+  }
+
+  const campaign = await Campaign.findOne({ _id: campaignId, companyId });
+  if (!campaign) {
+    return null;
+  }
+
+  await applyTransition(campaign, toStatus, { userId, reason });
+  const savedCampaign = await campaign.save();
+  return savedCampaign;
+}
+
+/**
+ * validateForLaunch
+ * Checks that a campaign has everything it needs to go live.
+ * @param {Object} campaign - campaign document or plain object
+ * @returns {Promise<Array<String>>} list of problems (empty if ready to launch)
+ */
+async function validateForLaunch(campaign) {
+  const errors = [];
+
+  // Budget
+  const total = campaign.budget?.total || 0;
+  const dailyCap = campaign.budget?.dailyCap || 0;
+  if (total <= 0) {
+    errors.push("budget.total must be greater than 0.");
+  }
+  if (dailyCap < 0) {
+    errors.push("budget.dailyCap cannot be negative.");
+  }
+  if (dailyCap > total) {
+    errors.push("budget.dailyCap cannot exceed budget.total.");
+  }
+
+  // Dates
+  const { startDate, endDate } = campaign;
+  if (!startDate || !endDate) {
+    errors.push("startDate and endDate are required.");
+  } else if (new Date(endDate) <= new Date(startDate)) {
+    errors.push("endDate must be after startDate.");
+  } else if (new Date(endDate) <= new Date()) {
+    errors.push("endDate must be in the future.");
+  }
+
+  // Channels
+  const channels = campaign.channels || [];
+  if (channels.length === 0) {
+    errors.push("At least one channel is required.");
+  }
+  const unknown = channels.filter((channel) => !CHANNELS.includes(channel));
+  if (unknown.length > 0) {
+    errors.push(`Unknown channels: ${unknown.join(", ")}. Allowed: ${CHANNELS.join(", ")}.`);
+  }
+
+  // Audience
+  if (!campaign.targetAudienceId) {
+    errors.push("targetAudienceId is required.");
+  } else {
+    const audience = await Audience.findById(campaign.targetAudienceId).lean();
+    if (!audience) {
+      errors.push("targetAudienceId does not reference an existing audience.");
+    } else if (audience.companyId && String(audience.companyId) !== String(campaign.companyId)) {
+      errors.push("targetAudienceId belongs to another company.");
+    }
+  }
+
+  return errors;
+}
+
+// -------------------- Internal Helpers -------------------- //
+
+/**
+ * applyTransition
+ * Validates and applies a status change on a campaign document (does not save).
+ * Throws INVALID_TRANSITION for illegal moves and CAMPAIGN_VALIDATION when a
+ * launch (draft -> active) fails validation.
+ */
+async function applyTransition(campaign, toStatus, { userId, reason } = {}) {
+  const fromStatus = campaign.status;
+  const allowed = CAMPAIGN_TRANSITIONS[fromStatus] || [];
+
+  if (!allowed.includes(toStatus)) {
+    const error = new Error(
+      `Cannot change campaign status from "${fromStatus}" to "${toStatus}".`
+    );
+    error.code = "INVALID_TRANSITION";
+    throw error;
+  }
+
+  if (fromStatus === "draft" && toStatus === "active") {
+    const problems = await validateForLaunch(campaign);
+    if (problems.length > 0) {
+      const error = new Error("Campaign is not ready to launch.");
+      error.code = "CAMPAIGN_VALIDATION";
+      error.details = problems;
+      throw error;
+    }
+  }
+
+  campaign.status = toStatus;
+  campaign.statusHistory.push({
+    from: fromStatus,
+    to: toStatus,
+    changedAt: new Date(),
+    changedByUserId: userId,
+    reason
+  });
+}
+
+/**
+ * createConflictError
+ * @returns {Error} an Error tagged with code CAMPAIGN_CONFLICT
+ */
+function createConflictError(message) {
+  const error = new Error(message);
+  error.code = "CAMPAIGN_CONFLICT";
+  return error;
+}
+
+/**
+ * omitProtected
+ * Returns a copy of the input without fields clients may not set.
+ */
+function omitProtected(data) {
+  const copy = { ...data };
+  PROTECTED_FIELDS.forEach((field) => delete copy[field]);
+  return copy;
+}
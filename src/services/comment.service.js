@@ -0,0 +1,381 @@
+// src/services/comment.service.js
+
+/**
+ * Comment Service
+ *
+ * Discussion threads on content items (see Comment). A thread is a top-level
+ * comment, optionally anchored to a range of the content's text, plus its
+ * replies; threads can be resolved and reopened. Comments can only be edited
+ * or deleted by their author.
+ *
+ * @mentions (see utils/mentions.js) that name active members of the company
+ * are stored on the comment, and the mentioned users are notified
+ * (notification.service.js); mentions added by an edit notify too.
+ *
+ * Every method first checks that the campaign belongs to the given company
+ * (throws TENANT_FORBIDDEN). Invalid input throws an Error with code
+ * COMMENT_VALIDATION, and acting on someone else's comment COMMENT_FORBIDDEN.
+ */
+
+const mongoose = require("mongoose");
+const Comment = require("../models/comment.model");
+const Content = require("../models/content.model");
+const Membership = require("../models/membership.model");
+const notificationService = require("./notification.service");
+const { extractMentions } = require("../utils/mentions");
+const { assertCampaignInCompany } = require("../utils/tenantGuard");
+
+// Longest comment body accepted
+const MAX_COMMENT_LENGTH = 5000;
+
+module.exports = {
+  createComment,
+  getComments,
+  updateComment,
+  deleteComment,
+  setCommentResolved,
+  deleteContentComments
+};
+
+/**
+ * createComment
+ * Starts a thread on a content item, or replies to one.
+ * @param {String} companyId
+ * @param {String} campaignId
+ * @param {String} contentId
+ * @param {Object} commentData - { body, parentId, anchor } parentId: a comment in the thread to
+ *   reply to; anchor: { start, end } character offsets into the content's text (new threads only)
+ * @param {Object} options - { userId } the author
+ * @returns {Promise<Object|null>} the new comment, or null if the content isn't found
+ * @throws {Error} error.code === "COMMENT_VALIDATION" for an empty or too long body, an unknown
+ *   parentId or an invalid anchor
+ */
+async function createComment(companyId, campaignId, contentId, { body, parentId, anchor } = {}, { userId } = {}) {
+  if (!companyId || !campaignId || !contentId || !userId) {
+    throw new Error("companyId, campaignId, contentId, and userId are required to comment.");
+  }
+  await assertCampaignInCompany(companyId, campaignId);
+
+  const content = await findContent(campaignId, contentId);
+  if (!content) {
+    return null;
+  }
+  const text = validateBody(body);
+
+  const comment = new Comment({
+    companyId,
+    campaignId,
+    contentId: content._id,
+    authorId: userId,
+    body: text,
+    mentions: await resolveMentions(companyId, text)
+  });
+  if (parentId) {
+    const parent = mongoose.isValidObjectId(parentId)
+      ? await Comment.findOne({ _id: parentId, contentId: content._id }).select("parentId").lean()
+      : null;
+    if (!parent) {
+      throw createValidationError(`No comment found with ID ${parentId} on this content.`);
+    }
+    if (anchor) {
+      throw createValidationError("Only a thread's first comment can be anchored to the text.");
+    }
+    // Replies to a reply join the same thread
+    comment.parentId = parent.parentId || parent._id;
+  } else if (anchor) {
+    comment.anchor = normalizeAnchor(anchor, content.text);
+  }
+
+  const savedComment = await comment.save();
+  await notifyMentions(savedComment, savedComment.mentions);
+  return savedComment;
+}
+
+/**
+ * getComments
+ * Lists a content item's threads, oldest first, each with its replies.
+ * @param {String} companyId
+ * @param {String} campaignId
+ * @param {String} contentId
+ * @param {Object} [options] - { resolved } "true" or "false" to list only resolved or open threads
+ * @returns {Promise<Array|null>} threads (top-level comments with replies: [...], authors
+ *   populated), or null if the content isn't found
+ */
+async function getComments(companyId, campaignId, contentId, { resolved } = {}) {
+  if (!companyId || !campaignId || !contentId) {
+    throw new Error("companyId, campaignId, and contentId are required to list comments.");
+  }
+  await assertCampaignInCompany(companyId, campaignId);
+
+  const content = await findContent(campaignId, contentId);
+  if (!content) {
+    return null;
+  }
+
+  const comments = await Comment.find({ contentId: content._id })
+    .sort({ createdAt: 1 })
+    .populate("authorId", "email profile")
+    .lean();
+
+  let threads = comments.filter((comment) => !comment.parentId);
+  if (resolved !== undefined) {
+    const wantResolved = resolved === true || resolved === "true";
+    threads = threads.filter((thread) => Boolean(thread.resolved) === wantResolved);
+  }
+  return threads.map((thread) => ({
+    ...thread,
+    replies: comments.filter((comment) => String(comment.parentId) === String(thread._id))
+  }));
+}
+
+/**
+ * updateComment
+ * Edits the body of one of the caller's comments. Newly mentioned members are notified.
+ * @param {String} companyId
+ * @param {String} campaignId
+ * @param {String} contentId
+ * @param {String} commentId
+ * @param {Object} updates - { body }
+ * @param {Object} options - { userId } the caller
+ * @returns {Promise<Object|null>} the updated comment, or null if not found
+ * @throws {Error} error.code === "COMMENT_FORBIDDEN" if the caller isn't the author, or
+ *   "COMMENT_VALIDATION" for an empty or too long body
+ */
+async function updateComment(companyId, campaignId, contentId, commentId, { body } = {}, { userId } = {}) {
+  if (!companyId || !campaignId || !contentId || !commentId) {
+    throw new Error("companyId, campaignId, contentId, and commentId are required to update a comment.");
+  }
+  await assertCampaignInCompany(companyId, campaignId);
+
+  const comment = await findComment(campaignId, contentId, commentId);
+  if (!comment) {
+    return null;
+  }
+  assertAuthor(comment, userId, "edit");
+
+  const text = validateBody(body);
+  const mentions = await resolveMentions(companyId, text);
+  const previous = comment.mentions.map(String);
+  comment.body = text;
+  comment.mentions = mentions;
+  comment.editedAt = new Date();
+
+  const savedComment = await comment.save();
+  await notifyMentions(savedComment, mentions.filter((mention) => !previous.includes(String(mention))));
+  return savedComment;
+}
+
+/**
+ * deleteComment
+ * Deletes one of the caller's comments. A thread's first comment that still
+ * has replies keeps its place (marked deleted, without its body) until the
+ * replies are gone.
+ * @param {String} companyId
+ * @param {String} campaignId
+ * @param {String} contentId
+ * @param {String} commentId
+ * @param {Object} options - { userId } the caller
+ * @returns {Promise<Boolean>} true if deleted, false if not found
+ * @throws {Error} error.code === "COMMENT_FORBIDDEN" if the caller isn't the author
+ */
+async function deleteComment(companyId, campaignId, contentId, commentId, { userId } = {}) {
+  if (!companyId || !campaignId || !contentId || !commentId) {
+    throw new Error("companyId, campaignId, contentId, and commentId are required to delete a comment.");
+  }
+  await assertCampaignInCompany(companyId, campaignId);
+
+  const comment = await findComment(campaignId, contentId, commentId);
+  if (!comment) {
+    return false;
+  }
+  assertAuthor(comment, userId, "delete");
+
+  const removedIds = [comment._id];
+  const hasReplies = !comment.parentId && await Comment.exists({ parentId: comment._id });
+  if (hasReplies) {
+    comment.body = undefined;
+    comment.mentions = [];
+    comment.deletedAt = new Date();
+    await comment.save();
+  } else {
+    await Comment.deleteOne({ _id: comment._id });
+    // The last reply under a deleted first comment takes the thread with it
+    if (comment.parentId && !(await Comment.exists({ parentId: comment.parentId }))) {
+      const removedThread = await Comment.findOneAndDelete({ _id: comment.parentId, deletedAt: { $ne: null } });
+      if (removedThread) {
+        removedIds.push(removedThread._id);
+      }
+    }
+  }
+
+  await notificationService.deleteCommentNotifications(removedIds);
+  return true;
+}
+
+/**
+ * setCommentResolved
+ * Resolves or reopens a thread.
+ * @param {String} companyId
+ * @param {String} campaignId
+ * @param {String} contentId
+ * @param {String} commentId - the thread's first comment
+ * @param {Boolean} resolved
+ * @param {Object} options - { userId } the caller
+ * @returns {Promise<Object|null>} the updated comment, or null if not found
+ * @throws {Error} error.code === "COMMENT_VALIDATION" for a reply (resolve its thread instead)
+ */
+async function setCommentResolved(companyId, campaignId, contentId, commentId, resolved, { userId } = {}) {
+  if (!companyId || !campaignId || !contentId || !commentId) {
+    throw new Error("companyId, campaignId, contentId, and commentId are required to resolve a comment.");
+  }
+  await assertCampaignInCompany(companyId, campaignId);
+
+  const comment = await findComment(campaignId, contentId, commentId, { includeDeleted: true });
+  if (!comment) {
+    return null;
+  }
+  if (comment.parentId) {
+    throw createValidationError("Only threads can be resolved; use the thread's first comment.");
+  }
+
+  comment.resolved = resolved;
+  comment.resolvedAt = resolved ? new Date() : undefined;
+  comment.resolvedByUserId = resolved ? userId : undefined;
+  const savedComment = await comment.save();
+  return savedComment;
+}
+
+/**
+ * deleteContentComments
+ * Deletes every comment on a content item and their notifications (used when
+ * the item is deleted).
+ * @param {String} contentId
+ * @returns {Promise<Number>} number of comments removed
+ */
+async function deleteContentComments(contentId) {
+  const comments = await Comment.find({ contentId }).select("_id").lean();
+  if (comments.length === 0) {
+    return 0;
+  }
+  const commentIds = comments.map((comment) => comment._id);
+  await notificationService.deleteCommentNotifications(commentIds);
+  const result = await Comment.deleteMany({ contentId });
+  return result.deletedCount;
+}
+
+// -------------------- Internal Helpers -------------------- //
+
+/**
+ * findContent
+ * @returns {Promise<Object|null>} { _id, text } of the campaign's content item
+ */
+async function findContent(campaignId, contentId) {
+  if (!mongoose.isValidObjectId(contentId)) {
+    return null;
+  }
+  return Content.findOne({ _id: contentId, campaignId }).select("text").lean();
+}
+
+/**
+ * findComment
+ * Loads a comment (as a document) on one of the campaign's content items.
+ * Deleted comments count as not found unless includeDeleted is set.
+ */
+async function findComment(campaignId, contentId, commentId, { includeDeleted = false } = {}) {
+  const content = await findContent(campaignId, contentId);
+  if (!content || !mongoose.isValidObjectId(commentId)) {
+    return null;
+  }
+  const query = { _id: commentId, contentId: content._id };
+  if (!includeDeleted) {
+    query.deletedAt = null;
+  }
+  return Comment.findOne(query);
+}
+
+/**
+ * resolveMentions
+ * The active company members a comment mentions, by user ID or email.
+ * @returns {Promise<Array>} their user IDs
+ */
+async function resolveMentions(companyId, text) {
+  const { userIds, emails } = extractMentions(text);
+  if (userIds.length === 0 && emails.length === 0) {
+    return [];
+  }
+
+  const members = await Membership.find({
+    companyId,
+    status: "active",
+    $or: [{ userId: { $in: userIds } }, { email: { $in: emails } }]
+  })
+    .select("userId")
+    .lean();
+  const ids = new Set(members.map((member) => String(member.userId)));
+  return [...ids].map((id) => new mongoose.Types.ObjectId(id));
+}
+
+/**
+ * notifyMentions
+ * Notifies mentioned users. The comment is already saved, so a failure here is
+ * logged rather than failing the request.
+ */
+async function notifyMentions(comment, userIds) {
+  try {
+    await notificationService.notifyMentions(comment, userIds);
+  } catch (error) {
+    console.error(`[CommentService] Failed to notify mentions in comment ${comment._id}:`, error);
+  }
+}
+
+/**
+ * validateBody
+ * @returns {String} the trimmed body
+ */
+function validateBody(body) {
+  const text = typeof body === "string" ? body.trim() : "";
+  if (!text) {
+    throw createValidationError("Missing required field: body.");
+  }
+  if (text.length > MAX_COMMENT_LENGTH) {
+    throw createValidationError(`Comments can be at most ${MAX_COMMENT_LENGTH} characters.`);
+  }
+  return text;
+}
+
+/**
+ * normalizeAnchor
+ * Checks { start, end } against the content's text and adds the quoted excerpt.
+ * @returns {Object} { start, end, quote }
+ */
+function normalizeAnchor(anchor, text) {
+  const start = Number(anchor.start);
+  const end = Number(anchor.end);
+  const length = (text || "").length;
+  if (!Number.isInteger(start) || !Number.isInteger(end) || start < 0 || end <= start || end > length) {
+    throw createValidationError(`anchor must be { start, end } with 0 <= start < end <= ${length} (the text's length).`);
+  }
+  return { start, end, quote: text.slice(start, end) };
+}
+
+/**
+ * assertAuthor
+ * Throws COMMENT_FORBIDDEN unless the user wrote the comment.
+ */
+function assertAuthor(comment, userId, action) {
+  if (String(comment.authorId) !== String(userId)) {
+    const error = new Error(`Only the comment's author can ${action} it.`);
+    error.code = "COMMENT_FORBIDDEN";
+    throw error;
+  }
+}
+
+/**
+ * createValidationError
+ * @returns {Error} an Error tagged with code COMMENT_VALIDATION
+ */
+function createValidationError(message) {
+  const error = new Error(message);
+  error.code = "COMMENT_VALIDATION";
+  return error;
+}
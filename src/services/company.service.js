@@ -8,6 +8,12 @@
  */
 
 const Company = require("../models/company.model");
+const membershipService = require("./membership.service");
+const scheduleService = require("./schedule.service");
+const promptTemplateService = require("./promptTemplate.service");
+const usageService = require("./usage.service");
+const assetService = require("./asset.service");
+const approvalChainService = require("./approvalChain.service");
 
 module.exports = {
   createCompany,
@@ -19,11 +25,12 @@ module.exports = {
 
 /**
  * createCompany
- * Creates a new company record.
+ * Creates a new company record and makes the creator its owner.
  * @param {Object} companyData - { name, industry, websiteUrl, brandGuidelines, etc. }
+ * @param {Object} [owner] - the creating user ({ userId, email }), registered as owner member
  * @returns {Promise<Object>} the newly created company document
  */
-async function createCompany(companyData) {
+async function createCompany(companyData, owner) {
   if (!companyData || !companyData.name) {
     throw new Error("Missing required field: company name.");
   }
@@ -33,10 +40,16 @@ async function createCompany(companyData) {
   // if (existing) { throw new Error("Company with this name already exists."); }
 
   const newCompany = new Company({
-    ...companyData
+    ...companyData,
+    ownerId: owner ? owner.userId : companyData.ownerId
   });
 
   const savedCompany = await newCompany.save();
+
+  if (owner) {
+    await membershipService.addOwner(savedCompany._id, owner);
+  }
+
   return savedCompany;
 }
 
@@ -85,7 +98,7 @@ async function updateCompany(companyId, updates) {
   const updatedCompany = await Company.findByIdAndUpdate(
     companyId,
     { $set: updates },
-    { new: true }
+    { new: true, runValidators: true }
   );
 
   return updatedCompany;
@@ -103,5 +116,13 @@ async function deleteCompany(companyId) {
   }
 
   const result = await Company.findByIdAndDelete(companyId);
+  if (result) {
+    await membershipService.removeAllMembers(companyId);
+    await scheduleService.deleteAllSchedules(companyId);
+    await promptTemplateService.deleteAllTemplates(companyId);
+    await usageService.deleteAllUsage(companyId);
+    await assetService.deleteAllAssets(companyId);
+    await approvalChainService.deleteAllApprovalChains(companyId);
+  }
   return !!result; // returns true if a doc was found & deleted, false if not
 }
@@ -6,68 +6,318 @@
  * Handles creation, retrieval, updating, deleting, and optional
  * approval or rejection of Content items (text, images, videos, ads, etc.).
  * Delegates database operations to the Content model.
+ *
+ * Every method first checks that the campaign belongs to the given company,
+ * so content can't be reached across tenants (throws TENANT_FORBIDDEN).
+ *
+ * Text for a platform with a spec (config/platformSpecs.js) must meet it:
+ * generated content is adjusted to fit, while text a person writes is only
+ * checked and rejected with PLATFORM_VIOLATION.
+ *
+ * Every change to an item's text, media, platform or schedule is kept as a
+ * revision (see contentRevision.service.js), which can be listed with
+ * word-level diffs and restored.
+ *
+ * Content is also scored against the company's brand guidelines
+ * (utils/brandChecker.js) whenever it goes to pending_approval, and when
+ * generated drafts are saved; the result is stored on the item as brandCheck
+ * for reviewers.
+ *
+ * Review follows the company's approval chain for the item, if one applies
+ * (see approvalChain.service.js): its steps are copied onto the item as
+ * approval.steps when it goes to pending_approval, and only the assigned
+ * reviewers of the step under review can approve it. The item becomes
+ * "approved" once every required step has passed; a rejection sends it back
+ * to "draft" with the reason. Without a chain, anyone with content:approve
+ * approves or rejects in one go. Editing a reviewed field of approved or
+ * scheduled content sends it back to pending_approval for a new round. Every
+ * submission and decision is kept in approval.history.
  */
 
+const mongoose = require("mongoose");
 const Content = require("../models/content.model");
+const Product = require("../models/product.model");
+const Company = require("../models/company.model");
+const contentAgent = require("../agents/contentAgent");
+const planService = require("./plan.service");
+const analyticsService = require("./analytics.service");
+const promptTemplateService = require("./promptTemplate.service");
+const { getPlatformMediaUrl } = require("./asset.service");
+const { findChainForContent } = require("./approvalChain.service");
+const contentRevisionService = require("./contentRevision.service");
+const commentService = require("./comment.service");
+const { getLLMClientForCompany } = require("../llm");
+const { CHANNELS } = require("../config/channels");
+const { getPlatformSpec } = require("../config/platformSpecs");
+const { validatePost, validateAdCopy, createViolationError } = require("../utils/platformValidator");
+const { templateRef } = require("../utils/promptTemplates");
+const { checkBrandCompliance, describeBrandRules } = require("../utils/brandChecker");
+const { assertCampaignInCompany } = require("../utils/tenantGuard");
+
+// Upper bound on how many posts one generate request may create
+const MAX_GENERATE_COUNT = 10;
+
+// How promoteVariant() can pick a winner from analytics (see analyticsService.getContentMetrics)
+const VARIANT_METRICS = ["ctr", "conversionRate", "conversions", "clicks"];
+
+// Statuses only reachable through approveContent(); moving between them is fine once approved
+const APPROVED_STATUSES = ["approved", "scheduled"];
+
+// Statuses content can be approved from when it has no approval chain
+const UNCHAINED_APPROVABLE_STATUSES = ["draft", "pending_approval", "rejected"];
+
+// Statuses content can be rejected (sent back to draft) from
+const REJECTABLE_STATUSES = ["pending_approval", "approved", "scheduled"];
+
+// Statuses a losing A/B test variant is rejected from by promoteVariant(); later ones are left alone
+const PROMOTION_REJECTABLE_STATUSES = ["draft", "pending_approval"];
+
+// Statuses only the publishing engine sets (services/publishing.service.js)
+const ENGINE_STATUSES = ["publishing", "posted", "failed"];
+
+// Fields whose change restarts review of content in pending_approval, approved or scheduled
+const REVIEWED_FIELDS = ["text", "type", "platform", "mediaUrl", "assetId", "meta"];
 
 module.exports = {
   createContent,
+  createDrafts,
+  generateContent,
   getContentList,
   getContentById,
   updateContent,
   deleteContent,
+  hasPublishingContent,
+  deleteCampaignContent,
+  getContentRevisions,
+  restoreContentRevision,
   approveContent,
-  rejectContent
+  rejectContent,
+  checkContentBrand,
+  promoteVariant
 };
 
 /**
  * createContent
  * Creates a new content item under a specific campaign (and optionally company).
- * @param {String} companyId - ID of the company (if you store references here)
+ * @param {String} companyId - ID of the company that owns the campaign
  * @param {String} campaignId - ID of the campaign this content belongs to
  * @param {Object} contentData - e.g., { type, text, mediaUrl, platform, scheduledAt, etc. }
+ *   GoogleAds ad copy goes in meta.adCopy as { headlines, descriptions }; an assetId
+ *   from the company's media library sets mediaUrl to the asset's rendition for the platform
+ * @param {Object} [options] - { userId } the creating user, recorded as the author of the first
+ *   revision and as the submitter if the item goes to pending_approval
  * @returns {Promise<Object>} the newly created content document
+ * @throws {Error} error.code === "PLATFORM_VIOLATION" if the text breaks the platform's rules,
+ *   or "CONTENT_VALIDATION" for an unknown assetId or an approved status
  */
-async function createContent(companyId, campaignId, contentData) {
+async function createContent(companyId, campaignId, contentData, { userId } = {}) {
   if (!companyId || !campaignId) {
     throw new Error("companyId and campaignId are required to create content.");
   }
   if (!contentData.type) {
     throw new Error("Content type is required (text, image, video, etc.).");
   }
+  await assertCampaignInCompany(companyId, campaignId);
+  assertPlatformRules(contentData);
+
+  // The brand check and approval state are computed here and the publishing
+  // state belongs to the publishing engine; none is taken from the request
+  assertNotEngineStatus(contentData);
+  assertNotApproved(contentData);
+  const { brandCheck: _brandCheck, publishing: _publishing, approval: _approval, ...data } = contentData;
+  if (data.status === "pending_approval") {
+    data.brandCheck = await runBrandCheck(companyId, data.text);
+    data.approval = await startApprovalRound(companyId, data, null, { userId });
+  }
+  if (data.assetId) {
+    data.mediaUrl = await resolveAssetUrl(companyId, data.assetId, data.platform);
+  }
 
   // Construct the new content document
   const newContent = new Content({
+    ...data,
     campaignId,
-    ...contentData
-    // If you store companyId in Content as well, add it here:
-    // companyId
+    companyId
   });
 
   const savedContent = await newContent.save();
+  await saveRevision(savedContent, { userId, action: "create" });
   return savedContent;
 }
 
+/**
+ * generateContent
+ * Generates social posts for a campaign with the company's LLM and stores them
+ * as Content items awaiting approval. Tone comes from the company's brand
+ * guidelines and the audience from the campaign's target Audience.
+ * For GoogleAds it generates responsive search ad copy instead (type "adCopy",
+ * with the headlines and descriptions in meta.adCopy).
+ *
+ * With a variantAxis ("hook", "cta" or "length") it generates A/B test variants
+ * that differ only along that axis. They share meta.variantGroupId, and each has
+ * meta.variant = { label, axis, angle }; see promoteVariant().
+ * @param {String} companyId
+ * @param {String} campaignId
+ * @param {Object} request - { brief, product, platform, count, variantAxis }
+ *   product is a product name or the ID of one of the company's Products;
+ *   count defaults to 1, or 2 for variants
+ * @param {Object} [options] - { userId } the requesting user, for usage metering
+ * @returns {Promise<Array<Object>>} the created content documents
+ * @throws {Error} error.code === "CONTENT_VALIDATION" for an invalid request,
+ *   "AI_QUOTA_EXCEEDED" when the company's AI budget is used up, or
+ *   "PLATFORM_VIOLATION" if the output can't be made to fit the platform
+ */
+async function generateContent(companyId, campaignId, request = {}, { userId } = {}) {
+  if (!companyId || !campaignId) {
+    throw new Error("companyId and campaignId are required to generate content.");
+  }
+  await assertCampaignInCompany(companyId, campaignId);
+
+  const { brief, platform, variantAxis } = request;
+  const count = request.count === undefined ? (variantAxis ? 2 : 1) : Number(request.count);
+  if (!brief && !request.product) {
+    throw createValidationError("Provide a 'brief' or a 'product' to generate content for.");
+  }
+  if (platform && !CHANNELS.includes(platform)) {
+    throw createValidationError(`Invalid platform '${platform}'. Use one of: ${CHANNELS.join(", ")}.`);
+  }
+  if (variantAxis) {
+    const angles = contentAgent.VARIANT_AXES[variantAxis];
+    if (!angles) {
+      throw createValidationError(
+        `Invalid variantAxis '${variantAxis}'. Use one of: ${Object.keys(contentAgent.VARIANT_AXES).join(", ")}.`
+      );
+    }
+    if (!Number.isInteger(count) || count < 2 || count > angles.length) {
+      throw createValidationError(`count must be a whole number from 2 to ${angles.length} for '${variantAxis}' variants.`);
+    }
+  } else if (!Number.isInteger(count) || count < 1 || count > MAX_GENERATE_COUNT) {
+    throw createValidationError(`count must be a whole number from 1 to ${MAX_GENERATE_COUNT}.`);
+  }
+
+  const product = await resolveProduct(companyId, request.product);
+  const inputs = await planService.buildStrategyInputs(companyId, campaignId);
+  const { brandGuidelines } = inputs;
+  const { toneOfVoice, styleNotes } = brandGuidelines;
+  const llm = await getLLMClientForCompany(companyId, { userId, agent: "content", feature: "content-generate" });
+  const spec = getPlatformSpec(platform);
+  const isAd = Boolean(spec) && spec.format === "ad";
+  const promptTemplate = await promptTemplateService.resolveTemplate(companyId, isAd ? "ad-copy" : "social-post");
+
+  const baseOptions = {
+    productName: product.name || inputs.campaignName,
+    tone: toneOfVoice,
+    targetAudience: inputs.targetAudience,
+    platform,
+    promptTemplate
+  };
+  const context = { brief, product, styleNotes, brandGuidelines, companyName: inputs.companyName };
+
+  // Each item: { text } or { adCopy }, its prompt and, for variants, { label, axis, angle }
+  let generated = [];
+  if (variantAxis) {
+    generated = await contentAgent.createVariants(
+      { ...baseOptions, additionalContext: buildContext(context, 1, 1), llm },
+      { count, axis: variantAxis }
+    );
+  } else {
+    for (let i = 1; i <= count; i++) {
+      const options = { ...baseOptions, additionalContext: buildContext(context, i, count) };
+      generated.push(isAd
+        ? { adCopy: await contentAgent.createAdCopy({ ...options, llm }), prompt: contentAgent.buildAdCopyPrompt(options) }
+        : { text: await contentAgent.createSocialPost({ ...options, llm }), prompt: contentAgent.buildSocialPostPrompt(options) });
+    }
+  }
+
+  // Variants are siblings sharing one group ID, so a winner can be promoted later
+  const variantGroupId = variantAxis ? new mongoose.Types.ObjectId().toString() : undefined;
+
+  const created = [];
+  for (const item of generated) {
+    const text = item.adCopy ? formatAdCopy(item.adCopy) : item.text;
+    const type = isAd ? "adCopy" : "text";
+    const content = await new Content({
+      companyId,
+      campaignId,
+      type,
+      status: "pending_approval",
+      text,
+      platform,
+      brandCheck: await runBrandCheck(companyId, text, brandGuidelines),
+      approval: await startApprovalRound(companyId, { platform, type }, null, { userId }),
+      meta: {
+        generated: true,
+        prompt: item.prompt.trim(),
+        promptTemplate: templateRef(promptTemplate),
+        ...(item.adCopy ? { adCopy: item.adCopy } : {}),
+        ...(variantGroupId ? { variantGroupId, variant: { label: item.label, axis: item.axis, angle: item.angle } } : {}),
+        brief,
+        productId: product._id,
+        provider: llm.provider,
+        model: llm.model
+      }
+    }).save();
+    await saveRevision(content, { userId, action: "create" });
+    created.push(content);
+  }
+
+  return created;
+}
+
+/**
+ * createDrafts
+ * Saves content the system wrote (by the agent pipeline, see agents/index.js,
+ * or seeded from a news item) as drafts, each with a brand check and a first
+ * revision. The items are
+ * inserted together, so a failed insert leaves none behind.
+ * @param {String} companyId
+ * @param {String} campaignId
+ * @param {Array<Object>} items - { type, text, mediaUrl, platform, meta }
+ * @param {Object} [options] - { userId } recorded as the author of the first revisions
+ * @returns {Promise<Array<Object>>} the created content documents, in the order of items
+ */
+async function createDrafts(companyId, campaignId, items, { userId } = {}) {
+  if (!companyId || !campaignId) {
+    throw new Error("companyId and campaignId are required to create content.");
+  }
+  await assertCampaignInCompany(companyId, campaignId);
+
+  const company = await Company.findById(companyId).select("brandGuidelines").lean();
+  const brandGuidelines = (company && company.brandGuidelines) || {};
+
+  const drafts = await Content.insertMany(await Promise.all(items.map(async (item) => ({
+    ...item,
+    companyId,
+    campaignId,
+    status: "draft",
+    brandCheck: await runBrandCheck(companyId, item.text, brandGuidelines)
+  }))));
+  for (const draft of drafts) {
+    await saveRevision(draft, { userId, action: "create" });
+  }
+  return drafts;
+}
+
 /**
  * getContentList
  * Retrieves all content items for a given campaign, optionally filtered by status or type.
  * Supports optional pagination via page, limit.
  * @param {String} companyId
  * @param {String} campaignId
- * @param {Object} queryParams - e.g. { status, type, page, limit }
+ * @param {Object} queryParams - e.g. { status, type, variantGroupId, page, limit }
  * @returns {Promise<Array>} array of content documents
  */
 async function getContentList(companyId, campaignId, queryParams = {}) {
   if (!companyId || !campaignId) {
     throw new Error("companyId and campaignId are required to get content list.");
   }
+  await assertCampaignInCompany(companyId, campaignId);
 
-  const { status, type, page, limit } = queryParams;
+  const { status, type, variantGroupId, page, limit } = queryParams;
 
   // Build a query
   const query = {
     campaignId
-    // If you store companyId in the content model, you might add: companyId
   };
 
   if (status) {
@@ -78,6 +328,10 @@ async function getContentList(companyId, campaignId, queryParams = {}) {
     query.type = type; // e.g. "text", "image", "video", ...
   }
 
+  if (variantGroupId) {
+    query["meta.variantGroupId"] = String(variantGroupId); // the variants of one A/B test
+  }
+
   // Pagination
   const pageNum = parseInt(page, 10) || 1;
   const limitNum = parseInt(limit, 10) || 20;
@@ -105,11 +359,11 @@ async function getContentById(companyId, campaignId, contentId) {
   if (!companyId || !campaignId || !contentId) {
     throw new Error("companyId, campaignId, and contentId are required.");
   }
+  await assertCampaignInCompany(companyId, campaignId);
 
   const contentItem = await Content.findOne({
     _id: contentId,
     campaignId
-    // If storing companyId, add: companyId
   }).lean();
 
   return contentItem;
@@ -118,27 +372,108 @@ async function getContentById(companyId, campaignId, contentId) {
 /**
  * updateContent
  * Partially updates a content item (e.g., changing text, scheduledAt, status).
+ * Editing a reviewed field of approved or scheduled content moves it back to
+ * pending_approval.
  * @param {String} companyId
  * @param {String} campaignId
  * @param {String} contentId
  * @param {Object} updates
+ * @param {Object} [options] - { userId, restoredFrom } userId: the editing user, recorded in
+ *   the revision and if review (re)starts; restoredFrom: the revision number being restored
  * @returns {Promise<Object|null>} the updated content document or null if not found
+ * @throws {Error} error.code === "PLATFORM_VIOLATION" if the updated text breaks the platform's rules,
+ *   or "CONTENT_VALIDATION" for an unknown assetId or a move to an approved or publishing engine status
  */
-async function updateContent(companyId, campaignId, contentId, updates) {
+async function updateContent(companyId, campaignId, contentId, updates, { userId, restoredFrom } = {}) {
   if (!companyId || !campaignId || !contentId) {
     throw new Error("companyId, campaignId, and contentId are required to update content.");
   }
+  await assertCampaignInCompany(companyId, campaignId);
+
+  // Never let an update move content to another campaign or company,
+  // and never take the brand check, approval or publishing state from the request
+  assertNotEngineStatus(updates);
+  const {
+    campaignId: _campaignId,
+    companyId: _companyId,
+    brandCheck: _brandCheck,
+    publishing: _publishing,
+    approval: _approval,
+    ...safeUpdates
+  } = updates;
+  const update = { $set: safeUpdates };
+  if (safeUpdates.assetId) {
+    const platform = "platform" in safeUpdates
+      ? safeUpdates.platform
+      : ((await Content.findOne({ _id: contentId, campaignId }).select("platform").lean()) || {}).platform;
+    safeUpdates.mediaUrl = await resolveAssetUrl(companyId, safeUpdates.assetId, platform);
+  } else if (safeUpdates.platform && !("mediaUrl" in safeUpdates)) {
+    // Moving content with a library image to another platform switches to that platform's rendition
+    const existing = await Content.findOne({ _id: contentId, campaignId }).select("assetId").lean();
+    if (existing && existing.assetId) {
+      safeUpdates.mediaUrl = await resolveAssetUrl(companyId, existing.assetId, safeUpdates.platform);
+    }
+  }
+
+  // Check the content as it will be after the update
+  let existing = null;
+  if ([...REVIEWED_FIELDS, ...contentRevisionService.REVISION_FIELDS, "status"].some((field) => field in safeUpdates)) {
+    existing = await Content.findOne({ _id: contentId, campaignId })
+      .select("type platform text mediaUrl assetId scheduledAt meta status approval createdAt")
+      .lean();
+    if (!existing) {
+      return null;
+    }
+    const result = { ...existing, ...safeUpdates };
+    assertPlatformRules(result);
+    if (!APPROVED_STATUSES.includes(existing.status)) {
+      assertNotApproved(safeUpdates);
+    }
+
+    // Submitting starts a review round; editing what's under review or already
+    // approved starts it over, since earlier approvals were for the old version
+    const edited = REVIEWED_FIELDS.some(
+      (field) => field in safeUpdates && JSON.stringify(safeUpdates[field]) !== JSON.stringify(existing[field])
+    );
+    const reviewed = existing.status === "pending_approval" || APPROVED_STATUSES.includes(existing.status);
+    if (edited && APPROVED_STATUSES.includes(result.status)) {
+      // Approved content that changes goes back to review before it can be published
+      safeUpdates.status = "pending_approval";
+      result.status = "pending_approval";
+    }
+    if (result.status === "pending_approval" && edited && reviewed) {
+      safeUpdates.approval = await startApprovalRound(companyId, result, existing.approval, { userId, action: "restarted" });
+    } else if (result.status === "pending_approval" && existing.status !== "pending_approval") {
+      safeUpdates.approval = await startApprovalRound(companyId, result, existing.approval, { userId });
+    }
+
+    // Re-check the brand rules when content goes to (or is edited in) pending_approval;
+    // an edit anywhere else makes the last check stale
+    const textChanged = "text" in safeUpdates && safeUpdates.text !== existing.text;
+    if (result.status === "pending_approval" && (textChanged || existing.status !== "pending_approval")) {
+      safeUpdates.brandCheck = await runBrandCheck(companyId, result.text);
+    } else if (textChanged) {
+      update.$unset = { brandCheck: "" };
+    }
+  }
 
   const updatedItem = await Content.findOneAndUpdate(
     {
       _id: contentId,
       campaignId
-      // If storing companyId, add: companyId
     },
-    { $set: updates },
+    update,
     { new: true } // return the updated doc
   );
 
+  if (updatedItem && existing) {
+    await saveRevision(updatedItem, {
+      previous: existing,
+      userId,
+      action: restoredFrom ? "restore" : "update",
+      restoredFrom
+    });
+  }
   return updatedItem;
 }
 
@@ -154,69 +489,652 @@ async function deleteContent(companyId, campaignId, contentId) {
   if (!companyId || !campaignId || !contentId) {
     throw new Error("companyId, campaignId, and contentId are required to delete content.");
   }
+  await assertCampaignInCompany(companyId, campaignId);
 
   const result = await Content.findOneAndDelete({
     _id: contentId,
     campaignId
-    // If storing companyId, add: companyId
   });
+  if (result) {
+    await contentRevisionService.deleteRevisions(result._id);
+    await commentService.deleteContentComments(result._id);
+  }
   return !!result;
 }
 
+/**
+ * hasPublishingContent
+ * Whether one of the campaign's content items is being posted right now.
+ * @param {String} campaignId
+ * @returns {Promise<Boolean>}
+ */
+async function hasPublishingContent(campaignId) {
+  const publishing = await Content.exists({ campaignId, status: "publishing" });
+  return !!publishing;
+}
+
+/**
+ * deleteCampaignContent
+ * Deletes every content item of a campaign with its revisions and comments
+ * (used when the campaign is deleted).
+ * @param {String} campaignId
+ * @returns {Promise<Number>} number of content items removed
+ */
+async function deleteCampaignContent(campaignId) {
+  const items = await Content.find({ campaignId }).select("_id").lean();
+  for (const item of items) {
+    await contentRevisionService.deleteRevisions(item._id);
+    await commentService.deleteContentComments(item._id);
+  }
+  const result = await Content.deleteMany({ campaignId });
+  return result.deletedCount;
+}
+
+/**
+ * getContentRevisions
+ * Lists a content item's revisions, newest first, with word-level diffs of the text.
+ * @param {String} companyId
+ * @param {String} campaignId
+ * @param {String} contentId
+ * @returns {Promise<Array|null>} revisions (see contentRevisionService.listRevisions), or null
+ *   if the content isn't found
+ */
+async function getContentRevisions(companyId, campaignId, contentId) {
+  if (!companyId || !campaignId || !contentId) {
+    throw new Error("companyId, campaignId, and contentId are required to list revisions.");
+  }
+  await assertCampaignInCompany(companyId, campaignId);
+
+  const contentItem = await Content.findOne({ _id: contentId, campaignId }).select("_id").lean();
+  if (!contentItem) {
+    return null;
+  }
+  return contentRevisionService.listRevisions(contentItem._id);
+}
+
+/**
+ * restoreContentRevision
+ * Rolls a content item's text, media, platform and schedule back to a revision.
+ * This is an update like any other: it's checked against the platform's rules,
+ * restarts review if the item is in review or approved, and is recorded as a new
+ * revision.
+ * @param {String} companyId
+ * @param {String} campaignId
+ * @param {String} contentId
+ * @param {String|Number} revision - the revision number or the revision's ID
+ * @param {Object} [options] - { userId }
+ * @returns {Promise<Object|null>} the updated content document, or null if the content or
+ *   revision isn't found
+ * @throws {Error} error.code === "PLATFORM_VIOLATION" if the restored text breaks the platform's
+ *   current rules, or "CONTENT_VALIDATION" if its library asset no longer exists
+ */
+async function restoreContentRevision(companyId, campaignId, contentId, revision, { userId } = {}) {
+  if (!companyId || !campaignId || !contentId || !revision) {
+    throw new Error("companyId, campaignId, contentId, and revision are required to restore a revision.");
+  }
+  await assertCampaignInCompany(companyId, campaignId);
+
+  const contentItem = await Content.findOne({ _id: contentId, campaignId }).select("_id").lean();
+  if (!contentItem) {
+    return null;
+  }
+  const saved = await contentRevisionService.getRevision(contentItem._id, revision);
+  if (!saved) {
+    return null;
+  }
+
+  // Unset fields are restored as unset (null), e.g. a schedule added later is removed
+  const restored = {};
+  [...contentRevisionService.REVISION_FIELDS, "assetId"].forEach((field) => {
+    restored[field] = saved[field] === undefined ? null : saved[field];
+  });
+  return updateContent(companyId, campaignId, contentId, restored, { userId, restoredFrom: saved.revision });
+}
+
 /**
  * approveContent
- * Sets a content item’s status to "approved" (or a similar status flow).
+ * Records an approval. With an approval chain, the caller must be a reviewer
+ * of the step under review (or of a pending optional step); once enough of a
+ * step's reviewers approve, review moves to the next required step, and after
+ * the last one the item becomes "approved". Without a chain, the item is
+ * approved at once, which takes content:approve.
  * @param {String} companyId
  * @param {String} campaignId
  * @param {String} contentId
+ * @param {Object} [decision] - { userId, comment, canApprove } canApprove: whether the
+ *   caller holds content:approve
  * @returns {Promise<Object|null>} updated content doc or null if not found
+ * @throws {Error} error.code === "APPROVAL_FORBIDDEN" if the caller may not approve it now, or
+ *   "APPROVAL_CONFLICT" if it isn't awaiting this approval
  */
-async function approveContent(companyId, campaignId, contentId) {
+async function approveContent(companyId, campaignId, contentId, { userId, comment, canApprove = false } = {}) {
   if (!companyId || !campaignId || !contentId) {
     throw new Error("companyId, campaignId, and contentId are required to approve content.");
   }
+  await assertCampaignInCompany(companyId, campaignId);
 
-  const updated = await Content.findOneAndUpdate(
-    {
-      _id: contentId,
-      campaignId
-      // companyId if relevant
-    },
-    { $set: { status: "approved" } },
-    { new: true }
-  );
+  const content = await Content.findOne({ _id: contentId, campaignId }).lean();
+  if (!content) {
+    return null;
+  }
+  const approval = content.approval || {};
+  const steps = approval.steps || [];
+  const now = new Date();
 
-  return updated;
+  if (steps.length === 0) {
+    if (!canApprove) {
+      throw createApprovalError("APPROVAL_FORBIDDEN", "Approving content requires the content:approve permission.");
+    }
+    if (!UNCHAINED_APPROVABLE_STATUSES.includes(content.status)) {
+      throw createApprovalError("APPROVAL_CONFLICT", `Content in status "${content.status}" can't be approved.`);
+    }
+    const chain = await findChainForContent(companyId, content);
+    if (chain) {
+      throw createApprovalError(
+        "APPROVAL_CONFLICT",
+        `This content goes through the "${chain.name}" approval chain; submit it with status "pending_approval".`
+      );
+    }
+    return saveApproval(content, {
+      status: "approved",
+      approval: {
+        ...approval,
+        round: approval.round || 0,
+        currentStep: null,
+        history: [...(approval.history || []), historyEntry(approval, { action: "approved", userId, comment, at: now })]
+      }
+    });
+  }
+
+  if (content.status !== "pending_approval") {
+    throw createApprovalError("APPROVAL_CONFLICT", `Content in status "${content.status}" isn't awaiting approval.`);
+  }
+  const index = findReviewableStep(approval, userId);
+  if (index === -1) {
+    const current = steps[approval.currentStep];
+    throw createApprovalError(
+      "APPROVAL_FORBIDDEN",
+      `You aren't a reviewer of the step under review${current ? ` ("${current.name}")` : ""}.`
+    );
+  }
+  if (steps[index].approvedBy.some((reviewer) => String(reviewer) === String(userId))) {
+    throw createApprovalError("APPROVAL_CONFLICT", `You've already approved the "${steps[index].name}" step.`);
+  }
+
+  const updatedSteps = steps.map((step) => ({ ...step, approvedBy: [...step.approvedBy] }));
+  const step = updatedSteps[index];
+  step.approvedBy.push(userId);
+  let { currentStep } = approval;
+  if (step.approvedBy.length >= step.minApprovals) {
+    step.status = "approved";
+    if (step.required) {
+      currentStep = nextRequiredStep(updatedSteps, index + 1);
+    }
+  }
+
+  // Past the last required step: approved, and optional steps nobody got to are skipped
+  const done = currentStep === null;
+  if (done) {
+    updatedSteps.filter((pending) => pending.status === "pending").forEach((pending) => { pending.status = "skipped"; });
+  }
+
+  return saveApproval(content, {
+    status: done ? "approved" : "pending_approval",
+    approval: {
+      ...approval,
+      currentStep,
+      steps: updatedSteps,
+      history: [...approval.history, historyEntry(approval, { step: step.name, action: "approved", userId, comment, at: now })]
+    }
+  });
 }
 
 /**
  * rejectContent
- * Sets a content item’s status to "rejected".
- * Optionally, you might store a reason for rejection.
+ * Sends a content item back to "draft" with the reason, recorded as
+ * approval.lastRejection and in the history. With an approval chain, a reviewer
+ * of the step under review (or of a pending optional step) can reject it, and
+ * so can anyone with content:approve; a reason is then required. Approved
+ * content can be pulled back by someone with content:approve.
  * @param {String} companyId
  * @param {String} campaignId
  * @param {String} contentId
- * @param {String} [reason] - optional reason for rejection (store in meta if needed)
+ * @param {Object} [decision] - { userId, reason, canApprove } canApprove: whether the
+ *   caller holds content:approve
  * @returns {Promise<Object|null>} updated content doc or null if not found
+ * @throws {Error} error.code === "CONTENT_VALIDATION" without a required reason,
+ *   "APPROVAL_FORBIDDEN" if the caller may not reject it, or "APPROVAL_CONFLICT" if its
+ *   status can't be rejected
  */
-async function rejectContent(companyId, campaignId, contentId, reason) {
+async function rejectContent(companyId, campaignId, contentId, { userId, reason, canApprove = false } = {}) {
   if (!companyId || !campaignId || !contentId) {
     throw new Error("companyId, campaignId, and contentId are required to reject content.");
   }
+  await assertCampaignInCompany(companyId, campaignId);
+
+  const content = await Content.findOne({ _id: contentId, campaignId }).lean();
+  if (!content) {
+    return null;
+  }
+  const approval = content.approval || {};
+  const steps = approval.steps || [];
+  const inReview = content.status === "pending_approval" && steps.length > 0;
+
+  if (!REJECTABLE_STATUSES.includes(content.status)) {
+    throw createApprovalError("APPROVAL_CONFLICT", `Content in status "${content.status}" can't be rejected.`);
+  }
+  const index = inReview ? findReviewableStep(approval, userId) : -1;
+  if (index === -1 && !canApprove) {
+    throw createApprovalError(
+      "APPROVAL_FORBIDDEN",
+      inReview
+        ? "Only a reviewer of the step under review, or someone with content:approve, can reject this content."
+        : "Rejecting content requires the content:approve permission."
+    );
+  }
+  const trimmedReason = typeof reason === "string" ? reason.trim() : "";
+  if (inReview && !trimmedReason) {
+    throw createValidationError("A reason is required to reject content in review.");
+  }
+
+  // The step the rejection is recorded against: the caller's, else the one under review
+  const stepIndex = index !== -1 ? index : (inReview && approval.currentStep !== null ? approval.currentStep : -1);
+  const stepName = stepIndex !== -1 ? steps[stepIndex].name : undefined;
+  const now = new Date();
+
+  return saveApproval(content, {
+    status: "draft",
+    approval: {
+      ...approval,
+      round: approval.round || 0,
+      currentStep: null,
+      steps: steps.map((step, i) => (i === stepIndex ? { ...step, status: "rejected" } : step)),
+      history: [
+        ...(approval.history || []),
+        historyEntry(approval, { step: stepName, action: "rejected", userId, comment: trimmedReason || undefined, at: now })
+      ],
+      lastRejection: { reason: trimmedReason || undefined, step: stepName, userId, at: now }
+    }
+  });
+}
+
+/**
+ * checkContentBrand
+ * Scores a content item against the company's current brand guidelines and
+ * stores the result on it.
+ * @param {String} companyId
+ * @param {String} campaignId
+ * @param {String} contentId
+ * @returns {Promise<Object|null>} { score, passed, violations, checkedAt }, or null if not found
+ */
+async function checkContentBrand(companyId, campaignId, contentId) {
+  if (!companyId || !campaignId || !contentId) {
+    throw new Error("companyId, campaignId, and contentId are required to check content.");
+  }
+  await assertCampaignInCompany(companyId, campaignId);
+
+  const contentItem = await Content.findOne({ _id: contentId, campaignId });
+  if (!contentItem) {
+    return null;
+  }
+
+  contentItem.brandCheck = await runBrandCheck(companyId, contentItem.text);
+  const saved = await contentItem.save();
+  return saved.brandCheck;
+}
+
+/**
+ * promoteVariant
+ * Picks the winner of an A/B test: the given variant, or else the one with the
+ * best metric in its analytics. The winner gets meta.variant.promoted = true,
+ * the others false. Losing variants that haven't been approved yet (draft or
+ * pending_approval) are rejected, with the decision in their approval history;
+ * approved ones and those with the publishing engine are left as they are.
+ * @param {String} companyId
+ * @param {String} campaignId
+ * @param {String} variantGroupId
+ * @param {Object} [options] - { contentId, metric, userId } metric is one of VARIANT_METRICS
+ *   (default "ctr"); userId is the promoting user, recorded with the rejections
+ * @returns {Promise<Object|null>} { variantGroupId, metric, winner, variants: [{ contentId, label, angle, status, metrics }] },
+ *   or null if the group isn't found
+ * @throws {Error} error.code === "CONTENT_VALIDATION" for an unknown metric or contentId, or if
+ *   no variant has analytics yet and no contentId was given
+ */
+async function promoteVariant(companyId, campaignId, variantGroupId, { contentId, metric = "ctr", userId } = {}) {
+  if (!companyId || !campaignId || !variantGroupId) {
+    throw new Error("companyId, campaignId, and variantGroupId are required to promote a variant.");
+  }
+  await assertCampaignInCompany(companyId, campaignId);
+
+  if (!VARIANT_METRICS.includes(metric)) {
+    throw createValidationError(`Invalid metric '${metric}'. Use one of: ${VARIANT_METRICS.join(", ")}.`);
+  }
+
+  const variants = await Content.find({ campaignId, "meta.variantGroupId": String(variantGroupId) }).lean();
+  if (variants.length === 0) {
+    return null;
+  }
+  const metrics = await analyticsService.getContentMetrics(variants.map((variant) => variant._id));
+
+  let winner;
+  if (contentId) {
+    winner = variants.find((variant) => String(variant._id) === String(contentId));
+    if (!winner) {
+      throw createValidationError(`Content ${contentId} isn't a variant in group ${variantGroupId}.`);
+    }
+  } else {
+    const measured = variants.filter((variant) => metrics.has(String(variant._id)));
+    if (measured.length === 0) {
+      throw createValidationError("No analytics have been recorded for these variants yet; pass a contentId to pick the winner.");
+    }
+    const value = (variant) => metrics.get(String(variant._id))[metric];
+    winner = measured.reduce((best, variant) => (value(variant) > value(best) ? variant : best));
+  }
+
+  const promotedAt = new Date();
+  await Content.updateOne(
+    { _id: winner._id },
+    { $set: { "meta.variant.promoted": true, "meta.variant.promotedAt": promotedAt, updatedAt: promotedAt } }
+  );
+  const losers = variants.filter((variant) => variant !== winner);
+  await Content.updateMany(
+    { _id: { $in: losers.map((variant) => variant._id) } },
+    { $set: { "meta.variant.promoted": false, updatedAt: promotedAt } }
+  );
+  const label = winner.meta.variant && winner.meta.variant.label;
+  for (const loser of losers.filter((variant) => PROMOTION_REJECTABLE_STATUSES.includes(variant.status))) {
+    const approval = loser.approval || {};
+    const reason = `Variant ${label} won the A/B test.`;
+    try {
+      await saveApproval(loser, {
+        status: "rejected",
+        approval: {
+          ...approval,
+          round: approval.round || 0,
+          currentStep: null,
+          history: [
+            ...(approval.history || []),
+            historyEntry(approval, { action: "rejected", userId, comment: reason, at: promotedAt })
+          ],
+          lastRejection: { reason, userId, at: promotedAt }
+        }
+      });
+    } catch (error) {
+      // A reviewer decided on it meanwhile; their decision stands
+      if (error.code !== "APPROVAL_CONFLICT") {
+        throw error;
+      }
+    }
+  }
+
+  const updated = await Content.find({ _id: { $in: variants.map((variant) => variant._id) } }).lean();
+  return {
+    variantGroupId: String(variantGroupId),
+    metric: contentId ? undefined : metric,
+    winner: updated.find((variant) => String(variant._id) === String(winner._id)),
+    variants: updated.map((variant) => ({
+      contentId: variant._id,
+      label: variant.meta.variant && variant.meta.variant.label,
+      angle: variant.meta.variant && variant.meta.variant.angle,
+      status: variant.status,
+      metrics: metrics.get(String(variant._id)) || null
+    }))
+  };
+}
+
+// -------------------- Internal Helpers -------------------- //
+
+/**
+ * runBrandCheck
+ * Builds the brandCheck stored on a content item.
+ * @param {String} companyId
+ * @param {String} text
+ * @param {Object} [brandGuidelines] - the company's guidelines, if already loaded
+ * @returns {Promise<Object>} { score, passed, violations, checkedAt }
+ */
+async function runBrandCheck(companyId, text, brandGuidelines) {
+  let guidelines = brandGuidelines;
+  if (!guidelines) {
+    const company = await Company.findById(companyId).select("brandGuidelines").lean();
+    guidelines = (company && company.brandGuidelines) || {};
+  }
+  return { ...checkBrandCompliance(text, guidelines), checkedAt: new Date() };
+}
+
+/**
+ * saveRevision
+ * Records a revision for a content change (see contentRevisionService.recordRevision).
+ * The change itself is already saved, so a failure here is logged rather than
+ * failing the request.
+ */
+async function saveRevision(content, options) {
+  try {
+    await contentRevisionService.recordRevision(content, options);
+  } catch (error) {
+    console.error(`[ContentService] Failed to record a revision for content ${content._id}:`, error);
+  }
+}
+
+/**
+ * resolveAssetUrl
+ * Looks up a media library asset within the company.
+ * @param {String} [platform] - the content's platform; its main rendition is used if it has one
+ * @returns {Promise<String>} the URL content should show
+ */
+async function resolveAssetUrl(companyId, assetId, platform) {
+  const url = await getPlatformMediaUrl(companyId, assetId, platform);
+  if (!url) {
+    throw createValidationError(`No asset found with ID: ${assetId}`);
+  }
+  return url;
+}
+
+/**
+ * resolveProduct
+ * Looks up a product by ID within the company, or treats the value as a product name.
+ * @returns {Promise<Object>} { _id, name, description, uniqueSellingPoints } (only name for free text)
+ */
+async function resolveProduct(companyId, product) {
+  if (!product) {
+    return {};
+  }
+  if (mongoose.isValidObjectId(product)) {
+    const found = await Product.findOne({ _id: product, companyId }).lean();
+    if (!found) {
+      throw createValidationError(`No product found with ID: ${product}`);
+    }
+    return found;
+  }
+  return { name: String(product) };
+}
 
-  const updateFields = { status: "rejected" };
-  // If you want to store the reason somewhere, e.g. in meta:
-  // updateFields.meta = { ...existingMeta, rejectionReason: reason };
+/**
+ * assertPlatformRules
+ * Checks a content item's text (or GoogleAds meta.adCopy) against its platform's spec.
+ * @param {Object} content - { platform, text, meta }
+ * @throws {Error} error.code === "PLATFORM_VIOLATION" with error.violations
+ */
+function assertPlatformRules({ platform, text, meta }) {
+  const spec = getPlatformSpec(platform);
+  if (!spec) {
+    return;
+  }
+
+  let result;
+  if (spec.format === "ad") {
+    result = meta && meta.adCopy ? validateAdCopy(meta.adCopy, { platform }) : null;
+  } else {
+    result = text ? validatePost(platform, text) : null;
+  }
+  if (result && !result.valid) {
+    throw createViolationError(platform, result.violations);
+  }
+}
+
+/**
+ * startApprovalRound
+ * Builds the approval state for a new review round: the steps of the chain that
+ * applies to the item (none without a chain) and a history entry for the submission.
+ * @param {Object} content - { platform, type }
+ * @param {Object} [previous] - the item's current approval state, whose history is kept
+ * @param {Object} [options] - { userId, action } action "submitted" (default) or "restarted"
+ * @returns {Promise<Object>} the new Content.approval
+ */
+async function startApprovalRound(companyId, { platform, type }, previous, { userId, action = "submitted" } = {}) {
+  const chain = await findChainForContent(companyId, { platform, type });
+  const steps = chain
+    ? chain.steps.map((step) => ({
+      name: step.name,
+      reviewers: step.reviewers,
+      minApprovals: step.minApprovals || 1,
+      required: step.required !== false,
+      status: "pending",
+      approvedBy: []
+    }))
+    : [];
+  const round = ((previous && previous.round) || 0) + 1;
+
+  return {
+    chainId: chain ? chain._id : undefined,
+    chainName: chain ? chain.name : undefined,
+    round,
+    currentStep: nextRequiredStep(steps, 0),
+    steps,
+    history: [...((previous && previous.history) || []), { round, action, userId, at: new Date() }],
+    lastRejection: previous ? previous.lastRejection : undefined
+  };
+}
+
+/**
+ * nextRequiredStep
+ * @returns {Number|null} index of the first pending required step from `from` on, or null
+ */
+function nextRequiredStep(steps, from) {
+  for (let i = from; i < steps.length; i++) {
+    if (steps[i].required && steps[i].status === "pending") {
+      return i;
+    }
+  }
+  return null;
+}
+
+/**
+ * findReviewableStep
+ * The step a user decides on: the required step under review if they review it,
+ * else the first pending optional step they review.
+ * @returns {Number} the step index, or -1 if there is none
+ */
+function findReviewableStep({ steps, currentStep }, userId) {
+  const reviews = (step) => step.reviewers.some((reviewer) => String(reviewer) === String(userId));
+  if (currentStep !== null && currentStep !== undefined && reviews(steps[currentStep])) {
+    return currentStep;
+  }
+  return steps.findIndex((step) => !step.required && step.status === "pending" && reviews(step));
+}
 
+/**
+ * historyEntry
+ * An approval.history entry for the current round.
+ */
+function historyEntry(approval, { step, action, userId, comment, at }) {
+  return { round: approval.round || 0, step, action, userId, comment, at };
+}
+
+/**
+ * saveApproval
+ * Writes a decision, provided nobody else decided on the item since it was read.
+ * @returns {Promise<Object>} the updated content doc
+ * @throws {Error} error.code === "APPROVAL_CONFLICT" if it changed in the meantime
+ */
+async function saveApproval(content, { status, approval }) {
+  // History only grows, so an entry past the ones read means someone else got there first
+  const historyLength = ((content.approval && content.approval.history) || []).length;
   const updated = await Content.findOneAndUpdate(
     {
-      _id: contentId,
-      campaignId
-      // companyId if relevant
+      _id: content._id,
+      status: content.status,
+      [`approval.history.${historyLength}`]: { $exists: false }
     },
-    { $set: updateFields },
+    { $set: { status, approval, updatedAt: new Date() } },
     { new: true }
   );
-
+  if (!updated) {
+    throw createApprovalError("APPROVAL_CONFLICT", "This content changed while it was being reviewed; reload it and try again.");
+  }
   return updated;
 }
+
+/**
+ * assertNotApproved
+ * Content reaches "approved" (and so "scheduled") only through approveContent().
+ * Throws CONTENT_VALIDATION otherwise.
+ */
+function assertNotApproved({ status }) {
+  if (APPROVED_STATUSES.includes(status)) {
+    throw createValidationError(`Status "${status}" is only reachable by approving the content; submit it with status "pending_approval".`);
+  }
+}
+
+/**
+ * assertNotEngineStatus
+ * Only the publishing engine may put content in status "publishing", "posted" or "failed".
+ * Throws CONTENT_VALIDATION otherwise.
+ */
+function assertNotEngineStatus({ status }) {
+  if (ENGINE_STATUSES.includes(status)) {
+    throw createValidationError(`Status "${status}" is set by the publishing engine; set a scheduledAt and approve it instead.`);
+  }
+}
+
+/**
+ * formatAdCopy
+ * The readable text stored for generated ad copy (the structured copy is in meta.adCopy).
+ */
+function formatAdCopy({ headlines, descriptions }) {
+  return [
+    "Headlines:",
+    ...headlines.map((headline) => `- ${headline}`),
+    "",
+    "Descriptions:",
+    ...descriptions.map((description) => `- ${description}`)
+  ].join("\n");
+}
+
+/**
+ * buildContext
+ * Assembles the additional prompt context for one generated variation.
+ */
+function buildContext({ brief, product, styleNotes, brandGuidelines, companyName }, index, count) {
+  const lines = [];
+  if (companyName) lines.push(`Brand: ${companyName}.`);
+  if (brief) lines.push(`Brief: ${brief}`);
+  if (product.description) lines.push(`Product description: ${product.description}`);
+  if (product.uniqueSellingPoints && product.uniqueSellingPoints.length > 0) {
+    lines.push(`Key selling points: ${product.uniqueSellingPoints.join("; ")}.`);
+  }
+  if (styleNotes) lines.push(`Style notes: ${styleNotes}`);
+  lines.push(...describeBrandRules(brandGuidelines));
+  if (count > 1) lines.push(`This is variation ${index} of ${count}; make it distinct from the others.`);
+  return lines.join("\n");
+}
+
+/**
+ * createValidationError
+ * @returns {Error} an Error tagged with code CONTENT_VALIDATION
+ */
+function createValidationError(message) {
+  const error = new Error(message);
+  error.code = "CONTENT_VALIDATION";
+  return error;
+}
+
+/**
+ * createApprovalError
+ * @param {String} code - "APPROVAL_FORBIDDEN" or "APPROVAL_CONFLICT"
+ * @returns {Error} an Error tagged with the code
+ */
+function createApprovalError(code, message) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
@@ -0,0 +1,168 @@
+// src/services/contentRevision.service.js
+
+/**
+ * Content Revision Service
+ *
+ * Keeps the revision history of content items: their text, media, platform
+ * and schedule after each change (see ContentRevision). content.service.js
+ * records a revision when it creates or changes an item, and lists or
+ * restores them; this service only stores and reads them.
+ *
+ * Items that existed before revisions were kept get their state before the
+ * first recorded change saved as revision 1.
+ */
+
+const mongoose = require("mongoose");
+const ContentRevision = require("../models/contentRevision.model");
+const { diffWords } = require("../utils/textDiff");
+
+// Content fields a revision is recorded for (assetId is saved alongside mediaUrl)
+const REVISION_FIELDS = ["text", "mediaUrl", "platform", "scheduledAt"];
+
+// How often recordRevision retries when another change took the same revision number
+const MAX_REVISION_ATTEMPTS = 3;
+
+module.exports = {
+  REVISION_FIELDS,
+  recordRevision,
+  listRevisions,
+  getRevision,
+  deleteRevisions
+};
+
+/**
+ * recordRevision
+ * Saves a content item's tracked fields as its next revision, if they changed.
+ * @param {Object} content - the item after the change
+ * @param {Object} [options] - { previous, userId, action, restoredFrom } previous is the item
+ *   before the change (omit on create); action is "create", "update" (default) or "restore"
+ * @returns {Promise<Object|null>} the new revision, or null if nothing tracked changed
+ */
+async function recordRevision(content, { previous, userId, action = "update", restoredFrom } = {}) {
+  const changedFields = REVISION_FIELDS.filter((field) => (previous
+    ? !sameValue(previous[field], content[field])
+    : content[field] !== undefined && content[field] !== null));
+  if (previous && changedFields.length === 0) {
+    return null;
+  }
+
+  let saved;
+  for (let attempt = 1; !saved; attempt++) {
+    const latest = await ContentRevision.findOne({ contentId: content._id }).sort({ revision: -1 }).select("revision").lean();
+    try {
+      let revision = latest ? latest.revision : 0;
+      if (!latest && previous) {
+        // No history yet: keep the state before this change as the original
+        await new ContentRevision({
+          ...snapshot(content, previous),
+          revision: 1,
+          action: "create",
+          changedFields: REVISION_FIELDS.filter((field) => previous[field] !== undefined && previous[field] !== null),
+          createdAt: previous.createdAt
+        }).save();
+        revision = 1;
+      }
+      saved = await new ContentRevision({
+        ...snapshot(content, content),
+        revision: revision + 1,
+        action,
+        restoredFrom,
+        changedFields,
+        userId
+      }).save();
+    } catch (error) {
+      // Another change saved the same revision number first; take the next one
+      if (error.code !== 11000 || attempt >= MAX_REVISION_ATTEMPTS) {
+        throw error;
+      }
+    }
+  }
+  return saved;
+}
+
+/**
+ * listRevisions
+ * Lists a content item's revisions, newest first, each with what changed from
+ * the revision before it.
+ * @param {String} contentId
+ * @returns {Promise<Array>} revision docs with textDiff ([{ type, text }] word-level, see
+ *   utils/textDiff.js; null for the first revision) and changes ({ field: { from, to } }
+ *   for the other tracked fields)
+ */
+async function listRevisions(contentId) {
+  const revisions = await ContentRevision.find({ contentId }).sort({ revision: 1 }).lean();
+
+  return revisions.map((revision, index) => {
+    const before = revisions[index - 1];
+    const changes = {};
+    if (before) {
+      REVISION_FIELDS.filter((field) => field !== "text" && !sameValue(before[field], revision[field])).forEach((field) => {
+        changes[field] = { from: orNull(before[field]), to: orNull(revision[field]) };
+      });
+    }
+    return {
+      ...revision,
+      textDiff: before ? diffWords(before.text, revision.text) : null,
+      changes
+    };
+  }).reverse();
+}
+
+/**
+ * getRevision
+ * @param {String} contentId
+ * @param {String|Number} revision - the revision number, or the revision document's ID
+ * @returns {Promise<Object|null>} the revision, or null if not found
+ */
+async function getRevision(contentId, revision) {
+  if (/^\d+$/.test(String(revision))) {
+    return ContentRevision.findOne({ contentId, revision: Number(revision) }).lean();
+  }
+  if (!mongoose.isValidObjectId(revision)) {
+    return null;
+  }
+  return ContentRevision.findOne({ _id: revision, contentId }).lean();
+}
+
+/**
+ * deleteRevisions
+ * Deletes a content item's revisions (used when the item is deleted).
+ * @param {String} contentId
+ * @returns {Promise<Number>} number of revisions removed
+ */
+async function deleteRevisions(contentId) {
+  const result = await ContentRevision.deleteMany({ contentId });
+  return result.deletedCount;
+}
+
+// -------------------- Internal Helpers -------------------- //
+
+/**
+ * snapshot
+ * The revision fields for a content item, with the tracked values taken from `values`.
+ */
+function snapshot(content, values) {
+  return {
+    companyId: content.companyId,
+    campaignId: content.campaignId,
+    contentId: content._id,
+    text: values.text,
+    mediaUrl: values.mediaUrl,
+    assetId: values.assetId,
+    platform: values.platform,
+    scheduledAt: values.scheduledAt
+  };
+}
+
+// Dates compare by time; unset and null are the same
+function sameValue(a, b) {
+  const normalize = (value) => {
+    if (value === undefined || value === null) return null;
+    return value instanceof Date ? value.getTime() : String(value);
+  };
+  return normalize(a) === normalize(b);
+}
+
+function orNull(value) {
+  return value === undefined ? null : value;
+}
@@ -6,9 +6,14 @@
  * Handles creation, retrieval, updating, and deletion of integrations
  * for external platforms (Google Ads, Facebook Ads, etc.). If you're
  * implementing OAuth flows, you can also manage token exchange and storage here.
+ *
+ * Methods addressed by integrationId take the calling user and verify they belong
+ * to the integration's company with a role that has the integration:* permission
+ * (throws TENANT_FORBIDDEN otherwise).
  */
 
 const Integration = require("../models/integration.model");
+const { assertCompanyPermission } = require("../utils/tenantGuard");
 
 module.exports = {
   getIntegrations,
@@ -66,14 +71,20 @@ async function createIntegration(companyId, integrationData) {
  * getIntegrationById
  * Retrieves a single integration by its unique ID.
  * @param {String} integrationId
+ * @param {Object} user - the caller (req.user); must belong to the integration's company
  * @returns {Promise<Object|null>} the integration doc or null
  */
-async function getIntegrationById(integrationId) {
+async function getIntegrationById(integrationId, user) {
   if (!integrationId) {
     throw new Error("integrationId is required.");
   }
 
   const integration = await Integration.findById(integrationId).lean();
+  if (!integration) {
+    return null;
+  }
+
+  await assertCompanyPermission(user, integration.companyId, "integration:read");
   return integration;
 }
 
@@ -82,16 +93,26 @@ async function getIntegrationById(integrationId) {
  * Updates partial fields of an existing integration (tokens, accountId, status, etc.).
  * @param {String} integrationId
  * @param {Object} updates
+ * @param {Object} user - the caller (req.user); must belong to the integration's company
  * @returns {Promise<Object|null>} updated integration doc or null if not found
  */
-async function updateIntegration(integrationId, updates) {
+async function updateIntegration(integrationId, updates, user) {
   if (!integrationId) {
     throw new Error("integrationId is required to update an integration.");
   }
 
+  const existing = await Integration.findById(integrationId).select("companyId").lean();
+  if (!existing) {
+    return null;
+  }
+  await assertCompanyPermission(user, existing.companyId, "integration:update");
+
+  // An integration can't be moved to another company
+  const { companyId: _companyId, ...safeUpdates } = updates;
+
   const updatedIntegration = await Integration.findByIdAndUpdate(
     integrationId,
-    { $set: updates },
+    { $set: safeUpdates },
     { new: true }
   );
 
@@ -102,13 +123,20 @@ async function updateIntegration(integrationId, updates) {
  * deleteIntegration
  * Deletes an existing integration by its ID.
  * @param {String} integrationId
+ * @param {Object} user - the caller (req.user); must belong to the integration's company
  * @returns {Promise<Boolean>} true if deleted, false otherwise
  */
-async function deleteIntegration(integrationId) {
+async function deleteIntegration(integrationId, user) {
   if (!integrationId) {
     throw new Error("integrationId is required to delete an integration.");
   }
 
+  const existing = await Integration.findById(integrationId).select("companyId").lean();
+  if (!existing) {
+    return false;
+  }
+  await assertCompanyPermission(user, existing.companyId, "integration:delete");
+
   const result = await Integration.findByIdAndDelete(integrationId);
   return !!result; // true if a doc was deleted, false if not found
 }
@@ -120,9 +148,10 @@ async function deleteIntegration(integrationId) {
  * @param {String} integrationId - The existing integration record's ID
  * @param {String} code - The OAuth authorization code from the external provider
  * @param {String} state - The state param for verifying or additional context
+ * @param {Object} user - the caller (req.user); must belong to the integration's company
  * @returns {Promise<Object|null>} updated integration doc or null
  */
-async function handleOAuthCallback(integrationId, code, state) {
+async function handleOAuthCallback(integrationId, code, state, user) {
   if (!integrationId || !code) {
     throw new Error("integrationId and code are required for OAuth callback.");
   }
@@ -132,6 +161,7 @@ async function handleOAuthCallback(integrationId, code, state) {
   if (!integration) {
     return null;
   }
+  await assertCompanyPermission(user, integration.companyId, "integration:update");
 
   // 2. Exchange the code for tokens (depends on the external provider's OAuth)
   // Example (pseudocode):
@@ -0,0 +1,252 @@
+// src/services/job.service.js
+
+/**
+ * Job Service
+ *
+ * Enqueues, inspects, retries and cancels background jobs on the agent queues
+ * (see queues/bull.config.js). Every job carries the companyId it runs for, and
+ * callers only see jobs of companies they belong to (TENANT_FORBIDDEN otherwise).
+ * /jobs routes have no :companyId, so roleMiddleware only sees the global role;
+ * the caller's role in the job's company is checked here against job:*
+ * (TENANT_FORBIDDEN as well).
+ *
+ * Errors with a code for the controller to map:
+ *   UNKNOWN_QUEUE  - the queue name doesn't exist
+ *   JOB_VALIDATION - bad input (missing companyId, enqueueing on the dead-letter queue, ...)
+ *   JOB_STATE      - the job can't be retried/cancelled in its current state
+ */
+
+const Membership = require("../models/membership.model");
+const { QUEUE_NAMES, DEAD_LETTER_QUEUE, getQueue } = require("../queues/bull.config");
+const { hasPermission } = require("../config/permissions");
+const { assertCompanyPermission } = require("../utils/tenantGuard");
+
+// States a job can be listed by
+const JOB_STATES = ["waiting", "active", "completed", "failed", "delayed"];
+
+// Job options callers may override when enqueueing
+const ALLOWED_JOB_OPTIONS = ["delay", "attempts", "priority"];
+
+// How many recent jobs listJobs scans before tenant filtering and pagination
+const MAX_SCAN = 1000;
+
+module.exports = {
+  JOB_STATES,
+  enqueueJob,
+  listJobs,
+  getJob,
+  retryJob,
+  cancelJob
+};
+
+/**
+ * enqueueJob
+ * Adds a job to an agent queue on behalf of a company.
+ * @param {String} queueName - e.g. "news", "content", "analytics", "ad-management", "pipeline"
+ * @param {Object} payload - { companyId, data, options: { delay, attempts, priority } }
+ * @param {Object} user - the caller (req.user)
+ * @returns {Promise<Object>} the serialized job
+ */
+async function enqueueJob(queueName, { companyId, data = {}, options = {} } = {}, user) {
+  resolveQueue(queueName);
+  if (queueName === DEAD_LETTER_QUEUE) {
+    throw createJobError("JOB_VALIDATION", "Jobs cannot be added to the dead-letter queue directly.");
+  }
+  if (!companyId) {
+    throw createJobError("JOB_VALIDATION", "companyId is required to enqueue a job.");
+  }
+  await assertCompanyPermission(user, companyId, "job:create");
+
+  const jobOptions = {};
+  ALLOWED_JOB_OPTIONS.forEach((key) => {
+    if (options[key] !== undefined) {
+      jobOptions[key] = options[key];
+    }
+  });
+
+  const job = await getQueue(queueName).add(
+    { ...data, companyId: String(companyId), requestedByUserId: user.userId },
+    jobOptions
+  );
+  return serializeJob(queueName, job);
+}
+
+/**
+ * listJobs
+ * Lists the most recent jobs of a queue that the user may see.
+ * @param {String} queueName
+ * @param {Object} queryParams - { state, companyId, page, limit }
+ * @param {Object} user - the caller (req.user)
+ * @returns {Promise<Array>} serialized jobs, newest first
+ */
+async function listJobs(queueName, { state, companyId, page, limit } = {}, user) {
+  const queue = resolveQueue(queueName);
+
+  if (state && !JOB_STATES.includes(state)) {
+    throw createJobError("JOB_VALIDATION", `Unknown state "${state}". Allowed: ${JOB_STATES.join(", ")}.`);
+  }
+
+  let companyIds;
+  if (companyId) {
+    await assertCompanyPermission(user, companyId, "job:read");
+    companyIds = [String(companyId)];
+  } else {
+    companyIds = await getPermittedCompanyIds(user, "job:read");
+  }
+
+  const jobs = (await queue.getJobs(state ? [state] : JOB_STATES, 0, MAX_SCAN - 1))
+    .filter(Boolean)
+    .filter((job) => !companyIds || companyIds.includes(String(job.data.companyId)));
+
+  // Pagination
+  const pageNum = parseInt(page, 10) || 1;
+  const limitNum = parseInt(limit, 10) || 20;
+  const skip = (pageNum - 1) * limitNum;
+
+  return Promise.all(
+    jobs.slice(skip, skip + limitNum).map((job) => serializeJob(queueName, job))
+  );
+}
+
+/**
+ * getJob
+ * Retrieves a single job with its state, progress and result.
+ * @param {String} queueName
+ * @param {String} jobId
+ * @param {Object} user - the caller (req.user)
+ * @returns {Promise<Object|null>} the serialized job or null if not found
+ */
+async function getJob(queueName, jobId, user) {
+  const job = await findJob(queueName, jobId, user, "job:read");
+  return job ? serializeJob(queueName, job) : null;
+}
+
+/**
+ * retryJob
+ * Retries a failed job. A dead-letter entry is re-enqueued on its original
+ * queue with a fresh set of attempts, and removed from the dead-letter queue.
+ * @param {String} queueName
+ * @param {String} jobId
+ * @param {Object} user - the caller (req.user)
+ * @returns {Promise<Object|null>} the retried (or newly enqueued) job, or null if not found
+ */
+async function retryJob(queueName, jobId, user) {
+  const job = await findJob(queueName, jobId, user, "job:manage");
+  if (!job) {
+    return null;
+  }
+
+  if (queueName === DEAD_LETTER_QUEUE) {
+    const { queue: originalQueue, data } = job.data;
+    const retried = await getQueue(originalQueue).add(data);
+    await job.remove();
+    return serializeJob(originalQueue, retried);
+  }
+
+  const state = await job.getState();
+  if (state !== "failed") {
+    throw createJobError("JOB_STATE", `Only failed jobs can be retried (job is ${state}).`);
+  }
+  await job.retry();
+  return serializeJob(queueName, job);
+}
+
+/**
+ * cancelJob
+ * Removes a job that hasn't started yet (or has finished). Running jobs can't be cancelled.
+ * @param {String} queueName
+ * @param {String} jobId
+ * @param {Object} user - the caller (req.user)
+ * @returns {Promise<Boolean>} true if removed, false if not found
+ */
+async function cancelJob(queueName, jobId, user) {
+  const job = await findJob(queueName, jobId, user, "job:manage");
+  if (!job) {
+    return false;
+  }
+
+  const state = await job.getState();
+  if (state === "active") {
+    throw createJobError("JOB_STATE", "The job is running and cannot be cancelled.");
+  }
+  await job.remove();
+  return true;
+}
+
+// -------------------- Internal Helpers -------------------- //
+
+/**
+ * resolveQueue
+ * Returns the queue for a /jobs :queue parameter, or throws UNKNOWN_QUEUE.
+ */
+function resolveQueue(queueName) {
+  const known = [...Object.values(QUEUE_NAMES), DEAD_LETTER_QUEUE];
+  if (!known.includes(queueName)) {
+    throw createJobError("UNKNOWN_QUEUE", `Unknown queue "${queueName}". Allowed: ${known.join(", ")}.`);
+  }
+  return getQueue(queueName);
+}
+
+/**
+ * findJob
+ * Loads a job and checks the caller's role in the company it belongs to has the permission.
+ */
+async function findJob(queueName, jobId, user, permission) {
+  const job = await resolveQueue(queueName).getJob(jobId);
+  if (!job) {
+    return null;
+  }
+  await assertCompanyPermission(user, job.data.companyId, permission);
+  return job;
+}
+
+/**
+ * getPermittedCompanyIds
+ * The companies whose jobs the caller's role there lets them access.
+ * @returns {Promise<Array|null>} company IDs as strings, or null for global admins (no restriction)
+ */
+async function getPermittedCompanyIds(user, permission) {
+  if (user && user.role === "admin") {
+    return null;
+  }
+  if (!user || !user.userId) {
+    return [];
+  }
+  const memberships = await Membership.find({ userId: user.userId, status: "active" })
+    .select("companyId role")
+    .lean();
+  return memberships
+    .filter((membership) => hasPermission(membership.role, permission))
+    .map((membership) => String(membership.companyId));
+}
+
+/**
+ * serializeJob
+ * Converts a Bull job into the plain object returned by the API.
+ */
+async function serializeJob(queueName, job) {
+  return {
+    id: String(job.id),
+    queue: queueName,
+    state: await job.getState(),
+    data: job.data,
+    progress: job.progress(),
+    attemptsMade: job.attemptsMade,
+    maxAttempts: job.opts.attempts,
+    failedReason: job.failedReason,
+    result: job.returnvalue,
+    createdAt: new Date(job.timestamp),
+    processedAt: job.processedOn ? new Date(job.processedOn) : null,
+    finishedAt: job.finishedOn ? new Date(job.finishedOn) : null
+  };
+}
+
+/**
+ * createJobError
+ * @returns {Error} an Error tagged with the given code
+ */
+function createJobError(code, message) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
@@ -0,0 +1,202 @@
+// src/services/membership.service.js
+
+/**
+ * Membership Service
+ *
+ * Manages who belongs to which company and with what per-company role:
+ * listing members, inviting by email, accepting invites, and removing members.
+ * Only owners (and global admins) can make someone else an owner or remove
+ * an owner.
+ */
+
+const crypto = require("crypto");
+const Membership = require("../models/membership.model");
+const { COMPANY_ROLES } = require("../config/permissions");
+
+module.exports = {
+  getMembers,
+  addOwner,
+  inviteMember,
+  acceptInvite,
+  removeMember,
+  removeAllMembers
+};
+
+/**
+ * getMembers
+ * Lists all memberships (active and pending invites) for a company.
+ * @param {String} companyId
+ * @returns {Promise<Array>} membership docs with basic user info populated
+ */
+async function getMembers(companyId) {
+  if (!companyId) {
+    throw new Error("companyId is required to list members.");
+  }
+
+  const members = await Membership.find({ companyId })
+    .populate("userId", "email profile")
+    .sort({ createdAt: 1 })
+    .lean();
+
+  return members;
+}
+
+/**
+ * addOwner
+ * Registers the creator of a company as its active owner.
+ * @param {String} companyId
+ * @param {Object} user - { userId, email }
+ * @returns {Promise<Object>} the owner membership doc
+ */
+async function addOwner(companyId, { userId, email }) {
+  if (!companyId || !userId || !email) {
+    throw new Error("companyId, userId and email are required to add an owner.");
+  }
+
+  const membership = new Membership({
+    companyId,
+    userId,
+    email,
+    role: "owner",
+    status: "active",
+    acceptedAt: new Date()
+  });
+
+  return membership.save();
+}
+
+/**
+ * inviteMember
+ * Creates a pending membership for an email address and returns the invite token.
+ * @param {String} companyId
+ * @param {Object} inviteData - { email, role }
+ * @param {String} invitedByUserId
+ * @param {Object} [options] - { canManageOwners } whether the inviter may invite an owner
+ *   (an owner of the company or a global admin)
+ * @returns {Promise<Object>} { membership, inviteToken }
+ * @throws {Error} error.code === "INVALID_ROLE" for an unknown role, or "ROLE_FORBIDDEN"
+ *   for an owner invite without canManageOwners
+ */
+async function inviteMember(companyId, { email, role = "marketer" }, invitedByUserId, { canManageOwners = false } = {}) {
+  if (!companyId || !email) {
+    throw new Error("companyId and email are required to invite a member.");
+  }
+  if (!COMPANY_ROLES.includes(role)) {
+    const error = new Error(`Invalid role. Must be one of: ${COMPANY_ROLES.join(", ")}.`);
+    error.code = "INVALID_ROLE";
+    throw error;
+  }
+  if (role === "owner" && !canManageOwners) {
+    throw createRoleForbiddenError("Only an owner of the company can invite another owner.");
+  }
+
+  // A duplicate (companyId, email) pair raises Mongo's 11000, surfaced as 409 by the controller
+  const inviteToken = crypto.randomBytes(24).toString("hex");
+  const membership = new Membership({
+    companyId,
+    email,
+    role,
+    status: "invited",
+    inviteToken,
+    invitedByUserId
+  });
+  const saved = await membership.save();
+
+  const { inviteToken: _omit, ...membershipData } = saved.toObject();
+  return { membership: membershipData, inviteToken };
+}
+
+/**
+ * acceptInvite
+ * Activates a pending membership for the given user.
+ * The invite must have been sent to the user's email address.
+ * @param {String} companyId
+ * @param {String} inviteToken
+ * @param {Object} user - { userId, email }
+ * @returns {Promise<Object|null>} the activated membership, or null if no matching invite
+ */
+async function acceptInvite(companyId, inviteToken, { userId, email }) {
+  if (!companyId || !inviteToken) {
+    throw new Error("companyId and inviteToken are required to accept an invite.");
+  }
+
+  const membership = await Membership.findOneAndUpdate(
+    {
+      companyId,
+      inviteToken,
+      email: (email || "").toLowerCase(),
+      status: "invited"
+    },
+    {
+      $set: { userId, status: "active", acceptedAt: new Date(), updatedAt: new Date() },
+      $unset: { inviteToken: "" }
+    },
+    { new: true }
+  );
+
+  return membership;
+}
+
+/**
+ * removeMember
+ * Deletes a membership (or pending invite). Refuses to remove a company's last owner.
+ * @param {String} companyId
+ * @param {String} membershipId
+ * @param {Object} [options] - { canManageOwners } whether the caller may remove an owner
+ *   (an owner of the company or a global admin)
+ * @returns {Promise<Boolean>} true if removed, false if not found
+ * @throws {Error} error.code === "ROLE_FORBIDDEN" for an owner without canManageOwners,
+ *   or "LAST_OWNER" for the last active owner
+ */
+async function removeMember(companyId, membershipId, { canManageOwners = false } = {}) {
+  if (!companyId || !membershipId) {
+    throw new Error("companyId and membershipId are required to remove a member.");
+  }
+
+  const membership = await Membership.findOne({ _id: membershipId, companyId });
+  if (!membership) {
+    return false;
+  }
+
+  if (membership.role === "owner" && !canManageOwners) {
+    throw createRoleForbiddenError("Only an owner of the company can remove another owner.");
+  }
+  if (membership.role === "owner" && membership.status === "active") {
+    const ownerCount = await Membership.countDocuments({
+      companyId,
+      role: "owner",
+      status: "active"
+    });
+    if (ownerCount <= 1) {
+      const error = new Error("Cannot remove the last owner of a company.");
+      error.code = "LAST_OWNER";
+      throw error;
+    }
+  }
+
+  await membership.deleteOne();
+  return true;
+}
+
+/**
+ * removeAllMembers
+ * Deletes every membership of a company (used when the company is deleted).
+ * @param {String} companyId
+ * @returns {Promise<Number>} number of memberships removed
+ */
+async function removeAllMembers(companyId) {
+  const result = await Membership.deleteMany({ companyId });
+  return result.deletedCount;
+}
+
+// -------------------- Internal Helpers -------------------- //
+
+/**
+ * createRoleForbiddenError
+ * @returns {Error} an Error tagged with code ROLE_FORBIDDEN
+ */
+function createRoleForbiddenError(message) {
+  const error = new Error(message);
+  error.code = "ROLE_FORBIDDEN";
+  return error;
+}
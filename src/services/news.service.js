@@ -1 +1,374 @@
-// Placeholder for news.service.js
+// src/services/news.service.js
+
+/**
+ * News Service
+ *
+ * Handles retrieval, creation, updating and deletion of News items, bulk
+ * upserts of articles fetched by the NewsAgent, and turning a news item
+ * into draft marketing content.
+ *
+ * News tied to a company is only visible to that company's members;
+ * news without a companyId is global. Violations throw TENANT_FORBIDDEN.
+ * Each company keeps its own copy of an article (unique by companyId + url).
+ *
+ * Creating, changing or deleting company news takes the news:* permission in
+ * that company's role (TENANT_FORBIDDEN otherwise); global news is shared by
+ * every company, so only global admins may change it (NEWS_FORBIDDEN
+ * otherwise). Invalid filters throw NEWS_VALIDATION.
+ */
+
+const mongoose = require("mongoose");
+const News = require("../models/news.model");
+const Campaign = require("../models/campaign.model");
+const contentService = require("./content.service");
+const { validatePost } = require("../utils/platformValidator");
+const {
+  createTenantError,
+  assertCompanyAccess,
+  assertCompanyPermission,
+  getAccessibleCompanyIds
+} = require("../utils/tenantGuard");
+
+// Fields clients may not set directly through updateNews
+const PROTECTED_FIELDS = ["_id", "url", "createdAt"];
+
+module.exports = {
+  getAllNews,
+  getNewsById,
+  createNews,
+  updateNews,
+  deleteNews,
+  createContentFromNews,
+  upsertArticles
+};
+
+/**
+ * getAllNews
+ * Retrieves news items visible to the user, with filters and pagination.
+ * @param {Object} queryParams - { status, topic, sentiment, companyId, from, to, page, limit }
+ *   from/to filter on publishedAt (any date string parseable by Date)
+ * @param {Object} user - the caller (req.user)
+ * @returns {Promise<Array>} array of news documents, newest first
+ * @throws {Error} error.code === "NEWS_VALIDATION" if from or to isn't a valid date
+ */
+async function getAllNews(queryParams = {}, user) {
+  const { status, topic, sentiment, companyId, from, to, page, limit } = queryParams;
+
+  const query = {};
+
+  if (companyId) {
+    await assertCompanyAccess(user, companyId);
+    query.companyId = companyId;
+  } else {
+    // Restrict to global news plus the companies the user belongs to
+    const companyIds = await getAccessibleCompanyIds(user);
+    if (companyIds) {
+      query.$or = [
+        { companyId: { $exists: false } },
+        { companyId: null },
+        { companyId: { $in: companyIds } }
+      ];
+    }
+  }
+
+  if (status) {
+    query.status = status;
+  }
+  if (topic) {
+    query.topics = topic; // matches if the array contains the topic
+  }
+  if (sentiment) {
+    query.sentiment = sentiment;
+  }
+  if (from || to) {
+    query.publishedAt = {};
+    if (from) query.publishedAt.$gte = parseDateFilter("from", from);
+    if (to) query.publishedAt.$lte = parseDateFilter("to", to);
+  }
+
+  // Pagination
+  const pageNum = parseInt(page, 10) || 1;
+  const limitNum = parseInt(limit, 10) || 20;
+  const skip = (pageNum - 1) * limitNum;
+
+  const articles = await News.find(query)
+    .sort({ publishedAt: -1, createdAt: -1 })
+    .skip(skip)
+    .limit(limitNum)
+    .lean();
+
+  return articles;
+}
+
+/**
+ * getNewsById
+ * Retrieves a single news item, if the user may see it.
+ * @param {String} newsId
+ * @param {Object} user - the caller (req.user)
+ * @returns {Promise<Object|null>} the news document or null if not found
+ */
+async function getNewsById(newsId, user) {
+  if (!newsId) {
+    throw new Error("newsId is required to retrieve a news item.");
+  }
+  if (!mongoose.isValidObjectId(newsId)) {
+    return null;
+  }
+
+  const article = await News.findById(newsId).lean();
+  if (!article) {
+    return null;
+  }
+
+  await assertNewsAccess(article, user);
+  return article;
+}
+
+/**
+ * createNews
+ * Creates a news item manually. A URL the company (or global news) already has
+ * raises Mongo's 11000 error.
+ * @param {Object} newsData - { title, url, summary, source, publishedAt, topics, sentiment, companyId }
+ * @param {Object} user - the caller (req.user)
+ * @returns {Promise<Object>} the newly created news document
+ * @throws {Error} error.code === "NEWS_FORBIDDEN" if the caller may not create global news
+ */
+async function createNews(newsData, user) {
+  if (!newsData || !newsData.title || !newsData.url) {
+    throw new Error("Missing required fields: title or url.");
+  }
+  await assertNewsPermission(user, newsData.companyId, "news:create");
+
+  const newArticle = new News({ ...newsData });
+  const savedArticle = await newArticle.save();
+  return savedArticle;
+}
+
+/**
+ * updateNews
+ * Partially updates a news item (e.g., status, summary, sentiment, topics).
+ * @param {String} newsId
+ * @param {Object} updates
+ * @param {Object} user - the caller (req.user)
+ * @returns {Promise<Object|null>} the updated news doc or null if not found
+ * @throws {Error} error.code === "NEWS_FORBIDDEN" if it's global news (or made global) and the caller isn't an admin
+ */
+async function updateNews(newsId, updates, user) {
+  if (!newsId) {
+    throw new Error("newsId is required to update a news item.");
+  }
+  if (!mongoose.isValidObjectId(newsId)) {
+    return null;
+  }
+
+  const article = await News.findById(newsId);
+  if (!article) {
+    return null;
+  }
+  await assertNewsPermission(user, article.companyId, "news:update");
+
+  const safeUpdates = { ...updates };
+  PROTECTED_FIELDS.forEach((field) => delete safeUpdates[field]);
+  if ("companyId" in safeUpdates) {
+    await assertNewsPermission(user, safeUpdates.companyId, "news:update");
+  }
+
+  article.set(safeUpdates);
+  const savedArticle = await article.save();
+  return savedArticle;
+}
+
+/**
+ * deleteNews
+ * Deletes a news item by ID.
+ * @param {String} newsId
+ * @param {Object} user - the caller (req.user)
+ * @returns {Promise<Boolean>} true if deleted, false otherwise
+ * @throws {Error} error.code === "NEWS_FORBIDDEN" if it's global news and the caller isn't an admin
+ */
+async function deleteNews(newsId, user) {
+  if (!newsId) {
+    throw new Error("newsId is required to delete a news item.");
+  }
+  if (!mongoose.isValidObjectId(newsId)) {
+    return false;
+  }
+
+  const article = await News.findById(newsId).select("companyId").lean();
+  if (!article) {
+    return false;
+  }
+  await assertNewsPermission(user, article.companyId, "news:delete");
+
+  const result = await News.findByIdAndDelete(newsId);
+  return !!result;
+}
+
+/**
+ * createContentFromNews
+ * Creates a draft text Content item in a campaign, seeded from a news item,
+ * and marks the news item as used.
+ * @param {String} newsId
+ * @param {Object} options - { campaignId, channel, instructions }
+ * @param {Object} user - the caller (req.user)
+ * @returns {Promise<Object|null>} { news, content }, or null if the news item doesn't exist
+ * @throws {Error} TENANT_FORBIDDEN without content:create in the campaign's company
+ */
+async function createContentFromNews(newsId, { campaignId, channel, instructions } = {}, user) {
+  if (!newsId || !campaignId) {
+    throw new Error("newsId and campaignId are required to create content from news.");
+  }
+
+  const article = await getNewsById(newsId, user);
+  if (!article) {
+    return null;
+  }
+
+  // The caller needs content:create in the campaign's company, and
+  // company-specific news can only feed that company's campaigns.
+  const campaign = await resolveCampaignCompany(campaignId);
+  await assertCompanyPermission(user, campaign.companyId, "content:create");
+  if (article.companyId && String(article.companyId) !== String(campaign.companyId)) {
+    throw createTenantError("This news item belongs to another company.");
+  }
+
+  // The seed text is ours, so it's fitted to the platform like generated content
+  const seed = [article.title, article.summary, article.url].filter(Boolean).join("\n\n");
+  const { text } = validatePost(channel, seed, { fix: true });
+
+  // Through the content service, so the draft gets a brand check and its first
+  // revision like any other content
+  const [content] = await contentService.createDrafts(
+    campaign.companyId,
+    campaignId,
+    [{
+      type: "text",
+      text,
+      platform: channel,
+      meta: {
+        sourceNewsId: article._id,
+        instructions
+      }
+    }],
+    { userId: user.userId }
+  );
+
+  const news = await News.findByIdAndUpdate(
+    article._id,
+    { $set: { status: "used_in_content", updatedAt: new Date() } },
+    { new: true }
+  );
+
+  return { news, content };
+}
+
+/**
+ * upsertArticles
+ * Bulk-upserts articles by company and URL so repeat fetches update the
+ * company's existing items instead of violating the unique index; another
+ * company fetching the same article gets its own copy. Review state (status,
+ * sentiment) is only set when an article is first inserted.
+ * @param {Array<Object>} articles - normalized { title, summary, url, source, publishedAt }
+ * @param {Object} [options] - { companyId, topics } without a companyId the articles are global news
+ * @returns {Promise<Object>} { inserted, updated }
+ */
+async function upsertArticles(articles, { companyId, topics = [] } = {}) {
+  if (!articles || articles.length === 0) {
+    return { inserted: 0, updated: 0 };
+  }
+
+  const now = new Date();
+  const operations = articles.map((article) => ({
+    updateOne: {
+      // companyId null also matches global news stored without one
+      filter: { companyId: companyId || null, url: article.url },
+      update: {
+        $set: {
+          title: article.title,
+          summary: article.summary,
+          source: article.source || "Unknown",
+          publishedAt: article.publishedAt,
+          updatedAt: now
+        },
+        $addToSet: { topics: { $each: topics } },
+        // url and companyId come from the filter
+        $setOnInsert: {
+          createdAt: now
+        }
+      },
+      upsert: true
+    }
+  }));
+
+  const result = await News.bulkWrite(operations, { ordered: false });
+  return {
+    inserted: result.upsertedCount,
+    updated: result.modifiedCount
+  };
+}
+
+// -------------------- Internal Helpers -------------------- //
+
+/**
+ * assertNewsAccess
+ * Company-specific news is only accessible to that company's members.
+ */
+async function assertNewsAccess(article, user) {
+  if (article.companyId) {
+    await assertCompanyAccess(user, article.companyId);
+  }
+}
+
+/**
+ * assertNewsPermission
+ * Company news needs the permission in the caller's role there (global admins
+ * pass, TENANT_FORBIDDEN otherwise); global news (no companyId) can only be
+ * changed by global admins (NEWS_FORBIDDEN otherwise).
+ */
+async function assertNewsPermission(user, companyId, permission) {
+  if (!companyId) {
+    if (!user || user.role !== "admin") {
+      throw createNewsError("NEWS_FORBIDDEN", "Global news can only be changed by an admin.");
+    }
+    return;
+  }
+  await assertCompanyPermission(user, companyId, permission);
+}
+
+/**
+ * parseDateFilter
+ * Parses a from/to query value, throwing NEWS_VALIDATION if it isn't a date.
+ */
+function parseDateFilter(name, value) {
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) {
+    throw createNewsError("NEWS_VALIDATION", `Invalid "${name}" date: ${value}.`);
+  }
+  return date;
+}
+
+/**
+ * createNewsError
+ * @returns {Error} an Error tagged with the given code
+ */
+function createNewsError(code, message) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+/**
+ * resolveCampaignCompany
+ * Loads a campaign's companyId (throws TENANT_FORBIDDEN if the campaign doesn't exist,
+ * so callers can't probe for campaign IDs).
+ */
+async function resolveCampaignCompany(campaignId) {
+  const campaign = mongoose.isValidObjectId(campaignId)
+    ? await Campaign.findById(campaignId).select("companyId").lean()
+    : null;
+
+  if (!campaign) {
+    throw createTenantError("Campaign not found or not accessible.");
+  }
+  return campaign;
+}
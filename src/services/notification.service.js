@@ -0,0 +1,148 @@
+// src/services/notification.service.js
+
+/**
+ * Notification Service
+ *
+ * Creates and reads users' notifications (see Notification). For now these
+ * are @mentions in content comments, created by comment.service.js. A user
+ * only sees notifications from companies they're still a member of.
+ */
+
+const mongoose = require("mongoose");
+const Notification = require("../models/notification.model");
+const { formatMentions } = require("../utils/mentions");
+const { getAccessibleCompanyIds } = require("../utils/tenantGuard");
+
+// Longest comment excerpt stored in a notification
+const MAX_EXCERPT_LENGTH = 140;
+
+module.exports = {
+  notifyMentions,
+  getNotifications,
+  markNotificationRead,
+  markAllNotificationsRead,
+  deleteCommentNotifications
+};
+
+/**
+ * notifyMentions
+ * Notifies users that they were mentioned in a comment. The author isn't
+ * notified of mentioning themselves.
+ * @param {Object} comment - the comment document (companyId, campaignId, contentId, authorId, body)
+ * @param {Array<String>} userIds - the users to notify
+ * @returns {Promise<Array>} the created notifications
+ */
+async function notifyMentions(comment, userIds) {
+  const recipients = [...new Set(userIds.map(String))].filter((userId) => userId !== String(comment.authorId));
+  if (recipients.length === 0) {
+    return [];
+  }
+
+  const text = formatMentions(comment.body).replace(/\s+/g, " ").trim();
+  const message = text.length > MAX_EXCERPT_LENGTH ? `${text.slice(0, MAX_EXCERPT_LENGTH - 1)}…` : text;
+
+  return Notification.insertMany(recipients.map((userId) => ({
+    userId,
+    companyId: comment.companyId,
+    type: "mention",
+    actorId: comment.authorId,
+    campaignId: comment.campaignId,
+    contentId: comment.contentId,
+    commentId: comment._id,
+    message
+  })));
+}
+
+/**
+ * getNotifications
+ * Lists the caller's notifications, newest first.
+ * @param {Object} user - req.user ({ userId, role })
+ * @param {Object} options - { unread, companyId, page, limit } unread: "true" for unread only
+ * @returns {Promise<Object>} { notifications, unreadCount }
+ */
+async function getNotifications(user, { unread, companyId, page = 1, limit = 20 } = {}) {
+  if (!user || !user.userId) {
+    throw new Error("user is required to get notifications.");
+  }
+
+  const query = { userId: user.userId };
+  const companyIds = await getAccessibleCompanyIds(user);
+  if (companyIds) {
+    query.companyId = { $in: companyIds };
+  }
+  if (companyId) {
+    if (!mongoose.isValidObjectId(companyId)) {
+      return { notifications: [], unreadCount: 0 };
+    }
+    query.companyId = companyIds ? { $in: companyIds.filter((id) => String(id) === String(companyId)) } : companyId;
+  }
+
+  const pageNum = Math.max(parseInt(page, 10) || 1, 1);
+  const limitNum = Math.min(Math.max(parseInt(limit, 10) || 20, 1), 100);
+  const [notifications, unreadCount] = await Promise.all([
+    Notification.find(unread === true || unread === "true" ? { ...query, readAt: null } : query)
+      .sort({ createdAt: -1 })
+      .skip((pageNum - 1) * limitNum)
+      .limit(limitNum)
+      .populate("actorId", "email profile")
+      .lean(),
+    Notification.countDocuments({ ...query, readAt: null })
+  ]);
+
+  return { notifications, unreadCount };
+}
+
+/**
+ * markNotificationRead
+ * Marks one of the user's notifications read.
+ * @param {String} userId
+ * @param {String} notificationId
+ * @returns {Promise<Object|null>} the notification, or null if the user has no such notification
+ */
+async function markNotificationRead(userId, notificationId) {
+  if (!mongoose.isValidObjectId(notificationId)) {
+    return null;
+  }
+
+  // Already-read notifications keep when they were first read
+  const notification = await Notification.findOneAndUpdate(
+    { _id: notificationId, userId, readAt: null },
+    { $set: { readAt: new Date() } },
+    { new: true }
+  ).lean();
+  return notification || Notification.findOne({ _id: notificationId, userId }).lean();
+}
+
+/**
+ * markAllNotificationsRead
+ * Marks all of the user's unread notifications read, optionally for one company.
+ * @param {String} userId
+ * @param {Object} [options] - { companyId }
+ * @returns {Promise<Number>} how many were marked
+ */
+async function markAllNotificationsRead(userId, { companyId } = {}) {
+  const query = { userId, readAt: null };
+  if (companyId) {
+    if (!mongoose.isValidObjectId(companyId)) {
+      return 0;
+    }
+    query.companyId = companyId;
+  }
+
+  const result = await Notification.updateMany(query, { $set: { readAt: new Date() } });
+  return result.modifiedCount;
+}
+
+/**
+ * deleteCommentNotifications
+ * Deletes the notifications about some comments (used when they're deleted).
+ * @param {Array<String>} commentIds
+ * @returns {Promise<Number>} number of notifications removed
+ */
+async function deleteCommentNotifications(commentIds) {
+  if (commentIds.length === 0) {
+    return 0;
+  }
+  const result = await Notification.deleteMany({ commentId: { $in: commentIds } });
+  return result.deletedCount;
+}
@@ -0,0 +1,426 @@
+// src/services/plan.service.js
+
+/**
+ * Plan Service
+ *
+ * Generates marketing plans with the StrategyAgent and stores them as
+ * versioned Plan documents per campaign. Regenerating creates the next
+ * version; earlier versions are kept and can be compared or re-activated.
+ * Only one version per campaign is active at a time.
+ *
+ * Every function is scoped by companyId, so a plan can only be reached
+ * through the company that owns the campaign.
+ */
+
+const mongoose = require("mongoose");
+const Plan = require("../models/plan.model");
+const Campaign = require("../models/campaign.model");
+const Company = require("../models/company.model");
+const Audience = require("../models/audience.model");
+const strategyAgent = require("../agents/strategyAgent");
+const promptTemplateService = require("./promptTemplate.service");
+const { getLLMClientForCompany } = require("../llm");
+
+const TASK_STATUSES = ["todo", "in-progress", "done"];
+
+// Task fields compared by diffPlans
+const TASK_DIFF_FIELDS = ["channel", "type", "suggestedBudget", "description", "status"];
+
+// How often savePlanVersion retries when another request took the same version number
+const MAX_VERSION_ATTEMPTS = 3;
+
+module.exports = {
+  TASK_STATUSES,
+  buildStrategyInputs,
+  generatePlan,
+  refinePlan,
+  savePlanVersion,
+  getPlans,
+  getPlanByVersion,
+  diffPlans,
+  activatePlan,
+  updateTaskStatus,
+  linkTaskContent,
+  deleteCampaignPlans
+};
+
+/**
+ * buildStrategyInputs
+ * Gathers the StrategyAgent's inputs from a campaign, its company's brand
+ * guidelines and its target audience.
+ * @param {String} companyId
+ * @param {String} campaignId
+ * @returns {Promise<Object|null>} { campaignName, companyName, objective, budget, timeline,
+ *   brandGuidelines, targetAudience, channels }, or null if the campaign isn't found
+ */
+async function buildStrategyInputs(companyId, campaignId) {
+  if (!mongoose.isValidObjectId(campaignId)) {
+    return null;
+  }
+  const campaign = await Campaign.findOne({ _id: campaignId, companyId }).lean();
+  if (!campaign) {
+    return null;
+  }
+
+  const company = await Company.findById(companyId).lean();
+  // Only the company's own audiences: a campaign could reference another tenant's ID
+  const audience = campaign.targetAudienceId
+    ? await Audience.findOne({ _id: campaign.targetAudienceId, companyId }).lean()
+    : null;
+
+  return {
+    campaignName: campaign.name,
+    companyName: company ? company.name : undefined,
+    objective: campaign.objective,
+    budget: campaign.budget,
+    timeline: { start: campaign.startDate, end: campaign.endDate },
+    brandGuidelines: (company && company.brandGuidelines) || {},
+    targetAudience: describeAudience(audience),
+    channels: campaign.channels
+  };
+}
+
+/**
+ * generatePlan
+ * Generates a new plan version for a campaign with the StrategyAgent.
+ * @param {String} companyId
+ * @param {String} campaignId
+ * @param {Object} [options] - { userId, activate } activate makes the new version the active one
+ * @returns {Promise<Object|null>} the new plan document, or null if the campaign isn't found
+ */
+async function generatePlan(companyId, campaignId, { userId, activate = false } = {}) {
+  if (!companyId || !campaignId) {
+    throw new Error("companyId and campaignId are required to generate a plan.");
+  }
+
+  const inputs = await buildStrategyInputs(companyId, campaignId);
+  if (!inputs) {
+    return null;
+  }
+
+  const llm = await getLLMClientForCompany(companyId, { userId, agent: "strategy", feature: "plan-generate" });
+  const promptTemplate = await promptTemplateService.resolveTemplate(companyId, "strategy-plan");
+  const generated = await strategyAgent.generatePlan(inputs, { llm, promptTemplate });
+  return savePlanVersion(companyId, campaignId, generated, { userId, activate });
+}
+
+/**
+ * refinePlan
+ * Revises a plan version with marketer feedback and stores the result as the
+ * campaign's next version. The StrategyAgent continues the conversation that
+ * produced the base version, so earlier feedback is taken into account too.
+ * @param {String} companyId
+ * @param {String} campaignId
+ * @param {String} feedback - what should change
+ * @param {Object} [options] - { version, userId, activate } version defaults to the latest one
+ * @returns {Promise<Object|null>} the new plan document, or null if the campaign or base version isn't found
+ */
+async function refinePlan(companyId, campaignId, feedback, { version, userId, activate = false } = {}) {
+  if (!companyId || !campaignId || !feedback) {
+    throw new Error("companyId, campaignId and feedback are required to refine a plan.");
+  }
+
+  const basePlan = version
+    ? await getPlanByVersion(companyId, campaignId, version)
+    : await getLatestPlan(companyId, campaignId);
+  const inputs = basePlan && (await buildStrategyInputs(companyId, campaignId));
+  if (!inputs) {
+    return null;
+  }
+
+  const llm = await getLLMClientForCompany(companyId, { userId, agent: "strategy", feature: "plan-refine" });
+  const promptTemplate = await promptTemplateService.resolveTemplate(companyId, "strategy-refine");
+  const refined = await strategyAgent.refinePlan(inputs, basePlan, feedback, { llm, promptTemplate });
+  return savePlanVersion(companyId, campaignId, refined, {
+    userId,
+    activate,
+    refinedFromVersion: basePlan.version,
+    feedback
+  });
+}
+
+/**
+ * savePlanVersion
+ * Stores a StrategyAgent plan as the campaign's next version. The first version
+ * of a campaign is always activated.
+ * @param {String} companyId
+ * @param {String} campaignId
+ * @param {Object} generated - { strategySummary, tasks, conversation, promptTemplate } as returned by strategyAgent.generatePlan
+ * @param {Object} [options] - { userId, agentRunId, activate, refinedFromVersion, feedback }
+ * @returns {Promise<Object>} the new plan document
+ */
+async function savePlanVersion(companyId, campaignId, generated, options = {}) {
+  const { userId, agentRunId, activate = false, refinedFromVersion, feedback } = options;
+  const hasActive = await Plan.exists({ campaignId, isActive: true });
+
+  let plan;
+  for (let attempt = 1; !plan; attempt++) {
+    const latest = await Plan.findOne({ campaignId }).sort({ version: -1 }).select("version").lean();
+    try {
+      plan = await new Plan({
+        companyId,
+        campaignId,
+        version: latest ? latest.version + 1 : 1,
+        strategySummary: generated.strategySummary,
+        tasks: (generated.tasks || []).map(toPlanTask),
+        conversation: generated.conversation || [],
+        promptTemplate: generated.promptTemplate,
+        refinedFromVersion,
+        feedback,
+        generatedByUserId: userId,
+        agentRunId
+      }).save();
+    } catch (error) {
+      // Another request saved the same version number first; take the next one
+      if (error.code !== 11000 || attempt >= MAX_VERSION_ATTEMPTS) {
+        throw error;
+      }
+    }
+  }
+
+  if (activate || !hasActive) {
+    return activatePlan(companyId, campaignId, plan.version);
+  }
+  return plan;
+}
+
+/**
+ * getPlans
+ * Lists every plan version of a campaign, newest first.
+ * @param {String} companyId
+ * @param {String} campaignId
+ * @returns {Promise<Array>} array of plan documents
+ */
+async function getPlans(companyId, campaignId) {
+  if (!companyId || !campaignId) {
+    throw new Error("companyId and campaignId are required to list plans.");
+  }
+  if (!mongoose.isValidObjectId(campaignId)) {
+    return [];
+  }
+
+  // Conversations can be long; they're included when fetching a single version
+  const plans = await Plan.find({ companyId, campaignId }).select("-conversation").sort({ version: -1 }).lean();
+  return plans;
+}
+
+/**
+ * getPlanByVersion
+ * Retrieves one version of a campaign's plan.
+ * @param {String} companyId
+ * @param {String} campaignId
+ * @param {Number|String} version
+ * @returns {Promise<Object|null>} the plan document or null if not found
+ */
+async function getPlanByVersion(companyId, campaignId, version) {
+  const query = versionQuery(companyId, campaignId, version);
+  if (!query) {
+    return null;
+  }
+
+  const plan = await Plan.findOne(query).lean();
+  return plan;
+}
+
+/**
+ * diffPlans
+ * Compares two versions of a campaign's plan. Tasks are matched by name.
+ * @param {String} companyId
+ * @param {String} campaignId
+ * @param {Number|String} fromVersion
+ * @param {Number|String} toVersion
+ * @returns {Promise<Object|null>} { from, to, strategySummary, tasks: { added, removed, changed } },
+ *   or null if either version doesn't exist
+ */
+async function diffPlans(companyId, campaignId, fromVersion, toVersion) {
+  const [fromPlan, toPlan] = await Promise.all([
+    getPlanByVersion(companyId, campaignId, fromVersion),
+    getPlanByVersion(companyId, campaignId, toVersion)
+  ]);
+  if (!fromPlan || !toPlan) {
+    return null;
+  }
+
+  const fromTasks = new Map(fromPlan.tasks.map((task) => [task.name, task]));
+  const toTasks = new Map(toPlan.tasks.map((task) => [task.name, task]));
+
+  const added = toPlan.tasks.filter((task) => !fromTasks.has(task.name));
+  const removed = fromPlan.tasks.filter((task) => !toTasks.has(task.name));
+  const changed = [];
+
+  toPlan.tasks.forEach((task) => {
+    const previous = fromTasks.get(task.name);
+    if (!previous) {
+      return;
+    }
+    const changes = {};
+    TASK_DIFF_FIELDS.forEach((field) => {
+      if (JSON.stringify(previous[field]) !== JSON.stringify(task[field])) {
+        changes[field] = { from: previous[field], to: task[field] };
+      }
+    });
+    if (Object.keys(changes).length > 0) {
+      changed.push({ name: task.name, changes });
+    }
+  });
+
+  return {
+    from: fromPlan.version,
+    to: toPlan.version,
+    strategySummary: fromPlan.strategySummary === toPlan.strategySummary
+      ? null
+      : { from: fromPlan.strategySummary, to: toPlan.strategySummary },
+    tasks: { added, removed, changed }
+  };
+}
+
+/**
+ * activatePlan
+ * Makes one version the campaign's active plan and deactivates the others.
+ * @param {String} companyId
+ * @param {String} campaignId
+ * @param {Number|String} version
+ * @returns {Promise<Object|null>} the activated plan or null if not found
+ */
+async function activatePlan(companyId, campaignId, version) {
+  const query = versionQuery(companyId, campaignId, version);
+  if (!query) {
+    return null;
+  }
+
+  const plan = await Plan.findOne(query);
+  if (!plan) {
+    return null;
+  }
+
+  await Plan.updateMany(
+    { campaignId, _id: { $ne: plan._id }, isActive: true },
+    { $set: { isActive: false, updatedAt: new Date() } }
+  );
+  plan.isActive = true;
+  const savedPlan = await plan.save();
+  return savedPlan;
+}
+
+/**
+ * updateTaskStatus
+ * Sets the status of one task in a plan version.
+ * @param {String} companyId
+ * @param {String} campaignId
+ * @param {Number|String} version
+ * @param {String} taskId
+ * @param {String} status - "todo", "in-progress" or "done"
+ * @returns {Promise<Object|null>} the updated plan or null if the plan or task isn't found
+ */
+async function updateTaskStatus(companyId, campaignId, version, taskId, status) {
+  if (!TASK_STATUSES.includes(status)) {
+    const error = new Error(`Invalid task status "${status}". Allowed: ${TASK_STATUSES.join(", ")}.`);
+    error.code = "INVALID_TASK_STATUS";
+    throw error;
+  }
+
+  const query = versionQuery(companyId, campaignId, version);
+  if (!query || !mongoose.isValidObjectId(taskId)) {
+    return null;
+  }
+
+  const plan = await Plan.findOne(query);
+  const task = plan && plan.tasks.id(taskId);
+  if (!task) {
+    return null;
+  }
+
+  task.status = status;
+  const savedPlan = await plan.save();
+  return savedPlan;
+}
+
+/**
+ * linkTaskContent
+ * Records Content items produced for a plan task. A task still in "todo"
+ * moves to "in-progress".
+ * @param {String} planId
+ * @param {String} taskId
+ * @param {Array<String>} contentIds
+ * @returns {Promise<Object|null>} the updated plan or null if the plan or task isn't found
+ */
+async function linkTaskContent(planId, taskId, contentIds) {
+  const plan = await Plan.findById(planId);
+  const task = plan && plan.tasks.id(taskId);
+  if (!task) {
+    return null;
+  }
+
+  contentIds.forEach((contentId) => {
+    if (!task.contentIds.some((id) => String(id) === String(contentId))) {
+      task.contentIds.push(contentId);
+    }
+  });
+  if (task.status === "todo") {
+    task.status = "in-progress";
+  }
+
+  const savedPlan = await plan.save();
+  return savedPlan;
+}
+
+/**
+ * deleteCampaignPlans
+ * Deletes every plan version of a campaign (used when the campaign is deleted).
+ * @param {String} campaignId
+ * @returns {Promise<Number>} number of plans removed
+ */
+async function deleteCampaignPlans(campaignId) {
+  const result = await Plan.deleteMany({ campaignId });
+  return result.deletedCount;
+}
+
+// -------------------- Internal Helpers -------------------- //
+
+/**
+ * versionQuery
+ * Builds the query for one plan version, or returns null if the IDs or version are invalid.
+ */
+function versionQuery(companyId, campaignId, version) {
+  const versionNum = parseInt(version, 10);
+  if (!companyId || !mongoose.isValidObjectId(campaignId) || !(versionNum > 0)) {
+    return null;
+  }
+  return { companyId, campaignId, version: versionNum };
+}
+
+/**
+ * getLatestPlan
+ * Retrieves the highest version of a campaign's plan.
+ */
+async function getLatestPlan(companyId, campaignId) {
+  if (!mongoose.isValidObjectId(campaignId)) {
+    return null;
+  }
+  return Plan.findOne({ companyId, campaignId }).sort({ version: -1 }).lean();
+}
+
+/**
+ * toPlanTask
+ * Keeps the task fields a Plan stores from a StrategyAgent task.
+ */
+function toPlanTask(task) {
+  const { name, channel, type, suggestedBudget, description } = task;
+  return { name, channel, type, suggestedBudget, description };
+}
+
+/**
+ * describeAudience
+ * Turns an Audience document into a short description for the prompts.
+ */
+function describeAudience(audience) {
+  if (!audience) {
+    return undefined;
+  }
+  const { ageRange = [], location, interests = [] } = audience.demographics || {};
+  const parts = [audience.name];
+  if (ageRange.length === 2) parts.push(`aged ${ageRange[0]}-${ageRange[1]}`);
+  if (location) parts.push(`in ${location}`);
+  if (interests.length > 0) parts.push(`interested in ${interests.join(", ")}`);
+  return parts.join(", ");
+}
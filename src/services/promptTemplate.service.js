@@ -0,0 +1,274 @@
+// src/services/promptTemplate.service.js
+
+/**
+ * Prompt Template Service
+ *
+ * Resolves the prompt templates the agents use for a company: the company's
+ * active override if it has one, else the built-in template from
+ * utils/promptTemplates.js. Overrides are versioned per company and template;
+ * saving creates the next version, and any earlier version can be re-activated.
+ */
+
+const mongoose = require("mongoose");
+const PromptTemplate = require("../models/promptTemplate.model");
+const {
+  PROMPT_TEMPLATES,
+  getDefaultTemplate,
+  renderTemplate,
+  listPlaceholders,
+  templateRef
+} = require("../utils/promptTemplates");
+
+// How often saveTemplateOverride retries when another request took the same version number
+const MAX_VERSION_ATTEMPTS = 3;
+
+module.exports = {
+  listTemplates,
+  getTemplate,
+  resolveTemplate,
+  saveTemplateOverride,
+  activateTemplateVersion,
+  resetTemplate,
+  previewTemplate,
+  deleteAllTemplates
+};
+
+/**
+ * listTemplates
+ * Lists every built-in template with the version the company currently uses.
+ * @param {String} companyId
+ * @returns {Promise<Array>} [{ name, description, variables, defaultVersion, active: { name, version, source } }]
+ */
+async function listTemplates(companyId) {
+  const overrides = await PromptTemplate.find({ companyId, isActive: true }).lean();
+
+  return Object.keys(PROMPT_TEMPLATES).map((name) => {
+    const template = getDefaultTemplate(name);
+    const override = overrides.find((item) => item.name === name);
+    return {
+      name,
+      description: template.description,
+      variables: template.variables,
+      defaultVersion: template.version,
+      active: templateRef(override ? fromOverride(template, override) : template)
+    };
+  });
+}
+
+/**
+ * getTemplate
+ * Retrieves one template: the built-in text, the text in use, and the company's versions.
+ * @param {String} companyId
+ * @param {String} name
+ * @returns {Promise<Object|null>} { name, description, variables, default: { version, text },
+ *   active: { name, version, source, text }, versions: [PromptTemplate] }, or null for an unknown name
+ */
+async function getTemplate(companyId, name) {
+  const template = getDefaultTemplate(name);
+  if (!template) {
+    return null;
+  }
+
+  const versions = await PromptTemplate.find({ companyId, name }).sort({ version: -1 }).lean();
+  const override = versions.find((item) => item.isActive);
+  const active = override ? fromOverride(template, override) : template;
+
+  return {
+    name,
+    description: template.description,
+    variables: template.variables,
+    default: { version: template.version, text: template.text },
+    active: { ...templateRef(active), text: active.text },
+    versions
+  };
+}
+
+/**
+ * resolveTemplate
+ * Returns the template the agents should use for a company.
+ * @param {String} companyId
+ * @param {String} name - a built-in template name
+ * @returns {Promise<Object>} { name, version, source: "default" | "company", description, variables, text }
+ */
+async function resolveTemplate(companyId, name) {
+  const template = getDefaultTemplate(name);
+  if (!template) {
+    throw new Error(`Unknown prompt template: ${name}`);
+  }
+
+  const override = companyId
+    ? await PromptTemplate.findOne({ companyId, name, isActive: true }).lean()
+    : null;
+  return override ? fromOverride(template, override) : template;
+}
+
+/**
+ * saveTemplateOverride
+ * Stores new text for a template as the company's next version and activates it.
+ * @param {String} companyId
+ * @param {String} name
+ * @param {String} text - template text; may only use the template's variables and
+ *   must include every required one
+ * @param {Object} [options] - { userId }
+ * @returns {Promise<Object|null>} the new version, or null for an unknown name
+ * @throws {Error} error.code === "TEMPLATE_VALIDATION" for invalid text
+ */
+async function saveTemplateOverride(companyId, name, text, { userId } = {}) {
+  const template = getDefaultTemplate(name);
+  if (!template) {
+    return null;
+  }
+  validateText(template, text);
+
+  let saved;
+  for (let attempt = 1; !saved; attempt++) {
+    const latest = await PromptTemplate.findOne({ companyId, name }).sort({ version: -1 }).select("version").lean();
+    try {
+      saved = await new PromptTemplate({
+        companyId,
+        name,
+        version: latest ? latest.version + 1 : 1,
+        text,
+        createdByUserId: userId
+      }).save();
+    } catch (error) {
+      // Another request saved the same version number first; take the next one
+      if (error.code !== 11000 || attempt >= MAX_VERSION_ATTEMPTS) {
+        throw error;
+      }
+    }
+  }
+
+  return activateTemplateVersion(companyId, name, saved.version);
+}
+
+/**
+ * activateTemplateVersion
+ * Makes one of the company's versions the one in use (e.g. to roll back an edit).
+ * @param {String} companyId
+ * @param {String} name
+ * @param {Number|String} version
+ * @returns {Promise<Object|null>} the activated version, or null if not found
+ */
+async function activateTemplateVersion(companyId, name, version) {
+  const versionNum = parseInt(version, 10);
+  if (!mongoose.isValidObjectId(companyId) || !(versionNum > 0)) {
+    return null;
+  }
+
+  const override = await PromptTemplate.findOne({ companyId, name, version: versionNum });
+  if (!override) {
+    return null;
+  }
+
+  await PromptTemplate.updateMany(
+    { companyId, name, _id: { $ne: override._id }, isActive: true },
+    { $set: { isActive: false, updatedAt: new Date() } }
+  );
+  override.isActive = true;
+  const savedOverride = await override.save();
+  return savedOverride;
+}
+
+/**
+ * resetTemplate
+ * Goes back to the built-in template. The company's versions are kept.
+ * @param {String} companyId
+ * @param {String} name
+ * @returns {Promise<Object|null>} the built-in template, or null for an unknown name
+ */
+async function resetTemplate(companyId, name) {
+  const template = getDefaultTemplate(name);
+  if (!template) {
+    return null;
+  }
+
+  await PromptTemplate.updateMany(
+    { companyId, name, isActive: true },
+    { $set: { isActive: false, updatedAt: new Date() } }
+  );
+  return template;
+}
+
+/**
+ * previewTemplate
+ * Renders a template with sample variables without generating anything.
+ * @param {String} companyId
+ * @param {String} name
+ * @param {Object} [options] - { text, variables } text previews unsaved text instead of the active version
+ * @returns {Promise<Object|null>} { template: { name, version, source }, prompt }, or null for an unknown name
+ * @throws {Error} error.code === "TEMPLATE_VALIDATION" or "TEMPLATE_VARIABLES"
+ */
+async function previewTemplate(companyId, name, { text, variables = {} } = {}) {
+  if (!getDefaultTemplate(name)) {
+    return null;
+  }
+
+  let template;
+  if (text !== undefined) {
+    template = { ...getDefaultTemplate(name), version: null, source: "preview", text };
+    validateText(template, text);
+  } else {
+    template = await resolveTemplate(companyId, name);
+  }
+
+  return {
+    template: templateRef(template),
+    prompt: renderTemplate(template, variables)
+  };
+}
+
+/**
+ * deleteAllTemplates
+ * Removes every template version of a company (used when the company is deleted).
+ * @param {String} companyId
+ * @returns {Promise<Number>} number of versions removed
+ */
+async function deleteAllTemplates(companyId) {
+  const result = await PromptTemplate.deleteMany({ companyId });
+  return result.deletedCount;
+}
+
+// -------------------- Internal Helpers -------------------- //
+
+/**
+ * fromOverride
+ * A built-in template with a company's override text and version.
+ */
+function fromOverride(template, override) {
+  return { ...template, version: override.version, source: "company", text: override.text };
+}
+
+/**
+ * validateText
+ * Checks override text against the template's declared variables.
+ */
+function validateText(template, text) {
+  if (typeof text !== "string" || !text.trim()) {
+    throw createValidationError("Template text must be a non-empty string.");
+  }
+
+  const used = listPlaceholders(text);
+  const unknown = used.filter((key) => !(key in template.variables));
+  if (unknown.length > 0) {
+    throw createValidationError(
+      `Unknown variable(s): ${unknown.join(", ")}. Allowed: ${Object.keys(template.variables).join(", ")}.`
+    );
+  }
+
+  const missing = Object.keys(template.variables)
+    .filter((key) => template.variables[key].required && !used.includes(key));
+  if (missing.length > 0) {
+    throw createValidationError(`Template text must use the required variable(s): ${missing.join(", ")}.`);
+  }
+}
+
+/**
+ * createValidationError
+ * @returns {Error} an Error tagged with code TEMPLATE_VALIDATION
+ */
+function createValidationError(message) {
+  const error = new Error(message);
+  error.code = "TEMPLATE_VALIDATION";
+  return error;
+}
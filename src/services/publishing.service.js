@@ -0,0 +1,240 @@
+// src/services/publishing.service.js
+
+/**
+ * Publishing Service
+ *
+ * The publishing engine: on every scheduler tick it posts approved content
+ * whose scheduledAt has arrived through the publisher for Content.platform
+ * (src/integrations/publishers), using the company's active Integration for
+ * that platform. A posted item gets status "posted", postedAt and the
+ * platform's post id and URL in meta.externalPostId / meta.externalUrl.
+ *
+ * Failed attempts are retried with exponential backoff (1, 2, 4, ... minutes)
+ * up to PUBLISH_MAX_ATTEMPTS; after that, or for errors that retrying can't fix
+ * (no publisher, no integration, a rejected post), the item is "failed" with
+ * the reason in publishing.lastError.
+ *
+ * Publishing never posts twice:
+ *   - an item is claimed with an atomic findOneAndUpdate (status "publishing"
+ *     plus a lease), so only one instance publishes it;
+ *   - items that already have postedAt are never picked up again;
+ *   - an item whose lease ran out while "publishing" (the process died
+ *     mid-request) may or may not be on the platform, so it is marked "failed"
+ *     for a person to check and retry instead of being posted again;
+ *   - publishers get the content id as an idempotency key for platforms that
+ *     de-duplicate requests.
+ */
+
+const Content = require("../models/content.model");
+const Integration = require("../models/integration.model");
+const { getPublisher, createPublishError } = require("../integrations/publishers");
+const { assertCampaignInCompany } = require("../utils/tenantGuard");
+const { publishMaxAttempts } = require("../config");
+
+// Statuses the engine publishes from (when scheduledAt has arrived)
+const PUBLISHABLE_STATUSES = ["approved", "scheduled"];
+
+// How many due items one tick picks up
+const MAX_DUE_PER_TICK = 50;
+
+// How long a claimed item may stay "publishing" before it counts as interrupted
+const PUBLISH_LOCK_TTL_MS = 5 * 60 * 1000;
+
+// First retry delay; doubles with every attempt
+const RETRY_BASE_DELAY_MS = 60 * 1000;
+
+module.exports = {
+  publishDueContent,
+  retryPublishing
+};
+
+/**
+ * publishDueContent
+ * Publishes every due item once. Called on each scheduler tick; safe to call
+ * from several instances at once.
+ * @param {Object} options - { now, instanceId } instanceId identifies the caller in the lease
+ * @returns {Promise<Object>} { posted, retrying, failed, interrupted } counts for this call
+ */
+async function publishDueContent({ now = new Date(), instanceId } = {}) {
+  const summary = { posted: 0, retrying: 0, failed: 0, interrupted: await failInterrupted(now) };
+
+  const due = await Content.find(dueQuery(now))
+    .sort({ scheduledAt: 1 })
+    .limit(MAX_DUE_PER_TICK)
+    .select("_id")
+    .lean();
+
+  for (const { _id } of due) {
+    const content = await claim(_id, { now, instanceId });
+    if (!content) {
+      continue; // another instance claimed it, or it changed since the query
+    }
+    const outcome = await publishContent(content, { now, instanceId });
+    summary[outcome] += 1;
+  }
+  return summary;
+}
+
+/**
+ * retryPublishing
+ * Sends a failed item back to the engine: it is published on the next tick
+ * (or at scheduledAt, if that is still ahead), with a fresh set of attempts.
+ * Check the platform first if the failure says publishing was interrupted.
+ * @param {String} companyId
+ * @param {String} campaignId
+ * @param {String} contentId
+ * @returns {Promise<Object|null>} the updated content, or null if not found
+ * @throws {Error} error.code === "PUBLISH_CONFLICT" if the item isn't in status "failed"
+ */
+async function retryPublishing(companyId, campaignId, contentId) {
+  await assertCampaignInCompany(companyId, campaignId);
+
+  const updated = await Content.findOneAndUpdate(
+    { _id: contentId, campaignId, status: "failed" },
+    {
+      $set: { status: "approved", "publishing.attempts": 0, updatedAt: new Date() },
+      $unset: { "publishing.nextAttemptAt": "", "publishing.lastError": "" }
+    },
+    { new: true }
+  );
+  if (updated) {
+    return updated;
+  }
+
+  const existing = await Content.findOne({ _id: contentId, campaignId }).select("status").lean();
+  if (!existing) {
+    return null;
+  }
+  const error = new Error(`Only failed content can be retried; this item is "${existing.status}".`);
+  error.code = "PUBLISH_CONFLICT";
+  throw error;
+}
+
+// -------------------- Internal Helpers -------------------- //
+
+/**
+ * dueQuery
+ * Approved, not yet posted, scheduled for now or earlier, and not waiting for a retry.
+ */
+function dueQuery(now) {
+  return {
+    status: { $in: PUBLISHABLE_STATUSES },
+    scheduledAt: { $lte: now },
+    postedAt: null,
+    $or: [{ "publishing.nextAttemptAt": null }, { "publishing.nextAttemptAt": { $lte: now } }]
+  };
+}
+
+/**
+ * claim
+ * Atomically moves a due item to "publishing" and takes the lease.
+ * @returns {Promise<Object|null>} the item as it was before the claim (its status
+ *   is restored if the attempt is retried), or null if it isn't due any more
+ */
+async function claim(contentId, { now, instanceId }) {
+  return Content.findOneAndUpdate(
+    { _id: contentId, ...dueQuery(now) },
+    {
+      $set: {
+        status: "publishing",
+        "publishing.lockedBy": instanceId,
+        "publishing.lockedUntil": new Date(now.getTime() + PUBLISH_LOCK_TTL_MS),
+        "publishing.lastAttemptAt": now
+      },
+      $inc: { "publishing.attempts": 1 }
+    },
+    { new: false }
+  ).lean();
+}
+
+/**
+ * publishContent
+ * Posts a claimed item and records the outcome.
+ * @returns {Promise<String>} "posted", "retrying" or "failed"
+ */
+async function publishContent(content, { now, instanceId }) {
+  const attempts = ((content.publishing && content.publishing.attempts) || 0) + 1;
+
+  try {
+    const publisher = getPublisher(content.platform);
+    if (!publisher) {
+      throw createPublishError(`Publishing to ${content.platform || "an unknown platform"} isn't supported.`, { retryable: false });
+    }
+    const integration = await Integration.findOne({
+      companyId: content.companyId,
+      platform: content.platform,
+      status: "active"
+    }).lean();
+    if (!integration) {
+      throw createPublishError(`The company has no active ${content.platform} integration.`, { retryable: false });
+    }
+
+    const { externalId, url } = await publisher.publish(content, {
+      integration,
+      idempotencyKey: String(content._id)
+    });
+
+    // Recorded even if the lease ran out meanwhile: the post exists either way
+    await Content.updateOne(
+      { _id: content._id },
+      {
+        $set: {
+          status: "posted",
+          postedAt: new Date(),
+          meta: { ...(content.meta || {}), externalPostId: externalId, externalUrl: url },
+          updatedAt: new Date()
+        },
+        $unset: {
+          "publishing.lockedBy": "",
+          "publishing.lockedUntil": "",
+          "publishing.nextAttemptAt": "",
+          "publishing.lastError": ""
+        }
+      }
+    );
+    return "posted";
+  } catch (error) {
+    const retry = error.retryable !== false && attempts < publishMaxAttempts;
+    const updates = { "publishing.lastError": error.message, updatedAt: new Date() };
+    if (retry) {
+      updates.status = content.status;
+      updates["publishing.nextAttemptAt"] = new Date(now.getTime() + RETRY_BASE_DELAY_MS * 2 ** (attempts - 1));
+    } else {
+      updates.status = "failed";
+    }
+
+    await Content.updateOne(
+      { _id: content._id, "publishing.lockedBy": instanceId },
+      { $set: updates, $unset: { "publishing.lockedBy": "", "publishing.lockedUntil": "" } }
+    );
+    console.error(
+      `[PublishingService] Failed to publish content ${content._id} (attempt ${attempts}/${publishMaxAttempts}${retry ? ", will retry" : ""}): ${error.message}`
+    );
+    return retry ? "retrying" : "failed";
+  }
+}
+
+/**
+ * failInterrupted
+ * Marks items whose publishing lease ran out as failed. The platform may or may
+ * not have received the post, so they are never published again automatically.
+ * @returns {Promise<Number>} how many items were marked
+ */
+async function failInterrupted(now) {
+  const result = await Content.updateMany(
+    { status: "publishing", "publishing.lockedUntil": { $lte: now } },
+    {
+      $set: {
+        status: "failed",
+        "publishing.lastError": "Publishing was interrupted before the platform confirmed the post. "
+          + "Check whether it was posted before retrying.",
+        updatedAt: now
+      },
+      $unset: { "publishing.lockedBy": "", "publishing.lockedUntil": "" }
+    }
+  );
+  if (result.modifiedCount > 0) {
+    console.warn(`[PublishingService] Marked ${result.modifiedCount} interrupted publish(es) as failed.`);
+  }
+  return result.modifiedCount;
+}
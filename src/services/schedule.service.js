@@ -0,0 +1,373 @@
+// src/services/schedule.service.js
+
+/**
+ * Schedule Service
+ *
+ * Manages per-company recurring schedules and runs the ones that are due.
+ * Each schedule type maps to an agent queue; a run enqueues one job there
+ * and advances nextRunAt from the cron expression.
+ *
+ * Runs are guarded by a lease on the schedule document (lockedUntil/lockedBy),
+ * taken with an atomic findOneAndUpdate, so when several API instances tick at
+ * the same time only one of them enqueues the job.
+ *
+ * Invalid input throws an Error with code SCHEDULE_VALIDATION.
+ */
+
+const mongoose = require("mongoose");
+const cronParser = require("cron-parser");
+const Schedule = require("../models/schedule.model");
+const Campaign = require("../models/campaign.model");
+const { QUEUE_NAMES, getQueue } = require("../queues/bull.config");
+
+// Schedule type -> queue it enqueues on and the job data it sends
+const SCHEDULE_TYPES = {
+  "news-poll": {
+    queue: QUEUE_NAMES.news,
+    buildJobData: (schedule) => ({ keywords: schedule.params.keywords })
+  },
+  "metrics-collection": {
+    queue: QUEUE_NAMES.analytics,
+    buildJobData: (schedule) => ({ campaignIds: (schedule.params.campaignIds || []).map(String) })
+  }
+};
+
+// Fields clients may not set directly through createSchedule/updateSchedule
+const PROTECTED_FIELDS = [
+  "_id",
+  "companyId",
+  "nextRunAt",
+  "lastRunAt",
+  "lastJobId",
+  "lastError",
+  "lockedUntil",
+  "lockedBy",
+  "createdByUserId",
+  "createdAt"
+];
+
+// How many due schedules one tick picks up
+const MAX_DUE_PER_TICK = 100;
+
+module.exports = {
+  SCHEDULE_TYPES,
+  createSchedule,
+  getSchedules,
+  getScheduleById,
+  updateSchedule,
+  deleteSchedule,
+  deleteAllSchedules,
+  removeCampaignFromSchedules,
+  getNextRunDate,
+  runDueSchedules
+};
+
+/**
+ * createSchedule
+ * Creates a schedule under a company and computes its first run.
+ * @param {String} companyId
+ * @param {Object} scheduleData - { name, type, cron, timezone, params, enabled }
+ * @param {String} [userId] - the creating user
+ * @returns {Promise<Object>} the newly created schedule document
+ */
+async function createSchedule(companyId, scheduleData, userId) {
+  if (!companyId) {
+    throw new Error("companyId is required to create a schedule.");
+  }
+
+  const data = omitProtected(scheduleData || {});
+  const schedule = new Schedule({ ...data, companyId, createdByUserId: userId });
+
+  await validateSchedule(schedule);
+  schedule.nextRunAt = schedule.enabled ? getNextRunDate(schedule.cron, schedule.timezone) : null;
+
+  const savedSchedule = await schedule.save();
+  return savedSchedule;
+}
+
+/**
+ * getSchedules
+ * Lists a company's schedules, optionally filtered by type or enabled flag.
+ * @param {String} companyId
+ * @param {Object} options - { type, enabled }
+ * @returns {Promise<Array>} array of schedule documents
+ */
+async function getSchedules(companyId, { type, enabled } = {}) {
+  if (!companyId) {
+    throw new Error("companyId is required to get schedules.");
+  }
+
+  const query = { companyId };
+  if (type) {
+    query.type = type;
+  }
+  if (enabled !== undefined) {
+    query.enabled = enabled === true || enabled === "true";
+  }
+
+  const schedules = await Schedule.find(query).sort({ createdAt: -1 }).lean();
+  return schedules;
+}
+
+/**
+ * getScheduleById
+ * Retrieves a single schedule, only if it belongs to the given company.
+ * @param {String} companyId
+ * @param {String} scheduleId
+ * @returns {Promise<Object|null>} the schedule document or null if not found
+ */
+async function getScheduleById(companyId, scheduleId) {
+  if (!companyId || !scheduleId) {
+    throw new Error("companyId and scheduleId are required.");
+  }
+  if (!mongoose.isValidObjectId(scheduleId)) {
+    return null;
+  }
+
+  const schedule = await Schedule.findOne({ _id: scheduleId, companyId }).lean();
+  return schedule;
+}
+
+/**
+ * updateSchedule
+ * Partially updates a schedule. Changing cron, timezone or enabled recomputes nextRunAt.
+ * @param {String} companyId
+ * @param {String} scheduleId
+ * @param {Object} updates
+ * @returns {Promise<Object|null>} the updated schedule or null if not found
+ */
+async function updateSchedule(companyId, scheduleId, updates) {
+  if (!companyId || !scheduleId) {
+    throw new Error("companyId and scheduleId are required to update a schedule.");
+  }
+  if (!mongoose.isValidObjectId(scheduleId)) {
+    return null;
+  }
+
+  const schedule = await Schedule.findOne({ _id: scheduleId, companyId });
+  if (!schedule) {
+    return null;
+  }
+
+  schedule.set(omitProtected(updates || {}));
+  await validateSchedule(schedule);
+
+  if (schedule.isModified("cron") || schedule.isModified("timezone") || schedule.isModified("enabled")) {
+    schedule.nextRunAt = schedule.enabled ? getNextRunDate(schedule.cron, schedule.timezone) : null;
+  }
+
+  const savedSchedule = await schedule.save();
+  return savedSchedule;
+}
+
+/**
+ * deleteSchedule
+ * Deletes a schedule, only if it belongs to the given company.
+ * @param {String} companyId
+ * @param {String} scheduleId
+ * @returns {Promise<Boolean>} true if deleted, false otherwise
+ */
+async function deleteSchedule(companyId, scheduleId) {
+  if (!companyId || !scheduleId) {
+    throw new Error("companyId and scheduleId are required to delete a schedule.");
+  }
+  if (!mongoose.isValidObjectId(scheduleId)) {
+    return false;
+  }
+
+  const result = await Schedule.findOneAndDelete({ _id: scheduleId, companyId });
+  return !!result;
+}
+
+/**
+ * deleteAllSchedules
+ * Deletes every schedule of a company (used when the company is deleted).
+ * @param {String} companyId
+ * @returns {Promise<Number>} number of schedules removed
+ */
+async function deleteAllSchedules(companyId) {
+  const result = await Schedule.deleteMany({ companyId });
+  return result.deletedCount;
+}
+
+/**
+ * removeCampaignFromSchedules
+ * Takes a deleted campaign out of the company's metrics-collection schedules.
+ * A schedule that only collected that campaign is deleted: with an empty
+ * campaignIds it would start collecting every active campaign instead.
+ * @param {String} companyId
+ * @param {String} campaignId
+ * @returns {Promise<Object>} { deleted, updated } numbers of schedules
+ */
+async function removeCampaignFromSchedules(companyId, campaignId) {
+  const campaignObjectId = new mongoose.Types.ObjectId(String(campaignId));
+  const deleted = await Schedule.deleteMany({
+    companyId,
+    type: "metrics-collection",
+    "params.campaignIds": [campaignObjectId]
+  });
+  const updated = await Schedule.updateMany(
+    { companyId, "params.campaignIds": campaignObjectId },
+    { $pull: { "params.campaignIds": campaignObjectId }, $set: { updatedAt: new Date() } }
+  );
+  return { deleted: deleted.deletedCount, updated: updated.modifiedCount };
+}
+
+/**
+ * getNextRunDate
+ * Computes the next time a cron expression fires after a given date.
+ * @param {String} cron - 5-field cron expression
+ * @param {String} [timezone] - IANA timezone, default "UTC"
+ * @param {Date} [fromDate] - default now
+ * @returns {Date}
+ */
+function getNextRunDate(cron, timezone = "UTC", fromDate = new Date()) {
+  return cronParser
+    .parseExpression(cron, { currentDate: fromDate, tz: timezone })
+    .next()
+    .toDate();
+}
+
+/**
+ * runDueSchedules
+ * Enqueues a job for every enabled schedule whose nextRunAt has passed.
+ * Called on each scheduler tick; safe to call from several instances at once.
+ * @param {Object} options - { now, instanceId, lockTtlMs }
+ *   instanceId identifies the caller in the lock; lockTtlMs is how long the lock
+ *   is held before another instance may take over (e.g. if this one crashed).
+ * @returns {Promise<Number>} how many schedules this instance ran
+ */
+async function runDueSchedules({ now = new Date(), instanceId, lockTtlMs = 60000 } = {}) {
+  const due = await Schedule.find({ enabled: true, nextRunAt: { $lte: now } })
+    .sort({ nextRunAt: 1 })
+    .limit(MAX_DUE_PER_TICK)
+    .select("_id")
+    .lean();
+
+  let ran = 0;
+  for (const { _id } of due) {
+    const schedule = await acquireLock(_id, { now, instanceId, lockTtlMs });
+    if (!schedule) {
+      continue; // another instance holds the lock or already ran it
+    }
+    await runSchedule(schedule, { now, instanceId });
+    ran += 1;
+  }
+  return ran;
+}
+
+// -------------------- Internal Helpers -------------------- //
+
+/**
+ * acquireLock
+ * Atomically takes the lease on a due schedule. Returns null if the schedule is
+ * locked by someone else, no longer due, or disabled.
+ */
+async function acquireLock(scheduleId, { now, instanceId, lockTtlMs }) {
+  return Schedule.findOneAndUpdate(
+    {
+      _id: scheduleId,
+      enabled: true,
+      nextRunAt: { $lte: now },
+      $or: [{ lockedUntil: null }, { lockedUntil: { $lte: now } }]
+    },
+    { $set: { lockedUntil: new Date(now.getTime() + lockTtlMs), lockedBy: instanceId } },
+    { new: true }
+  ).lean();
+}
+
+/**
+ * runSchedule
+ * Enqueues the schedule's job, records the outcome, advances nextRunAt and
+ * releases the lock. Missed runs are not caught up: the next run is computed from now.
+ */
+async function runSchedule(schedule, { now, instanceId }) {
+  const { queue, buildJobData } = SCHEDULE_TYPES[schedule.type];
+  const updates = { lastRunAt: now };
+
+  try {
+    const job = await getQueue(queue).add({
+      ...buildJobData(schedule),
+      companyId: String(schedule.companyId),
+      scheduleId: String(schedule._id)
+    });
+    updates.lastJobId = String(job.id);
+    updates.lastError = null;
+  } catch (error) {
+    console.error(`[ScheduleService] Failed to run schedule ${schedule._id}:`, error);
+    updates.lastError = error.message;
+  }
+
+  try {
+    updates.nextRunAt = getNextRunDate(schedule.cron, schedule.timezone, now);
+  } catch (error) {
+    // The cron expression was validated on save, so this only happens on bad legacy data
+    updates.nextRunAt = null;
+    updates.enabled = false;
+    updates.lastError = `Invalid cron expression: ${error.message}`;
+  }
+
+  await Schedule.updateOne(
+    { _id: schedule._id, lockedBy: instanceId },
+    { $set: { ...updates, updatedAt: new Date() }, $unset: { lockedUntil: "", lockedBy: "" } }
+  );
+}
+
+/**
+ * validateSchedule
+ * Checks type, cron expression, timezone and type-specific params.
+ * Throws SCHEDULE_VALIDATION on the first problem.
+ */
+async function validateSchedule(schedule) {
+  if (!schedule.name) {
+    throw createValidationError("Missing required field: name.");
+  }
+  if (!SCHEDULE_TYPES[schedule.type]) {
+    throw createValidationError(
+      `Unknown schedule type "${schedule.type}". Allowed: ${Object.keys(SCHEDULE_TYPES).join(", ")}.`
+    );
+  }
+
+  if (!schedule.cron || schedule.cron.trim().split(/\s+/).length !== 5) {
+    throw createValidationError("cron must be a 5-field cron expression, e.g. \"0 */2 * * *\".");
+  }
+  try {
+    getNextRunDate(schedule.cron, schedule.timezone);
+  } catch (error) {
+    throw createValidationError(`Invalid cron expression or timezone: ${error.message}`);
+  }
+
+  const params = schedule.params || {};
+  if (schedule.type === "news-poll" && (!params.keywords || params.keywords.length === 0)) {
+    throw createValidationError("news-poll schedules require params.keywords.");
+  }
+  if (schedule.type === "metrics-collection" && params.campaignIds && params.campaignIds.length > 0) {
+    const owned = await Campaign.countDocuments({
+      _id: { $in: params.campaignIds },
+      companyId: schedule.companyId
+    });
+    if (owned !== params.campaignIds.length) {
+      throw createValidationError("params.campaignIds must all belong to this company.");
+    }
+  }
+}
+
+/**
+ * createValidationError
+ * @returns {Error} an Error tagged with code SCHEDULE_VALIDATION
+ */
+function createValidationError(message) {
+  const error = new Error(message);
+  error.code = "SCHEDULE_VALIDATION";
+  return error;
+}
+
+/**
+ * omitProtected
+ * Returns a copy of the input without fields clients may not set.
+ */
+function omitProtected(data) {
+  const copy = { ...data };
+  PROTECTED_FIELDS.forEach((field) => delete copy[field]);
+  return copy;
+}
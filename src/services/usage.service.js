@@ -0,0 +1,228 @@
+// src/services/usage.service.js
+
+/**
+ * Usage Service
+ *
+ * Records metered LLM calls, enforces each company's monthly AI budget
+ * (Company.aiQuota) and builds usage reports.
+ *
+ * Budgets run per calendar month (UTC) and can limit estimated cost, tokens,
+ * or both. Past the soft limit calls still go through but the report flags it;
+ * past the hard limit new calls are refused with AI_QUOTA_EXCEEDED.
+ */
+
+const mongoose = require("mongoose");
+const Usage = require("../models/usage.model");
+const Company = require("../models/company.model");
+
+const AI_QUOTA_EXCEEDED = "AI_QUOTA_EXCEEDED";
+
+// Longest range a single report may cover
+const MAX_REPORT_DAYS = 366;
+
+module.exports = {
+  AI_QUOTA_EXCEEDED,
+  recordUsage,
+  getQuotaStatus,
+  assertWithinQuota,
+  getUsageReport,
+  deleteAllUsage
+};
+
+/**
+ * recordUsage
+ * Stores one metered call.
+ * @param {Object} entry - { companyId, userId, agent, feature, kind, provider, model,
+ *   promptTokens, completionTokens, images, costUsd }
+ * @returns {Promise<Object>} the usage document
+ */
+async function recordUsage(entry) {
+  const promptTokens = entry.promptTokens || 0;
+  const completionTokens = entry.completionTokens || 0;
+
+  const usage = await new Usage({
+    ...entry,
+    promptTokens,
+    completionTokens,
+    totalTokens: promptTokens + completionTokens
+  }).save();
+  return usage;
+}
+
+/**
+ * getQuotaStatus
+ * Compares a company's usage this month with its AI budget.
+ * @param {String} companyId
+ * @param {Date} [now]
+ * @returns {Promise<Object>} { quota, month: { from, costUsd, tokens }, softLimitExceeded, hardLimitExceeded }
+ */
+async function getQuotaStatus(companyId, now = new Date()) {
+  const company = await Company.findById(companyId).select("aiQuota").lean();
+  const quota = (company && company.aiQuota) || {};
+
+  const from = monthStart(now);
+  const [totals] = await Usage.aggregate([
+    { $match: { companyId: new mongoose.Types.ObjectId(companyId), createdAt: { $gte: from } } },
+    { $group: { _id: null, costUsd: { $sum: "$costUsd" }, tokens: { $sum: "$totalTokens" } } }
+  ]);
+  const costUsd = totals ? totals.costUsd : 0;
+  const tokens = totals ? totals.tokens : 0;
+
+  return {
+    quota,
+    month: { from, costUsd: roundCost(costUsd), tokens },
+    softLimitExceeded: isOver(costUsd, quota.softLimitUsd) || isOver(tokens, quota.softLimitTokens),
+    hardLimitExceeded: isOver(costUsd, quota.hardLimitUsd) || isOver(tokens, quota.hardLimitTokens)
+  };
+}
+
+/**
+ * assertWithinQuota
+ * Called before each metered call. Logs a warning past the soft limit.
+ * @param {String} companyId
+ * @throws {Error} error.code === AI_QUOTA_EXCEEDED past the hard limit
+ */
+async function assertWithinQuota(companyId) {
+  const status = await getQuotaStatus(companyId);
+
+  if (status.hardLimitExceeded) {
+    const error = new Error("This company has reached its monthly AI usage limit.");
+    error.code = AI_QUOTA_EXCEEDED;
+    throw error;
+  }
+  if (status.softLimitExceeded) {
+    console.warn(`[UsageService] Company ${companyId} is over its soft AI usage limit this month.`);
+  }
+}
+
+/**
+ * getUsageReport
+ * Summarizes a company's usage over a date range, per agent and per day.
+ * @param {String} companyId
+ * @param {Object} [filters] - { from, to } dates, defaulting to the current month up to now;
+ *   { userId } to only count the calls one user caused
+ * @returns {Promise<Object>} { from, to, totals, byAgent: [...], byDay: [{ day, ..., agents: [...] }], quota }
+ *   where each entry has { calls, promptTokens, completionTokens, totalTokens, images, costUsd }.
+ *   quota is always the whole company's.
+ * @throws {Error} error.code === "USAGE_VALIDATION" for an invalid ID or range
+ */
+async function getUsageReport(companyId, { from, to, userId } = {}) {
+  if (!mongoose.isValidObjectId(companyId)) {
+    throw createValidationError("companyId must be a valid ID.");
+  }
+  if (userId !== undefined && !mongoose.isValidObjectId(userId)) {
+    throw createValidationError("'userId' must be a valid user ID.");
+  }
+
+  const now = new Date();
+  const start = from ? new Date(from) : monthStart(now);
+  const end = to ? new Date(to) : now;
+  if (Number.isNaN(start.getTime()) || Number.isNaN(end.getTime()) || start > end) {
+    throw createValidationError("'from' and 'to' must be valid dates, with 'from' before 'to'.");
+  }
+  if (end - start > MAX_REPORT_DAYS * 24 * 60 * 60 * 1000) {
+    throw createValidationError(`A report can cover at most ${MAX_REPORT_DAYS} days.`);
+  }
+
+  const match = { companyId: new mongoose.Types.ObjectId(companyId), createdAt: { $gte: start, $lte: end } };
+  if (userId !== undefined) {
+    match.userId = new mongoose.Types.ObjectId(userId);
+  }
+
+  const rows = await Usage.aggregate([
+    { $match: match },
+    {
+      $group: {
+        _id: {
+          day: { $dateToString: { format: "%Y-%m-%d", date: "$createdAt" } },
+          agent: "$agent"
+        },
+        calls: { $sum: 1 },
+        promptTokens: { $sum: "$promptTokens" },
+        completionTokens: { $sum: "$completionTokens" },
+        totalTokens: { $sum: "$totalTokens" },
+        images: { $sum: "$images" },
+        costUsd: { $sum: "$costUsd" }
+      }
+    },
+    { $sort: { "_id.day": 1, "_id.agent": 1 } }
+  ]);
+
+  const totals = emptyTotals();
+  const byAgent = new Map();
+  const byDay = new Map();
+  rows.forEach(({ _id: { day, agent }, ...row }) => {
+    addTotals(totals, row);
+    if (!byAgent.has(agent)) byAgent.set(agent, { agent, ...emptyTotals() });
+    addTotals(byAgent.get(agent), row);
+    if (!byDay.has(day)) byDay.set(day, { day, ...emptyTotals(), agents: [] });
+    addTotals(byDay.get(day), row);
+    byDay.get(day).agents.push({ agent, ...row, costUsd: roundCost(row.costUsd) });
+  });
+
+  return {
+    from: start,
+    to: end,
+    totals: { ...totals, costUsd: roundCost(totals.costUsd) },
+    byAgent: [...byAgent.values()].map((entry) => ({ ...entry, costUsd: roundCost(entry.costUsd) })),
+    byDay: [...byDay.values()].map((entry) => ({ ...entry, costUsd: roundCost(entry.costUsd) })),
+    quota: await getQuotaStatus(companyId, now)
+  };
+}
+
+/**
+ * deleteAllUsage
+ * Removes a company's usage records (used when the company is deleted).
+ * @param {String} companyId
+ * @returns {Promise<Number>} number of records removed
+ */
+async function deleteAllUsage(companyId) {
+  const result = await Usage.deleteMany({ companyId });
+  return result.deletedCount;
+}
+
+// -------------------- Internal Helpers -------------------- //
+
+/**
+ * monthStart
+ * First instant of the (UTC) calendar month containing a date.
+ */
+function monthStart(date) {
+  return new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), 1));
+}
+
+/**
+ * isOver
+ * True if a limit is set (a number) and the amount has reached it.
+ */
+function isOver(amount, limit) {
+  return typeof limit === "number" && amount >= limit;
+}
+
+function emptyTotals() {
+  return { calls: 0, promptTokens: 0, completionTokens: 0, totalTokens: 0, images: 0, costUsd: 0 };
+}
+
+function addTotals(target, row) {
+  Object.keys(emptyTotals()).forEach((key) => {
+    target[key] += row[key] || 0;
+  });
+}
+
+/**
+ * roundCost
+ * Rounds an estimated cost to a millionth of a dollar for display.
+ */
+function roundCost(costUsd) {
+  return Math.round(costUsd * 1e6) / 1e6;
+}
+
+/**
+ * createValidationError
+ * @returns {Error} an Error tagged with code USAGE_VALIDATION
+ */
+function createValidationError(message) {
+  const error = new Error(message);
+  error.code = "USAGE_VALIDATION";
+  return error;
+}
@@ -0,0 +1,72 @@
+// src/storage/drivers/local.driver.js
+
+/**
+ * Local storage driver
+ *
+ * Keeps files on the local filesystem under rootDir, one file per key
+ * (keys may contain "/" to form subdirectories). The app serves rootDir at
+ * /media (see app.js), so publicUrl + "/" + key is the file's URL.
+ */
+
+const fs = require("fs/promises");
+const path = require("path");
+
+/**
+ * createLocalDriver
+ * @param {Object} options
+ * @param {String} options.rootDir - directory to store files in (created on demand)
+ * @param {String} options.publicUrl - base URL the directory is served at, e.g. "/media"
+ * @returns {Object} driver { name, put, get, delete, url }
+ */
+function createLocalDriver({ rootDir, publicUrl }) {
+  const root = path.resolve(rootDir);
+
+  /**
+   * resolveKey
+   * Maps a key to a path inside root, refusing keys that would escape it.
+   */
+  function resolveKey(key) {
+    const filePath = path.resolve(root, key);
+    if (!filePath.startsWith(root + path.sep)) {
+      throw new Error(`[Storage] Invalid key "${key}".`);
+    }
+    return filePath;
+  }
+
+  async function put(key, buffer) {
+    const filePath = resolveKey(key);
+    await fs.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.writeFile(filePath, buffer);
+  }
+
+  async function get(key) {
+    try {
+      return await fs.readFile(resolveKey(key));
+    } catch (error) {
+      if (error.code === "ENOENT") {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  async function remove(key) {
+    try {
+      await fs.unlink(resolveKey(key));
+    } catch (error) {
+      if (error.code !== "ENOENT") {
+        throw error;
+      }
+    }
+  }
+
+  function url(key) {
+    return `${publicUrl.replace(/\/+$/, "")}/${key}`;
+  }
+
+  return { name: "local", put, get, delete: remove, url };
+}
+
+module.exports = {
+  createLocalDriver
+};
@@ -0,0 +1,97 @@
+// src/storage/drivers/s3.driver.js
+
+/**
+ * S3 storage driver
+ *
+ * Stores files in a bucket of any S3-compatible object store through the AWS
+ * SDK v3: AWS S3 itself, or MinIO as a local stand-in, e.g.
+ *
+ *   docker run -p 9000:9000 minio/minio server /data
+ *   STORAGE_DRIVER=s3 S3_ENDPOINT=http://127.0.0.1:9000 npm start
+ *
+ * The bucket is created on first use if it doesn't exist. File URLs are
+ * publicUrl + "/" + key, so the bucket (or a CDN in front of it) must allow
+ * public reads for them to load in a browser.
+ */
+
+const {
+  S3Client,
+  HeadBucketCommand,
+  CreateBucketCommand,
+  PutObjectCommand,
+  GetObjectCommand,
+  DeleteObjectCommand
+} = require("@aws-sdk/client-s3");
+
+/**
+ * createS3Driver
+ * @param {Object} options
+ * @param {String} options.endpoint - e.g. "http://127.0.0.1:9000" for MinIO
+ * @param {String} options.region
+ * @param {String} options.bucket
+ * @param {String} options.accessKeyId
+ * @param {String} options.secretAccessKey
+ * @param {Boolean} [options.forcePathStyle] - endpoint/bucket/key URLs (needed for MinIO)
+ * @param {String} options.publicUrl - base URL of the bucket's files
+ * @returns {Object} driver { name, put, get, delete, url }
+ */
+function createS3Driver({ endpoint, region, bucket, accessKeyId, secretAccessKey, forcePathStyle = true, publicUrl }) {
+  const client = new S3Client({
+    endpoint,
+    region,
+    forcePathStyle,
+    credentials: { accessKeyId, secretAccessKey }
+  });
+
+  // Resolves once the bucket is known to exist
+  let bucketReady = null;
+
+  function ensureBucket() {
+    if (!bucketReady) {
+      bucketReady = client.send(new HeadBucketCommand({ Bucket: bucket })).catch(async (error) => {
+        if (error.$metadata && error.$metadata.httpStatusCode === 404) {
+          await client.send(new CreateBucketCommand({ Bucket: bucket }));
+          return;
+        }
+        throw error;
+      });
+      // Let a failed check (e.g. the store was down) be retried on the next call
+      bucketReady.catch(() => {
+        bucketReady = null;
+      });
+    }
+    return bucketReady;
+  }
+
+  async function put(key, buffer, { contentType } = {}) {
+    await ensureBucket();
+    await client.send(new PutObjectCommand({ Bucket: bucket, Key: key, Body: buffer, ContentType: contentType }));
+  }
+
+  async function get(key) {
+    try {
+      const { Body } = await client.send(new GetObjectCommand({ Bucket: bucket, Key: key }));
+      return Buffer.from(await Body.transformToByteArray());
+    } catch (error) {
+      if (error.name === "NoSuchKey") {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  async function remove(key) {
+    // S3 deletes are idempotent: a missing key is not an error
+    await client.send(new DeleteObjectCommand({ Bucket: bucket, Key: key }));
+  }
+
+  function url(key) {
+    return `${publicUrl.replace(/\/+$/, "")}/${key}`;
+  }
+
+  return { name: "s3", put, get, delete: remove, url };
+}
+
+module.exports = {
+  createS3Driver
+};
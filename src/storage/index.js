@@ -0,0 +1,71 @@
+// src/storage/index.js
+
+/**
+ * Storage layer
+ *
+ * One interface for storing media files, so the asset library never talks to
+ * the filesystem or an object store directly:
+ *
+ *   const storage = getStorage();
+ *   await storage.put("company/asset.png", buffer, { contentType: "image/png" });
+ *   const buffer = await storage.get("company/asset.png"); // null if missing
+ *   const url = storage.url("company/asset.png");
+ *   await storage.delete("company/asset.png");
+ *
+ * Drivers:
+ *   - "local": files under STORAGE_LOCAL_DIR, served by the app at /media (default)
+ *   - "s3":    any S3-compatible object store, e.g. AWS S3 or a local MinIO (S3_* settings)
+ *
+ * Assets record the driver that stored them, so switching STORAGE_DRIVER
+ * doesn't break files stored earlier.
+ */
+
+const config = require("../config");
+const { createLocalDriver } = require("./drivers/local.driver");
+const { createS3Driver } = require("./drivers/s3.driver");
+
+const DRIVERS = ["local", "s3"];
+
+// Drivers are created once per name
+const drivers = new Map();
+
+/**
+ * getStorage
+ * Returns a storage driver (default from config).
+ * @param {String} [name] - "local" or "s3"
+ * @returns {Object} driver { name, put, get, delete, url }
+ */
+function getStorage(name = config.storageDriver) {
+  if (!DRIVERS.includes(name)) {
+    throw new Error(`[Storage] Unknown driver "${name}". Allowed: ${DRIVERS.join(", ")}.`);
+  }
+
+  if (!drivers.has(name)) {
+    drivers.set(name, createDriver(name));
+  }
+  return drivers.get(name);
+}
+
+// -------------------- Internal Helpers -------------------- //
+
+/**
+ * createDriver
+ * Builds the driver implementation for a driver name.
+ */
+function createDriver(name) {
+  if (name === "s3") {
+    return createS3Driver({
+      ...config.s3,
+      publicUrl: config.storagePublicUrl || `${config.s3.endpoint.replace(/\/+$/, "")}/${config.s3.bucket}`
+    });
+  }
+  return createLocalDriver({
+    rootDir: config.storageLocalDir,
+    publicUrl: config.storagePublicUrl || "/media"
+  });
+}
+
+module.exports = {
+  DRIVERS,
+  getStorage
+};
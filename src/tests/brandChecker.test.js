@@ -0,0 +1,91 @@
+// src/tests/brandChecker.test.js
+
+/**
+ * Brand checker tests (utils/brandChecker.js): rule violations, scoring and
+ * the prompt rules built from a company's brand guidelines.
+ */
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { checkBrandCompliance, describeBrandRules } = require("../utils/brandChecker");
+
+const guidelines = {
+  bannedWords: ["cheap", "best ever"],
+  requiredDisclaimers: ["Terms apply."],
+  preferredTerms: [{ term: "sign up", avoid: ["register", "enroll"] }]
+};
+
+test("compliant text scores 100 and passes", () => {
+  const result = checkBrandCompliance("Sign up for the spring sale today. Terms apply.", guidelines);
+  assert.deepEqual(result, { score: 100, passed: true, violations: [] });
+});
+
+test("a banned word is an error, matched case-insensitively as a whole word", () => {
+  const result = checkBrandCompliance("CHEAP flights for everyone. Terms apply.", guidelines);
+  assert.equal(result.passed, false);
+  assert.equal(result.score, 75);
+  assert.deepEqual(result.violations, [
+    { rule: "bannedWord", severity: "error", message: "Uses the banned word \"cheap\"." }
+  ]);
+
+  // "cheaper" and "cheapest" aren't "cheap"
+  assert.equal(checkBrandCompliance("Cheaper than ever. Terms apply.", guidelines).passed, true);
+});
+
+test("banned phrases match across any whitespace", () => {
+  const result = checkBrandCompliance("Our best\never collection. Terms apply.", guidelines);
+  assert.deepEqual(result.violations.map((violation) => violation.rule), ["bannedWord"]);
+});
+
+test("a missing disclaimer is an error; its case and spacing don't matter", () => {
+  const missing = checkBrandCompliance("Spring sale starts now.", guidelines);
+  assert.equal(missing.passed, false);
+  assert.equal(missing.score, 80);
+  assert.equal(missing.violations[0].message, "Missing the required disclaimer: \"Terms apply.\"");
+
+  assert.equal(checkBrandCompliance("Spring sale starts now. terms   APPLY.", guidelines).passed, true);
+});
+
+test("a term to avoid is a warning: the check still passes", () => {
+  const result = checkBrandCompliance("Register or enroll today. Terms apply.", guidelines);
+  assert.equal(result.passed, true);
+  assert.equal(result.score, 80);
+  assert.deepEqual(result.violations.map((violation) => violation.message), [
+    "Say \"sign up\" instead of \"register\".",
+    "Say \"sign up\" instead of \"enroll\"."
+  ]);
+});
+
+test("penalties add up and the score doesn't go below 0", () => {
+  const strict = {
+    bannedWords: ["a", "b", "c", "d", "e"],
+    requiredDisclaimers: ["Terms apply."]
+  };
+  const result = checkBrandCompliance("a b c d e", strict);
+  assert.equal(result.violations.length, 6);
+  assert.equal(result.score, 0);
+});
+
+test("empty text and missing guidelines have nothing to check", () => {
+  assert.deepEqual(checkBrandCompliance("", guidelines), { score: 100, passed: true, violations: [] });
+  assert.deepEqual(checkBrandCompliance("Anything goes", undefined), { score: 100, passed: true, violations: [] });
+  assert.deepEqual(checkBrandCompliance("Anything goes", null), { score: 100, passed: true, violations: [] });
+});
+
+test("describeBrandRules turns the guidelines into prompt lines", () => {
+  const lines = describeBrandRules({
+    ...guidelines,
+    preferredTerms: [...guidelines.preferredTerms, { term: "team", avoid: [] }],
+    examplePosts: ["One", "Two", "Three", "Four"]
+  });
+  assert.deepEqual(lines, [
+    "Never use these words: cheap, best ever.",
+    "Always include this disclaimer verbatim: \"Terms apply.\"",
+    "Say \"sign up\", not \"register\" or \"enroll\".",
+    "On-brand example posts (match their voice, don't copy them):",
+    "- One",
+    "- Two",
+    "- Three"
+  ]);
+  assert.deepEqual(describeBrandRules(undefined), []);
+});
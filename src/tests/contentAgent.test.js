@@ -0,0 +1,61 @@
+// src/tests/contentAgent.test.js
+
+/**
+ * ContentAgent tests on the mock LLM provider, which is what runs without an
+ * API key: generated posts and ad copy must meet their platform's rules.
+ */
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const contentAgent = require("../agents/contentAgent");
+const { getLLMClient } = require("../llm");
+const { queueMockResponse, clearMockResponses } = require("../llm/providers/mock.provider");
+const { validateAdCopy } = require("../utils/platformValidator");
+
+const quiet = { info() {}, warn() {}, error() {}, debug() {} };
+contentAgent.init({ logger: quiet });
+
+const llm = getLLMClient({ provider: "mock" });
+
+test.afterEach(() => clearMockResponses());
+
+test("createAdCopy gets valid GoogleAds copy from the mock provider", async () => {
+  const adCopy = await contentAgent.createAdCopy({ productName: "Trail Runner 2", tone: "confident", llm });
+
+  assert.ok(adCopy.headlines.length >= 3);
+  assert.ok(adCopy.descriptions.length >= 2);
+  assert.equal(validateAdCopy(adCopy).valid, true);
+});
+
+test("createAdCopy repairs scripted copy it can fix and rejects copy it can't", async () => {
+  queueMockResponse({
+    headlines: ["Run Farther Today!", "Trail Runner 2 Is Here", "Built For Every Trail Surface Ever Made"],
+    descriptions: ["Grip that holds on wet rock.", "Free returns for 60 days, see www.example.com"]
+  });
+  const adCopy = await contentAgent.createAdCopy({ productName: "Trail Runner 2", llm });
+  assert.equal(adCopy.headlines[0], "Run Farther Today");
+  assert.ok(adCopy.headlines.every((headline) => headline.length <= 30));
+  assert.ok(!adCopy.descriptions[1].includes("www."));
+
+  queueMockResponse({ headlines: ["Only one"], descriptions: [] });
+  await assert.rejects(
+    contentAgent.createAdCopy({ productName: "Trail Runner 2", llm }),
+    (error) => error.code === "PLATFORM_VIOLATION" && error.violations.length === 2
+  );
+});
+
+test("createVariants makes distinct GoogleAds variants offline", async () => {
+  const variants = await contentAgent.createVariants(
+    { productName: "Trail Runner 2", platform: "GoogleAds", llm },
+    { count: 2, axis: "hook" }
+  );
+
+  assert.deepEqual(variants.map((variant) => variant.label), ["A", "B"]);
+  variants.forEach((variant) => assert.equal(validateAdCopy(variant.adCopy).valid, true));
+  assert.notDeepEqual(variants[0].adCopy, variants[1].adCopy);
+});
+
+test("createSocialPost from the mock provider fits the platform", async () => {
+  const text = await contentAgent.createSocialPost({ productName: "Trail Runner 2", platform: "Twitter", llm });
+  assert.ok(text.length > 0 && text.length <= 280);
+});
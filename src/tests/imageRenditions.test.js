@@ -0,0 +1,104 @@
+// src/tests/imageRenditions.test.js
+
+/**
+ * Image rendition tests (utils/imageRenditions.js): output sizes, formats and
+ * the crop modes, on small images generated with sharp.
+ */
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const sharp = require("sharp");
+const { renderRendition } = require("../utils/imageRenditions");
+
+/**
+ * stripes
+ * A width x height image whose left half is red and right half blue.
+ */
+async function stripes(width, height, format = "png") {
+  const half = Math.floor(width / 2);
+  const image = sharp({ create: { width, height, channels: 3, background: "#ff0000" } })
+    .composite([{
+      input: { create: { width: width - half, height, channels: 3, background: "#0000ff" } },
+      left: half,
+      top: 0
+    }]);
+  return format === "png" ? image.png().toBuffer() : image.jpeg().toBuffer();
+}
+
+// The [r, g, b] of the pixel at (x, y)
+async function pixel(buffer, x, y) {
+  const { data, info } = await sharp(buffer).removeAlpha().raw().toBuffer({ resolveWithObject: true });
+  const offset = (y * info.width + x) * info.channels;
+  return [data[offset], data[offset + 1], data[offset + 2]];
+}
+
+const isRed = ([r, g, b]) => r > 200 && g < 60 && b < 60;
+const isBlue = ([r, g, b]) => b > 200 && r < 60 && g < 60;
+
+test("renders the exact size of each platform rendition", async () => {
+  const original = await stripes(400, 300, "jpeg");
+  for (const size of [{ width: 120, height: 63 }, { width: 108, height: 108 }, { width: 108, height: 135 }, { width: 32, height: 5 }]) {
+    const rendition = await renderRendition(original, size);
+    const metadata = await sharp(rendition.buffer).metadata();
+    assert.deepEqual([metadata.width, metadata.height], [size.width, size.height]);
+    assert.deepEqual([rendition.width, rendition.height], [size.width, size.height]);
+    assert.equal(rendition.upscaled, false);
+  }
+});
+
+test("PNGs stay PNGs; everything else becomes JPEG", async () => {
+  const png = await renderRendition(await stripes(200, 200), { width: 50, height: 50 });
+  assert.equal(png.mimeType, "image/png");
+  assert.equal(png.extension, "png");
+  assert.equal((await sharp(png.buffer).metadata()).format, "png");
+
+  const jpeg = await renderRendition(await stripes(200, 200, "jpeg"), { width: 50, height: 50 });
+  assert.equal(jpeg.mimeType, "image/jpeg");
+  assert.equal(jpeg.extension, "jpg");
+  assert.equal((await sharp(jpeg.buffer).metadata()).format, "jpeg");
+});
+
+test("flags renditions larger than the original as upscaled", async () => {
+  const rendition = await renderRendition(await stripes(100, 100), { width: 120, height: 63 });
+  assert.equal(rendition.upscaled, true);
+  assert.deepEqual([rendition.width, rendition.height], [120, 63]);
+});
+
+test("center crop keeps the middle of a wide image", async () => {
+  // 400x100 cropped to a square: the middle 100px straddles the red/blue edge
+  const rendition = await renderRendition(await stripes(400, 100), { width: 100, height: 100 }, { mode: "center" });
+  assert.ok(isRed(await pixel(rendition.buffer, 5, 50)));
+  assert.ok(isBlue(await pixel(rendition.buffer, 94, 50)));
+});
+
+test("focal crop keeps the area around the focal point", async () => {
+  const original = await stripes(400, 100);
+
+  const left = await renderRendition(original, { width: 100, height: 100 }, { mode: "focal", focalPoint: { x: 0.1, y: 0.5 } });
+  assert.ok(isRed(await pixel(left.buffer, 5, 50)));
+  assert.ok(isRed(await pixel(left.buffer, 94, 50)));
+
+  const right = await renderRendition(original, { width: 100, height: 100 }, { mode: "focal", focalPoint: { x: 0.9, y: 0.5 } });
+  assert.ok(isBlue(await pixel(right.buffer, 5, 50)));
+  assert.ok(isBlue(await pixel(right.buffer, 94, 50)));
+
+  // A focal point at the edge is clamped so the crop stays inside the image
+  const edge = await renderRendition(original, { width: 100, height: 100 }, { mode: "focal", focalPoint: { x: 1, y: 1 } });
+  assert.deepEqual([edge.width, edge.height], [100, 100]);
+  assert.ok(isBlue(await pixel(edge.buffer, 0, 0)));
+});
+
+test("smart crop renders the requested size", async () => {
+  const rendition = await renderRendition(await stripes(300, 200, "jpeg"), { width: 64, height: 128 }, { mode: "smart" });
+  const metadata = await sharp(rendition.buffer).metadata();
+  assert.deepEqual([metadata.width, metadata.height], [64, 128]);
+});
+
+test("applies the EXIF orientation before sizing", async () => {
+  // A 200x100 image stored with orientation 6 (rotated 90°) is 100x200 as displayed
+  const rotated = await sharp(await stripes(200, 100, "jpeg")).withMetadata({ orientation: 6 }).jpeg().toBuffer();
+  const rendition = await renderRendition(rotated, { width: 100, height: 200 });
+  assert.equal(rendition.upscaled, false);
+  const metadata = await sharp(rendition.buffer).metadata();
+  assert.deepEqual([metadata.width, metadata.height], [100, 200]);
+});
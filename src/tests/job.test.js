@@ -0,0 +1,166 @@
+// src/tests/job.test.js
+
+/**
+ * Job queue tests on the in-memory queue driver (no Redis): the worker's
+ * hand-off to the dead-letter queue, and tenant and role checks on the /jobs
+ * API. Memberships are stubbed, so no database is needed either.
+ */
+
+process.env.QUEUE_DRIVER = "memory";
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const express = require("express");
+const mongoose = require("mongoose");
+const Membership = require("../models/membership.model");
+const jobRoutes = require("../routes/job.routes");
+const { QUEUE_NAMES, DEAD_LETTER_QUEUE, getQueue, closeQueues } = require("../queues/bull.config");
+const { startWorkers } = require("../queues/worker");
+
+const userId = new mongoose.Types.ObjectId().toString();
+const companyA = new mongoose.Types.ObjectId().toString(); // the user is a marketer here
+const companyB = new mongoose.Types.ObjectId().toString(); // ... a viewer here
+const companyC = new mongoose.Types.ObjectId().toString(); // ... and not a member here
+
+const memberships = [
+  { companyId: companyA, userId, role: "marketer", status: "active" },
+  { companyId: companyB, userId, role: "viewer", status: "active" }
+];
+
+// tenantGuard and the job service only read memberships with findOne/find(...).select().lean()
+Membership.findOne = (query) => ({
+  lean: async () => memberships.find(
+    (membership) => membership.companyId === String(query.companyId) && membership.userId === String(query.userId)
+  ) || null
+});
+Membership.find = (query) => {
+  const found = memberships.filter((membership) => membership.userId === String(query.userId));
+  return { select: () => ({ lean: async () => found }) };
+};
+
+let baseUrl;
+let server;
+
+test.before(async () => {
+  const app = express();
+  app.use(express.json());
+  // Stands in for authMiddleware: a global "marketer", whatever their role in each company
+  app.use((req, res, next) => {
+    req.user = { userId, role: req.get("x-test-role") || "marketer" };
+    next();
+  });
+  app.use(jobRoutes);
+
+  server = app.listen(0);
+  await new Promise((resolve) => server.once("listening", resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+test.after(async () => {
+  server.close();
+  await closeQueues();
+});
+
+/**
+ * waitForJob
+ * Polls a queue until it has a job, for hand-offs that happen in event listeners.
+ */
+async function waitForJob(queue, timeoutMs = 2000) {
+  const deadline = Date.now() + timeoutMs;
+  while (Date.now() < deadline) {
+    const [job] = await queue.getJobs([]);
+    if (job) {
+      return job;
+    }
+    await new Promise((resolve) => setTimeout(resolve, 10));
+  }
+  throw new Error(`No job arrived on ${queue.name} within ${timeoutMs}ms.`);
+}
+
+async function request(method, path, { body, role } = {}) {
+  const headers = { "content-type": "application/json" };
+  if (role) {
+    headers["x-test-role"] = role;
+  }
+  const response = await fetch(`${baseUrl}${path}`, {
+    method,
+    headers,
+    body: body ? JSON.stringify(body) : undefined
+  });
+  return { status: response.status, body: await response.json() };
+}
+
+test("lists only jobs of companies the caller belongs to", async () => {
+  // Delayed, so they're still there when the workers start in a later test
+  const queue = getQueue(QUEUE_NAMES.analytics);
+  await queue.add({ companyId: companyA }, { delay: 60000 });
+  await queue.add({ companyId: companyB }, { delay: 60000 });
+  await queue.add({ companyId: companyC }, { delay: 60000 });
+
+  const { status, body } = await request("GET", "/jobs/analytics");
+  assert.equal(status, 200);
+  assert.deepEqual(body.data.map((job) => job.data.companyId).sort(), [companyA, companyB].sort());
+
+  const filtered = await request("GET", `/jobs/analytics?companyId=${companyB}`);
+  assert.deepEqual(filtered.body.data.map((job) => job.data.companyId), [companyB]);
+
+  const other = await request("GET", `/jobs/analytics?companyId=${companyC}`);
+  assert.equal(other.status, 403);
+
+  const admin = await request("GET", "/jobs/analytics", { role: "admin" });
+  assert.equal(admin.body.data.length, 3);
+});
+
+test("checks the caller's role in the job's company, not their global role", async () => {
+  const enqueued = await request("POST", "/jobs/analytics", { body: { companyId: companyA, data: { campaignId: "x" }, options: { delay: 60000 } } });
+  assert.equal(enqueued.status, 201);
+  assert.equal(enqueued.body.data.data.companyId, companyA);
+  assert.equal(enqueued.body.data.data.requestedByUserId, userId);
+
+  // A viewer in company B can't spend B's budget, even as a global marketer
+  const asViewer = await request("POST", "/jobs/analytics", { body: { companyId: companyB } });
+  assert.equal(asViewer.status, 403);
+  assert.match(asViewer.body.message, /job:create/);
+
+  const notMember = await request("POST", "/jobs/analytics", { body: { companyId: companyC } });
+  assert.equal(notMember.status, 403);
+
+  const jobB = await getQueue(QUEUE_NAMES.analytics).add({ companyId: companyB }, { delay: 60000 });
+  assert.equal((await request("GET", `/jobs/analytics/${jobB.id}`)).status, 200);
+  assert.equal((await request("DELETE", `/jobs/analytics/${jobB.id}`)).status, 403);
+  assert.equal((await request("POST", `/jobs/analytics/${jobB.id}/retry`)).status, 403);
+  assert.ok(await getQueue(QUEUE_NAMES.analytics).getJob(jobB.id));
+
+  const cancelled = await request("DELETE", `/jobs/analytics/${enqueued.body.data.id}`);
+  assert.equal(cancelled.status, 200);
+});
+
+test("moves a job that failed every attempt to the dead-letter queue, and retries it from there", async () => {
+  startWorkers();
+  const newsQueue = getQueue(QUEUE_NAMES.news);
+  const deadLetterQueue = getQueue(DEAD_LETTER_QUEUE);
+
+  const failures = [];
+  newsQueue.on("failed", (job) => failures.push(job.attemptsMade));
+
+  // newsJob rejects an empty keyword list, so every attempt fails
+  const job = await newsQueue.add({ companyId: companyA, keywords: [] }, { attempts: 2, backoff: 10 });
+  const entry = await waitForJob(deadLetterQueue);
+
+  assert.deepEqual(failures, [1, 2]);
+  assert.equal(await job.getState(), "failed");
+  assert.equal(entry.data.queue, QUEUE_NAMES.news);
+  assert.equal(entry.data.jobId, job.id);
+  assert.equal(entry.data.companyId, companyA);
+  assert.match(entry.data.failedReason, /keywords/);
+
+  const listed = await request("GET", "/jobs/dead-letter");
+  assert.deepEqual(listed.body.data.map((dead) => dead.id), [entry.id]);
+
+  // Retrying a dead-letter entry re-enqueues its data on the original queue
+  const retried = await request("POST", `/jobs/dead-letter/${entry.id}/retry`);
+  assert.equal(retried.status, 200);
+  assert.equal(retried.body.data.queue, QUEUE_NAMES.news);
+  assert.deepEqual(retried.body.data.data.keywords, []);
+  assert.equal(await deadLetterQueue.getJob(entry.id), null);
+});
@@ -0,0 +1,155 @@
+// src/tests/memoryQueue.test.js
+
+/**
+ * MemoryQueue tests: attempts and backoff, manual retry, and pruning of
+ * finished jobs (removeOnComplete/removeOnFail), run with `npm test`.
+ */
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const MemoryQueue = require("../queues/memoryQueue");
+
+/**
+ * waitFor
+ * Resolves with the event's arguments the first time `predicate` accepts them.
+ */
+function waitFor(queue, event, predicate = () => true) {
+  return new Promise((resolve) => {
+    const listener = (...args) => {
+      if (predicate(...args)) {
+        queue.removeListener(event, listener);
+        resolve(args);
+      }
+    };
+    queue.on(event, listener);
+  });
+}
+
+test("retries a failing job with exponential backoff until it succeeds", async (t) => {
+  const queue = new MemoryQueue("test");
+  t.after(() => queue.close());
+
+  const startedAt = [];
+  queue.process(async (job) => {
+    startedAt.push(Date.now());
+    if (job.attemptsMade < 2) {
+      throw new Error(`attempt ${job.attemptsMade + 1} failed`);
+    }
+    return "done";
+  });
+
+  const job = await queue.add({ companyId: "c1" }, { attempts: 3, backoff: { type: "exponential", delay: 40 } });
+  const [, firstError] = await waitFor(queue, "failed");
+  assert.equal(firstError.message, "attempt 1 failed");
+  assert.equal(await job.getState(), "delayed");
+
+  const [completed, result] = await waitFor(queue, "completed");
+  assert.equal(completed.id, job.id);
+  assert.equal(result, "done");
+  assert.equal(job.attemptsMade, 2);
+  assert.equal(job.failedReason, "attempt 2 failed");
+
+  // 40ms before the second attempt, 80ms before the third
+  assert.equal(startedAt.length, 3);
+  assert.ok(startedAt[1] - startedAt[0] >= 35, `first backoff was ${startedAt[1] - startedAt[0]}ms`);
+  assert.ok(startedAt[2] - startedAt[1] >= 75, `second backoff was ${startedAt[2] - startedAt[1]}ms`);
+});
+
+test("uses a number as a fixed backoff", async (t) => {
+  const queue = new MemoryQueue("test");
+  t.after(() => queue.close());
+
+  const startedAt = [];
+  queue.process(async () => {
+    startedAt.push(Date.now());
+    throw new Error("always fails");
+  });
+
+  await queue.add({}, { attempts: 3, backoff: 30 });
+  await waitFor(queue, "failed", (job) => job.attemptsMade === 3);
+
+  assert.ok(startedAt[1] - startedAt[0] >= 25);
+  assert.ok(startedAt[2] - startedAt[1] >= 25);
+});
+
+test("marks a job failed after its last attempt and lets it be retried", async (t) => {
+  const queue = new MemoryQueue("test");
+  t.after(() => queue.close());
+
+  let shouldFail = true;
+  queue.process(async () => {
+    if (shouldFail) {
+      throw new Error("boom");
+    }
+    return 42;
+  });
+
+  const job = await queue.add({}, { attempts: 2 });
+  const failures = [];
+  queue.on("failed", (failed) => failures.push(failed.attemptsMade));
+  await waitFor(queue, "failed", (failed) => failed.attemptsMade === 2);
+
+  assert.deepEqual(failures, [1, 2]);
+  assert.equal(await job.getState(), "failed");
+  assert.equal(job.failedReason, "boom");
+  assert.ok(job.finishedOn);
+  assert.deepEqual(await queue.getJobCounts(), { waiting: 0, active: 0, completed: 0, failed: 1, delayed: 0, paused: 0 });
+
+  shouldFail = false;
+  await job.retry();
+  const [, result] = await waitFor(queue, "completed");
+  assert.equal(result, 42);
+  assert.equal(await job.getState(), "completed");
+  await assert.rejects(job.retry(), /not in the failed state/);
+});
+
+test("removeOnComplete keeps only the most recent completed jobs", async (t) => {
+  const queue = new MemoryQueue("test", { defaultJobOptions: { removeOnComplete: 2 } });
+  t.after(() => queue.close());
+  queue.process(async (job) => job.data.n);
+
+  const jobs = [];
+  for (let n = 1; n <= 4; n++) {
+    jobs.push(await queue.add({ n }));
+  }
+  await waitFor(queue, "completed", (job) => job.data.n === 4);
+
+  const remaining = await queue.getJobs(["completed"]);
+  assert.deepEqual(remaining.map((job) => job.data.n).sort(), [3, 4]);
+  assert.equal(await queue.getJob(jobs[0].id), null);
+});
+
+test("removeOnComplete: true and removeOnFail: true drop finished jobs", async (t) => {
+  const queue = new MemoryQueue("test", { defaultJobOptions: { removeOnComplete: true, removeOnFail: true } });
+  t.after(() => queue.close());
+  queue.process(async (job) => {
+    if (job.data.fail) {
+      throw new Error("boom");
+    }
+    return "ok";
+  });
+
+  const done = await queue.add({ fail: false });
+  await waitFor(queue, "completed");
+  const failed = await queue.add({ fail: true });
+  await waitFor(queue, "failed");
+
+  assert.equal(await queue.getJob(done.id), null);
+  assert.equal(await queue.getJob(failed.id), null);
+});
+
+test("a job being retried isn't pruned as failed", async (t) => {
+  const queue = new MemoryQueue("test", { defaultJobOptions: { removeOnFail: true } });
+  t.after(() => queue.close());
+  queue.process(async (job) => {
+    if (job.attemptsMade === 0) {
+      throw new Error("first attempt fails");
+    }
+    return "ok";
+  });
+
+  const job = await queue.add({}, { attempts: 2 });
+  await waitFor(queue, "completed");
+  assert.equal(await job.getState(), "completed");
+  assert.ok(await queue.getJob(job.id));
+});
@@ -0,0 +1,63 @@
+// src/tests/mentions.test.js
+
+/**
+ * @mention parsing tests (utils/mentions.js), as used by content comments.
+ */
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { extractMentions, formatMentions } = require("../utils/mentions");
+
+const JANE = "64b7f0c2e4a1b2c3d4e5f601";
+const OMAR = "64b7f0c2e4a1b2c3d4e5f602";
+
+test("finds picker mentions by user ID", () => {
+  const { userIds, emails } = extractMentions(`@[Jane Doe](${JANE}) and @[Omar](${OMAR}), can you check this?`);
+  assert.deepEqual(userIds, [JANE, OMAR]);
+  assert.deepEqual(emails, []);
+});
+
+test("finds typed mentions by email, lowercased", () => {
+  const { userIds, emails } = extractMentions("Ping @Jane.Doe@Example.com and @omar+review@example.co.uk.");
+  assert.deepEqual(userIds, []);
+  assert.deepEqual(emails, ["jane.doe@example.com", "omar+review@example.co.uk"]);
+});
+
+test("drops duplicates", () => {
+  const { userIds, emails } = extractMentions(
+    `@[Jane](${JANE}) @[Jane Doe](${JANE.toUpperCase()}) @jane@example.com @JANE@example.com`
+  );
+  assert.deepEqual(userIds, [JANE]);
+  assert.deepEqual(emails, ["jane@example.com"]);
+});
+
+test("ignores plain email addresses and malformed mentions", () => {
+  const { userIds, emails } = extractMentions(
+    "Write to jane@example.com, not a@b@example.com. @[Jane](not-an-id) @[](64b7f0c2e4a1b2c3d4e5f601x) @nobody"
+  );
+  assert.deepEqual(userIds, []);
+  assert.deepEqual(emails, []);
+});
+
+test("doesn't read an email mention inside a picker label", () => {
+  const { userIds, emails } = extractMentions(`@[@jane@example.com](${JANE})`);
+  assert.deepEqual(userIds, [JANE]);
+  assert.deepEqual(emails, []);
+});
+
+test("a mention can start the text or a line", () => {
+  const { emails } = extractMentions("@jane@example.com\n@omar@example.com");
+  assert.deepEqual(emails, ["jane@example.com", "omar@example.com"]);
+});
+
+test("handles empty text", () => {
+  assert.deepEqual(extractMentions(undefined), { userIds: [], emails: [] });
+  assert.equal(formatMentions(null), "");
+});
+
+test("formatMentions shows picker mentions by their label", () => {
+  assert.equal(
+    formatMentions(`Thanks @[Jane Doe](${JANE}), cc @omar@example.com`),
+    "Thanks @Jane Doe, cc @omar@example.com"
+  );
+});
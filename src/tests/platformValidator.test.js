@@ -0,0 +1,129 @@
+// src/tests/platformValidator.test.js
+
+/**
+ * Platform validator tests: each platform's limits from config/platformSpecs.js,
+ * checked as-is and repaired with { fix: true }.
+ */
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { validatePost, validateAdCopy, createViolationError } = require("../utils/platformValidator");
+const { PLATFORM_SPECS } = require("../config/platformSpecs");
+
+const words = (count) => Array.from({ length: count }, (_, index) => `word${index}`).join(" ");
+
+test("Twitter counts every link as 23 characters", () => {
+  const url = `https://example.com/${"a".repeat(100)}`;
+  const text = `${"x".repeat(250)} ${url}`; // 250 + 1 + 23 = 274
+  assert.equal(validatePost("Twitter", text).valid, true);
+
+  const tooLong = `${"x".repeat(260)} ${url}`;
+  const { valid, violations } = validatePost("Twitter", tooLong);
+  assert.equal(valid, false);
+  assert.deepEqual(violations, ["Twitter posts are limited to 280 characters."]);
+});
+
+test("Twitter allows at most 2 hashtags and drops the rest when fixing", () => {
+  const text = "New shoes are here #run #trail #shoes";
+  assert.deepEqual(validatePost("Twitter", text).violations, ["Twitter posts allow at most 2 hashtags."]);
+
+  const fixed = validatePost("Twitter", text, { fix: true });
+  assert.equal(fixed.valid, true);
+  assert.equal(fixed.text, "New shoes are here #run #trail");
+  assert.deepEqual(fixed.fixes, ["Twitter posts allow at most 2 hashtags."]);
+});
+
+test("Instagram captions can't contain links", () => {
+  const text = "Shop now at https://example.com/spring #spring";
+  assert.deepEqual(validatePost("Instagram", text).violations, ["Instagram posts can't contain links."]);
+
+  const fixed = validatePost("Instagram", text, { fix: true });
+  assert.equal(fixed.text, "Shop now at #spring");
+  assert.equal(fixed.valid, true);
+});
+
+test("Instagram allows 30 hashtags and 2200 characters", () => {
+  const tags = Array.from({ length: 30 }, (_, index) => `#tag${index}`).join(" ");
+  assert.equal(validatePost("Instagram", `Spring is here ${tags}`).valid, true);
+  assert.equal(validatePost("Instagram", `Spring is here ${tags} #onemore`).valid, false);
+  assert.equal(validatePost("Instagram", "x".repeat(2201)).valid, false);
+});
+
+test("LinkedIn posts are limited to 3000 characters and shortened at a word boundary", () => {
+  const text = words(500); // well over 3000 characters, no sentence ends
+  assert.deepEqual(validatePost("LinkedIn", text).violations, ["LinkedIn posts are limited to 3000 characters."]);
+
+  const fixed = validatePost("LinkedIn", text, { fix: true });
+  assert.ok([...fixed.text].length <= 3000);
+  assert.ok(fixed.text.endsWith("…"));
+  assert.match(fixed.text, /word\d+…$/);
+});
+
+test("shortening prefers the last whole sentence", () => {
+  const text = `${"Short sentence here. ".repeat(20)}${"x".repeat(300)}`;
+  const fixed = validatePost("Twitter", text, { fix: true });
+  assert.ok(fixed.text.endsWith("."));
+  assert.ok(fixed.text.length <= 280);
+});
+
+test("Facebook allows 3 hashtags and long posts", () => {
+  assert.equal(validatePost("Facebook", `${"x".repeat(5000)} #a #b #c`).valid, true);
+  assert.deepEqual(validatePost("Facebook", "Hello #a #b #c #d").violations, ["Facebook posts allow at most 3 hashtags."]);
+});
+
+test("an empty post is a violation that can't be fixed", () => {
+  const { valid, violations } = validatePost("LinkedIn", "   ", { fix: true });
+  assert.equal(valid, false);
+  assert.deepEqual(violations, ["LinkedIn post text is empty."]);
+});
+
+test("platforms without a post spec always pass", () => {
+  assert.equal(validatePost("Other", "").valid, true);
+  assert.equal(validatePost("GoogleAds", "").valid, true); // ads go through validateAdCopy
+});
+
+test("GoogleAds copy needs 3-15 headlines of 30 characters and 2-4 descriptions of 90", () => {
+  const { headlines, descriptions } = PLATFORM_SPECS.GoogleAds.ad;
+  assert.deepEqual([headlines.min, headlines.max, headlines.maxChars], [3, 15, 30]);
+  assert.deepEqual([descriptions.min, descriptions.max, descriptions.maxChars], [2, 4, 90]);
+
+  const valid = { headlines: ["One", "Two", "Three"], descriptions: ["First one.", "Second one."] };
+  assert.equal(validateAdCopy(valid).valid, true);
+
+  const { violations } = validateAdCopy({
+    headlines: ["One", "x".repeat(31)],
+    descriptions: ["y".repeat(91), "Fine.", "Fine.", "Fine.", "Fine."]
+  });
+  assert.deepEqual(violations, [
+    "headline 2 is longer than 30 characters.",
+    "At least 3 headlines are required.",
+    "description 1 is longer than 90 characters.",
+    "At most 4 descriptions are allowed."
+  ]);
+});
+
+test("GoogleAds copy is repaired where possible", () => {
+  const { adCopy, valid, fixes } = validateAdCopy({
+    headlines: ["Save Big Today!", "Shop #spring now", "Fresh picks at www.example.com", "A headline that is far too long to fit"],
+    descriptions: ["Free shipping 🚚 on every order.", "Returns are free for 60 days."]
+  }, { fix: true });
+
+  assert.equal(valid, true);
+  assert.deepEqual(adCopy.headlines.slice(0, 3), ["Save Big Today", "Shop now", "Fresh picks at"]);
+  assert.ok(adCopy.headlines[3].length <= 30);
+  assert.equal(adCopy.descriptions[0], "Free shipping on every order.");
+  assert.equal(fixes.length, 5);
+});
+
+test("missing ad copy can't be repaired", () => {
+  const { valid, violations } = validateAdCopy(null, { fix: true });
+  assert.equal(valid, false);
+  assert.deepEqual(violations, ["At least 3 headlines are required.", "At least 2 descriptions are required."]);
+});
+
+test("createViolationError lists the violations", () => {
+  const error = createViolationError("Twitter", ["Too long.", "Too many hashtags."]);
+  assert.equal(error.code, "PLATFORM_VIOLATION");
+  assert.deepEqual(error.violations, ["Too long.", "Too many hashtags."]);
+  assert.match(error.message, /Twitter rules: Too long\. Too many hashtags\./);
+});
@@ -0,0 +1,106 @@
+// src/tests/strategyAgent.test.js
+
+/**
+ * StrategyAgent tests on the mock LLM provider: its canned plans, and the
+ * repair and fallback paths driven by scripted answers (queueMockResponse).
+ */
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const strategyAgent = require("../agents/strategyAgent");
+const { getLLMClient } = require("../llm");
+const { queueMockResponse, clearMockResponses } = require("../llm/providers/mock.provider");
+
+const quiet = { info() {}, warn() {}, error() {}, debug() {} };
+strategyAgent.init({ logger: quiet });
+
+const llm = getLLMClient({ provider: "mock" });
+
+const campaignInputs = {
+  objective: "Launch the spring collection",
+  budget: { total: 500, dailyCap: 50 },
+  timeline: { start: "2026-03-01", end: "2026-03-31" },
+  channels: ["Instagram", "Google Ads"]
+};
+
+test.afterEach(() => clearMockResponses());
+
+test("the mock provider's JSON answer is a valid plan for the campaign's channels", async () => {
+  const plan = await strategyAgent.generatePlan(campaignInputs, { llm });
+
+  assert.ok(plan.promptTemplate, "expected the AI plan, not the local fallback");
+  assert.deepEqual(plan.tasks.map((task) => task.channel), ["Instagram", "GoogleAds"]);
+  assert.deepEqual(plan.tasks.map((task) => task.type), ["socialPost", "ad"]);
+  assert.ok(plan.tasks.reduce((sum, task) => sum + task.suggestedBudget, 0) <= 500);
+
+  // Deterministic: the same request gives the same plan
+  const again = await strategyAgent.generatePlan(campaignInputs, { llm });
+  assert.equal(again.strategySummary, plan.strategySummary);
+});
+
+test("re-prompts with the validation errors until the answer is valid", async () => {
+  queueMockResponse({ tasks: [{ name: "Post on TikTok", channel: "TikTok", suggestedBudget: 100 }] });
+  queueMockResponse({
+    strategySummary: "Instagram first.",
+    tasks: [{ name: "Reels", channel: "instagram", suggestedBudget: "$1,000" }]
+  });
+
+  const plan = await strategyAgent.generatePlan(campaignInputs, { llm });
+
+  assert.equal(plan.strategySummary, "Instagram first.");
+  assert.deepEqual(plan.tasks, [{
+    name: "Reels",
+    channel: "Instagram",
+    type: "socialPost",
+    suggestedBudget: 500, // capped to budget.total
+    description: ""
+  }]);
+  // The rejected answer and the repair prompt aren't kept
+  assert.equal(plan.conversation.length, 2);
+});
+
+test("falls back to the local plan when no answer can be parsed", async () => {
+  queueMockResponse("Sorry, I can't help with that.");
+  queueMockResponse("```json\n{ not json }\n```");
+  queueMockResponse("[]");
+
+  const plan = await strategyAgent.generatePlan(campaignInputs, { llm });
+
+  assert.equal(plan.promptTemplate, undefined);
+  assert.match(plan.strategySummary, /Local fallback strategy/);
+  assert.deepEqual(plan.tasks.map((task) => task.channel), ["Instagram", "GoogleAds"]);
+});
+
+test("treats a completion without text as unparseable", async () => {
+  const calls = [];
+  const noText = {
+    provider: "broken",
+    complete: async ({ messages }) => {
+      calls.push(messages);
+      return { text: undefined };
+    }
+  };
+
+  const plan = await strategyAgent.generatePlan(campaignInputs, { llm: noText });
+
+  assert.equal(calls.length, 3);
+  assert.match(plan.strategySummary, /Local fallback strategy/);
+  // The repair rounds still send text messages
+  assert.ok(calls[2].every((message) => typeof message.content === "string"));
+});
+
+test("refinePlan keeps to the campaign's channels and reports when the AI gives up", async () => {
+  const plan = await strategyAgent.generatePlan(campaignInputs, { llm });
+
+  const refined = await strategyAgent.refinePlan(campaignInputs, plan, "Move some budget to LinkedIn.", { llm });
+  assert.deepEqual(refined.tasks.map((task) => task.channel), ["Instagram", "GoogleAds"]);
+  assert.equal(refined.conversation.length, plan.conversation.length + 2);
+
+  queueMockResponse("no");
+  queueMockResponse("still no");
+  queueMockResponse({ tasks: [] });
+  await assert.rejects(
+    strategyAgent.refinePlan(campaignInputs, plan, "Try again.", { llm }),
+    (error) => error.code === "STRATEGY_UNAVAILABLE"
+  );
+});
@@ -0,0 +1,88 @@
+// src/tests/textDiff.test.js
+
+/**
+ * Word-level diff tests (utils/textDiff.js), as shown between content revisions.
+ */
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { diffWords } = require("../utils/textDiff");
+
+/**
+ * Rebuilds both sides from a diff: equal + delete parts give the old text,
+ * equal + insert parts the new one.
+ */
+function sides(parts) {
+  const join = (type) => parts.filter((part) => part.type === "equal" || part.type === type).map((part) => part.text).join("");
+  return { before: join("delete"), after: join("insert") };
+}
+
+test("marks a replaced word as a deletion followed by an insertion", () => {
+  assert.deepEqual(diffWords("Buy now", "Buy today"), [
+    { type: "equal", text: "Buy " },
+    { type: "delete", text: "now" },
+    { type: "insert", text: "today" }
+  ]);
+});
+
+test("keeps punctuation attached to its word", () => {
+  assert.deepEqual(diffWords("Shop the sale.", "Shop the sale!"), [
+    { type: "equal", text: "Shop the " },
+    { type: "delete", text: "sale." },
+    { type: "insert", text: "sale!" }
+  ]);
+});
+
+test("finds unchanged words between several changes", () => {
+  const before = "Our new shoes are light and fast on every trail.";
+  const after = "Our new trail shoes are light, grippy and fast on every trail.";
+  const parts = diffWords(before, after);
+
+  assert.deepEqual(sides(parts), { before, after });
+  assert.deepEqual(parts.filter((part) => part.type !== "equal").map((part) => [part.type, part.text]), [
+    ["insert", "trail "],
+    ["delete", "light"],
+    ["insert", "light, grippy"]
+  ]);
+});
+
+test("merges adjacent tokens of the same kind", () => {
+  assert.deepEqual(diffWords("Sale", "Sale ends on Friday"), [
+    { type: "equal", text: "Sale" },
+    { type: "insert", text: " ends on Friday" }
+  ]);
+  // The spaces between replaced words are common to both sides
+  assert.deepEqual(diffWords("a b", "x y"), [
+    { type: "delete", text: "a" },
+    { type: "insert", text: "x" },
+    { type: "equal", text: " " },
+    { type: "delete", text: "b" },
+    { type: "insert", text: "y" }
+  ]);
+});
+
+test("treats whitespace changes as changes", () => {
+  const parts = diffWords("one two", "one\n\ntwo");
+  assert.deepEqual(parts, [
+    { type: "equal", text: "one" },
+    { type: "delete", text: " " },
+    { type: "insert", text: "\n\n" },
+    { type: "equal", text: "two" }
+  ]);
+});
+
+test("handles empty and missing texts", () => {
+  assert.deepEqual(diffWords("", ""), []);
+  assert.deepEqual(diffWords("same", "same"), [{ type: "equal", text: "same" }]);
+  assert.deepEqual(diffWords(null, "New post"), [{ type: "insert", text: "New post" }]);
+  assert.deepEqual(diffWords("Old post", undefined), [{ type: "delete", text: "Old post" }]);
+});
+
+test("reports a very large changed middle as one replacement", () => {
+  const before = Array.from({ length: 2100 }, (_, index) => `a${index}`).join(" ");
+  const after = Array.from({ length: 2100 }, (_, index) => `b${index}`).join(" ");
+  const parts = diffWords(`start ${before} end`, `start ${after} end`);
+
+  assert.deepEqual(parts.map((part) => part.type), ["equal", "delete", "insert", "equal"]);
+  assert.deepEqual(sides(parts), { before: `start ${before} end`, after: `start ${after} end` });
+});
@@ -0,0 +1,119 @@
+// src/utils/brandChecker.js
+
+/**
+ * Brand checker
+ *
+ * Scores a content item's text against its company's brand guidelines
+ * (Company.brandGuidelines): banned words, required disclaimers and preferred
+ * terminology. Each violation costs points from a score of 100; banned words
+ * and missing disclaimers are errors (the check fails), terminology slips are
+ * warnings.
+ *
+ * Tone of voice, style notes and example posts can't be checked by rule; they
+ * go into the generation prompt instead (see describeBrandRules).
+ *
+ * Usage:
+ *   const { checkBrandCompliance } = require("../utils/brandChecker");
+ *   const { score, passed, violations } = checkBrandCompliance(content.text, company.brandGuidelines);
+ */
+
+// Points deducted per violation
+const PENALTIES = {
+  bannedWord: 25,
+  missingDisclaimer: 20,
+  preferredTerm: 10
+};
+
+// How many example posts go into a prompt
+const MAX_PROMPT_EXAMPLES = 3;
+
+/**
+ * checkBrandCompliance
+ * @param {String} text - the content's text (empty text has nothing to check)
+ * @param {Object} brandGuidelines - { bannedWords, requiredDisclaimers, preferredTerms }
+ * @returns {Object} { score: 0-100, passed, violations: [{ rule, severity, message }] }
+ */
+function checkBrandCompliance(text, brandGuidelines = {}) {
+  const content = String(text || "");
+  const { bannedWords = [], requiredDisclaimers = [], preferredTerms = [] } = brandGuidelines || {};
+  const violations = [];
+
+  if (content.trim()) {
+    bannedWords.filter((word) => containsPhrase(content, word)).forEach((word) => {
+      violations.push({ rule: "bannedWord", severity: "error", message: `Uses the banned word "${word}".` });
+    });
+
+    requiredDisclaimers.filter((disclaimer) => !includesNormalized(content, disclaimer)).forEach((disclaimer) => {
+      violations.push({ rule: "missingDisclaimer", severity: "error", message: `Missing the required disclaimer: "${disclaimer}"` });
+    });
+
+    preferredTerms.forEach(({ term, avoid = [] }) => {
+      avoid.filter((variant) => containsPhrase(content, variant)).forEach((variant) => {
+        violations.push({ rule: "preferredTerm", severity: "warning", message: `Say "${term}" instead of "${variant}".` });
+      });
+    });
+  }
+
+  const penalty = violations.reduce((total, violation) => total + PENALTIES[violation.rule], 0);
+  return {
+    score: Math.max(0, 100 - penalty),
+    passed: !violations.some((violation) => violation.severity === "error"),
+    violations
+  };
+}
+
+/**
+ * describeBrandRules
+ * Turns the guidelines into prompt context, so generated content follows them.
+ * @param {Object} brandGuidelines
+ * @returns {Array<String>} prompt lines (empty if there are no rules)
+ */
+function describeBrandRules(brandGuidelines = {}) {
+  const { bannedWords = [], requiredDisclaimers = [], preferredTerms = [], examplePosts = [] } = brandGuidelines || {};
+  const lines = [];
+
+  if (bannedWords.length > 0) {
+    lines.push(`Never use these words: ${bannedWords.join(", ")}.`);
+  }
+  requiredDisclaimers.forEach((disclaimer) => lines.push(`Always include this disclaimer verbatim: "${disclaimer}"`));
+  preferredTerms.filter(({ avoid = [] }) => avoid.length > 0).forEach(({ term, avoid }) => {
+    lines.push(`Say "${term}", not ${avoid.map((variant) => `"${variant}"`).join(" or ")}.`);
+  });
+  if (examplePosts.length > 0) {
+    lines.push("On-brand example posts (match their voice, don't copy them):");
+    examplePosts.slice(0, MAX_PROMPT_EXAMPLES).forEach((post) => lines.push(`- ${post}`));
+  }
+  return lines;
+}
+
+// -------------------- Internal Helpers -------------------- //
+
+/**
+ * containsPhrase
+ * Case-insensitive whole-word match, so "free" doesn't match "freedom".
+ */
+function containsPhrase(text, phrase) {
+  const words = String(phrase).trim().split(/\s+/).filter(Boolean).map(escapeRegExp);
+  if (words.length === 0) {
+    return false;
+  }
+  return new RegExp(`(?<![\\p{L}\\p{N}])${words.join("\\s+")}(?![\\p{L}\\p{N}])`, "iu").test(text);
+}
+
+/**
+ * includesNormalized
+ * Case-insensitive substring match that ignores differences in whitespace.
+ */
+function includesNormalized(text, phrase) {
+  const normalize = (value) => String(value).replace(/\s+/g, " ").trim().toLowerCase();
+  return normalize(text).includes(normalize(phrase));
+}
+
+function escapeRegExp(value) {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+module.exports = {
+  checkBrandCompliance,
+  describeBrandRules
+};
@@ -1,5 +1,4 @@
-// Placeholder for httpResponses.js
-a// src/utils/httpResponses.js
+// src/utils/httpResponses.js
 
 /**
  * Utility functions for standardized HTTP responses in your auto_marketing_backend.
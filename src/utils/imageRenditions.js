@@ -0,0 +1,86 @@
+// src/utils/imageRenditions.js
+
+/**
+ * Image renditions
+ *
+ * Resizes and crops an image to an exact size (e.g. a platform's 1080x1080
+ * square) with sharp. The image is scaled to cover the target, then cropped
+ * according to the asset's crop settings:
+ *
+ *   "center"  keep the middle of the image (default)
+ *   "focal"   keep the area around a focal point { x, y }, each 0-1 from the top left
+ *   "smart"   keep the most eye-catching area (sharp's attention strategy)
+ *
+ * PNGs stay PNGs (they may be transparent); everything else becomes JPEG.
+ *
+ * Usage:
+ *   const { renderRendition } = require("../utils/imageRenditions");
+ *   const { buffer, mimeType } = await renderRendition(original, { width: 1200, height: 628 }, { mode: "center" });
+ */
+
+const sharp = require("sharp");
+
+const CROP_MODES = ["center", "focal", "smart"];
+
+const JPEG_QUALITY = 85;
+
+/**
+ * renderRendition
+ * @param {Buffer} buffer - the original image
+ * @param {Object} size - { width, height } of the rendition
+ * @param {Object} [crop] - { mode, focalPoint: { x, y } } focalPoint is used by "focal"
+ * @returns {Promise<Object>} { buffer, mimeType, extension, width, height, upscaled }
+ *   upscaled is true when the original was smaller than the rendition
+ */
+async function renderRendition(buffer, { width, height }, { mode = "center", focalPoint } = {}) {
+  const image = sharp(buffer, { animated: false }).rotate(); // apply EXIF orientation
+  const metadata = await sharp(buffer).metadata();
+  const isPng = metadata.format === "png";
+  // EXIF orientations 5-8 swap width and height
+  const [sourceWidth, sourceHeight] = metadata.orientation >= 5
+    ? [metadata.height, metadata.width]
+    : [metadata.width, metadata.height];
+
+  if (mode === "focal" && focalPoint) {
+    // Scale to cover the target, then cut out the target around the focal point
+    const scale = Math.max(width / sourceWidth, height / sourceHeight);
+    const scaledWidth = Math.max(width, Math.round(sourceWidth * scale));
+    const scaledHeight = Math.max(height, Math.round(sourceHeight * scale));
+    const left = clamp(Math.round(focalPoint.x * scaledWidth - width / 2), 0, scaledWidth - width);
+    const top = clamp(Math.round(focalPoint.y * scaledHeight - height / 2), 0, scaledHeight - height);
+    image
+      .resize({ width: scaledWidth, height: scaledHeight, fit: "fill" })
+      .extract({ left, top, width, height });
+  } else {
+    image.resize({
+      width,
+      height,
+      fit: "cover",
+      position: mode === "smart" ? sharp.strategy.attention : "centre"
+    });
+  }
+
+  const output = isPng
+    ? await image.png().toBuffer()
+    : await image.flatten({ background: "#ffffff" }).jpeg({ quality: JPEG_QUALITY, mozjpeg: true }).toBuffer();
+
+  return {
+    buffer: output,
+    mimeType: isPng ? "image/png" : "image/jpeg",
+    extension: isPng ? "png" : "jpg",
+    width,
+    height,
+    upscaled: sourceWidth < width || sourceHeight < height
+  };
+}
+
+// -------------------- Internal Helpers -------------------- //
+
+function clamp(value, min, max) {
+  return Math.min(Math.max(value, min), max);
+}
+
+module.exports = {
+  CROP_MODES,
+  renderRendition
+};
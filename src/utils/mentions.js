@@ -0,0 +1,56 @@
+// src/utils/mentions.js
+
+/**
+ * Mentions
+ *
+ * Finds @mentions in comment text. Two forms are recognized:
+ *   @[Jane Doe](64b7f0c2e4a1b2c3d4e5f601)  - what a mention picker inserts (label + user ID)
+ *   @jane@example.com                      - typed by hand (the member's email)
+ * Whether a mention names a member of the company is up to the caller.
+ *
+ * Usage:
+ *   const { extractMentions, formatMentions } = require("../utils/mentions");
+ *   const { userIds, emails } = extractMentions(comment.body);
+ *   formatMentions("Thanks @[Jane Doe](64b7...)"); // "Thanks @Jane Doe"
+ */
+
+const ID_MENTION = /@\[([^\]\n]+)\]\(([0-9a-fA-F]{24})\)/g;
+
+// Preceded by start or a character that can't be part of an email, so the
+// second "@" of "a@b@example.com" doesn't count
+const EMAIL_MENTION = /(^|[^\w.+@-])@([\w.+-]+@[\w-]+(?:\.[\w-]+)+)/g;
+
+/**
+ * extractMentions
+ * @param {String} text
+ * @returns {Object} { userIds, emails } each without duplicates; emails lowercased
+ */
+function extractMentions(text) {
+  const value = String(text || "");
+  const userIds = new Set();
+  const emails = new Set();
+
+  for (const match of value.matchAll(ID_MENTION)) {
+    userIds.add(match[2].toLowerCase());
+  }
+  for (const match of value.replace(ID_MENTION, " ").matchAll(EMAIL_MENTION)) {
+    emails.add(match[2].toLowerCase());
+  }
+
+  return { userIds: [...userIds], emails: [...emails] };
+}
+
+/**
+ * formatMentions
+ * Replaces picker mentions with their label, e.g. for a notification excerpt.
+ * @param {String} text
+ * @returns {String}
+ */
+function formatMentions(text) {
+  return String(text || "").replace(ID_MENTION, (match, label) => `@${label}`);
+}
+
+module.exports = {
+  extractMentions,
+  formatMentions
+};
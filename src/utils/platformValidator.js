@@ -0,0 +1,242 @@
+// src/utils/platformValidator.js
+
+/**
+ * Platform validator
+ *
+ * Checks content against its platform's spec (config/platformSpecs.js) and,
+ * when asked, repairs what it can: URLs, emoji and extra hashtags are removed
+ * and over-long text is shortened at a sentence or word boundary. Problems
+ * that can't be repaired (e.g. empty text, too few ad headlines) remain as
+ * violations.
+ *
+ * Generated content is repaired (fix: true); text a person wrote is only
+ * checked, so they can decide how to shorten it.
+ *
+ * Usage:
+ *   const { validatePost } = require("../utils/platformValidator");
+ *   const { text, valid, violations, fixes } = validatePost("Twitter", draft, { fix: true });
+ */
+
+const { getPlatformSpec } = require("../config/platformSpecs");
+
+const URL_PATTERN = /\b(?:https?:\/\/|www\.)\S+/gi;
+const EMOJI_PATTERN = /[\p{Extended_Pictographic}\u{1F1E6}-\u{1F1FF}]\uFE0F?(?:\u200D\p{Extended_Pictographic}\uFE0F?)*/gu;
+const HASHTAG_PATTERN = /(^|\s)#[\p{L}\p{N}_]+/gu;
+
+/**
+ * validatePost
+ * Checks a text post (format "post") against its platform's spec.
+ * Platforms without a spec (e.g. "Other") always pass.
+ * @param {String} platform - canonical channel name
+ * @param {String} text
+ * @param {Object} [options] - { fix } repair what can be repaired
+ * @returns {Object} { text, valid, violations: [String], fixes: [String] } text is the repaired
+ *   text when fix is set, else the input
+ */
+function validatePost(platform, text, { fix = false } = {}) {
+  const spec = getPlatformSpec(platform);
+  const result = { text: String(text || ""), valid: true, violations: [], fixes: [] };
+  if (!spec || spec.format !== "post") {
+    return result;
+  }
+
+  const check = (problem, message, repair) => {
+    if (!problem) {
+      return;
+    }
+    if (fix) {
+      result.text = tidy(repair(result.text));
+      result.fixes.push(message);
+    } else {
+      result.violations.push(message);
+    }
+  };
+
+  check(
+    spec.links === "none" && matches(result.text, URL_PATTERN),
+    `${platform} posts can't contain links.`,
+    (text) => text.replace(URL_PATTERN, "")
+  );
+  check(
+    spec.emoji === "none" && matches(result.text, EMOJI_PATTERN),
+    `${platform} posts can't contain emoji.`,
+    (text) => text.replace(EMOJI_PATTERN, "")
+  );
+  check(
+    countHashtags(result.text) > spec.hashtags.max,
+    `${platform} posts allow at most ${spec.hashtags.max} hashtags.`,
+    (text) => keepHashtags(text, spec.hashtags.max)
+  );
+  check(
+    measure(spec, result.text) > spec.maxChars,
+    `${platform} posts are limited to ${spec.maxChars} characters.`,
+    (text) => shorten(text, spec.maxChars, (candidate) => measure(spec, candidate))
+  );
+
+  if (!result.text.trim()) {
+    result.violations.push(`${platform} post text is empty.`);
+  }
+  result.valid = result.violations.length === 0;
+  return result;
+}
+
+/**
+ * validateAdCopy
+ * Checks responsive search ad copy (format "ad", i.e. GoogleAds) against its spec.
+ * @param {Object} adCopy - { headlines: [String], descriptions: [String] }
+ * @param {Object} [options] - { fix, platform } platform defaults to "GoogleAds"
+ * @returns {Object} { adCopy, valid, violations: [String], fixes: [String] }
+ */
+function validateAdCopy(adCopy, { fix = false, platform = "GoogleAds" } = {}) {
+  const spec = getPlatformSpec(platform);
+  const result = { adCopy: {}, valid: true, violations: [], fixes: [] };
+
+  ["headlines", "descriptions"].forEach((part) => {
+    const limits = spec.ad[part];
+    const label = part.slice(0, -1); // "headline" / "description"
+    let items = Array.isArray(adCopy && adCopy[part]) ? adCopy[part].map((item) => String(item)) : [];
+
+    items = items.map((item, index) => {
+      let text = item;
+      const problems = [];
+      if (matches(text, URL_PATTERN)) problems.push(["contains a link", (value) => value.replace(URL_PATTERN, "")]);
+      if (matches(text, EMOJI_PATTERN)) problems.push(["contains emoji", (value) => value.replace(EMOJI_PATTERN, "")]);
+      if (matches(text, HASHTAG_PATTERN)) problems.push(["contains hashtags", (value) => keepHashtags(value, 0)]);
+      if (part === "headlines" && text.includes("!")) problems.push(["contains \"!\"", (value) => value.replace(/!/g, "")]);
+
+      problems.forEach(([problem, repair]) => {
+        const message = `${label} ${index + 1} ${problem}.`;
+        if (fix) {
+          text = tidy(repair(text));
+          result.fixes.push(message);
+        } else {
+          result.violations.push(message);
+        }
+      });
+
+      if ([...text].length > limits.maxChars) {
+        const message = `${label} ${index + 1} is longer than ${limits.maxChars} characters.`;
+        if (fix) {
+          text = shorten(text, limits.maxChars, (candidate) => [...candidate].length, { ellipsis: false });
+          result.fixes.push(message);
+        } else {
+          result.violations.push(message);
+        }
+      }
+      return text;
+    });
+
+    items = items.filter((item) => item.trim());
+    if (items.length > limits.max) {
+      const message = `At most ${limits.max} ${part} are allowed.`;
+      if (fix) {
+        items = items.slice(0, limits.max);
+        result.fixes.push(message);
+      } else {
+        result.violations.push(message);
+      }
+    }
+    if (items.length < limits.min) {
+      result.violations.push(`At least ${limits.min} ${part} are required.`);
+    }
+    result.adCopy[part] = fix ? items : (adCopy && adCopy[part]) || [];
+  });
+
+  result.valid = result.violations.length === 0;
+  return result;
+}
+
+/**
+ * createViolationError
+ * @param {String} platform
+ * @param {Array<String>} violations
+ * @returns {Error} an Error tagged with code PLATFORM_VIOLATION, with error.violations
+ */
+function createViolationError(platform, violations) {
+  const error = new Error(`Content doesn't meet the ${platform} rules: ${violations.join(" ")}`);
+  error.code = "PLATFORM_VIOLATION";
+  error.violations = violations;
+  return error;
+}
+
+// -------------------- Internal Helpers -------------------- //
+
+function matches(text, pattern) {
+  pattern.lastIndex = 0;
+  const found = pattern.test(text);
+  pattern.lastIndex = 0;
+  return found;
+}
+
+function countHashtags(text) {
+  return (text.match(HASHTAG_PATTERN) || []).length;
+}
+
+/**
+ * keepHashtags
+ * Removes every hashtag after the first `max`.
+ */
+function keepHashtags(text, max) {
+  let seen = 0;
+  return text.replace(HASHTAG_PATTERN, (match, lead) => (++seen <= max ? match : lead));
+}
+
+/**
+ * measure
+ * Length as the platform counts it: code points, with URLs counted as
+ * spec.linkLength where the platform shortens links.
+ */
+function measure(spec, text) {
+  const length = [...text].length;
+  if (!spec.linkLength) {
+    return length;
+  }
+  return (text.match(URL_PATTERN) || [])
+    .reduce((total, url) => total - [...url].length + spec.linkLength, length);
+}
+
+/**
+ * shorten
+ * Cuts text to fit a limit: at the last sentence end if that keeps at least half
+ * the limit, else at the last whole word followed by an ellipsis.
+ * @param {Function} length - measures a candidate
+ */
+function shorten(text, limit, length, { ellipsis = true } = {}) {
+  const sentences = text.match(/[^.!?]+[.!?]+["')\]]*\s*/g) || [];
+  let kept = "";
+  for (const sentence of sentences) {
+    if (length((kept + sentence).trim()) > limit) {
+      break;
+    }
+    kept += sentence;
+  }
+  if (kept.trim() && length(kept.trim()) >= limit / 2) {
+    return kept.trim();
+  }
+
+  const suffix = ellipsis ? "…" : "";
+  const words = text.split(/\s+/);
+  while (words.length > 1 && length(words.join(" ") + suffix) > limit) {
+    words.pop();
+  }
+  const cut = words.join(" ").replace(/[\s,;:.-]+$/, "");
+  return length(cut + suffix) <= limit ? cut + suffix : [...cut].slice(0, limit - [...suffix].length).join("") + suffix;
+}
+
+/**
+ * tidy
+ * Collapses the gaps left by removed URLs, emoji or hashtags.
+ */
+function tidy(text) {
+  return text
+    .replace(/[ \t]{2,}/g, " ")
+    .replace(/ +([.,!?;:])/g, "$1")
+    .replace(/[ \t]+$/gm, "")
+    .trim();
+}
+
+module.exports = {
+  validatePost,
+  validateAdCopy,
+  createViolationError
+};
@@ -1 +1,236 @@
-// Placeholder for promptTemplates.js
+// src/utils/promptTemplates.js
+
+/**
+ * Prompt Templates
+ *
+ * The built-in prompts the agents send to the LLM, as named, versioned templates.
+ * Templates use {{variable}} placeholders. Each variable has a type and
+ * optionally a default; renderTemplate() checks the values and fills them in.
+ *
+ * Companies can replace a template's text with their own (see
+ * services/promptTemplate.service.js); the variables stay the ones declared here.
+ * Bump a template's version whenever its text changes, so generated content and
+ * plans (which record the template name, version and source) can be traced back
+ * to the prompt that produced them.
+ *
+ * Usage:
+ *   const { getDefaultTemplate, renderTemplate } = require("../utils/promptTemplates");
+ *   const prompt = renderTemplate(getDefaultTemplate("social-post"), { productName: "Gadget" });
+ */
+
+// Variable types: how a value is checked and rendered
+const VARIABLE_TYPES = ["string", "number", "date", "list"];
+
+const PROMPT_TEMPLATES = {
+  "social-post": {
+    version: 2,
+    description: "Writes one social media post (ContentAgent.createSocialPost).",
+    variables: {
+      productName: { type: "string", required: true },
+      tone: { type: "string", default: "friendly" },
+      length: { type: "string", default: "short" },
+      targetAudience: { type: "string", default: "general audience" },
+      platform: { type: "string", default: "any social network" },
+      // Filled from config/platformSpecs.js
+      platformRules: { type: "string", default: "- Keep it concise." },
+      additionalContext: { type: "string", default: "" }
+    },
+    text: `
+You are a marketing copywriter. Write a {{length}} social media post about "{{productName}}"
+targeting a {{targetAudience}} with a {{tone}} tone.
+Platform: {{platform}}.
+Include a clear call to action.
+Platform rules (the post is rejected if it breaks them):
+{{platformRules}}
+Additional context: {{additionalContext}}
+Reply with the post text only.
+`
+  },
+
+  "ad-copy": {
+    version: 1,
+    description: "Writes responsive search ad copy as strict JSON (ContentAgent.createAdCopy).",
+    variables: {
+      productName: { type: "string", required: true },
+      tone: { type: "string", default: "friendly" },
+      targetAudience: { type: "string", default: "general audience" },
+      platformRules: { type: "string", required: true },
+      additionalContext: { type: "string", default: "" }
+    },
+    text: `
+You are a search advertising copywriter. Write Google Ads responsive search ad copy for "{{productName}}"
+targeting a {{targetAudience}} with a {{tone}} tone.
+Rules (the ad is rejected if it breaks them):
+{{platformRules}}
+Additional context: {{additionalContext}}
+
+Respond with ONLY a JSON object, no prose and no code fences, in exactly this shape:
+{ "headlines": ["..."], "descriptions": ["..."] }
+`
+  },
+
+  "strategy-plan": {
+    version: 1,
+    description: "Asks for a campaign plan as strict JSON (StrategyAgent.generatePlan).",
+    variables: {
+      objective: { type: "string", required: true },
+      budgetTotal: { type: "number", required: true },
+      dailyCap: { type: "number", default: "N/A" },
+      startDate: { type: "date", default: "TBD" },
+      endDate: { type: "date", default: "TBD" },
+      toneOfVoice: { type: "string", default: "friendly tone" },
+      targetAudience: { type: "string", default: "general consumers" },
+      channels: { type: "list", required: true },
+      taskTypes: { type: "list", required: true }
+    },
+    text: `
+You are a marketing strategist. Given the following inputs, create a structured marketing plan:
+
+Objective: {{objective}}
+Budget: \${{budgetTotal}} total, with a daily cap of \${{dailyCap}}.
+Timeline: from {{startDate}} to {{endDate}}.
+Brand Guidelines: {{toneOfVoice}},
+Target Audience: {{targetAudience}},
+Channels: {{channels}},
+
+Respond with ONLY a JSON object, no prose and no code fences, in exactly this shape:
+{
+  "strategySummary": "2-4 sentences describing the overall strategy",
+  "tasks": [
+    {
+      "name": "short task name",
+      "channel": "one of: {{channels}}",
+      "type": "one of: {{taskTypes}}",
+      "suggestedBudget": 0,
+      "description": "what to do and why"
+    }
+  ]
+}
+Rules:
+ - Use one channel per task, spelled exactly as listed.
+ - suggestedBudget is a number in dollars (no currency symbol); all tasks together
+   must not exceed {{budgetTotal}}.
+`
+  },
+
+  "strategy-refine": {
+    version: 1,
+    description: "Follow-up asking for a revised plan from marketer feedback (StrategyAgent.refinePlan).",
+    variables: {
+      feedback: { type: "string", required: true }
+    },
+    text: `The marketer reviewed your last plan and gave this feedback:
+"""
+{{feedback}}
+"""
+
+Revise the plan accordingly, keeping the same rules. Return the complete JSON object only.
+`
+  }
+};
+
+const PLACEHOLDER = /\{\{\s*([a-zA-Z0-9_]+)\s*\}\}/g;
+
+/**
+ * getDefaultTemplate
+ * Returns the built-in template with the given name, tagged with its name and source.
+ * @param {String} name - e.g. "social-post"
+ * @returns {Object|null} { name, version, source: "default", description, variables, text }
+ */
+function getDefaultTemplate(name) {
+  const template = PROMPT_TEMPLATES[name];
+  return template ? { name, source: "default", ...template } : null;
+}
+
+/**
+ * renderTemplate
+ * Fills a template's placeholders. Missing values use the variable's default.
+ * @param {Object} template - { name, variables, text }
+ * @param {Object} values - variable name -> value
+ * @returns {String} the rendered prompt
+ * @throws {Error} error.code === "TEMPLATE_VARIABLES" (with error.errors) for missing
+ *   required variables or values of the wrong type
+ */
+function renderTemplate(template, values = {}) {
+  const errors = [];
+  const rendered = {};
+
+  Object.entries(template.variables).forEach(([key, variable]) => {
+    const value = values[key];
+    if (value === undefined || value === null || value === "") {
+      if (variable.required) {
+        errors.push(`Variable "${key}" is required.`);
+      }
+      rendered[key] = variable.default === undefined ? "" : String(variable.default);
+      return;
+    }
+    const formatted = formatValue(variable.type, value);
+    if (formatted === null) {
+      errors.push(`Variable "${key}" must be a ${variable.type}.`);
+      return;
+    }
+    rendered[key] = formatted;
+  });
+
+  if (errors.length > 0) {
+    const error = new Error(`Cannot render prompt template "${template.name}": ${errors.join(" ")}`);
+    error.code = "TEMPLATE_VARIABLES";
+    error.errors = errors;
+    throw error;
+  }
+
+  return template.text.replace(PLACEHOLDER, (match, key) => (key in rendered ? rendered[key] : match));
+}
+
+/**
+ * listPlaceholders
+ * Lists the variable names used as {{placeholders}} in a template text.
+ * @param {String} text
+ * @returns {Array<String>} variable names, without duplicates
+ */
+function listPlaceholders(text) {
+  return [...new Set([...String(text).matchAll(PLACEHOLDER)].map(([, key]) => key))];
+}
+
+/**
+ * templateRef
+ * The reference stored on generated Content and Plans.
+ * @param {Object} template
+ * @returns {Object} { name, version, source }
+ */
+function templateRef(template) {
+  return { name: template.name, version: template.version, source: template.source };
+}
+
+// -------------------- Internal Helpers -------------------- //
+
+/**
+ * formatValue
+ * Checks a value against a variable type and turns it into prompt text.
+ * @returns {String|null} the text, or null if the value has the wrong type
+ */
+function formatValue(type, value) {
+  switch (type) {
+    case "number": {
+      const number = typeof value === "number" ? value : Number(value);
+      return typeof value !== "boolean" && Number.isFinite(number) ? String(number) : null;
+    }
+    case "date": {
+      const date = value instanceof Date ? value : new Date(value);
+      return Number.isNaN(date.getTime()) ? null : date.toISOString().slice(0, 10);
+    }
+    case "list":
+      return Array.isArray(value) ? value.join(", ") : null;
+    default:
+      return typeof value === "string" ? value : null;
+  }
+}
+
+module.exports = {
+  VARIABLE_TYPES,
+  PROMPT_TEMPLATES,
+  getDefaultTemplate,
+  renderTemplate,
+  listPlaceholders,
+  templateRef
+};
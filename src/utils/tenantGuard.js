@@ -0,0 +1,140 @@
+// src/utils/tenantGuard.js
+
+/**
+ * Tenant Guard
+ *
+ * Helpers that keep each company's data isolated from every other company.
+ * Services call these before touching tenant-owned records; on violation they
+ * throw an Error with code TENANT_FORBIDDEN, which controllers map to a 403.
+ *
+ * Usage:
+ *   const { assertCompanyAccess, isTenantError } = require("../utils/tenantGuard");
+ *   await assertCompanyAccess(req.user, integration.companyId);
+ */
+
+const mongoose = require("mongoose");
+const Membership = require("../models/membership.model");
+const Campaign = require("../models/campaign.model");
+const { hasPermission } = require("../config/permissions");
+
+const TENANT_FORBIDDEN = "TENANT_FORBIDDEN";
+
+/**
+ * createTenantError
+ * @param {String} message
+ * @returns {Error} an Error tagged with code TENANT_FORBIDDEN
+ */
+function createTenantError(message) {
+  const error = new Error(message);
+  error.code = TENANT_FORBIDDEN;
+  return error;
+}
+
+/**
+ * isTenantError
+ * @param {Error} error
+ * @returns {Boolean} true if the error was raised by this guard
+ */
+function isTenantError(error) {
+  return !!error && error.code === TENANT_FORBIDDEN;
+}
+
+/**
+ * getActiveMembership
+ * Looks up the caller's active membership in a company.
+ * @param {String} userId
+ * @param {String} companyId
+ * @returns {Promise<Object|null>} the membership doc or null if not a member
+ */
+async function getActiveMembership(userId, companyId) {
+  if (!userId || !mongoose.isValidObjectId(companyId)) {
+    return null;
+  }
+  return Membership.findOne({ companyId, userId, status: "active" }).lean();
+}
+
+/**
+ * assertCompanyAccess
+ * Ensures the user belongs to the company. Global admins are always allowed.
+ * @param {Object} user - req.user ({ userId, role })
+ * @param {String} companyId
+ * @returns {Promise<Object|null>} the membership doc (null for global admins)
+ */
+async function assertCompanyAccess(user, companyId) {
+  if (!user) {
+    throw createTenantError("No authenticated user for tenant check.");
+  }
+  if (user.role === "admin") {
+    return null;
+  }
+
+  const membership = await getActiveMembership(user.userId, companyId);
+  if (!membership) {
+    throw createTenantError("You do not have access to this company.");
+  }
+  return membership;
+}
+
+/**
+ * assertCompanyPermission
+ * Ensures the user belongs to the company and that their role there has the
+ * permission. For records reached without a :companyId in the route, where
+ * roleMiddleware can only check the global role. Global admins are always allowed.
+ * @param {Object} user - req.user ({ userId, role })
+ * @param {String} companyId
+ * @param {String} permission - e.g. "integration:update"
+ * @returns {Promise<Object|null>} the membership doc (null for global admins)
+ */
+async function assertCompanyPermission(user, companyId, permission) {
+  const membership = await assertCompanyAccess(user, companyId);
+  if (membership && !hasPermission(membership.role, permission)) {
+    throw createTenantError(`Your role in this company lacks the ${permission} permission.`);
+  }
+  return membership;
+}
+
+/**
+ * getAccessibleCompanyIds
+ * Lists the companies a user may read data from.
+ * @param {Object} user - req.user ({ userId, role })
+ * @returns {Promise<Array|null>} company IDs, or null for global admins (no restriction)
+ */
+async function getAccessibleCompanyIds(user) {
+  if (user && user.role === "admin") {
+    return null;
+  }
+  if (!user || !user.userId) {
+    return [];
+  }
+  const memberships = await Membership.find({ userId: user.userId, status: "active" })
+    .select("companyId")
+    .lean();
+  return memberships.map((membership) => membership.companyId);
+}
+
+/**
+ * assertCampaignInCompany
+ * Ensures a campaign belongs to the given company, so a member of company A
+ * can't reach company B's campaign by pairing A's ID with B's campaign ID.
+ * @param {String} companyId
+ * @param {String} campaignId
+ * @returns {Promise<void>}
+ */
+async function assertCampaignInCompany(companyId, campaignId) {
+  const isValid = mongoose.isValidObjectId(companyId) && mongoose.isValidObjectId(campaignId);
+  const exists = isValid && (await Campaign.exists({ _id: campaignId, companyId }));
+  if (!exists) {
+    throw createTenantError("Campaign does not belong to this company.");
+  }
+}
+
+module.exports = {
+  TENANT_FORBIDDEN,
+  createTenantError,
+  isTenantError,
+  getActiveMembership,
+  assertCompanyAccess,
+  assertCompanyPermission,
+  getAccessibleCompanyIds,
+  assertCampaignInCompany
+};
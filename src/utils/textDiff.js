@@ -0,0 +1,116 @@
+// src/utils/textDiff.js
+
+/**
+ * Text diff
+ *
+ * Word-level diff of two texts, used to show what changed between content
+ * revisions. Words and the whitespace between them are compared as separate
+ * tokens (punctuation stays attached to its word), and the longest common
+ * subsequence of tokens is kept as unchanged.
+ *
+ * Usage:
+ *   const { diffWords } = require("../utils/textDiff");
+ *   diffWords("Buy now", "Buy today");
+ *   // [{ type: "equal", text: "Buy " }, { type: "delete", text: "now" }, { type: "insert", text: "today" }]
+ */
+
+// Above this many comparisons (tokens before x tokens after) the changed middle
+// is reported as one replacement rather than diffed
+const MAX_DIFF_CELLS = 4000000;
+
+/**
+ * diffWords
+ * @param {String} before - the older text (null/undefined count as empty)
+ * @param {String} after - the newer text
+ * @returns {Array<Object>} [{ type: "equal" | "delete" | "insert", text }] in order; joining
+ *   the equal and delete parts gives `before`, the equal and insert parts `after`
+ */
+function diffWords(before, after) {
+  const a = tokenize(before);
+  const b = tokenize(after);
+
+  // Only the middle between the common prefix and suffix needs the LCS table
+  let start = 0;
+  while (start < a.length && start < b.length && a[start] === b[start]) {
+    start += 1;
+  }
+  let endA = a.length;
+  let endB = b.length;
+  while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+    endA -= 1;
+    endB -= 1;
+  }
+
+  const parts = [];
+  push(parts, "equal", a.slice(0, start));
+  diffMiddle(a.slice(start, endA), b.slice(start, endB)).forEach(({ type, tokens }) => push(parts, type, tokens));
+  push(parts, "equal", a.slice(endA));
+  return parts;
+}
+
+// -------------------- Internal Helpers -------------------- //
+
+function tokenize(text) {
+  return String(text || "").match(/\s+|\S+/g) || [];
+}
+
+/**
+ * diffMiddle
+ * LCS over two token lists that differ at both ends.
+ * @returns {Array<Object>} [{ type, tokens }] deletions before insertions within a change
+ */
+function diffMiddle(a, b) {
+  if (a.length === 0 || b.length === 0 || (a.length + 1) * (b.length + 1) > MAX_DIFF_CELLS) {
+    return [{ type: "delete", tokens: a }, { type: "insert", tokens: b }];
+  }
+
+  // lengths[i * cols + j] = LCS length of a[i..] and b[j..]
+  const cols = b.length + 1;
+  const lengths = new Uint32Array((a.length + 1) * cols);
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      lengths[i * cols + j] = a[i] === b[j]
+        ? lengths[(i + 1) * cols + j + 1] + 1
+        : Math.max(lengths[(i + 1) * cols + j], lengths[i * cols + j + 1]);
+    }
+  }
+
+  const result = [];
+  let i = 0;
+  let j = 0;
+  while (i < a.length && j < b.length) {
+    if (a[i] === b[j]) {
+      result.push({ type: "equal", tokens: [a[i]] });
+      i += 1;
+      j += 1;
+    } else if (lengths[(i + 1) * cols + j] >= lengths[i * cols + j + 1]) {
+      result.push({ type: "delete", tokens: [a[i]] });
+      i += 1;
+    } else {
+      result.push({ type: "insert", tokens: [b[j]] });
+      j += 1;
+    }
+  }
+  result.push({ type: "delete", tokens: a.slice(i) }, { type: "insert", tokens: b.slice(j) });
+  return result;
+}
+
+/**
+ * push
+ * Appends tokens as a part, merging with the previous part of the same type.
+ */
+function push(parts, type, tokens) {
+  if (tokens.length === 0) {
+    return;
+  }
+  const last = parts[parts.length - 1];
+  if (last && last.type === type) {
+    last.text += tokens.join("");
+  } else {
+    parts.push({ type, text: tokens.join("") });
+  }
+}
+
+module.exports = {
+  diffWords
+};